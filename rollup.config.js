@@ -15,10 +15,14 @@ const banner = `/**
  */
 `;
 
+// Node.js built-ins and serialport are loaded on demand by the Node.js adapters and handlers
+const external = [/^node:/, 'serialport'];
+
 export default [
   // UMD build for browsers (production, minified)
   {
     input: 'src/index.js',
+    external,
     output: {
       file: 'dist/gnss.min.js',
       format: 'umd',
@@ -32,6 +36,7 @@ export default [
   // UMD build for browsers (development, non-minified)
   {
     input: 'src/index.js',
+    external,
     output: {
       file: 'dist/gnss.js',
       format: 'umd',
@@ -44,6 +49,7 @@ export default [
   // ESM build for modern environments
   {
     input: 'src/index.js',
+    external,
     output: {
       file: pkg.module,
       format: 'esm',
@@ -51,5 +57,17 @@ export default [
       sourcemap: true,
       exports: 'named'
     }
+  },
+  // Parser worker (module Worker next to the builds, loaded with the worker option)
+  {
+    input: 'src/parser-worker.js',
+    external,
+    output: {
+      file: 'dist/parser-worker.js',
+      format: 'esm',
+      banner,
+      sourcemap: true,
+      exports: 'named'
+    }
   }
 ];
\ No newline at end of file
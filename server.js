@@ -1,17 +1,33 @@
+import http from 'http';
 import https from 'https';
 import fs from 'fs';
+import net from 'net';
+import tls from 'tls';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { buildRequest, NtripResponseDecoder, validateRequest, isGgaSentence } from './src/ntrip-protocol.js';
 
 // Get the directory name of the current module
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// SSL certificate options
-const options = {
-  key: fs.readFileSync(path.join(__dirname, 'certs', 'key.pem')),
-  cert: fs.readFileSync(path.join(__dirname, 'certs', 'cert.pem'))
-};
+// SSL certificate options (without certificates both servers fall back to plain HTTP)
+const keyPath = path.join(__dirname, 'certs', 'key.pem');
+const certPath = path.join(__dirname, 'certs', 'cert.pem');
+const options = fs.existsSync(keyPath) && fs.existsSync(certPath) ? {
+  key: fs.readFileSync(keyPath),
+  cert: fs.readFileSync(certPath)
+} : null;
+
+/**
+ * Create an HTTPS server when certificates are available, HTTP otherwise
+ * @param {Function} handler - Request handler
+ * @returns {http.Server|https.Server} Server
+ */
+function createServer(handler) {
+  return options ? https.createServer(options, handler) : http.createServer(handler);
+}
 
 // MIME types for different file extensions
 const mimeTypes = {
@@ -28,7 +44,7 @@ const mimeTypes = {
 };
 
 // Create HTTPS server
-const server = https.createServer(options, (req, res) => {
+const server = createServer((req, res) => {
   console.log(`${req.method} ${req.url}`);
   
   // Parse the URL to get the filepath
@@ -146,7 +162,653 @@ const PORT = process.env.PORT || 8443;
 
 // Start server
 server.listen(PORT, () => {
-  console.log(`HTTPS Server running at https://localhost:${PORT}/`);
-  console.log(`Access the basic example at https://localhost:${PORT}/`);
-  console.log('Note: You will need to accept the self-signed certificate warning in your browser');
+  const scheme = options ? 'https' : 'http';
+  console.log(`${options ? 'HTTPS' : 'HTTP'} Server running at ${scheme}://localhost:${PORT}/`);
+  console.log(`Access the basic example at ${scheme}://localhost:${PORT}/`);
+  if (options) {
+    console.log('Note: You will need to accept the self-signed certificate warning in your browser');
+  } else {
+    console.log('Note: certs/ not found, serving plain HTTP');
+  }
+});
+
+/*
+ * NTRIP proxy and WebSocket bridge
+ *
+ * Browsers can't open TCP sockets and block plain-HTTP casters from HTTPS
+ * pages, so NtripClient's proxy and websocket modes talk to this server,
+ * which holds the raw TCP connection to the caster.
+ *
+ * HTTP routes:
+ *   GET  /?host=&port=                     Caster sourcetable
+ *   GET  /:mountpoint?host=&port=          RTCM stream (user, password, version, gga optional)
+ *   POST /:mountpoint/gga?host=&port=      Forward a GGA sentence (request body) to open streams
+ *
+ * WebSocket (/ws) commands, as JSON text messages:
+ *   { command: 'connect', config }        config: casterHost, casterPort, mountpoint, username, password, ntripVersion, gga
+ *   { command: 'gga', data }              GGA sentence for the caster
+ *   { command: 'sourcetable', config }    Replies { type: 'sourcetable', data }
+ *   { command: 'disconnect' }
+ * Replies are { type: 'status' | 'error' | 'info' | 'ping', ... }; RTCM is sent as binary messages.
+ *
+ * WebSocket (/tcp?host=&port=&secure=1) relays raw bytes to a receiver's TCP port for TcpHandler:
+ * binary messages both ways, { type: 'status', connected } and { type: 'error', message } as text.
+ */
+
+// Proxy port, matching NtripClient's default proxyUrl and websocketUrl
+const NTRIP_PROXY_PORT = process.env.NTRIP_PROXY_PORT || 3000;
+
+// Proxy bind address, loopback unless other machines are meant to use it
+const NTRIP_PROXY_HOST = process.env.NTRIP_PROXY_HOST || '127.0.0.1';
+
+// Pages allowed to use the proxy and both bridges, by default the ones served above
+const PROXY_ORIGINS = listSetting(process.env.PROXY_ORIGINS, [
+  `${options ? 'https' : 'http'}://localhost:${PORT}`,
+  `${options ? 'https' : 'http'}://127.0.0.1:${PORT}`
+]);
+
+// "host:port" targets the TCP bridge may connect to, any when empty
+const TCP_BRIDGE_TARGETS = listSetting(process.env.TCP_BRIDGE_TARGETS, []);
+
+// Milliseconds to wait for a caster to answer
+const CASTER_TIMEOUT = 10000;
+
+// Largest sourcetable read from a caster
+const MAX_SOURCETABLE_LENGTH = 8 * 1024 * 1024;
+
+// Keep-alive interval for WebSocket clients
+const PING_INTERVAL = 30000;
+
+// Open caster streams by "host:port/mountpoint", used to route GGA posts
+const proxySessions = new Map();
+
+/**
+ * Open a TCP connection to a caster and wait for its response head
+ * @param {Object} request - host, port, mountpoint, username, password, version, gga
+ * @param {Object} decoderOptions - NtripResponseDecoder options
+ * @returns {Promise<Object>} { socket, decoder, response, body } - body holds bytes received with the head
+ */
+function openCasterConnection(request, decoderOptions = {}) {
+  return new Promise((resolve, reject) => {
+    // Reject CR/LF and friends before anything reaches the caster
+    validateRequest(request);
+
+    const port = parseInt(request.port, 10) || 2101;
+    const connectOptions = { host: request.host, port, servername: request.host };
+    const socket = port === 443 ? tls.connect(connectOptions) : net.connect(connectOptions);
+    const decoder = new NtripResponseDecoder(decoderOptions);
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      reject(error);
+    };
+
+    socket.setTimeout(CASTER_TIMEOUT, () => fail(new Error('Caster did not respond')));
+    socket.once('error', fail);
+    socket.once('close', () => fail(new Error('Caster closed the connection')));
+
+    socket.once(port === 443 ? 'secureConnect' : 'connect', () => {
+      socket.write(buildRequest({ ...request, port }));
+    });
+
+    const onData = (chunk) => {
+      let body;
+      try {
+        body = decoder.push(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      if (!decoder.response || settled) {
+        return;
+      }
+
+      settled = true;
+      socket.off('data', onData);
+      socket.removeAllListeners('error');
+      socket.removeAllListeners('close');
+      socket.setTimeout(0);
+      resolve({ socket, decoder, response: decoder.response, body });
+    };
+    socket.on('data', onData);
+  });
+}
+
+/**
+ * Read a whole sourcetable from a caster
+ * @param {Object} request - host, port, username, password, version
+ * @returns {Promise<string>} Sourcetable text
+ */
+async function fetchSourcetable(request) {
+  const { socket, decoder, response, body } = await openCasterConnection({ ...request, mountpoint: '' });
+
+  if (response.statusCode !== 200) {
+    socket.destroy();
+    throw Object.assign(new Error(`Caster responded ${response.statusCode} ${response.statusText}`), {
+      statusCode: response.statusCode
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    let length = 0;
+    let tail = ''; // End of the text so far, to find ENDSOURCETABLE split across chunks
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(Buffer.concat(parts).toString('latin1'));
+      }
+    };
+
+    const append = (bytes) => {
+      const part = Buffer.from(bytes);
+      parts.push(part);
+      length += part.length;
+      tail = (tail + part.toString('latin1')).slice(-64);
+
+      if (length > MAX_SOURCETABLE_LENGTH) {
+        finish(Object.assign(new Error('Sourcetable too large'), { statusCode: 502 }));
+      } else if (tail.includes('ENDSOURCETABLE')) {
+        finish();
+      }
+    };
+
+    socket.setTimeout(CASTER_TIMEOUT, () => finish());
+    socket.on('data', (chunk) => {
+      try {
+        append(decoder.push(new Uint8Array(chunk)));
+      } catch (error) {
+        // A malformed chunked body
+        finish(Object.assign(error, { statusCode: 502 }));
+      }
+    });
+    socket.on('end', () => finish());
+    socket.on('error', finish);
+
+    append(body);
+  });
+}
+
+/**
+ * Open a mountpoint stream and check the caster accepted it
+ * @param {Object} request - Mountpoint request
+ * @param {Object} decoderOptions - NtripResponseDecoder options
+ * @returns {Promise<Object>} Open caster connection
+ */
+async function openMountpoint(request, decoderOptions) {
+  const connection = await openCasterConnection(request, decoderOptions);
+  const { response } = connection;
+
+  // An unknown mountpoint is answered with the sourcetable
+  if (response.statusCode !== 200 || response.sourcetable) {
+    connection.socket.destroy();
+    const statusCode = response.sourcetable ? 404 : response.statusCode || 502;
+    const message = response.sourcetable ?
+      `Mountpoint ${request.mountpoint} not found` :
+      `Caster responded ${response.statusCode} ${response.statusText}`;
+    throw Object.assign(new Error(message), { statusCode });
+  }
+
+  return connection;
+}
+
+/**
+ * Register an open stream for GGA routing
+ * @param {string} key - host:port/mountpoint
+ * @param {net.Socket} socket - Caster socket
+ */
+function addSession(key, socket) {
+  if (!proxySessions.has(key)) {
+    proxySessions.set(key, new Set());
+  }
+  proxySessions.get(key).add(socket);
+
+  socket.once('close', () => {
+    const sockets = proxySessions.get(key);
+    if (sockets) {
+      sockets.delete(socket);
+      if (sockets.size === 0) {
+        proxySessions.delete(key);
+      }
+    }
+  });
+}
+
+/**
+ * Split a comma-separated setting
+ * @param {string} value - Setting from the environment
+ * @param {string[]} defaults - Entries when the setting is unset
+ * @returns {string[]} Entries
+ */
+function listSetting(value, defaults) {
+  if (value === undefined) {
+    return defaults;
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Write a GGA sentence to a caster connection, anything but a checksummed GGA is dropped
+ * @param {net.Socket} socket - Caster socket
+ * @param {string} gga - GGA sentence
+ */
+function writeGga(socket, gga) {
+  if (socket.writable && typeof gga === 'string' && isGgaSentence(gga.trim())) {
+    socket.write(gga.trim() + '\r\n');
+  }
+}
+
+/**
+ * Check the page a request comes from against PROXY_ORIGINS
+ *
+ * Browsers send Origin on cross-origin fetches and WebSocket upgrades, and
+ * Sec-Fetch-Site on every request; clients outside a browser, such as
+ * NtripClient in Node.js, send neither and are allowed.
+ * @param {http.IncomingMessage} req - Request or upgrade request
+ * @returns {boolean} Whether the request may use the proxy
+ */
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (origin) {
+    return PROXY_ORIGINS.includes(origin);
+  }
+  const site = req.headers['sec-fetch-site'];
+  return !site || site === 'none' || site === 'same-origin';
+}
+
+/**
+ * Add CORS headers so the served pages can use the proxy
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function setCorsHeaders(req, res) {
+  if (req.headers.origin && PROXY_ORIGINS.includes(req.headers.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Ntrip-Version');
+  }
+}
+
+/**
+ * Send a plain-text error response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ */
+function sendError(res, statusCode, message) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+  res.end(message);
+}
+
+/**
+ * Handle an HTTP proxy request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleProxyRequest(req, res) {
+  if (!isAllowedOrigin(req)) {
+    console.log(`NTRIP proxy: rejected origin ${req.headers.origin || '(none)'}`);
+    sendError(res, 403, 'Origin not allowed');
+    return;
+  }
+  setCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const host = url.searchParams.get('host');
+  const port = parseInt(url.searchParams.get('port'), 10) || 2101;
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (!host) {
+    sendError(res, 400, 'Missing host parameter');
+    return;
+  }
+
+  const request = {
+    host,
+    port,
+    username: url.searchParams.get('user') || '',
+    password: url.searchParams.get('password') || '',
+    version: url.searchParams.get('version') || 'auto',
+    gga: url.searchParams.get('gga') || null
+  };
+
+  // GET /?host=&port= - sourcetable
+  if (segments.length === 0) {
+    try {
+      const sourcetable = await fetchSourcetable(request);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(sourcetable);
+    } catch (error) {
+      sendError(res, error.statusCode || 502, error.message);
+    }
+    return;
+  }
+
+  const mountpoint = segments[0];
+  const key = `${host}:${port}/${mountpoint}`;
+
+  // POST /:mountpoint/gga - forward the position to open streams
+  if (segments.length === 2 && segments[1] === 'gga') {
+    if (req.method !== 'POST') {
+      sendError(res, 405, 'Use POST to send GGA');
+      return;
+    }
+
+    let gga = '';
+    req.setEncoding('latin1');
+    req.on('data', (chunk) => {
+      gga += chunk;
+    });
+    req.on('end', () => {
+      const sockets = proxySessions.get(key);
+      if (!sockets) {
+        sendError(res, 404, 'No open stream for this mountpoint');
+        return;
+      }
+      sockets.forEach(socket => writeGga(socket, gga));
+      res.writeHead(204);
+      res.end();
+    });
+    return;
+  }
+
+  if (segments.length !== 1 || req.method !== 'GET') {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  // GET /:mountpoint?host=&port= - stream RTCM, chunk framing removed
+  let connection;
+  try {
+    connection = await openMountpoint({ ...request, mountpoint });
+  } catch (error) {
+    sendError(res, error.statusCode || 502, error.message);
+    return;
+  }
+
+  const { socket, decoder, response, body } = connection;
+  addSession(key, socket);
+
+  res.writeHead(200, {
+    'Content-Type': 'application/octet-stream',
+    'Cache-Control': 'no-cache',
+    'Ntrip-Version': response.version === 2 ? 'Ntrip/2.0' : 'Ntrip/1.0'
+  });
+  if (body.length > 0) {
+    res.write(Buffer.from(body));
+  }
+
+  // Rev 1 casters ignore the Ntrip-GGA header and get the position after the request
+  if (request.gga && response.version === 1) {
+    writeGga(socket, request.gga);
+  }
+
+  socket.on('data', (chunk) => {
+    try {
+      const payload = decoder.push(new Uint8Array(chunk));
+      if (payload.length > 0) {
+        res.write(Buffer.from(payload));
+      }
+    } catch (error) {
+      console.error(`NTRIP proxy ${key}:`, error.message);
+      socket.destroy();
+    }
+  });
+  socket.on('close', () => res.end());
+  socket.on('error', (error) => console.error(`NTRIP proxy ${key}:`, error.message));
+  req.on('close', () => socket.destroy());
+}
+
+/**
+ * Bridge one WebSocket client to a caster
+ * @param {WebSocket} ws - Client connection
+ */
+function handleBridgeConnection(ws) {
+  let caster = null;
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  const closeCaster = () => {
+    if (caster) {
+      caster.removeAllListeners('close');
+      caster.destroy();
+      caster = null;
+    }
+  };
+
+  const pingTimer = setInterval(() => send({ type: 'ping', time: Date.now() }), PING_INTERVAL);
+
+  ws.on('message', async (data, isBinary) => {
+    if (isBinary) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      send({ type: 'error', message: 'Commands must be JSON' });
+      return;
+    }
+
+    const config = message.config || {};
+
+    switch (message.command) {
+      case 'connect': {
+        closeCaster();
+
+        if (!config.casterHost || !config.mountpoint) {
+          send({ type: 'error', message: 'casterHost and mountpoint are required' });
+          return;
+        }
+
+        try {
+          // The body is forwarded as received; NtripClient strips Rev 2 chunking
+          const connection = await openMountpoint({
+            host: config.casterHost,
+            port: config.casterPort,
+            mountpoint: config.mountpoint,
+            username: config.username,
+            password: config.password,
+            version: config.ntripVersion || 'auto',
+            gga: config.gga || null
+          }, { dechunk: false });
+
+          if (ws.readyState !== ws.OPEN) {
+            connection.socket.destroy();
+            return;
+          }
+
+          caster = connection.socket;
+          send({
+            type: 'status',
+            connected: true,
+            ntripVersion: connection.response.version,
+            chunked: connection.response.chunked,
+            message: `Connected to ${config.casterHost}:${config.casterPort}/${config.mountpoint}`
+          });
+
+          // Rev 1 casters get the position after the request, whatever revision was asked for
+          if (config.gga && connection.response.version === 1) {
+            writeGga(caster, config.gga);
+          }
+
+          if (connection.body.length > 0) {
+            ws.send(Buffer.from(connection.body), { binary: true });
+          }
+
+          caster.on('data', (chunk) => {
+            if (ws.readyState === ws.OPEN) {
+              ws.send(chunk, { binary: true });
+            }
+          });
+          caster.on('error', (error) => send({ type: 'error', message: error.message }));
+          caster.on('close', () => {
+            caster = null;
+            send({ type: 'status', connected: false, message: 'Caster closed the connection' });
+          });
+        } catch (error) {
+          send({ type: 'error', message: error.message });
+          send({ type: 'status', connected: false, message: error.message });
+        }
+        break;
+      }
+
+      case 'gga':
+        if (caster) {
+          writeGga(caster, message.data);
+        }
+        break;
+
+      case 'sourcetable':
+        try {
+          const sourcetable = await fetchSourcetable({
+            host: config.casterHost,
+            port: config.casterPort,
+            username: config.username,
+            password: config.password,
+            version: config.ntripVersion || 'auto'
+          });
+          send({ type: 'sourcetable', data: sourcetable });
+        } catch (error) {
+          send({ type: 'error', message: error.message });
+        }
+        break;
+
+      case 'disconnect':
+        closeCaster();
+        send({ type: 'status', connected: false, message: 'Disconnected' });
+        break;
+
+      default:
+        send({ type: 'error', message: `Unknown command: ${message.command}` });
+    }
+  });
+
+  ws.on('close', () => {
+    clearInterval(pingTimer);
+    closeCaster();
+  });
+
+  send({ type: 'info', message: 'NTRIP bridge ready' });
+}
+
+/**
+ * Relay one WebSocket client to a receiver's TCP port
+ * @param {WebSocket} ws - Client connection
+ * @param {http.IncomingMessage} req - Upgrade request carrying host, port and secure
+ */
+function handleTcpBridgeConnection(ws, req) {
+  const url = new URL(req.url, 'http://localhost');
+  const host = url.searchParams.get('host');
+  const port = parseInt(url.searchParams.get('port'), 10);
+  const secure = url.searchParams.get('secure') === '1';
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  if (!host || !port) {
+    send({ type: 'error', message: 'host and port are required' });
+    ws.close();
+    return;
+  }
+
+  if (TCP_BRIDGE_TARGETS.length > 0 && !TCP_BRIDGE_TARGETS.includes(`${host}:${port}`)) {
+    send({ type: 'error', message: `${host}:${port} is not in TCP_BRIDGE_TARGETS` });
+    ws.close();
+    return;
+  }
+
+  const connectOptions = { host, port, servername: host };
+  const socket = secure ? tls.connect(connectOptions) : net.connect(connectOptions);
+  socket.setNoDelay(true);
+  socket.setTimeout(CASTER_TIMEOUT, () => {
+    socket.destroy(new Error(`No response from ${host}:${port}`));
+  });
+
+  socket.once(secure ? 'secureConnect' : 'connect', () => {
+    socket.setTimeout(0);
+    send({ type: 'status', connected: true, message: `Connected to ${host}:${port}` });
+  });
+  socket.on('data', (chunk) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(chunk, { binary: true });
+    }
+  });
+  socket.on('error', (error) => send({ type: 'error', message: error.message }));
+  socket.on('close', () => {
+    send({ type: 'status', connected: false, message: `${host}:${port} closed the connection` });
+    ws.close();
+  });
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary && socket.writable) {
+      socket.write(data);
+    }
+  });
+  ws.on('close', () => socket.destroy());
+}
+
+// NTRIP proxy server - HTTPS when certificates exist so HTTPS pages can reach it (wss://)
+const proxyServer = createServer((req, res) => {
+  console.log(`NTRIP proxy: ${req.method} ${req.url.replace(/password=[^&]*/, 'password=***')}`);
+  handleProxyRequest(req, res).catch((error) => sendError(res, 500, error.message));
+});
+
+const bridge = new WebSocketServer({ noServer: true });
+bridge.on('connection', handleBridgeConnection);
+
+const tcpBridge = new WebSocketServer({ noServer: true });
+tcpBridge.on('connection', handleTcpBridgeConnection);
+
+// Route WebSocket upgrades by path
+proxyServer.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const server = pathname === '/ws' ? bridge : pathname === '/tcp' ? tcpBridge : null;
+
+  if (!server) {
+    socket.destroy();
+    return;
+  }
+
+  // Both bridges reach arbitrary hosts, so only the served pages may open them
+  if (!isAllowedOrigin(req)) {
+    console.log(`WebSocket bridge: rejected origin ${req.headers.origin || '(none)'}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  server.handleUpgrade(req, socket, head, ws => server.emit('connection', ws, req));
+});
+
+proxyServer.listen(NTRIP_PROXY_PORT, NTRIP_PROXY_HOST, () => {
+  const scheme = options ? 'https' : 'http';
+  console.log(`NTRIP proxy running at ${scheme}://${NTRIP_PROXY_HOST}:${NTRIP_PROXY_PORT}/ (WebSocket bridges at /ws and /tcp)`);
 });
\ No newline at end of file
@@ -3,11 +3,16 @@
  */
 import { ConnectionHandler } from './connection-handler.js';
 import { BLE_SERVICES, BLE_CHARACTERISTICS, EVENTS } from '../constants.js';
+import { NmeaEncoder } from '../nmea-encoder.js';
 
 export class BluetoothHandler extends ConnectionHandler {
   constructor(eventEmitter, options = {}) {
     super(eventEmitter, options);
     this.name = 'bluetooth';
+    // Builds the PUBX configuration commands sent to u-blox receivers
+    this.nmeaEncoder = new NmeaEncoder();
+    // Navigator providing the Web Bluetooth API (see environment.js)
+    this.navigator = options.navigator || (typeof navigator !== 'undefined' ? navigator : null);
     this.device = null;
     this.server = null;
     this.serialService = null;
@@ -70,8 +75,8 @@ export class BluetoothHandler extends ConnectionHandler {
    * @returns {boolean} - Whether Web Bluetooth is available
    */
   isAvailable() {
-    return typeof navigator !== 'undefined' && 
-           navigator.bluetooth !== undefined;
+    return !!this.navigator && 
+           this.navigator.bluetooth !== undefined;
   }
   
   /**
@@ -121,7 +126,7 @@ export class BluetoothHandler extends ConnectionHandler {
     
     try {
       // Browser compatibility check
-      if (!navigator.bluetooth) {
+      if (!this.isAvailable()) {
         throw new Error('Web Bluetooth API is not supported in this browser');
       }
       
@@ -153,14 +158,14 @@ export class BluetoothHandler extends ConnectionHandler {
         this.device = options.deviceObj;
       }
       // Try to get device ID from options or Bluetooth section (legacy path)
-      else if (typeof navigator.bluetooth.getDevices === 'function') {
+      else if (typeof this.navigator.bluetooth.getDevices === 'function') {
         const deviceId = options.deviceId || 
                         (options.bluetooth && options.bluetooth.lastDeviceId);
         
         // Allow connecting to last device
         if (deviceId) {
           try {
-            this.device = await navigator.bluetooth.getDevices()
+            this.device = await this.navigator.bluetooth.getDevices()
               .then(devices => devices.find(d => d.id === deviceId));
               
             if (!this.device) {
@@ -694,8 +699,13 @@ export class BluetoothHandler extends ConnectionHandler {
         .map(b => b.toString(16).padStart(2, '0'))
         .join(' ');
       
+      // Binary protocols (UBX) can arrive split across notifications, so any
+      // chunk containing a UBX sync sequence or non-text bytes is kept
+      const bytes = new Uint8Array(data);
+      const isBinary = bytes.some(b => b > 0x7E || (b < 0x20 && b !== 0x0A && b !== 0x0D && b !== 0x09));
+      
       // Check for empty or extremely short data
-      if (dataString.length < 3) {
+      if (dataString.length < 3 && !isBinary) {
         this.logger.debug(`Received very short data (${dataString.length} bytes), likely not NMEA. Skipping.`);
         return;
       }
@@ -713,7 +723,7 @@ export class BluetoothHandler extends ConnectionHandler {
       // Skip data processing if:
       // 1. This appears to be just the device name repeating
       // 2. The device name has already been reported many times
-      if (this.lastDataString === dataString && !isNmea) {
+      if (this.lastDataString === dataString && !isNmea && !isBinary) {
         this.logger.debug('Skipping duplicate data (device name)');
         return;
       }
@@ -729,7 +739,7 @@ export class BluetoothHandler extends ConnectionHandler {
         // Try to enable GGA messages again immediately after receiving a response
         setTimeout(async () => {
           try {
-            await this.sendData('$PUBX,40,GGA,1,1,1,1,1,0*5A\r\n');
+            await this.sendData(`${this.nmeaEncoder.pubxRate('GGA', 1)}\r\n`);
             this.logger.debug('Resent GGA enable command after receiving PUBX response');
           } catch (e) {
             this.logger.warn('Failed to send follow-up command:', e);
@@ -744,7 +754,7 @@ export class BluetoothHandler extends ConnectionHandler {
         }
       }
       
-      // Look for UBX binary protocol responses
+      // Look for UBX binary protocol responses (decoded by UbxParser via device:data)
       if (hexValues.startsWith('b5 62')) {
         this.logger.debug('Detected UBX binary protocol response');
         
@@ -770,8 +780,8 @@ export class BluetoothHandler extends ConnectionHandler {
       // Emit a raw data event with the string, before any parsing
       this.eventEmitter.emit('bluetooth:raw-data', dataString);
       
-      // Only emit for parsing if this looks like NMEA data
-      if (isNmea) {
+      // Only emit for parsing if this looks like NMEA or binary protocol data
+      if (isNmea || isBinary) {
         // Use standardized events from constants - emit only device:data for consistency
         // This helps consolidate event handling in the GnssModule
         this.eventEmitter.emit(EVENTS.DATA_RECEIVED, data);
@@ -896,7 +906,7 @@ export class BluetoothHandler extends ConnectionHandler {
     
     try {
       // Browser compatibility check
-      if (!navigator.bluetooth) {
+      if (!this.isAvailable()) {
         throw new Error('Web Bluetooth API is not supported in this browser');
       }
       
@@ -940,7 +950,7 @@ export class BluetoothHandler extends ConnectionHandler {
       
       // Show device picker
       this.logger.debug('Requesting SparkFun Facet RTK device...');
-      this.device = await navigator.bluetooth.requestDevice(requestOptions);
+      this.device = await this.navigator.bluetooth.requestDevice(requestOptions);
       
       if (!this.device) {
         throw new Error('No device selected');
@@ -1165,7 +1175,7 @@ export class BluetoothHandler extends ConnectionHandler {
                 setTimeout(async () => {
                   try {
                     // Send specific command with this new characteristic
-                    await this.sendData('$PUBX,40,GGA,1,1,1,1,1,0*5A\r\n');
+                    await this.sendData(`${this.nmeaEncoder.pubxRate('GGA', 1)}\r\n`);
                     this.logger.debug('Resent GGA enable command on new characteristic');
                   } catch (e) {
                     this.logger.warn('Failed to send command on new characteristic:', e);
@@ -1199,42 +1209,41 @@ export class BluetoothHandler extends ConnectionHandler {
           await this.sendData('\r\n\r\n');
           await new Promise(resolve => setTimeout(resolve, 500));
           
-          // Send reset command - try to start from a clean state
-          // This will revert settings to defaults but ensure consistent behavior
-          await this.sendData('$PUBX,40,ZDA,0,0,0,0,0,0*45\r\n');
+          // Turn ZDA off on every port
+          await this.sendData(`${this.nmeaEncoder.pubxRate('ZDA', 0)}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 300));
           
           // Send the configuration commands in the exact order used by other applications
           // GGA sentence - position data (must be first and with higher rate)
-          await this.sendData('$PUBX,40,GGA,0,1,0,0,0,0*5A\r\n');
+          await this.sendData(`${this.nmeaEncoder.pubxRate('GGA', { uart1: 1 })}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 500));
           
           // GGA sentence again with different parameters - matches working app's sequence
-          await this.sendData('$PUBX,40,GGA,1,1,1,1,1,0*5A\r\n');
+          await this.sendData(`${this.nmeaEncoder.pubxRate('GGA', 1)}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 500));
           
           // RMC sentence - minimum navigation info
-          await this.sendData('$PUBX,40,RMC,1,1,1,1,1,0*47\r\n');
+          await this.sendData(`${this.nmeaEncoder.pubxRate('RMC', 1)}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 500));
           
           // GSA sentence - satellite data
-          await this.sendData('$PUBX,40,GSA,1,1,1,1,1,0*4E\r\n');
+          await this.sendData(`${this.nmeaEncoder.pubxRate('GSA', 1)}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 500));
           
           // GST sentence - error statistics 
-          await this.sendData('$PUBX,40,GST,1,1,1,1,1,0*5B\r\n');
+          await this.sendData(`${this.nmeaEncoder.pubxRate('GST', 1)}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 500));
           
           // VTG sentence - course and speed
-          await this.sendData('$PUBX,40,VTG,1,1,1,1,1,0*5E\r\n');
+          await this.sendData(`${this.nmeaEncoder.pubxRate('VTG', 1)}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 500));
           
-          // Save configuration to persist changes
-          await this.sendData('$PUBX,00*33\r\n');
+          // Poll a PUBX,00 position; the reply shows the receiver is taking commands
+          await this.sendData(`${this.nmeaEncoder.encode({ type: 'PUBX', message: 'POLL', id: '00' })}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 1000));
           
-          // Query current configuration to trigger response
-          await this.sendData('$PUBX,00*33\r\n');
+          // Poll again in case the first reply was missed
+          await this.sendData(`${this.nmeaEncoder.encode({ type: 'PUBX', message: 'POLL', id: '00' })}\r\n`);
           await new Promise(resolve => setTimeout(resolve, 300));
           
           this.logger.debug('Complete NMEA configuration commands sent');
@@ -7,6 +7,7 @@ export class ConnectionHandler {
     this.isConnected = false;
     this.isConnecting = false;
     this.name = 'unknown';
+    this.explicitOnly = false; // Skipped by auto selection unless requested with method or preferredMethod
     this.debugSettings = options.debug || { 
       info: false, 
       debug: false,
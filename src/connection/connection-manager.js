@@ -53,8 +53,10 @@ export class ConnectionManager {
    * @returns {Array} - List of available connection handlers
    */
   getAvailableMethods(options = {}) {
+    // Simulated and replayed receivers stand in for a device only when asked for
     const available = this.connectionMethods
       .filter(handler => handler.isAvailable())
+      .filter(handler => !handler.explicitOnly || options.preferredMethod === handler.name)
       .sort((a, b) => b.getPriority(options) - a.getPriority(options));
     
     this.logger.debug(`Available connection methods: ${available.map(h => h.name).join(', ')}`);
@@ -81,14 +83,7 @@ export class ConnectionManager {
     this.eventEmitter.emit('connection:connecting', {});
     
     try {
-      // Get available connection methods sorted by priority
-      const availableMethods = this.getAvailableMethods(options);
-      
-      if (availableMethods.length === 0) {
-        throw new Error('No connection methods available');
-      }
-      
-      // Try specific method if requested
+      // Try specific method if requested, including explicit-only handlers
       if (options.method && options.method !== 'auto') {
         const specificMethod = this.connectionMethods
           .find(handler => handler.name === options.method && handler.isAvailable());
@@ -125,6 +120,13 @@ export class ConnectionManager {
         }
       }
       
+      // Get available connection methods sorted by priority
+      const availableMethods = this.getAvailableMethods(options);
+      
+      if (availableMethods.length === 0) {
+        throw new Error('No connection methods available');
+      }
+      
       // Try each method in priority order
       for (const handler of availableMethods) {
         this.logger.info(`Trying connection method: ${handler.name}`);
@@ -204,7 +206,13 @@ export class ConnectionManager {
     }
     
     try {
-      return await this.activeConnection.sendData(data);
+      const sent = await this.activeConnection.sendData(data);
+      
+      if (sent) {
+        this.eventEmitter.emit('device:data:sent', data);
+      }
+      
+      return sent;
     } catch (error) {
       this.logger.error('Error sending data:', error);
       this.eventEmitter.emit('connection:warning', {
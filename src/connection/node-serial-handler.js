@@ -0,0 +1,391 @@
+/**
+ * NodeSerialHandler - Implements serial port connections in Node.js using the serialport package
+ */
+import { ConnectionHandler } from './connection-handler.js';
+import { DEFAULT_CONNECTION_SETTINGS } from '../constants.js';
+import { isNode } from '../environment.js';
+
+// USB vendor IDs of common GNSS receivers and USB-serial bridges
+const GNSS_USB_VENDOR_IDS = [
+  0x1546, // u-blox
+  0x0403, // FTDI
+  0x10C4, // Silicon Labs CP210x
+  0x067B  // Prolific PL2303
+];
+
+// Device paths used by USB serial adapters and CDC-ACM receivers on Linux
+const GNSS_PORT_PATTERN = /^\/dev\/tty(USB|ACM)\d+$/;
+
+export class NodeSerialHandler extends ConnectionHandler {
+  /**
+   * Create a Node.js serial handler
+   * @param {EventEmitter} eventEmitter - Event emitter
+   * @param {Object} options - Handler options
+   * @param {Function} options.SerialPort - SerialPort class to use instead of the serialport package's
+   */
+  constructor(eventEmitter, options = {}) {
+    super(eventEmitter, options);
+    // Same name as the Web Serial handler: method 'serial' uses whichever is available
+    this.name = 'serial';
+    this.SerialPort = options.SerialPort || null;
+    this.port = null;
+    this.autoReconnect = false;
+    this.reconnectTimer = null;
+    this.connectOptions = null;
+    this.deviceInfo = {
+      usbVendorId: null,
+      usbProductId: null,
+      portName: null
+    };
+  }
+  
+  /**
+   * Check if serial ports can be opened (Node.js)
+   * @returns {boolean} - Whether Node serial ports are available
+   */
+  isAvailable() {
+    return !!this.SerialPort || isNode();
+  }
+  
+  /**
+   * Get priority level for serial connections
+   * @param {Object} options - Connection options
+   * @returns {number} - Priority level
+   */
+  getPriority(options = {}) {
+    // Default priority (1-10 scale, higher = try first)
+    let priority = 5;
+    
+    // Increase priority if explicitly preferred
+    if (options.preferredMethod === 'serial') {
+      priority += 5;
+    }
+    
+    // Increase priority if a port is known
+    if (options.path || options.lastPort || (options.serial && (options.serial.path || options.serial.lastPort))) {
+      priority += 2;
+    }
+    
+    return priority;
+  }
+  
+  /**
+   * Load the SerialPort class from the serialport package
+   * @returns {Promise<Function>} - SerialPort class
+   */
+  async loadSerialPort() {
+    if (!this.SerialPort) {
+      try {
+        const module = await import('serialport');
+        this.SerialPort = module.SerialPort;
+      } catch (error) {
+        throw new Error('The serialport package is required for serial connections in Node.js (npm install serialport)');
+      }
+    }
+    return this.SerialPort;
+  }
+  
+  /**
+   * List serial ports, likely GNSS receivers first
+   * @returns {Promise<Array>} - Ports from SerialPort.list() with a gnss flag
+   */
+  async listPorts() {
+    const SerialPort = await this.loadSerialPort();
+    const ports = await SerialPort.list();
+    
+    return ports
+      .map(port => ({
+        ...port,
+        gnss: GNSS_USB_VENDOR_IDS.includes(parseInt(port.vendorId, 16)) || GNSS_PORT_PATTERN.test(port.path)
+      }))
+      .sort((a, b) => Number(b.gnss) - Number(a.gnss));
+  }
+  
+  /**
+   * Connect to a serial device
+   * @param {Object} options - Connection options
+   * @param {string} options.path - Device path, e.g. /dev/ttyACM0 (the first likely GNSS port if omitted)
+   * @param {number} options.baudRate - Baud rate
+   * @param {number} options.dataBits - Data bits (7 or 8)
+   * @param {number} options.stopBits - Stop bits (1 or 2)
+   * @param {string} options.parity - 'none', 'even' or 'odd'
+   * @param {string} options.flowControl - 'none' or 'hardware'
+   * @returns {Promise<boolean>} - Whether connection was successful
+   */
+  async connect(options = {}) {
+    if (this.isConnected) {
+      return true;
+    }
+    
+    if (this.isConnecting) {
+      return false;
+    }
+    
+    this.isConnecting = true;
+    this.eventEmitter.emit('serial:connecting', {});
+    
+    try {
+      const SerialPort = await this.loadSerialPort();
+      const serial = options.serial || {};
+      const defaults = DEFAULT_CONNECTION_SETTINGS.serial;
+      
+      // Find the port: explicit path, last used port, then the first likely GNSS port
+      const lastPort = options.lastPort || serial.lastPort;
+      let path = options.path || serial.path || (lastPort && lastPort.portName);
+      if (!path) {
+        const candidate = (await this.listPorts()).find(port => port.gnss);
+        if (!candidate) {
+          throw new Error('No serial GNSS device found (/dev/ttyUSB* or /dev/ttyACM*)');
+        }
+        path = candidate.path;
+      }
+      
+      const settings = {
+        baudRate: options.baudRate || serial.baudRate || defaults.baudRate,
+        dataBits: options.dataBits || serial.dataBits || defaults.dataBits,
+        stopBits: options.stopBits || serial.stopBits || defaults.stopBits,
+        parity: options.parity || serial.parity || defaults.parity,
+        flowControl: options.flowControl || serial.flowControl || defaults.flowControl
+      };
+      
+      // Open the port
+      this.logger.info(`Opening serial port ${path} with baud rate ${settings.baudRate}`);
+      this.port = new SerialPort({
+        path,
+        baudRate: settings.baudRate,
+        dataBits: settings.dataBits,
+        stopBits: settings.stopBits,
+        parity: settings.parity,
+        rtscts: settings.flowControl === 'hardware',
+        autoOpen: false
+      });
+      
+      await new Promise((resolve, reject) => {
+        this.port.open(error => (error ? reject(error) : resolve()));
+      });
+      
+      this.deviceInfo = await this.getPortInfo(path);
+      
+      this.port.on('data', data => this.processData(data));
+      this.port.on('error', error => {
+        this.logger.error('Serial port error:', error);
+        this.eventEmitter.emit('serial:error', {
+          message: error.message,
+          error
+        });
+      });
+      this.port.on('close', error => this.handleDisconnection(error));
+      
+      // Configure auto-reconnect
+      this.autoReconnect = options.autoReconnect || false;
+      this.connectOptions = { ...options, ...settings, path };
+      
+      // Update state
+      this.isConnected = true;
+      this.isConnecting = false;
+      
+      // Emit connected event
+      this.eventEmitter.emit('serial:connected', {
+        deviceInfo: this.deviceInfo,
+        baudRate: settings.baudRate
+      });
+      
+      // Also emit generic connection event for the connection manager
+      this.eventEmitter.emit('device:connected', {
+        method: 'serial',
+        deviceInfo: this.deviceInfo
+      });
+      
+      return true;
+    } catch (error) {
+      this.logger.error('Serial connection error:', error);
+      this.isConnecting = false;
+      this.port = null;
+      this.eventEmitter.emit('serial:error', {
+        message: error.message,
+        error
+      });
+      
+      return false;
+    }
+  }
+  
+  /**
+   * Look up USB details of an open port
+   * @param {string} path - Device path
+   * @returns {Promise<Object>} - Device information
+   */
+  async getPortInfo(path) {
+    let port = null;
+    try {
+      port = (await this.SerialPort.list()).find(info => info.path === path);
+    } catch (error) {
+      this.logger.debug('Could not list serial ports:', error);
+    }
+    
+    return {
+      usbVendorId: port && port.vendorId ? parseInt(port.vendorId, 16) : null,
+      usbProductId: port && port.productId ? parseInt(port.productId, 16) : null,
+      portName: path
+    };
+  }
+  
+  /**
+   * Process received data
+   * @param {Buffer} data - Received bytes
+   */
+  processData(data) {
+    // Copy into an ArrayBuffer of its own, as the Web Serial handler delivers
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    
+    // For debugging
+    if (this.debugSettings.debug) {
+      const textDecoder = new TextDecoder('utf-8');
+      this.logger.debug('Serial data received:', textDecoder.decode(new Uint8Array(buffer)));
+    }
+    
+    // Emit raw data event
+    this.eventEmitter.emit('serial:data', buffer);
+    
+    // Also emit generic data event for uniform handling
+    this.eventEmitter.emit('device:data', buffer);
+  }
+  
+  /**
+   * Disconnect from the device
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    
+    if (!this.isConnected || !this.port) {
+      return;
+    }
+    
+    const port = this.port;
+    this.port = null;
+    this.isConnected = false;
+    
+    try {
+      // Not an unexpected disconnection, don't report it twice
+      port.removeAllListeners('close');
+      
+      if (port.isOpen) {
+        await new Promise((resolve, reject) => {
+          port.close(error => (error ? reject(error) : resolve()));
+        });
+      }
+      
+      this.eventEmitter.emit('serial:disconnected', {
+        deviceInfo: this.deviceInfo
+      });
+      
+      // Also emit generic disconnection event for the connection manager
+      this.eventEmitter.emit('device:disconnected', {
+        method: 'serial',
+        deviceInfo: this.deviceInfo
+      });
+    } catch (error) {
+      this.logger.error('Error during disconnect:', error);
+      this.eventEmitter.emit('serial:error', {
+        message: 'Failed to disconnect properly',
+        error
+      });
+    }
+  }
+  
+  /**
+   * Handle unexpected disconnection (device unplugged or port closed)
+   * @param {Error} error - Disconnection error, if any
+   */
+  handleDisconnection(error) {
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+    this.port = null;
+    
+    if (wasConnected) {
+      this.eventEmitter.emit('serial:disconnected', {
+        deviceInfo: this.deviceInfo,
+        error
+      });
+      
+      // Also emit generic disconnection event for the connection manager
+      this.eventEmitter.emit('device:disconnected', {
+        method: 'serial',
+        deviceInfo: this.deviceInfo,
+        error
+      });
+      
+      // Attempt to reconnect if enabled, e.g. after the receiver is plugged back in
+      if (this.autoReconnect) {
+        this.scheduleReconnect();
+      }
+    }
+  }
+  
+  /**
+   * Retry the last connection every two seconds while auto-reconnect is enabled
+   */
+  scheduleReconnect() {
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.autoReconnect && !this.isConnected && !(await this.connect(this.connectOptions))) {
+        this.scheduleReconnect();
+      }
+    }, 2000);
+  }
+  
+  /**
+   * Send data to the device
+   * @param {string|ArrayBuffer} data - Data to send
+   * @returns {Promise<boolean>} - Whether data was sent successfully
+   */
+  async sendData(data) {
+    if (!this.isConnected || !this.port) {
+      return false;
+    }
+    
+    try {
+      // Convert to bytes
+      let buffer;
+      if (typeof data === 'string') {
+        buffer = new TextEncoder().encode(data);
+      } else if (data instanceof ArrayBuffer) {
+        buffer = new Uint8Array(data);
+      } else {
+        throw new Error('Invalid data type. Expected string or ArrayBuffer');
+      }
+      
+      // Write and wait until the bytes have been handed to the OS
+      await new Promise((resolve, reject) => {
+        this.port.write(buffer, error => (error ? reject(error) : resolve()));
+      });
+      await new Promise((resolve, reject) => {
+        this.port.drain(error => (error ? reject(error) : resolve()));
+      });
+      
+      return true;
+    } catch (error) {
+      this.logger.error('Error sending data:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get information about the connected device
+   * @returns {Object} - Device information
+   */
+  getDeviceInfo() {
+    if (!this.isConnected) {
+      return null;
+    }
+    
+    return {
+      type: 'serial',
+      ...this.deviceInfo
+    };
+  }
+}
+
+export default NodeSerialHandler;
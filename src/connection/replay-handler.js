@@ -0,0 +1,667 @@
+/**
+ * ReplayHandler - Replays a recorded log as if it came from a live receiver
+ *
+ * Recordings are delivered through device:data, so the parsers, RTK status
+ * and NTRIP GGA generation behave exactly as with a connected device.
+ * Supported recordings:
+ *   - NMEA text, optionally with a host timestamp before each sentence
+ *     ("2024-05-01T12:00:00.123Z $GPGGA,..." or "1714564800.123,$GPGGA,...").
+ *     Without host timestamps the sentences' own UTC times pace playback.
+ *   - Session logs written by SessionRecorder, paced by their timestamps.
+ *     The receiver's output is replayed; data sent to it and NTRIP
+ *     corrections are skipped.
+ *   - Raw bytes (UBX, RTCM3 or mixed streams), paced at bytesPerSecond.
+ */
+import { ConnectionHandler } from './connection-handler.js';
+import { isSessionLog, parseSessionLog } from '../session-recorder.js';
+
+// Sentence types whose field 1 is the UTC time of the epoch (hhmmss.ss)
+const TIMED_SENTENCES = ['GGA', 'RMC', 'GNS', 'ZDA', 'GST', 'GBS', 'GRS'];
+
+// Records delivered per turn of the event loop when replaying as fast as possible
+const FAST_BATCH_SIZE = 64;
+
+// Minimum wall-clock milliseconds between replay:progress events
+const PROGRESS_INTERVAL = 250;
+
+export class ReplayHandler extends ConnectionHandler {
+  /**
+   * Create a replay handler
+   * @param {EventEmitter} eventEmitter - Event emitter
+   * @param {Object} options - Handler options
+   */
+  constructor(eventEmitter, options = {}) {
+    super(eventEmitter, options);
+    this.name = 'replay';
+    this.explicitOnly = true;
+    this.records = [];          // { time (ms from start), bytes }
+    this.index = 0;             // Next record to deliver
+    this.duration = 0;
+    this.speed = 1;             // Multiple of real time, Infinity = as fast as possible
+    this.loop = false;
+    this.playing = false;
+    this.position = 0;          // Recording time (ms) at anchorTime
+    this.anchorTime = 0;        // Wall-clock time the position was taken at
+    this.timer = null;
+    this.lastProgressTime = 0;
+    this.deviceInfo = {
+      name: null,
+      format: null,
+      timing: null,
+      duration: 0
+    };
+  }
+  
+  /**
+   * Replay is always available
+   * @returns {boolean} - True
+   */
+  isAvailable() {
+    return true;
+  }
+  
+  /**
+   * Get priority level for replay, only chosen when asked for
+   *
+   * options.path alone doesn't count, serial handlers take it as a port name.
+   * @param {Object} options - Connection options
+   * @returns {number} - Priority level
+   */
+  getPriority(options = {}) {
+    return options.preferredMethod === 'replay' ? 10 : 0;
+  }
+  
+  /**
+   * Load a recording and start replaying it
+   * @param {Object} options - Connection options
+   * @param {string|ArrayBuffer|Uint8Array|Blob} options.source - Recording contents (a string is NMEA text)
+   * @param {string} options.path - Recording file to read (Node.js)
+   * @param {string} options.format - 'auto', 'session', 'nmea' or 'raw'
+   * @param {number} options.speed - Multiple of real time (default 1), Infinity or 'fast' for as fast as possible
+   * @param {number} options.bytesPerSecond - Pace of raw recordings (default 11520, 115200 baud)
+   * @param {boolean} options.loop - Start over at the end
+   * @param {boolean} options.autoPlay - Start playing on connect (default true)
+   * @returns {Promise<boolean>} - Whether the recording was loaded
+   */
+  async connect(options = {}) {
+    if (this.isConnected) {
+      return true;
+    }
+    
+    if (this.isConnecting) {
+      return false;
+    }
+    
+    this.isConnecting = true;
+    this.eventEmitter.emit('replay:connecting', {});
+    
+    try {
+      const bytes = await this.readSource(options);
+      const recording = parseRecording(bytes, options);
+      
+      if (recording.records.length === 0) {
+        throw new Error('Recording contains no data');
+      }
+      
+      this.records = recording.records;
+      this.duration = this.records[this.records.length - 1].time;
+      this.index = 0;
+      this.position = 0;
+      this.loop = !!options.loop;
+      this.speed = normalizeSpeed(options.speed);
+      this.deviceInfo = {
+        name: options.name || options.path || (options.source && options.source.name) || 'recording',
+        format: recording.format,
+        timing: recording.timing,
+        duration: this.duration
+      };
+      
+      // Update state
+      this.isConnected = true;
+      this.isConnecting = false;
+      
+      this.eventEmitter.emit('replay:loaded', {
+        ...this.deviceInfo,
+        records: this.records.length,
+        bytes: bytes.length
+      });
+      
+      // Also emit generic connection event for the connection manager
+      this.eventEmitter.emit('device:connected', {
+        method: 'replay',
+        deviceInfo: this.deviceInfo
+      });
+      
+      if (options.autoPlay !== false) {
+        this.play();
+      }
+      
+      return true;
+    } catch (error) {
+      this.logger.error('Replay error:', error);
+      this.isConnecting = false;
+      this.eventEmitter.emit('replay:error', {
+        message: error.message,
+        error
+      });
+      
+      return false;
+    }
+  }
+  
+  /**
+   * Read the recording's bytes
+   * @param {Object} options - Connection options (source or path)
+   * @returns {Promise<Uint8Array>} - Recording bytes
+   */
+  async readSource(options) {
+    const source = options.source;
+    
+    if (options.path && source === undefined) {
+      const fs = await import('node:fs/promises');
+      return new Uint8Array(await fs.readFile(options.path));
+    }
+    if (typeof source === 'string') {
+      return new TextEncoder().encode(source);
+    }
+    if (source instanceof ArrayBuffer) {
+      return new Uint8Array(source);
+    }
+    if (ArrayBuffer.isView(source)) {
+      return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    }
+    if (source && typeof source.arrayBuffer === 'function') {
+      // Blob or File, e.g. from a file input
+      return new Uint8Array(await source.arrayBuffer());
+    }
+    
+    throw new Error('No recording to replay (pass source or path)');
+  }
+  
+  /**
+   * Start or resume playback
+   */
+  play() {
+    if (!this.isConnected || this.playing) {
+      return;
+    }
+    
+    // Playing after the end starts over
+    if (this.index >= this.records.length) {
+      this.index = 0;
+      this.position = 0;
+    }
+    
+    this.playing = true;
+    this.anchorTime = now();
+    this.eventEmitter.emit('replay:playing', this.getProgress());
+    this.pump();
+  }
+  
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (!this.playing) {
+      return;
+    }
+    
+    this.position = this.getPosition();
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.eventEmitter.emit('replay:paused', this.getProgress());
+  }
+  
+  /**
+   * Jump to a point in the recording
+   * @param {number} position - Milliseconds from the start of the recording
+   */
+  seek(position) {
+    if (!this.isConnected) {
+      return;
+    }
+    
+    this.position = Math.min(Math.max(0, position), this.duration);
+    this.anchorTime = now();
+    
+    // Next record at or after the position
+    this.index = this.records.findIndex(record => record.time >= this.position);
+    if (this.index === -1) {
+      this.index = this.records.length;
+    }
+    
+    this.eventEmitter.emit('replay:seek', this.getProgress());
+    
+    if (this.playing) {
+      clearTimeout(this.timer);
+      this.pump();
+    }
+  }
+  
+  /**
+   * Change the playback speed
+   * @param {number|string} speed - Multiple of real time, Infinity or 'fast' for as fast as possible
+   */
+  setSpeed(speed) {
+    this.position = this.getPosition();
+    this.anchorTime = now();
+    this.speed = normalizeSpeed(speed);
+    
+    if (this.playing) {
+      clearTimeout(this.timer);
+      this.pump();
+    }
+  }
+  
+  /**
+   * Current position in the recording
+   * @returns {number} - Milliseconds from the start of the recording
+   */
+  getPosition() {
+    if (!this.playing || this.speed === Infinity) {
+      return this.position;
+    }
+    return Math.min(this.duration, this.position + (now() - this.anchorTime) * this.speed);
+  }
+  
+  /**
+   * Get playback progress
+   * @returns {Object} - { position, duration, index, total, speed, playing }
+   */
+  getProgress() {
+    return {
+      position: this.getPosition(),
+      duration: this.duration,
+      index: this.index,
+      total: this.records.length,
+      speed: this.speed,
+      playing: this.playing
+    };
+  }
+  
+  /**
+   * Deliver the records that are due and schedule the next ones
+   */
+  pump() {
+    this.timer = null;
+    if (!this.playing) {
+      return;
+    }
+    
+    if (this.speed === Infinity) {
+      // As fast as possible, yielding between batches so listeners and timers still run
+      const end = Math.min(this.records.length, this.index + FAST_BATCH_SIZE);
+      while (this.index < end) {
+        this.position = this.records[this.index].time;
+        this.emitRecord(this.records[this.index++]);
+      }
+    } else {
+      const position = this.getPosition();
+      while (this.index < this.records.length && this.records[this.index].time <= position) {
+        this.emitRecord(this.records[this.index++]);
+      }
+    }
+    
+    this.emitProgress(this.index >= this.records.length);
+    
+    if (this.index >= this.records.length) {
+      this.handleEnd();
+      return;
+    }
+    
+    const delay = this.speed === Infinity ? 0 :
+      Math.max(0, (this.records[this.index].time - this.getPosition()) / this.speed);
+    this.timer = setTimeout(() => this.pump(), delay);
+  }
+  
+  /**
+   * Emit one record as received data
+   * @param {Object} record - Record { time, bytes }
+   */
+  emitRecord(record) {
+    // Every listener gets an ArrayBuffer of its own, like the other handlers
+    const buffer = record.bytes.slice().buffer;
+    
+    // Emit raw data event
+    this.eventEmitter.emit('replay:data', buffer);
+    
+    // Also emit generic data event for uniform handling
+    this.eventEmitter.emit('device:data', buffer);
+  }
+  
+  /**
+   * Emit replay:progress, at most every PROGRESS_INTERVAL milliseconds
+   * @param {boolean} force - Emit regardless of the interval
+   */
+  emitProgress(force = false) {
+    const time = now();
+    if (force || time - this.lastProgressTime >= PROGRESS_INTERVAL) {
+      this.lastProgressTime = time;
+      this.eventEmitter.emit('replay:progress', this.getProgress());
+    }
+  }
+  
+  /**
+   * Handle the end of the recording
+   */
+  handleEnd() {
+    if (this.loop) {
+      this.index = 0;
+      this.position = 0;
+      this.anchorTime = now();
+      this.timer = setTimeout(() => this.pump(), 0);
+      return;
+    }
+    
+    this.playing = false;
+    this.position = this.duration;
+    this.eventEmitter.emit('replay:ended', this.getProgress());
+  }
+  
+  /**
+   * Stop replaying
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (!this.isConnected) {
+      return;
+    }
+    
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.playing = false;
+    this.isConnected = false;
+    this.records = [];
+    
+    this.eventEmitter.emit('replay:disconnected', {
+      deviceInfo: this.deviceInfo
+    });
+    
+    // Also emit generic disconnection event for the connection manager
+    this.eventEmitter.emit('device:disconnected', {
+      method: 'replay',
+      deviceInfo: this.deviceInfo
+    });
+  }
+  
+  /**
+   * Accept data written to the "device" (e.g. forwarded RTCM) and drop it
+   * @param {string|ArrayBuffer} data - Data to send
+   * @returns {Promise<boolean>} - Whether the handler is connected
+   */
+  async sendData(data) {
+    if (!this.isConnected) {
+      return false;
+    }
+    
+    this.logger.debug('Replay ignores sent data:', typeof data === 'string' ? data : `${data.byteLength} bytes`);
+    return true;
+  }
+  
+  /**
+   * Get information about the replayed recording
+   * @returns {Object} - Device information
+   */
+  getDeviceInfo() {
+    if (!this.isConnected) {
+      return null;
+    }
+    
+    return {
+      type: 'replay',
+      ...this.deviceInfo
+    };
+  }
+}
+
+/**
+ * Split a recording into timed records
+ * @param {Uint8Array} bytes - Recording bytes
+ * @param {Object} options - format ('auto', 'session', 'nmea', 'raw') and bytesPerSecond
+ * @returns {Object} - { format, timing, records }
+ */
+export function parseRecording(bytes, options = {}) {
+  let format = options.format || 'auto';
+  if (format === 'auto') {
+    if (isSessionLog(bytes)) {
+      format = 'session';
+    } else {
+      format = isText(bytes) ? 'nmea' : 'raw';
+    }
+  }
+
+  if (format === 'session') {
+    return parseSessionRecording(bytes);
+  }
+  if (format === 'nmea') {
+    return parseNmeaRecording(new TextDecoder('latin1').decode(bytes));
+  }
+  if (format === 'raw') {
+    return parseRawRecording(bytes, options.bytesPerSecond || 11520);
+  }
+
+  throw new Error(`Unknown recording format: ${format}`);
+}
+
+/**
+ * Take the receiver's output from a session log
+ * @param {Uint8Array} bytes - Session log bytes
+ * @returns {Object} - { format: 'session', timing: 'host', records }
+ */
+function parseSessionRecording(bytes) {
+  const received = parseSessionLog(bytes).records.filter(record => record.channel === 'rx');
+  const start = received.length > 0 ? received[0].time : 0;
+  let time = 0;
+
+  return {
+    format: 'session',
+    timing: 'host',
+    // Never step back in time, e.g. after the host clock was adjusted
+    records: received.map(record => {
+      time = Math.max(time, record.time - start);
+      return { time, bytes: record.data };
+    })
+  };
+}
+
+/**
+ * Split NMEA text into records, one per epoch
+ * @param {string} text - NMEA text
+ * @returns {Object} - { format: 'nmea', timing: 'host' | 'sentence' | 'none', records }
+ */
+function parseNmeaRecording(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  const entries = lines.map(line => {
+    const start = line.search(/[$!]/);
+    const prefix = start > 0 ? line.substring(0, start).replace(/[\s,;]+$/, '').trim() : '';
+    return {
+      sentence: start >= 0 ? line.substring(start).trim() : line.trim(),
+      hostTime: prefix ? parseHostTimestamp(prefix) : null
+    };
+  });
+
+  // Host timestamps are used when every sentence has one
+  const timing = entries.every(entry => entry.hostTime !== null) ? 'host' : 'sentence';
+  let times;
+  if (timing === 'host') {
+    times = entries.map(entry => entry.hostTime);
+  } else {
+    times = sentenceTimes(entries.map(entry => entry.sentence));
+    if (times.every(time => time === null)) {
+      return { format: 'nmea', timing: 'none', records: spreadUntimed(entries) };
+    }
+  }
+
+  // Sentences carry the time of the latest epoch before them
+  const origin = times.find(time => time !== null) || 0;
+  const encoder = new TextEncoder();
+  const records = [];
+  let time = 0;
+  let pending = [];
+
+  const flush = () => {
+    if (pending.length > 0) {
+      records.push({ time, bytes: encoder.encode(pending.join('\r\n') + '\r\n') });
+      pending = [];
+    }
+  };
+
+  entries.forEach((entry, i) => {
+    const entryTime = times[i] !== null ? Math.max(time, times[i] - origin) : time;
+    if (entryTime !== time) {
+      flush();
+      time = entryTime;
+    }
+    pending.push(entry.sentence);
+  });
+  flush();
+
+  return { format: 'nmea', timing, records };
+}
+
+/**
+ * One record per epoch at one-second intervals for logs without any times
+ * @param {Object[]} entries - Parsed entries
+ * @returns {Object[]} - Records
+ */
+function spreadUntimed(entries) {
+  const encoder = new TextEncoder();
+  const records = [];
+  let pending = [];
+  let time = 0;
+
+  for (const entry of entries) {
+    const type = sentenceType(entry.sentence);
+    // A new epoch starts with its first positional sentence
+    if (pending.length > 0 && (type === 'GGA' || type === 'RMC') &&
+        pending.some(sentence => sentenceType(sentence) === type)) {
+      records.push({ time, bytes: encoder.encode(pending.join('\r\n') + '\r\n') });
+      pending = [];
+      time += 1000;
+    }
+    pending.push(entry.sentence);
+  }
+
+  if (pending.length > 0) {
+    records.push({ time, bytes: encoder.encode(pending.join('\r\n') + '\r\n') });
+  }
+  return records;
+}
+
+/**
+ * Epoch times of sentences carrying a UTC time, in milliseconds
+ * @param {string[]} sentences - NMEA sentences
+ * @returns {Array<number|null>} - Time of each sentence (null when it has none)
+ */
+function sentenceTimes(sentences) {
+  let dayOffset = 0;
+  let previous = null;
+
+  return sentences.map(sentence => {
+    if (!TIMED_SENTENCES.includes(sentenceType(sentence))) {
+      return null;
+    }
+
+    const match = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/.exec(sentence.split(',')[1] || '');
+    if (!match) {
+      return null;
+    }
+
+    let time = ((parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 60 + parseFloat(match[3])) * 1000 + dayOffset;
+
+    // Crossing midnight
+    if (previous !== null && time < previous - 12 * 3600 * 1000) {
+      dayOffset += 24 * 3600 * 1000;
+      time += 24 * 3600 * 1000;
+    }
+    previous = time;
+    return time;
+  });
+}
+
+/**
+ * Parse a host timestamp written before a sentence
+ * @param {string} text - ISO 8601 date, or epoch seconds/milliseconds
+ * @returns {number|null} - Milliseconds or null if not a timestamp
+ */
+function parseHostTimestamp(text) {
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const value = parseFloat(text);
+    // Epoch milliseconds have 12 or more digits, anything shorter is seconds
+    return value >= 1e11 ? value : value * 1000;
+  }
+
+  const time = Date.parse(text.replace(' ', 'T'));
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Split raw bytes into records paced at a byte rate
+ * @param {Uint8Array} bytes - Recording bytes
+ * @param {number} bytesPerSecond - Replay byte rate in real time
+ * @returns {Object} - { format: 'raw', timing: 'rate', records }
+ */
+function parseRawRecording(bytes, bytesPerSecond) {
+  // Ten records per second of recording
+  const chunkSize = Math.max(1, Math.round(bytesPerSecond / 10));
+  const records = [];
+
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    records.push({
+      time: offset / bytesPerSecond * 1000,
+      bytes: bytes.slice(offset, offset + chunkSize)
+    });
+  }
+
+  return { format: 'raw', timing: 'rate', records };
+}
+
+/**
+ * Sentence type without the talker ("$GNGGA,..." -> "GGA")
+ * @param {string} sentence - NMEA sentence
+ * @returns {string} - Sentence type
+ */
+function sentenceType(sentence) {
+  const address = sentence.substring(1, sentence.indexOf(','));
+  return address.startsWith('P') ? address : address.substring(2);
+}
+
+/**
+ * Whether bytes look like text (NMEA) rather than binary data
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {boolean} - True for text
+ */
+function isText(bytes) {
+  const sample = bytes.subarray(0, 65536);
+  let binary = 0;
+  for (const byte of sample) {
+    if ((byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0D) || byte > 0x7E) {
+      binary++;
+    }
+  }
+  return sample.length > 0 && binary / sample.length < 0.01;
+}
+
+/**
+ * Normalise a playback speed
+ * @param {number|string} speed - Multiple of real time, Infinity or 'fast'
+ * @returns {number} - Positive speed or Infinity
+ */
+function normalizeSpeed(speed) {
+  if (speed === 'fast' || speed === Infinity || speed === 0) {
+    return Infinity;
+  }
+  const value = parseFloat(speed);
+  return Number.isFinite(value) && value > 0 ? value : 1;
+}
+
+/**
+ * Current wall-clock time in milliseconds
+ * @returns {number} - Milliseconds
+ */
+function now() {
+  return globalThis.performance ? globalThis.performance.now() : Date.now();
+}
+
+export default ReplayHandler;
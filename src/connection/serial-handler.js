@@ -7,6 +7,8 @@ export class SerialHandler extends ConnectionHandler {
   constructor(eventEmitter, options = {}) {
     super(eventEmitter, options);
     this.name = 'serial';
+    // Navigator providing the Web Serial API (see environment.js)
+    this.navigator = options.navigator || (typeof navigator !== 'undefined' ? navigator : null);
     this.port = null;
     this.reader = null;
     this.writer = null;
@@ -27,8 +29,8 @@ export class SerialHandler extends ConnectionHandler {
    * @returns {boolean} - Whether Web Serial is available
    */
   isAvailable() {
-    return typeof navigator !== 'undefined' && 
-           navigator.serial !== undefined;
+    return !!this.navigator && 
+           this.navigator.serial !== undefined;
   }
   
   /**
@@ -84,7 +86,7 @@ export class SerialHandler extends ConnectionHandler {
       // Try to get existing port if we have a last one
       if (lastPort) {
         try {
-          const ports = await navigator.serial.getPorts();
+          const ports = await this.navigator.serial.getPorts();
           this.port = ports.find(port => {
             const info = port.getInfo();
             return info.usbVendorId === lastPort.usbVendorId && 
@@ -145,7 +147,7 @@ export class SerialHandler extends ConnectionHandler {
         
         // Show port picker to user
         try {
-          this.port = await navigator.serial.requestPort({
+          this.port = await this.navigator.serial.requestPort({
             // Only apply filters if useFilters is true and we have filters
             filters: useFilters && filters.length > 0 ? filters : undefined
           });
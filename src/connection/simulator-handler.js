@@ -0,0 +1,217 @@
+/**
+ * SimulatorHandler - Simulated GNSS receiver for development and tests
+ *
+ * Emits NMEA from a GnssSimulator through device:data once per epoch, and
+ * feeds RTCM written to it (e.g. forwarded NTRIP corrections) back into the
+ * simulation so the fix quality and correction age follow the corrections.
+ * Works fully offline.
+ */
+import { ConnectionHandler } from './connection-handler.js';
+import { GnssSimulator } from '../gnss-simulator.js';
+import { RtcmParser } from '../rtcm-parser.js';
+
+export class SimulatorHandler extends ConnectionHandler {
+  /**
+   * Create a simulator handler
+   * @param {EventEmitter} eventEmitter - Event emitter
+   * @param {Object} options - Handler options
+   */
+  constructor(eventEmitter, options = {}) {
+    super(eventEmitter, options);
+    this.name = 'simulator';
+    this.explicitOnly = true;
+    this.simulator = null;
+    this.rtcmParser = null;
+    this.timer = null;
+    this.speed = 1;
+    this.deviceInfo = {
+      name: 'GNSS simulator',
+      constellations: [],
+      rate: null
+    };
+  }
+  
+  /**
+   * The simulator is always available
+   * @returns {boolean} - True
+   */
+  isAvailable() {
+    return true;
+  }
+  
+  /**
+   * Get priority level for the simulator, only chosen when asked for
+   * @param {Object} options - Connection options
+   * @returns {number} - Priority level
+   */
+  getPriority(options = {}) {
+    return options.preferredMethod === 'simulator' ? 10 : 0;
+  }
+  
+  /**
+   * Start the simulated receiver
+   * @param {Object} options - Connection options, passed on to GnssSimulator (origin, trajectory,
+   *   rate, constellations, fixScript, ...)
+   * @param {number} options.speed - Multiple of real time (default 1)
+   * @param {boolean} options.autoStart - Output epochs on a timer (default true); call step() otherwise
+   * @returns {Promise<boolean>} - Whether the simulator started
+   */
+  async connect(options = {}) {
+    if (this.isConnected) {
+      return true;
+    }
+    
+    this.eventEmitter.emit('simulator:connecting', {});
+    
+    try {
+      this.simulator = new GnssSimulator({ ...options.simulator, ...options });
+      this.rtcmParser = new RtcmParser({ debug: this.debugSettings });
+      this.speed = options.speed || 1;
+      this.deviceInfo = {
+        name: 'GNSS simulator',
+        constellations: [...this.simulator.constellations],
+        rate: this.simulator.rate
+      };
+      
+      // Update state
+      this.isConnected = true;
+      
+      this.eventEmitter.emit('simulator:connected', {
+        deviceInfo: this.deviceInfo
+      });
+      
+      // Also emit generic connection event for the connection manager
+      this.eventEmitter.emit('device:connected', {
+        method: 'simulator',
+        deviceInfo: this.deviceInfo
+      });
+      
+      if (options.autoStart !== false) {
+        this.start();
+      }
+      
+      return true;
+    } catch (error) {
+      this.logger.error('Simulator error:', error);
+      this.simulator = null;
+      this.eventEmitter.emit('simulator:error', {
+        message: error.message,
+        error
+      });
+      
+      return false;
+    }
+  }
+  
+  /**
+   * Output epochs on a timer
+   */
+  start() {
+    if (!this.isConnected || this.timer) {
+      return;
+    }
+    
+    this.timer = setInterval(() => this.step(), this.simulator.interval / this.speed);
+    this.step();
+  }
+  
+  /**
+   * Stop the timer, keeping the simulated receiver connected
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  /**
+   * Output the next epoch
+   * @returns {Object|null} - Epoch with the true and reported state, null when not connected
+   */
+  step() {
+    if (!this.isConnected) {
+      return null;
+    }
+    
+    const epoch = this.simulator.next();
+    const buffer = new TextEncoder().encode(epoch.sentences.map(sentence => `${sentence}\r\n`).join('')).buffer;
+    
+    this.eventEmitter.emit('simulator:epoch', epoch);
+    
+    // Emit generic data event for uniform handling
+    this.eventEmitter.emit('device:data', buffer);
+    
+    return epoch;
+  }
+  
+  /**
+   * Disconnect the simulated receiver
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.stop();
+    
+    if (!this.isConnected) {
+      return;
+    }
+    
+    this.isConnected = false;
+    
+    this.eventEmitter.emit('simulator:disconnected', {
+      deviceInfo: this.deviceInfo
+    });
+    
+    // Also emit generic disconnection event for the connection manager
+    this.eventEmitter.emit('device:disconnected', {
+      method: 'simulator',
+      deviceInfo: this.deviceInfo
+    });
+  }
+  
+  /**
+   * Send data to the simulated receiver; RTCM frames are applied as corrections, anything else is ignored
+   * @param {string|ArrayBuffer} data - Data to send
+   * @returns {Promise<boolean>} - Whether data was accepted
+   */
+  async sendData(data) {
+    if (!this.isConnected) {
+      return false;
+    }
+    
+    let buffer;
+    if (typeof data === 'string') {
+      buffer = new TextEncoder().encode(data);
+    } else if (data instanceof ArrayBuffer) {
+      buffer = new Uint8Array(data);
+    } else {
+      this.logger.error('Error sending data:', new Error('Invalid data type. Expected string or ArrayBuffer'));
+      return false;
+    }
+    
+    const frames = this.rtcmParser.parseData(buffer);
+    if (frames.length > 0) {
+      this.simulator.receiveCorrections(frames);
+      this.eventEmitter.emit('simulator:rtcm', {
+        messageTypes: frames.map(frame => frame.messageType)
+      });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get information about the simulated receiver
+   * @returns {Object} - Device information
+   */
+  getDeviceInfo() {
+    if (!this.isConnected) {
+      return null;
+    }
+    
+    return {
+      type: 'simulator',
+      ...this.deviceInfo
+    };
+  }
+}
+
+export default SimulatorHandler;
@@ -0,0 +1,415 @@
+/**
+ * TcpHandler - Implements raw TCP connections to Wi-Fi receivers
+ * (SparkFun RTK, Emlid Reach, serial-to-Wi-Fi bridges)
+ *
+ * Node.js connects directly with net/tls. Browsers can't open sockets, so
+ * they connect through the WebSocket-to-TCP bridge in server.js, which relays
+ * binary messages to and from the receiver's TCP port.
+ */
+import { ConnectionHandler } from './connection-handler.js';
+import { DEFAULT_CONNECTION_SETTINGS } from '../constants.js';
+import { createEnvironment } from '../environment.js';
+
+// WebSocket.OPEN, identical for every WebSocket implementation
+const WEBSOCKET_OPEN = 1;
+
+export class TcpHandler extends ConnectionHandler {
+  /**
+   * Create a TCP handler
+   * @param {EventEmitter} eventEmitter - Event emitter
+   * @param {Object} options - Handler options
+   * @param {Object} options.environment - Environment adapters (connectTcp, WebSocket, location)
+   */
+  constructor(eventEmitter, options = {}) {
+    super(eventEmitter, options);
+    this.name = 'tcp';
+    this.environment = options.environment || createEnvironment();
+    this.socket = null;          // connectTcp connection (Node.js)
+    this.webSocket = null;       // Bridge connection (browser)
+    this.autoReconnect = false;
+    this.reconnectTimer = null;
+    this.connectOptions = null;
+    this.deviceInfo = {
+      host: null,
+      port: null,
+      transport: null
+    };
+  }
+  
+  /**
+   * Check if TCP connections can be made (directly or through the bridge)
+   * @returns {boolean} - Whether TCP is available
+   */
+  isAvailable() {
+    return !!this.environment.connectTcp || !!this.environment.WebSocket;
+  }
+  
+  /**
+   * Get priority level for TCP connections
+   * @param {Object} options - Connection options
+   * @returns {number} - Priority level
+   */
+  getPriority(options = {}) {
+    // Below serial and Bluetooth unless a receiver address is known
+    let priority = 3;
+    
+    // Increase priority if explicitly preferred
+    if (options.preferredMethod === 'tcp') {
+      priority += 5;
+    }
+    
+    // Increase priority if we know where to connect
+    if (options.host || (options.tcp && options.tcp.host)) {
+      priority += 3;
+    }
+    
+    return priority;
+  }
+  
+  /**
+   * Connect to a receiver's TCP port
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Receiver host or IP address
+   * @param {number} options.port - Receiver TCP port
+   * @param {boolean} options.secure - Use TLS
+   * @param {string} options.bridgeUrl - WebSocket-to-TCP bridge URL (browser only)
+   * @param {boolean} options.autoReconnect - Reconnect after the connection drops
+   * @returns {Promise<boolean>} - Whether connection was successful
+   */
+  async connect(options = {}) {
+    if (this.isConnected) {
+      return true;
+    }
+    
+    if (this.isConnecting) {
+      return false;
+    }
+    
+    this.isConnecting = true;
+    this.eventEmitter.emit('tcp:connecting', {});
+    
+    try {
+      const tcp = options.tcp || {};
+      const defaults = DEFAULT_CONNECTION_SETTINGS.tcp;
+      const host = options.host || tcp.host;
+      const port = parseInt(options.port || tcp.port || defaults.port, 10);
+      const secure = !!(options.secure || tcp.secure);
+      const timeout = options.connectionTimeout || DEFAULT_CONNECTION_SETTINGS.connectionTimeout;
+      
+      if (!host) {
+        throw new Error('No TCP host configured');
+      }
+      
+      if (this.environment.connectTcp) {
+        this.logger.info(`Connecting to ${host}:${port}`);
+        this.socket = await this.environment.connectTcp({ host, port, secure, timeout });
+        this.socket.ondata = (bytes) => this.processData(bytes);
+        this.socket.onerror = (error) => this.handleError(error);
+        this.socket.onclose = () => this.handleDisconnection();
+      } else {
+        const bridgeUrl = options.bridgeUrl || tcp.bridgeUrl || defaults.bridgeUrl;
+        this.logger.info(`Connecting to ${host}:${port} through ${bridgeUrl}`);
+        this.webSocket = await this.openBridge(bridgeUrl, { host, port, secure, timeout });
+      }
+      
+      this.deviceInfo = {
+        host,
+        port,
+        transport: this.socket ? 'tcp' : 'websocket'
+      };
+      
+      // Configure auto-reconnect
+      this.autoReconnect = options.autoReconnect || false;
+      this.connectOptions = { ...options, host, port, secure };
+      
+      // Update state
+      this.isConnected = true;
+      this.isConnecting = false;
+      
+      // Emit connected event
+      this.eventEmitter.emit('tcp:connected', {
+        deviceInfo: this.deviceInfo
+      });
+      
+      // Also emit generic connection event for the connection manager
+      this.eventEmitter.emit('device:connected', {
+        method: 'tcp',
+        deviceInfo: this.deviceInfo
+      });
+      
+      return true;
+    } catch (error) {
+      this.logger.error('TCP connection error:', error);
+      this.isConnecting = false;
+      this.socket = null;
+      this.webSocket = null;
+      this.eventEmitter.emit('tcp:error', {
+        message: error.message,
+        error
+      });
+      
+      return false;
+    }
+  }
+  
+  /**
+   * Open a connection through the WebSocket-to-TCP bridge
+   *
+   * The bridge answers { type: 'status', connected: true } once the TCP
+   * connection is up; afterwards binary messages carry the data both ways.
+   * @param {string} bridgeUrl - Bridge URL (relative URLs use the page's host)
+   * @param {Object} target - host, port, secure and timeout
+   * @returns {Promise<WebSocket>} - Open bridge connection
+   */
+  openBridge(bridgeUrl, target) {
+    return new Promise((resolve, reject) => {
+      const params = new URLSearchParams({
+        host: target.host,
+        port: target.port.toString()
+      });
+      if (target.secure) {
+        params.append('secure', '1');
+      }
+      
+      const webSocket = new this.environment.WebSocket(`${this.resolveBridgeUrl(bridgeUrl)}?${params.toString()}`);
+      webSocket.binaryType = 'arraybuffer';
+      let settled = false;
+      
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        webSocket.close();
+        reject(error);
+      };
+      
+      const timer = setTimeout(() => fail(new Error('TCP bridge connection timeout')), target.timeout);
+      
+      webSocket.onerror = () => fail(new Error('TCP bridge unavailable'));
+      webSocket.onclose = () => fail(new Error('TCP bridge closed the connection'));
+      webSocket.onmessage = (event) => {
+        if (typeof event.data !== 'string') {
+          this.processData(event.data);
+          return;
+        }
+        
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+        
+        if (message.type === 'error') {
+          if (settled) {
+            this.handleError(new Error(message.message));
+          } else {
+            fail(new Error(message.message));
+          }
+        } else if (message.type === 'status' && message.connected && !settled) {
+          settled = true;
+          clearTimeout(timer);
+          webSocket.onerror = () => this.handleError(new Error('TCP bridge error'));
+          webSocket.onclose = () => this.handleDisconnection();
+          resolve(webSocket);
+        }
+      };
+    });
+  }
+  
+  /**
+   * Resolve a relative bridge URL against the page location
+   * @param {string} bridgeUrl - Configured bridge URL
+   * @returns {string} - Absolute WebSocket URL
+   */
+  resolveBridgeUrl(bridgeUrl) {
+    const location = this.environment.location;
+    
+    if (bridgeUrl.startsWith('/')) {
+      if (!location) {
+        throw new Error('A relative TCP bridge URL needs a page location');
+      }
+      return `${location.protocol === 'https:' ? 'wss:' : 'ws:'}//${location.host}${bridgeUrl}`;
+    }
+    
+    // HTTPS pages may only open secure WebSockets
+    if (location && location.protocol === 'https:' && bridgeUrl.startsWith('ws:')) {
+      return bridgeUrl.replace('ws:', 'wss:');
+    }
+    
+    return bridgeUrl;
+  }
+  
+  /**
+   * Process received data
+   * @param {Uint8Array|ArrayBuffer} data - Received bytes
+   */
+  processData(data) {
+    // Deliver an ArrayBuffer of its own, like the other handlers
+    const buffer = data instanceof ArrayBuffer ?
+      data :
+      data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    
+    // For debugging
+    if (this.debugSettings.debug) {
+      const textDecoder = new TextDecoder('utf-8');
+      this.logger.debug('TCP data received:', textDecoder.decode(new Uint8Array(buffer)));
+    }
+    
+    // Emit raw data event
+    this.eventEmitter.emit('tcp:data', buffer);
+    
+    // Also emit generic data event for uniform handling
+    this.eventEmitter.emit('device:data', buffer);
+  }
+  
+  /**
+   * Report a connection error
+   * @param {Error} error - Error
+   */
+  handleError(error) {
+    this.logger.error('TCP connection error:', error);
+    this.eventEmitter.emit('tcp:error', {
+      message: error.message,
+      error
+    });
+  }
+  
+  /**
+   * Disconnect from the device
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    
+    if (!this.isConnected) {
+      return;
+    }
+    
+    this.isConnected = false;
+    this.closeTransport();
+    
+    this.eventEmitter.emit('tcp:disconnected', {
+      deviceInfo: this.deviceInfo
+    });
+    
+    // Also emit generic disconnection event for the connection manager
+    this.eventEmitter.emit('device:disconnected', {
+      method: 'tcp',
+      deviceInfo: this.deviceInfo
+    });
+  }
+  
+  /**
+   * Close the socket or bridge without reporting a disconnection
+   */
+  closeTransport() {
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+    
+    if (this.webSocket) {
+      this.webSocket.onclose = null;
+      this.webSocket.close();
+      this.webSocket = null;
+    }
+  }
+  
+  /**
+   * Handle unexpected disconnection (receiver closed the connection or Wi-Fi dropped)
+   */
+  handleDisconnection() {
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+    this.socket = null;
+    this.webSocket = null;
+    
+    if (wasConnected) {
+      this.eventEmitter.emit('tcp:disconnected', {
+        deviceInfo: this.deviceInfo
+      });
+      
+      // Also emit generic disconnection event for the connection manager
+      this.eventEmitter.emit('device:disconnected', {
+        method: 'tcp',
+        deviceInfo: this.deviceInfo
+      });
+      
+      // Attempt to reconnect if enabled
+      if (this.autoReconnect) {
+        this.scheduleReconnect();
+      }
+    }
+  }
+  
+  /**
+   * Retry the last connection while auto-reconnect is enabled
+   */
+  scheduleReconnect() {
+    const delay = (this.connectOptions.tcp && this.connectOptions.tcp.reconnectDelay) ||
+      DEFAULT_CONNECTION_SETTINGS.tcp.reconnectDelay;
+    
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.autoReconnect && !this.isConnected && !(await this.connect(this.connectOptions))) {
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+  
+  /**
+   * Send data to the device
+   * @param {string|ArrayBuffer} data - Data to send
+   * @returns {Promise<boolean>} - Whether data was sent successfully
+   */
+  async sendData(data) {
+    if (!this.isConnected || (!this.socket && !this.webSocket)) {
+      return false;
+    }
+    
+    try {
+      // Convert to bytes
+      let buffer;
+      if (typeof data === 'string') {
+        buffer = new TextEncoder().encode(data);
+      } else if (data instanceof ArrayBuffer) {
+        buffer = new Uint8Array(data);
+      } else {
+        throw new Error('Invalid data type. Expected string or ArrayBuffer');
+      }
+      
+      if (this.socket) {
+        this.socket.write(buffer);
+      } else if (this.webSocket.readyState === WEBSOCKET_OPEN) {
+        this.webSocket.send(buffer);
+      } else {
+        return false;
+      }
+      
+      return true;
+    } catch (error) {
+      this.logger.error('Error sending data:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get information about the connected device
+   * @returns {Object} - Device information
+   */
+  getDeviceInfo() {
+    if (!this.isConnected) {
+      return null;
+    }
+    
+    return {
+      type: 'tcp',
+      ...this.deviceInfo
+    };
+  }
+}
+
+export default TcpHandler;
@@ -75,7 +75,92 @@ export const NMEA_TYPES = {
   VTG: 'VTG', // Course Over Ground and Ground Speed
   GST: 'GST', // GNSS Pseudorange Error Statistics
   GLL: 'GLL', // Geographic Position - Latitude/Longitude
-  ZDA: 'ZDA'  // Time & Date
+  ZDA: 'ZDA', // Time & Date
+  GNS: 'GNS', // GNSS Fix Data
+  GBS: 'GBS', // GNSS Satellite Fault Detection (RAIM)
+  GRS: 'GRS', // GNSS Range Residuals
+  HDT: 'HDT', // True Heading
+  THS: 'THS', // True Heading and Status
+  TXT: 'TXT'  // Text Transmission
+};
+
+/**
+ * Reasons NmeaParser rejects a sentence, as reported in nmea:error events and getSentenceStats().errors
+ */
+export const NMEA_ERROR_REASONS = {
+  CHECKSUM: 'checksum', // Checksum does not match the sentence
+  TRUNCATED: 'truncated', // No '$' or '*', or (strict mode) fewer fields than the sentence type has
+  FIELD_RANGE: 'field-range', // Strict mode: a field is malformed or out of range
+  UNKNOWN_TYPE: 'unknown-type' // Strict mode: no parser or proprietary decoder for the sentence
+};
+
+/**
+ * UBX Message Classes (u-blox binary protocol)
+ */
+export const UBX_CLASSES = {
+  NAV: 0x01, // Navigation results
+  RXM: 0x02, // Receiver manager
+  INF: 0x04, // Information messages
+  ACK: 0x05, // Acknowledge/reject of CFG messages
+  CFG: 0x06, // Configuration
+  MON: 0x0A, // Monitoring
+  TIM: 0x0D  // Timing
+};
+
+/**
+ * GNSS identifiers as used in UBX messages (gnssId field)
+ */
+export const UBX_GNSS_IDS = {
+  0: 'GPS',
+  1: 'SBAS',
+  2: 'Galileo',
+  3: 'BeiDou',
+  4: 'IMES',
+  5: 'QZSS',
+  6: 'GLONASS',
+  7: 'NavIC'
+};
+
+/**
+ * Constellations by NMEA talker ID (GN is a combined multi-GNSS solution)
+ */
+export const NMEA_TALKER_IDS = {
+  GP: 'GPS',
+  GL: 'GLONASS',
+  GA: 'Galileo',
+  GB: 'BeiDou',
+  BD: 'BeiDou',
+  GQ: 'QZSS',
+  QZ: 'QZSS',
+  GI: 'NavIC',
+  GN: 'GNSS'
+};
+
+/**
+ * Constellations by NMEA 4.10/4.11 GNSS system ID (GSA, GSV and GNS)
+ */
+export const NMEA_SYSTEM_IDS = {
+  1: 'GPS',
+  2: 'GLONASS',
+  3: 'Galileo',
+  4: 'BeiDou',
+  5: 'QZSS',
+  6: 'NavIC'
+};
+
+/**
+ * Signals by constellation and NMEA 4.10/4.11 GSV signal ID (sent as a hex digit, 0 = all signals)
+ */
+export const NMEA_SIGNAL_IDS = {
+  GPS: { 1: 'L1 C/A', 2: 'L1 P(Y)', 3: 'L1 M', 4: 'L2 P(Y)', 5: 'L2C-M', 6: 'L2C-L', 7: 'L5-I', 8: 'L5-Q' },
+  GLONASS: { 1: 'G1 C/A', 2: 'G1 P', 3: 'G2 C/A', 4: 'G2 P' },
+  Galileo: { 1: 'E5a', 2: 'E5b', 3: 'E5 AltBOC', 4: 'E6-A', 5: 'E6-BC', 6: 'E1-A', 7: 'E1-BC' },
+  BeiDou: {
+    1: 'B1I', 2: 'B1Q', 3: 'B1C', 4: 'B1A', 5: 'B2a', 6: 'B2b',
+    7: 'B2a+b', 8: 'B3I', 9: 'B3Q', 10: 'B3A', 11: 'B2I', 12: 'B2Q'
+  },
+  QZSS: { 1: 'L1 C/A', 2: 'L1C (D)', 3: 'L1C (P)', 4: 'LIS', 5: 'L2C-M', 6: 'L2C-L', 7: 'L5-I', 8: 'L5-Q', 9: 'L6D', 10: 'L6E' },
+  NavIC: { 1: 'L5-SPS', 2: 'S-SPS', 3: 'L5-RS', 4: 'S-RS', 5: 'L1-SPS' }
 };
 
 /**
@@ -95,12 +180,24 @@ export const EVENTS = {
   
   // NMEA parsing events
   NMEA_SENTENCE: 'nmea:sentence',
+  NMEA_PROPRIETARY: 'nmea:proprietary', // Decoded proprietary sentence ($PUBX, $PQTM..., registered decoders)
+  NMEA_ERROR: 'nmea:error', // Rejected sentence with its reason (NMEA_ERROR_REASONS) and raw text
   POSITION_UPDATE: 'position:update',
   SATELLITES_UPDATE: 'satellites:update',
+  FIX_UPDATE: 'fix:update', // One complete fix per epoch (see fix-assembler.js)
+  
+  // Stream demultiplexer events (one complete, checksum-valid frame each)
+  STREAM_NMEA: 'stream:nmea',
+  STREAM_UBX: 'stream:ubx',
+  STREAM_RTCM: 'stream:rtcm',
+  
+  // UBX parsing events (a per-message event 'ubx:<CLASS>-<ID>' is also emitted)
+  UBX_MESSAGE: 'ubx:message',
   
   // Public API events (forwarded versions of internal events)
   POSITION: 'position',
   SATELLITES: 'satellites',
+  FIX: 'fix',
   
   // NTRIP events
   NTRIP_CONNECTING: 'ntrip:connecting',
@@ -108,11 +205,24 @@ export const EVENTS = {
   NTRIP_DISCONNECTED: 'ntrip:disconnected',
   NTRIP_ERROR: 'ntrip:error',
   NTRIP_DATA: 'ntrip:rtcm',
+  NTRIP_SOURCETABLE: 'ntrip:sourcetable',
+  NTRIP_MOUNTPOINT_SWITCH: 'ntrip:mountpoint:switch',
+  
+  // RTCM3 decoding events
+  RTCM_MESSAGE: 'rtcm:message',
+  
+  // Session recorder events
+  RECORDING_STARTED: 'recording:started',
+  RECORDING_ROTATED: 'recording:rotated',
+  RECORDING_STOPPED: 'recording:stopped',
+  RECORDING_ERROR: 'recording:error',
   
   // Settings and configuration events
   SETTINGS_CHANGED: 'settings:changed',
+  DEVICE_APPLY_SETTINGS: 'device:apply:settings',
   DEVICE_CONFIGURING: 'device:configuring',
-  DEVICE_CONFIGURED: 'device:configured'
+  DEVICE_CONFIGURED: 'device:configured',
+  DEVICE_ERROR: 'device:error'
 };
 
 /**
@@ -134,6 +244,25 @@ export const DEFAULT_CONNECTION_SETTINGS = {
     stopBits: 1,
     parity: 'none',
     flowControl: 'none'
+  },
+  
+  // TCP-specific defaults (Wi-Fi receivers and serial-to-Wi-Fi bridges)
+  tcp: {
+    port: 2948, // SparkFun RTK TCP server default
+    bridgeUrl: 'ws://localhost:3000/tcp', // WebSocket-to-TCP bridge used in browsers (server.js)
+    reconnectDelay: 2000
+  },
+  
+  // Simulated receiver defaults (see gnss-simulator.js)
+  simulator: {
+    origin: { latitude: 51.47788, longitude: -0.00147, altitude: 45 }, // Royal Observatory, Greenwich
+    rate: 1, // epochs per second
+    constellations: ['GPS', 'GLONASS', 'Galileo', 'BeiDou'],
+    elevationMask: 10, // degrees
+    floatDelay: 5, // seconds of corrections before a float solution
+    fixDelay: 20, // seconds of corrections before a fixed solution
+    correctionTimeout: 30, // seconds without corrections before dropping back to autonomous
+    sentences: ['RMC', 'VTG', 'GGA', 'GSA', 'GSV', 'GST']
   }
 };
 
@@ -149,11 +278,44 @@ export const DEFAULT_NTRIP_SETTINGS = {
   autoSendGga: true
 };
 
+/**
+ * Default session recorder settings
+ */
+export const DEFAULT_RECORDING_SETTINGS = {
+  maxFileSize: 16 * 1024 * 1024, // bytes per segment before rotating to a new one
+  maxFiles: 0, // segments kept per session, 0 = keep all
+  flushInterval: 1000, // ms between writes to storage
+  channels: ['rx', 'tx', 'ntrip']
+};
+
+/**
+ * Default device (receiver) settings
+ */
+export const DEFAULT_DEVICE_SETTINGS = {
+  name: '',
+  preset: '',
+  gnssSystems: ['gps', 'glonass'],
+  baudRate: 115200,
+  outputRate: 1, // Hz
+  dynamicModel: 'pedestrian',
+  nmeaSentences: ['GGA', 'RMC', 'GSA', 'GSV'],
+  elevationMask: 10, // degrees
+  snrMask: 35 // dB-Hz
+};
+
 export default {
   BLE_SERVICES,
   BLE_CHARACTERISTICS,
   NMEA_TYPES,
+  NMEA_ERROR_REASONS,
+  UBX_CLASSES,
+  UBX_GNSS_IDS,
+  NMEA_TALKER_IDS,
+  NMEA_SYSTEM_IDS,
+  NMEA_SIGNAL_IDS,
   EVENTS,
   DEFAULT_CONNECTION_SETTINGS,
-  DEFAULT_NTRIP_SETTINGS
+  DEFAULT_NTRIP_SETTINGS,
+  DEFAULT_RECORDING_SETTINGS,
+  DEFAULT_DEVICE_SETTINGS
 };
\ No newline at end of file
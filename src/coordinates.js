@@ -0,0 +1,595 @@
+/**
+ * Coordinates - WGS84 coordinate conversion and formatting
+ *
+ * UTM uses Krüger's series to sixth order in n (Karney 2011), accurate to a few nanometres
+ * within a zone. UPS uses the polar stereographic projection. MGRS and USNG references are
+ * truncated, not rounded, to their precision, so a reference always names the square the
+ * point lies in; converting a reference back gives the south-west corner of that square.
+ */
+
+// WGS84 ellipsoid
+const A = 6378137;
+const F = 1 / 298.257223563;
+const E = Math.sqrt(F * (2 - F)); // First eccentricity
+
+// UTM
+const UTM_SCALE = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+const UTM_MIN_LATITUDE = -80;
+const UTM_MAX_LATITUDE = 84;
+
+// UPS
+const UPS_SCALE = 0.994;
+const UPS_FALSE_ORIGIN = 2000000;
+
+// Krüger series coefficients
+const N = F / (2 - F);
+const RECTIFYING_RADIUS = A / (1 + N) * (1 + N ** 2 / 4 + N ** 4 / 64 + N ** 6 / 256);
+const ALPHA = [
+  N / 2 - 2 * N ** 2 / 3 + 5 * N ** 3 / 16 + 41 * N ** 4 / 180 - 127 * N ** 5 / 288 + 7891 * N ** 6 / 37800,
+  13 * N ** 2 / 48 - 3 * N ** 3 / 5 + 557 * N ** 4 / 1440 + 281 * N ** 5 / 630 - 1983433 * N ** 6 / 1935360,
+  61 * N ** 3 / 240 - 103 * N ** 4 / 140 + 15061 * N ** 5 / 26880 + 167603 * N ** 6 / 181440,
+  49561 * N ** 4 / 161280 - 179 * N ** 5 / 168 + 6601661 * N ** 6 / 7257600,
+  34729 * N ** 5 / 80640 - 3418889 * N ** 6 / 1995840,
+  212378941 * N ** 6 / 319334400
+];
+const BETA = [
+  N / 2 - 2 * N ** 2 / 3 + 37 * N ** 3 / 96 - N ** 4 / 360 - 81 * N ** 5 / 512 + 96199 * N ** 6 / 604800,
+  N ** 2 / 48 + N ** 3 / 15 - 437 * N ** 4 / 1440 + 46 * N ** 5 / 105 - 1118711 * N ** 6 / 3870720,
+  17 * N ** 3 / 480 - 37 * N ** 4 / 840 - 209 * N ** 5 / 4480 + 5569 * N ** 6 / 90720,
+  4397 * N ** 4 / 161280 - 11 * N ** 5 / 504 - 830251 * N ** 6 / 7257600,
+  4583 * N ** 5 / 161280 - 108847 * N ** 6 / 3991680,
+  20648693 * N ** 6 / 638668800
+];
+
+// MGRS letters (I and O are never used)
+const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWXX'; // 8° bands from 80°S, X extended to 84°N
+const UTM_COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ']; // By (zone - 1) % 3
+const UTM_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV'; // Repeats every 2000 km, offset by 5 in even zones
+const UPS_COLUMN_LETTERS = 'ABCFGHJKLPQRSTUXYZ'; // D, E, M, N, V and W are not used either
+const UPS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+// First column letter and origin of the 100 km squares in each UPS zone (A/B south, Y/Z north)
+const UPS_GRID = {
+  A: { column: 'J', easting: 800000, northing: 800000 },
+  B: { column: 'A', easting: 2000000, northing: 800000 },
+  Y: { column: 'J', easting: 800000, northing: 1300000 },
+  Z: { column: 'A', easting: 2000000, northing: 1300000 }
+};
+
+const FEET_PER_METRE = 1 / 0.3048;
+const KMH_PER_KNOT = 1.852;
+const MPH_PER_KNOT = 1.852 / 1.609344;
+
+/**
+ * Get the UTM zone of a position, including the Norway and Svalbard exceptions
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Zone 1-60
+ */
+export function utmZone(latitude, longitude) {
+  const lon = normalizeLongitude(longitude);
+  let zone = Math.floor((lon + 180) / 6) % 60 + 1;
+
+  if (latitude >= 56 && latitude < 64 && lon >= 3 && lon < 12) {
+    zone = 32;
+  } else if (latitude >= 72 && lon >= 0 && lon < 42) {
+    zone = lon < 9 ? 31 : lon < 21 ? 33 : lon < 33 ? 35 : 37;
+  }
+  return zone;
+}
+
+/**
+ * Convert a WGS84 position to UTM
+ * @param {number} latitude - Latitude in degrees, 80°S to 84°N
+ * @param {number} longitude - Longitude in degrees
+ * @param {Object} options - Conversion options
+ * @param {number} [options.zone] - Zone to project into instead of the position's own, e.g. to stay in
+ *   one zone along a survey line
+ * @returns {Object} { zone, band, hemisphere ('N'/'S'), easting, northing, convergence (degrees), scale }
+ */
+export function toUtm(latitude, longitude, options = {}) {
+  if (!(latitude >= UTM_MIN_LATITUDE && latitude <= UTM_MAX_LATITUDE)) {
+    throw new Error(`Latitude ${latitude} is outside the UTM limits (80°S to 84°N)`);
+  }
+  const zone = options.zone || utmZone(latitude, longitude);
+  const centralMeridian = (zone - 1) * 6 - 180 + 3;
+
+  const phi = toRadians(latitude);
+  const lambda = toRadians(normalizeLongitude(longitude - centralMeridian));
+  const cosLambda = Math.cos(lambda);
+  const sinLambda = Math.sin(lambda);
+
+  // Conformal latitude
+  const tau = Math.tan(phi);
+  const sigma = Math.sinh(E * Math.atanh(E * tau / Math.sqrt(1 + tau * tau)));
+  const tauPrime = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+
+  // Transverse Mercator on the sphere, then on the ellipsoid
+  const xiPrime = Math.atan2(tauPrime, cosLambda);
+  const etaPrime = Math.asinh(sinLambda / Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda));
+
+  let xi = xiPrime;
+  let eta = etaPrime;
+  let p = 1;
+  let q = 0;
+  for (let j = 1; j <= 6; j++) {
+    const alpha = ALPHA[j - 1];
+    xi += alpha * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+    eta += alpha * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+    p += 2 * j * alpha * Math.cos(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+    q += 2 * j * alpha * Math.sin(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+  }
+
+  const easting = UTM_SCALE * RECTIFYING_RADIUS * eta + UTM_FALSE_EASTING;
+  let northing = UTM_SCALE * RECTIFYING_RADIUS * xi;
+  if (latitude < 0) {
+    northing += UTM_FALSE_NORTHING_SOUTH;
+  }
+
+  // Grid convergence and point scale factor
+  const convergence = Math.atan(tauPrime / Math.sqrt(1 + tauPrime * tauPrime) * Math.tan(lambda)) + Math.atan2(q, p);
+  const sinPhi = Math.sin(phi);
+  const scale = UTM_SCALE * Math.sqrt(1 - E * E * sinPhi * sinPhi) * Math.sqrt(1 + tau * tau) /
+    Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda) * (RECTIFYING_RADIUS / A) * Math.sqrt(p * p + q * q);
+
+  return {
+    zone,
+    band: LATITUDE_BANDS[Math.floor(latitude / 8 + 10)],
+    hemisphere: latitude < 0 ? 'S' : 'N',
+    easting,
+    northing,
+    convergence: toDegrees(convergence),
+    scale
+  };
+}
+
+/**
+ * Convert UTM coordinates to a WGS84 position
+ * @param {Object} utm - UTM coordinates
+ * @param {number} utm.zone - Zone 1-60
+ * @param {string} utm.hemisphere - 'N' or 'S'
+ * @param {number} utm.easting - Easting in metres
+ * @param {number} utm.northing - Northing in metres
+ * @returns {Object} { latitude, longitude } in degrees
+ */
+export function fromUtm({ zone, hemisphere, easting, northing }) {
+  if (!(zone >= 1 && zone <= 60)) {
+    throw new Error(`Invalid UTM zone: ${zone}`);
+  }
+  const centralMeridian = (zone - 1) * 6 - 180 + 3;
+
+  const eta = (easting - UTM_FALSE_EASTING) / (UTM_SCALE * RECTIFYING_RADIUS);
+  const xi = (hemisphere === 'S' ? northing - UTM_FALSE_NORTHING_SOUTH : northing) / (UTM_SCALE * RECTIFYING_RADIUS);
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  for (let j = 1; j <= 6; j++) {
+    const beta = BETA[j - 1];
+    xiPrime -= beta * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+    etaPrime -= beta * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+  }
+
+  const sinhEtaPrime = Math.sinh(etaPrime);
+  const sinXiPrime = Math.sin(xiPrime);
+  const cosXiPrime = Math.cos(xiPrime);
+  const tauPrime = sinXiPrime / Math.sqrt(sinhEtaPrime * sinhEtaPrime + cosXiPrime * cosXiPrime);
+  const tau = latitudeFromConformal(tauPrime);
+
+  return {
+    latitude: toDegrees(Math.atan(tau)),
+    longitude: normalizeLongitude(toDegrees(Math.atan2(sinhEtaPrime, cosXiPrime)) + centralMeridian)
+  };
+}
+
+/**
+ * Convert a WGS84 position to UPS (Universal Polar Stereographic)
+ * @param {number} latitude - Latitude in degrees; the pole of its hemisphere is the projection centre
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} { zone ('A'/'B' south, 'Y'/'Z' north), hemisphere, easting, northing }
+ */
+export function toUps(latitude, longitude) {
+  if (!(latitude >= -90 && latitude <= 90)) {
+    throw new Error(`Invalid latitude: ${latitude}`);
+  }
+  const north = latitude >= 0;
+  const lon = normalizeLongitude(longitude);
+  const phi = toRadians(Math.abs(latitude));
+  const lambda = toRadians(lon);
+
+  const sinPhi = Math.sin(phi);
+  const t = Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - E * sinPhi) / (1 + E * sinPhi), E / 2);
+  const rho = 2 * A * UPS_SCALE * t / Math.sqrt(Math.pow(1 + E, 1 + E) * Math.pow(1 - E, 1 - E));
+
+  return {
+    zone: north ? (lon < 0 ? 'Y' : 'Z') : (lon < 0 ? 'A' : 'B'),
+    hemisphere: north ? 'N' : 'S',
+    easting: UPS_FALSE_ORIGIN + rho * Math.sin(lambda),
+    northing: UPS_FALSE_ORIGIN + (north ? -1 : 1) * rho * Math.cos(lambda)
+  };
+}
+
+/**
+ * Convert UPS coordinates to a WGS84 position
+ * @param {Object} ups - UPS coordinates
+ * @param {string} ups.hemisphere - 'N' or 'S'
+ * @param {number} ups.easting - Easting in metres
+ * @param {number} ups.northing - Northing in metres
+ * @returns {Object} { latitude, longitude } in degrees
+ */
+export function fromUps({ hemisphere, easting, northing }) {
+  const north = hemisphere === 'N';
+  const x = easting - UPS_FALSE_ORIGIN;
+  const y = northing - UPS_FALSE_ORIGIN;
+  const rho = Math.hypot(x, y);
+  const t = rho * Math.sqrt(Math.pow(1 + E, 1 + E) * Math.pow(1 - E, 1 - E)) / (2 * A * UPS_SCALE);
+
+  // Solve for the geodetic latitude, starting from the conformal latitude
+  let phi = Math.PI / 2 - 2 * Math.atan(t);
+  for (let i = 0; i < 20; i++) {
+    const sinPhi = Math.sin(phi);
+    const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - E * sinPhi) / (1 + E * sinPhi), E / 2));
+    const done = Math.abs(next - phi) < 1e-14;
+    phi = next;
+    if (done) break;
+  }
+
+  return {
+    latitude: toDegrees(north ? phi : -phi),
+    longitude: rho === 0 ? 0 : toDegrees(Math.atan2(x, north ? -y : y))
+  };
+}
+
+/**
+ * Convert a WGS84 position to an MGRS reference, UPS-based above 84°N and below 80°S
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {Object} options - Formatting options
+ * @param {number} [options.precision=5] - Digits per coordinate, 5 = 1 m ... 1 = 10 km
+ * @param {boolean} [options.spaces=false] - Separate the parts with spaces, as USNG does
+ * @returns {string} Reference, e.g. '38SMB4414084706'
+ */
+export function toMgrs(latitude, longitude, options = {}) {
+  const precision = options.precision !== undefined ? options.precision : 5;
+  if (!(Number.isInteger(precision) && precision >= 0 && precision <= 5)) {
+    throw new Error(`Invalid MGRS precision: ${precision}`);
+  }
+
+  let gridZone;
+  let square;
+  let easting;
+  let northing;
+  if (latitude >= UTM_MIN_LATITUDE && latitude < UTM_MAX_LATITUDE) {
+    const utm = toUtm(latitude, longitude);
+    const column = Math.floor(utm.easting / 100000);
+    const row = (Math.floor(utm.northing / 100000) + (utm.zone % 2 === 0 ? 5 : 0)) % 20;
+    gridZone = `${String(utm.zone).padStart(2, '0')}${utm.band}`;
+    square = UTM_COLUMN_LETTERS[(utm.zone - 1) % 3][column - 1] + UTM_ROW_LETTERS[row];
+    ({ easting, northing } = utm);
+  } else {
+    const ups = toUps(latitude, longitude);
+    const grid = UPS_GRID[ups.zone];
+    const column = UPS_COLUMN_LETTERS.indexOf(grid.column) + Math.floor((ups.easting - grid.easting) / 100000);
+    gridZone = ups.zone;
+    square = UPS_COLUMN_LETTERS[column] + UPS_ROW_LETTERS[Math.floor((ups.northing - grid.northing) / 100000)];
+    ({ easting, northing } = ups);
+  }
+
+  // Truncate within the 100 km square
+  const divisor = 10 ** (5 - precision);
+  const e = String(Math.floor((easting % 100000) / divisor)).padStart(precision, '0');
+  const n = String(Math.floor((northing % 100000) / divisor)).padStart(precision, '0');
+
+  const parts = precision > 0 ? [gridZone, square, e, n] : [gridZone, square];
+  return parts.join(options.spaces ? ' ' : '');
+}
+
+/**
+ * Convert an MGRS or USNG reference to a WGS84 position
+ * @param {string} reference - Reference with or without spaces, e.g. '38SMB4414084706' or '38S MB 44140 84706'
+ * @returns {Object} { latitude, longitude } of the south-west corner of the square, and precision
+ *   (metres per digit of the last place)
+ */
+export function fromMgrs(reference) {
+  const text = String(reference).toUpperCase().replace(/\s+/g, ' ').trim();
+  const match = text.match(/^(?:(\d{1,2}) ?([C-HJ-NP-X])|([ABYZ])) ?([A-HJ-NP-Z])([A-HJ-NP-Z]) ?(\d*) ?(\d*)$/);
+  if (!match) {
+    throw new Error(`Invalid MGRS reference: ${reference}`);
+  }
+  const [, zoneText, band, polarZone, columnLetter, rowLetter, first, second] = match;
+
+  // The digits are either one run split in half or two space-separated groups
+  const digits = second ? first + second : first;
+  if (digits.length % 2 !== 0 || digits.length > 10 || (second && first.length !== second.length)) {
+    throw new Error(`Invalid MGRS coordinates: ${reference}`);
+  }
+  const precision = digits.length / 2;
+  const unit = 10 ** (5 - precision);
+  const e = precision > 0 ? Number(digits.slice(0, precision)) * unit : 0;
+  const n = precision > 0 ? Number(digits.slice(precision)) * unit : 0;
+
+  let position;
+  if (polarZone) {
+    const grid = UPS_GRID[polarZone];
+    const column = UPS_COLUMN_LETTERS.indexOf(columnLetter) - UPS_COLUMN_LETTERS.indexOf(grid.column);
+    const row = UPS_ROW_LETTERS.indexOf(rowLetter);
+    if (column < 0 || row < 0) {
+      throw new Error(`Invalid MGRS square: ${reference}`);
+    }
+    position = fromUps({
+      hemisphere: polarZone === 'Y' || polarZone === 'Z' ? 'N' : 'S',
+      easting: grid.easting + column * 100000 + e,
+      northing: grid.northing + row * 100000 + n
+    });
+  } else {
+    const zone = Number(zoneText);
+    const column = UTM_COLUMN_LETTERS[(zone - 1) % 3].indexOf(columnLetter) + 1;
+    const row = UTM_ROW_LETTERS.indexOf(rowLetter);
+    if (zone < 1 || zone > 60 || column < 1 || row < 0) {
+      throw new Error(`Invalid MGRS square: ${reference}`);
+    }
+    const hemisphere = band >= 'N' ? 'N' : 'S';
+
+    // Row letters repeat every 2000 km: take the first northing at or above the bottom of the band
+    const bandLatitude = (LATITUDE_BANDS.indexOf(band) - 10) * 8;
+    const bandNorthing = Math.floor(toUtm(bandLatitude, (zone - 1) * 6 - 180 + 3).northing / 100000) * 100000;
+    let northing = ((row - (zone % 2 === 0 ? 5 : 0) + 20) % 20) * 100000 + n;
+    while (northing < bandNorthing) {
+      northing += 2000000;
+    }
+    position = fromUtm({ zone, hemisphere, easting: column * 100000 + e, northing });
+  }
+
+  return { ...position, precision: unit };
+}
+
+/**
+ * Convert a WGS84 position to a USNG reference (MGRS written with spaces)
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {Object} options - Formatting options
+ * @param {number} [options.precision=5] - Digits per coordinate
+ * @returns {string} Reference, e.g. '38S MB 44140 84706'
+ */
+export function toUsng(latitude, longitude, options = {}) {
+  return toMgrs(latitude, longitude, { ...options, spaces: true });
+}
+
+/**
+ * Split decimal degrees into degrees, minutes and seconds
+ * @param {number} value - Degrees
+ * @param {string} axis - 'latitude' or 'longitude', for the hemisphere letter
+ * @param {number} [decimals=2] - Decimal places of the seconds, rounding carries into the minutes
+ * @returns {Object} { degrees, minutes, seconds, hemisphere }
+ */
+export function toDms(value, axis, decimals = 2) {
+  const scale = 10 ** decimals;
+  let total = Math.round(Math.abs(value) * 3600 * scale);
+  const seconds = (total % (60 * scale)) / scale;
+  total = Math.floor(total / (60 * scale));
+
+  return {
+    degrees: Math.floor(total / 60),
+    minutes: total % 60,
+    seconds,
+    hemisphere: hemisphereOf(value, axis)
+  };
+}
+
+/**
+ * Split decimal degrees into degrees and decimal minutes
+ * @param {number} value - Degrees
+ * @param {string} axis - 'latitude' or 'longitude', for the hemisphere letter
+ * @param {number} [decimals=4] - Decimal places of the minutes, rounding carries into the degrees
+ * @returns {Object} { degrees, minutes, hemisphere }
+ */
+export function toDdm(value, axis, decimals = 4) {
+  const scale = 10 ** decimals;
+  const total = Math.round(Math.abs(value) * 60 * scale);
+
+  return {
+    degrees: Math.floor(total / (60 * scale)),
+    minutes: (total % (60 * scale)) / scale,
+    hemisphere: hemisphereOf(value, axis)
+  };
+}
+
+/**
+ * Convert degrees, minutes and seconds to decimal degrees
+ * @param {number} degrees - Degrees
+ * @param {number} [minutes=0] - Minutes, may be decimal (DDM)
+ * @param {number} [seconds=0] - Seconds
+ * @param {string} [hemisphere] - 'S' or 'W' for negative values
+ * @returns {number} Decimal degrees
+ */
+export function fromDms(degrees, minutes = 0, seconds = 0, hemisphere = 'N') {
+  const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  return hemisphere === 'S' || hemisphere === 'W' || degrees < 0 || Object.is(degrees, -0) ? -value : value;
+}
+
+/**
+ * Format a position in one of the coordinate formats of settings.ui.coordinateFormat
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {Object} options - Formatting options
+ * @param {string} [options.format='dd'] - 'dd', 'dms', 'ddm', 'utm' (UPS near the poles), 'mgrs' or 'usng'
+ * @param {number} [options.precision] - Decimals (dd, dms, ddm, utm) or digits per coordinate (mgrs, usng)
+ * @returns {string} Formatted coordinates, e.g. '47°40\'47.06"N 122°07\'09.79"W' or '10T 568277.7 5281017.9'
+ */
+export function formatCoordinates(latitude, longitude, options = {}) {
+  const format = options.format || 'dd';
+  const precision = options.precision;
+
+  switch (format) {
+    case 'dd': {
+      const decimals = precision !== undefined ? precision : 6;
+      return `${latitude.toFixed(decimals)}, ${longitude.toFixed(decimals)}`;
+    }
+    case 'dms':
+      return [toDms(latitude, 'latitude', precision), toDms(longitude, 'longitude', precision)]
+        .map(({ degrees, minutes, seconds, hemisphere }) =>
+          `${degrees}°${pad(minutes)}'${padFixed(seconds, precision !== undefined ? precision : 2)}"${hemisphere}`)
+        .join(' ');
+    case 'ddm':
+      return [toDdm(latitude, 'latitude', precision), toDdm(longitude, 'longitude', precision)]
+        .map(({ degrees, minutes, hemisphere }) =>
+          `${degrees}°${padFixed(minutes, precision !== undefined ? precision : 4)}'${hemisphere}`)
+        .join(' ');
+    case 'utm': {
+      const decimals = precision !== undefined ? precision : 1;
+      if (latitude >= UTM_MIN_LATITUDE && latitude < UTM_MAX_LATITUDE) {
+        const utm = toUtm(latitude, longitude);
+        return `${utm.zone}${utm.band} ${utm.easting.toFixed(decimals)} ${utm.northing.toFixed(decimals)}`;
+      }
+      const ups = toUps(latitude, longitude);
+      return `${ups.zone} ${ups.easting.toFixed(decimals)} ${ups.northing.toFixed(decimals)}`;
+    }
+    case 'mgrs':
+      return toMgrs(latitude, longitude, { precision });
+    case 'usng':
+      return toUsng(latitude, longitude, { precision });
+    default:
+      throw new Error(`Unsupported coordinate format: ${format}`);
+  }
+}
+
+/**
+ * Format a length, e.g. an altitude or an accuracy, in the unit system of settings.ui.unitSystem
+ * @param {number} metres - Length in metres
+ * @param {string} [unitSystem='metric'] - 'metric' (m) or 'imperial' (ft)
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {string} Formatted length, e.g. '52.40 m'
+ */
+export function formatLength(metres, unitSystem = 'metric', decimals = 2) {
+  return unitSystem === 'imperial'
+    ? `${(metres * FEET_PER_METRE).toFixed(decimals)} ft`
+    : `${metres.toFixed(decimals)} m`;
+}
+
+/**
+ * Format a speed in the unit system of settings.ui.unitSystem
+ * @param {number} knots - Speed over ground in knots, as NMEA reports it
+ * @param {string} [unitSystem='metric'] - 'metric' (km/h) or 'imperial' (mph)
+ * @param {number} [decimals=1] - Decimal places
+ * @returns {string} Formatted speed, e.g. '5.4 km/h'
+ */
+export function formatSpeed(knots, unitSystem = 'metric', decimals = 1) {
+  return unitSystem === 'imperial'
+    ? `${(knots * MPH_PER_KNOT).toFixed(decimals)} mph`
+    : `${(knots * KMH_PER_KNOT).toFixed(decimals)} km/h`;
+}
+
+/**
+ * Format the values of a position or fix for display
+ * @param {Object} position - Position or fix with latitude, longitude and optionally altitude and speed (knots)
+ * @param {Object} settings - UI settings (settings.getSection('ui'))
+ * @param {string} [settings.coordinateFormat='dd'] - Coordinate format, see formatCoordinates()
+ * @param {string} [settings.unitSystem='metric'] - 'metric' or 'imperial'
+ * @returns {Object|null} { coordinates, altitude, speed } strings (null when not known), null without coordinates
+ */
+export function formatPosition(position, settings = {}) {
+  if (!position || typeof position.latitude !== 'number' || typeof position.longitude !== 'number') {
+    return null;
+  }
+  const unitSystem = settings.unitSystem || 'metric';
+
+  return {
+    coordinates: formatCoordinates(position.latitude, position.longitude, { format: settings.coordinateFormat }),
+    altitude: typeof position.altitude === 'number' ? formatLength(position.altitude, unitSystem) : null,
+    speed: typeof position.speed === 'number' ? formatSpeed(position.speed, unitSystem) : null
+  };
+}
+
+/**
+ * Solve tan φ from the tangent of the conformal latitude (Newton-Raphson, Karney 2011 eq. 19-21)
+ * @param {number} tauPrime - tan of the conformal latitude
+ * @returns {number} tan of the geodetic latitude
+ */
+function latitudeFromConformal(tauPrime) {
+  const e2 = E * E;
+  let tau = tauPrime;
+  for (let i = 0; i < 10; i++) {
+    const sigma = Math.sinh(E * Math.atanh(E * tau / Math.sqrt(1 + tau * tau)));
+    const tauI = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+    const delta = (tauPrime - tauI) / Math.sqrt(1 + tauI * tauI) *
+      (1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau));
+    tau += delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+  return tau;
+}
+
+/**
+ * Wrap a longitude to -180 (inclusive) to 180 (exclusive)
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Wrapped longitude
+ */
+function normalizeLongitude(longitude) {
+  return ((longitude + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Get the hemisphere letter of a coordinate
+ * @param {number} value - Degrees
+ * @param {string} axis - 'latitude' or 'longitude'
+ * @returns {string} 'N', 'S', 'E' or 'W'
+ */
+function hemisphereOf(value, axis) {
+  if (axis === 'longitude') {
+    return value < 0 ? 'W' : 'E';
+  }
+  return value < 0 ? 'S' : 'N';
+}
+
+/**
+ * Pad a whole number to two digits
+ * @param {number} value - Value
+ * @returns {string} Padded value
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Format a value below 60 with fixed decimals and two integer digits
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted value, e.g. '07.16'
+ */
+function padFixed(value, decimals) {
+  return value.toFixed(decimals).padStart(decimals > 0 ? decimals + 3 : 2, '0');
+}
+
+/**
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * @param {number} radians - Angle in radians
+ * @returns {number} Angle in degrees
+ */
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+export default {
+  utmZone,
+  toUtm,
+  fromUtm,
+  toUps,
+  fromUps,
+  toMgrs,
+  fromMgrs,
+  toUsng,
+  toDms,
+  toDdm,
+  fromDms,
+  formatCoordinates,
+  formatLength,
+  formatSpeed,
+  formatPosition
+};
@@ -0,0 +1,663 @@
+/**
+ * DeviceConfigurator - Applies the device settings section to a u-blox receiver
+ *
+ * Generation 9 and later receivers (protocol version 27+) are configured with
+ * UBX-CFG-VALSET, older ones with the legacy CFG-GNSS, CFG-RATE, CFG-NAV5,
+ * CFG-NAVX5 and CFG-MSG messages. Every message is sent on its own and the
+ * receiver's ACK-ACK or ACK-NAK is awaited before the next one goes out, so
+ * each setting gets its own result.
+ */
+import { EVENTS, UBX_CLASSES } from './constants.js';
+import { buildUbxFrame } from './ubx-parser.js';
+
+// Message IDs used for configuration
+const CFG_IDS = {
+  MSG: 0x01,
+  RATE: 0x08,
+  CFG: 0x09,
+  NAV5: 0x24,
+  NAVX5: 0x23,
+  GNSS: 0x3E,
+  VALSET: 0x8A
+};
+const MON_VER_ID = 0x04;
+
+// First protocol version supporting the configuration interface (CFG-VALSET)
+const VALSET_PROTOCOL_VERSION = 27;
+
+// CFG-VALSET layer mask bits
+const LAYER_RAM = 0x01;
+const LAYER_BBR = 0x02;
+const LAYER_FLASH = 0x04;
+
+// Configuration keys (u-blox interface description, generation 9)
+const VALSET_KEYS = {
+  SIGNAL_GPS_ENA: 0x1031001f,
+  SIGNAL_GAL_ENA: 0x10310021,
+  SIGNAL_BDS_ENA: 0x10310022,
+  SIGNAL_QZSS_ENA: 0x10310024,
+  SIGNAL_GLO_ENA: 0x10310025,
+  RATE_MEAS: 0x30210001,
+  NAVSPG_DYNMODEL: 0x20110021,
+  NAVSPG_INFIL_MINELEV: 0x201100a4,
+  NAVSPG_INFIL_MINCNO: 0x201100a3
+};
+
+// Constellation enable keys for CFG-VALSET and gnssId for legacy CFG-GNSS
+const CONSTELLATIONS = {
+  gps: { key: VALSET_KEYS.SIGNAL_GPS_ENA, gnssId: 0 },
+  galileo: { key: VALSET_KEYS.SIGNAL_GAL_ENA, gnssId: 2 },
+  beidou: { key: VALSET_KEYS.SIGNAL_BDS_ENA, gnssId: 3 },
+  qzss: { key: VALSET_KEYS.SIGNAL_QZSS_ENA, gnssId: 5 },
+  glonass: { key: VALSET_KEYS.SIGNAL_GLO_ENA, gnssId: 6 }
+};
+
+// NMEA output rate keys: the I2C key for each sentence, other ports follow it
+const NMEA_MSGOUT_KEYS = {
+  GGA: 0x209100ba,
+  GLL: 0x209100c9,
+  GSA: 0x209100bf,
+  GSV: 0x209100c4,
+  RMC: 0x209100ab,
+  VTG: 0x209100b0,
+  GST: 0x209100d3,
+  ZDA: 0x209100d8
+};
+const PORT_KEY_OFFSETS = {
+  i2c: 0,
+  uart1: 1,
+  uart2: 2,
+  usb: 3,
+  spi: 4
+};
+
+// Standard NMEA message IDs (class 0xF0) for legacy CFG-MSG
+const NMEA_CLASS = 0xF0;
+const NMEA_MSG_IDS = {
+  GGA: 0x00,
+  GLL: 0x01,
+  GSA: 0x02,
+  GSV: 0x03,
+  RMC: 0x04,
+  VTG: 0x05,
+  GST: 0x07,
+  ZDA: 0x08
+};
+
+// Dynamic platform models as used by both CFG-NAV5 and NAVSPG-DYNMODEL
+const DYNAMIC_MODELS = {
+  'portable': 0,
+  'stationary': 2,
+  'pedestrian': 3,
+  'automotive': 4,
+  'sea': 5,
+  'airborne-1g': 6,
+  'airborne-2g': 7,
+  'airborne-4g': 8,
+  'wrist': 9,
+  'bike': 10
+};
+
+export class DeviceConfigurator {
+  /**
+   * Create a device configurator
+   * @param {Object} options - Configuration options
+   * @param {EventEmitter} options.events - Event emitter carrying ubx:* messages
+   * @param {ConnectionManager} options.connectionManager - Connection used to send messages
+   * @param {string} options.protocol - 'auto' (detect via MON-VER), 'valset' or 'legacy'
+   * @param {string[]} options.ports - Receiver ports NMEA output is set on with CFG-VALSET
+   * @param {boolean} options.persist - Also store the configuration in BBR/flash
+   * @param {number} options.ackTimeout - Milliseconds to wait for ACK-ACK/ACK-NAK
+   * @param {Object} options.debug - Debug settings
+   */
+  constructor(options = {}) {
+    this.events = options.events || null;
+    this.connectionManager = options.connectionManager || null;
+    this.protocol = options.protocol || 'auto';
+    this.ports = options.ports || ['uart1', 'uart2', 'usb'];
+    this.persist = options.persist || false;
+    this.ackTimeout = options.ackTimeout || 2000;
+    this.busy = false;
+
+    // Debug settings
+    this.debug = options.debug || {
+      info: false,
+      debug: false,
+      errors: true
+    };
+
+    // Set up logger functions
+    this.logger = {
+      info: (...args) => {
+        if (this.debug.info) {
+          console.info('[CONFIG-INFO]', ...args);
+        }
+      },
+      debug: (...args) => {
+        if (this.debug.debug) {
+          console.debug('[CONFIG-DEBUG]', ...args);
+        }
+      },
+      error: (...args) => {
+        if (this.debug.errors) {
+          console.error('[CONFIG-ERROR]', ...args);
+        }
+      }
+    };
+  }
+
+  /**
+   * Apply device settings to the receiver
+   *
+   * Only the settings present in the object are sent. baudRate is never
+   * applied because changing it would drop the link we are configuring over.
+   * @param {Object} settings - Device settings (see DEFAULT_DEVICE_SETTINGS)
+   * @returns {Promise<Object>} Report { success, protocol, results }, one result per setting
+   */
+  async configure(settings = {}) {
+    if (this.busy) {
+      throw new Error('Device configuration already in progress');
+    }
+
+    this.busy = true;
+    try {
+      const protocol = this.protocol === 'auto' ? await this.detectProtocol() : this.protocol;
+      this.logger.info(`Configuring device using ${protocol} messages`);
+
+      const items = protocol === 'valset' ?
+        this.buildValsetItems(settings) :
+        await this.buildLegacyItems(settings);
+
+      const results = [];
+      for (const item of items) {
+        results.push(await this.applyItem(item));
+      }
+
+      return {
+        success: results.every(result => result.success),
+        protocol,
+        results
+      };
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Detect which configuration messages the receiver understands
+   * @returns {Promise<string>} 'valset' for protocol version 27+, otherwise 'legacy'
+   */
+  async detectProtocol() {
+    const version = await this.poll(UBX_CLASSES.MON, MON_VER_ID, 'MON-VER');
+
+    if (version && version.protocolVersion >= VALSET_PROTOCOL_VERSION) {
+      return 'valset';
+    }
+
+    if (!version) {
+      this.logger.info('No MON-VER response, falling back to legacy configuration');
+    }
+    return 'legacy';
+  }
+
+  /**
+   * Build one CFG-VALSET message per setting
+   * @param {Object} settings - Device settings
+   * @returns {Object[]} Configuration items
+   */
+  buildValsetItems(settings) {
+    const items = [];
+    const layers = this.persist ? LAYER_RAM | LAYER_BBR | LAYER_FLASH : LAYER_RAM;
+    const valset = (setting, value, entries) => ({
+      setting,
+      value,
+      msgClass: UBX_CLASSES.CFG,
+      msgId: CFG_IDS.VALSET,
+      payload: encodeValset(layers, entries)
+    });
+
+    if (settings.gnssSystems !== undefined) {
+      const systems = normalizeList(settings.gnssSystems);
+      items.push(valset('gnssSystems', settings.gnssSystems,
+        Object.entries(CONSTELLATIONS).map(([name, { key }]) => [key, systems.includes(name) ? 1 : 0])));
+    }
+
+    if (settings.outputRate !== undefined) {
+      const measRate = measurementPeriod(settings.outputRate);
+      items.push(measRate === null ?
+        invalid('outputRate', settings.outputRate) :
+        valset('outputRate', settings.outputRate, [[VALSET_KEYS.RATE_MEAS, measRate]]));
+    }
+
+    if (settings.dynamicModel !== undefined) {
+      const model = DYNAMIC_MODELS[settings.dynamicModel];
+      items.push(model === undefined ?
+        invalid('dynamicModel', settings.dynamicModel) :
+        valset('dynamicModel', settings.dynamicModel, [[VALSET_KEYS.NAVSPG_DYNMODEL, model]]));
+    }
+
+    if (settings.elevationMask !== undefined) {
+      const elevation = integerInRange(settings.elevationMask, -90, 90);
+      items.push(elevation === null ?
+        invalid('elevationMask', settings.elevationMask) :
+        valset('elevationMask', settings.elevationMask, [[VALSET_KEYS.NAVSPG_INFIL_MINELEV, elevation]]));
+    }
+
+    if (settings.snrMask !== undefined) {
+      const cno = integerInRange(settings.snrMask, 0, 255);
+      items.push(cno === null ?
+        invalid('snrMask', settings.snrMask) :
+        valset('snrMask', settings.snrMask, [[VALSET_KEYS.NAVSPG_INFIL_MINCNO, cno]]));
+    }
+
+    if (settings.nmeaSentences !== undefined) {
+      const sentences = normalizeList(settings.nmeaSentences).map(s => s.toUpperCase());
+      const entries = [];
+      for (const [sentence, baseKey] of Object.entries(NMEA_MSGOUT_KEYS)) {
+        for (const port of this.ports) {
+          if (PORT_KEY_OFFSETS[port] !== undefined) {
+            entries.push([baseKey + PORT_KEY_OFFSETS[port], sentences.includes(sentence) ? 1 : 0]);
+          }
+        }
+      }
+      items.push(valset('nmeaSentences', settings.nmeaSentences, entries));
+    }
+
+    return items;
+  }
+
+  /**
+   * Build legacy CFG-* messages, one or more per setting
+   * @param {Object} settings - Device settings
+   * @returns {Promise<Object[]>} Configuration items
+   */
+  async buildLegacyItems(settings) {
+    const items = [];
+    const cfg = (setting, value, msgId, payload) => ({
+      setting,
+      value,
+      msgClass: UBX_CLASSES.CFG,
+      msgId,
+      payload
+    });
+
+    if (settings.gnssSystems !== undefined) {
+      // CFG-GNSS has to carry the receiver's own channel allocation, so read it first
+      const current = await this.poll(UBX_CLASSES.CFG, CFG_IDS.GNSS, 'CFG-GNSS');
+      if (current) {
+        const systems = normalizeList(settings.gnssSystems);
+        items.push(cfg('gnssSystems', settings.gnssSystems, CFG_IDS.GNSS,
+          encodeCfgGnss(current, systems)));
+      } else {
+        items.push({
+          setting: 'gnssSystems',
+          value: settings.gnssSystems,
+          status: 'timeout',
+          message: 'No CFG-GNSS poll response'
+        });
+      }
+    }
+
+    if (settings.outputRate !== undefined) {
+      const measRate = measurementPeriod(settings.outputRate);
+      if (measRate === null) {
+        items.push(invalid('outputRate', settings.outputRate));
+      } else {
+        // measRate (ms), navRate (cycles), timeRef (1 = GPS time)
+        items.push(cfg('outputRate', settings.outputRate, CFG_IDS.RATE,
+          new Uint8Array([measRate & 0xFF, measRate >> 8, 1, 0, 1, 0])));
+      }
+    }
+
+    if (settings.dynamicModel !== undefined) {
+      const model = DYNAMIC_MODELS[settings.dynamicModel];
+      if (model === undefined) {
+        items.push(invalid('dynamicModel', settings.dynamicModel));
+      } else {
+        items.push(cfg('dynamicModel', settings.dynamicModel, CFG_IDS.NAV5,
+          encodeNav5(0x0001, payload => payload.setUint8(2, model))));
+      }
+    }
+
+    if (settings.elevationMask !== undefined) {
+      const elevation = integerInRange(settings.elevationMask, -90, 90);
+      if (elevation === null) {
+        items.push(invalid('elevationMask', settings.elevationMask));
+      } else {
+        items.push(cfg('elevationMask', settings.elevationMask, CFG_IDS.NAV5,
+          encodeNav5(0x0002, payload => payload.setInt8(12, elevation))));
+      }
+    }
+
+    if (settings.snrMask !== undefined) {
+      const cno = integerInRange(settings.snrMask, 0, 255);
+      if (cno === null) {
+        items.push(invalid('snrMask', settings.snrMask));
+      } else {
+        // CFG-NAVX5 version 2, mask1 bit 3 applies minCNO
+        const payload = new DataView(new ArrayBuffer(40));
+        payload.setUint16(0, 2, true);
+        payload.setUint16(2, 0x0008, true);
+        payload.setUint8(12, cno);
+        items.push(cfg('snrMask', settings.snrMask, CFG_IDS.NAVX5, new Uint8Array(payload.buffer)));
+      }
+    }
+
+    if (settings.nmeaSentences !== undefined) {
+      // The three byte form of CFG-MSG sets the rate on the port the command arrives on
+      const sentences = normalizeList(settings.nmeaSentences).map(s => s.toUpperCase());
+      for (const [sentence, msgId] of Object.entries(NMEA_MSG_IDS)) {
+        items.push(cfg(`nmeaSentences.${sentence}`, sentences.includes(sentence), CFG_IDS.MSG,
+          new Uint8Array([NMEA_CLASS, msgId, sentences.includes(sentence) ? 1 : 0])));
+      }
+    }
+
+    if (this.persist && items.length > 0) {
+      // CFG-CFG: save ioPort, msgConf, infMsg, navConf and rxmConf to BBR, flash and EEPROM
+      items.push(cfg('save', true, CFG_IDS.CFG, new Uint8Array([
+        0, 0, 0, 0,
+        0x1F, 0, 0, 0,
+        0, 0, 0, 0,
+        0x07
+      ])));
+    }
+
+    return items;
+  }
+
+  /**
+   * Send one configuration item and wait for its acknowledgement
+   * @param {Object} item - Configuration item
+   * @returns {Promise<Object>} Result { setting, value, success, status, message }
+   */
+  async applyItem(item) {
+    const result = {
+      setting: item.setting,
+      value: item.value
+    };
+
+    // Items that failed while being built are reported without sending anything
+    if (!item.payload) {
+      return { ...result, success: false, status: item.status, message: item.message };
+    }
+
+    const status = await this.sendAndWaitAck(item.msgClass, item.msgId, item.payload);
+    this.logger.debug(`Setting ${item.setting}: ${status}`);
+
+    const messages = {
+      ack: null,
+      nak: 'Rejected by receiver (ACK-NAK)',
+      timeout: `No acknowledgement within ${this.ackTimeout} ms`,
+      error: 'Failed to send configuration message'
+    };
+
+    return {
+      ...result,
+      success: status === 'ack',
+      status,
+      message: messages[status]
+    };
+  }
+
+  /**
+   * Send a UBX message and wait for the matching ACK-ACK or ACK-NAK
+   * @param {number} msgClass - Message class
+   * @param {number} msgId - Message ID
+   * @param {Uint8Array} payload - Message payload
+   * @returns {Promise<string>} 'ack', 'nak', 'timeout' or 'error'
+   */
+  async sendAndWaitAck(msgClass, msgId, payload) {
+    const matches = message => message.ackClass === msgClass && message.ackId === msgId;
+    const response = this.waitFor(message => {
+      if (message.name === 'ACK-ACK' && matches(message)) return 'ack';
+      if (message.name === 'ACK-NAK' && matches(message)) return 'nak';
+      return undefined;
+    }, this.ackTimeout);
+
+    if (!await this.send(buildUbxFrame(msgClass, msgId, payload))) {
+      response.cancel();
+      return 'error';
+    }
+
+    const status = await response.promise;
+    return status || 'timeout';
+  }
+
+  /**
+   * Poll a UBX message and wait for the receiver's response
+   * @param {number} msgClass - Message class
+   * @param {number} msgId - Message ID
+   * @param {string} name - Message name of the response (e.g. MON-VER)
+   * @returns {Promise<Object|null>} Decoded response or null on timeout
+   */
+  async poll(msgClass, msgId, name) {
+    const response = this.waitFor(message => (message.name === name ? message : undefined), this.ackTimeout);
+
+    // CFG polls are acknowledged after the response; consume that ACK so it
+    // can't be mistaken for the acknowledgement of the next message
+    const ack = msgClass === UBX_CLASSES.CFG ?
+      this.waitFor(message => (message.ackClass === msgClass && message.ackId === msgId ? true : undefined),
+        this.ackTimeout) :
+      null;
+
+    if (!await this.send(buildUbxFrame(msgClass, msgId))) {
+      response.cancel();
+      if (ack) ack.cancel();
+      return null;
+    }
+
+    const message = await response.promise;
+    if (ack) {
+      if (message) {
+        await ack.promise;
+      } else {
+        ack.cancel();
+      }
+    }
+    return message;
+  }
+
+  /**
+   * Wait for a UBX message accepted by a matcher
+   * @param {Function} matcher - Returns a value for the matching message, undefined otherwise
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Object} { promise, cancel } - promise resolves with the value or null on timeout
+   */
+  waitFor(matcher, timeout) {
+    let unsubscribe = () => {};
+    let timer = null;
+    let finish = () => {};
+
+    const promise = new Promise((resolve) => {
+      finish = (value) => {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(value);
+      };
+
+      if (this.events) {
+        unsubscribe = this.events.on(EVENTS.UBX_MESSAGE, (message) => {
+          const value = matcher(message);
+          if (value !== undefined) {
+            finish(value);
+          }
+        });
+      }
+
+      timer = setTimeout(() => finish(null), timeout);
+    });
+
+    return {
+      promise,
+      cancel: () => finish(null)
+    };
+  }
+
+  /**
+   * Send a frame to the receiver
+   * @param {Uint8Array} frame - Encoded UBX frame
+   * @returns {Promise<boolean>} Whether the frame was sent
+   */
+  async send(frame) {
+    if (!this.connectionManager) {
+      this.logger.error('No connection manager to send configuration through');
+      return false;
+    }
+
+    try {
+      // Connection handlers accept strings or ArrayBuffers
+      return await this.connectionManager.sendData(frame.buffer);
+    } catch (error) {
+      this.logger.error('Error sending configuration message:', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Encode a CFG-VALSET payload
+ * @param {number} layers - Layer mask (RAM, BBR, flash)
+ * @param {Array[]} entries - [key, value] pairs
+ * @returns {Uint8Array} Payload
+ */
+function encodeValset(layers, entries) {
+  const size = entries.reduce((total, [key]) => total + 4 + valueSize(key), 4);
+  const payload = new DataView(new ArrayBuffer(size));
+
+  // version 0, layers, 2 reserved bytes
+  payload.setUint8(0, 0);
+  payload.setUint8(1, layers);
+
+  let offset = 4;
+  for (const [key, value] of entries) {
+    payload.setUint32(offset, key, true);
+    offset += 4;
+
+    switch (valueSize(key)) {
+      case 1:
+        payload.setUint8(offset, value & 0xFF);
+        break;
+      case 2:
+        payload.setUint16(offset, value, true);
+        break;
+      case 4:
+        payload.setUint32(offset, value, true);
+        break;
+      default:
+        payload.setBigUint64(offset, BigInt(value), true);
+    }
+    offset += valueSize(key);
+  }
+
+  return new Uint8Array(payload.buffer);
+}
+
+/**
+ * Size in bytes of a configuration value, from bits 28-30 of its key
+ * @param {number} key - Configuration key ID
+ * @returns {number} Value size
+ */
+function valueSize(key) {
+  const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8 };
+  return sizes[(key >>> 28) & 0x07] || 1;
+}
+
+/**
+ * Encode a CFG-GNSS payload from a polled configuration
+ * @param {Object} current - Decoded CFG-GNSS poll response
+ * @param {string[]} systems - Constellations to enable
+ * @returns {Uint8Array} Payload
+ */
+function encodeCfgGnss(current, systems) {
+  const payload = new DataView(new ArrayBuffer(4 + current.blocks.length * 8));
+  payload.setUint8(0, 0);
+  payload.setUint8(1, current.numTrkChHw);
+  payload.setUint8(2, current.numTrkChUse);
+  payload.setUint8(3, current.blocks.length);
+
+  current.blocks.forEach((block, index) => {
+    const offset = 4 + index * 8;
+    const name = Object.keys(CONSTELLATIONS).find(key => CONSTELLATIONS[key].gnssId === block.gnssId);
+
+    // Constellations the settings don't cover (SBAS, IMES) keep their current state
+    let flags = block.flags;
+    if (name) {
+      flags = systems.includes(name) ? (flags | 0x01) : (flags & ~0x01);
+    }
+
+    payload.setUint8(offset, block.gnssId);
+    payload.setUint8(offset + 1, block.resTrkCh);
+    payload.setUint8(offset + 2, block.maxTrkCh);
+    payload.setUint32(offset + 4, flags >>> 0, true);
+  });
+
+  return new Uint8Array(payload.buffer);
+}
+
+/**
+ * Encode a CFG-NAV5 payload that only applies the fields in the mask
+ * @param {number} mask - Parameter mask
+ * @param {Function} fill - Writes the masked fields into the payload DataView
+ * @returns {Uint8Array} Payload
+ */
+function encodeNav5(mask, fill) {
+  const payload = new DataView(new ArrayBuffer(36));
+  payload.setUint16(0, mask, true);
+  fill(payload);
+  return new Uint8Array(payload.buffer);
+}
+
+/**
+ * Build an item for a setting whose value can't be encoded
+ * @param {string} setting - Setting name
+ * @param {*} value - Rejected value
+ * @returns {Object} Configuration item that is reported without sending
+ */
+function invalid(setting, value) {
+  return {
+    setting,
+    value,
+    status: 'invalid',
+    message: `Invalid value for ${setting}: ${value}`
+  };
+}
+
+/**
+ * Convert an output rate in Hz to a measurement period in milliseconds
+ * @param {number|string} rate - Output rate in Hz
+ * @returns {number|null} Measurement period or null if invalid
+ */
+function measurementPeriod(rate) {
+  const hz = Number(rate);
+  if (!Number.isFinite(hz) || hz <= 0 || hz > 40) {
+    return null;
+  }
+  return Math.round(1000 / hz);
+}
+
+/**
+ * Parse an integer setting and check its range
+ * @param {number|string} value - Setting value
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number|null} Integer value or null if invalid
+ */
+function integerInRange(value, min, max) {
+  const number = Math.round(Number(value));
+  if (value === '' || value === null || !Number.isFinite(number) || number < min || number > max) {
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Normalise a list setting to lowercase/trimmed strings
+ * @param {string[]|string} value - List or comma separated string
+ * @returns {string[]} List values
+ */
+function normalizeList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+export default DeviceConfigurator;
@@ -0,0 +1,599 @@
+/**
+ * Environment adapters - the browser and Node.js APIs the core depends on
+ *
+ * The core (parsers, NTRIP client, settings, connection manager) only reaches
+ * platform APIs through an environment object, so the same code runs in a
+ * page and headless in Node.js (>= 22). Every adapter can be replaced:
+ *
+ *   storage    - Settings persistence: load(key) and save(key, value)
+ *   location   - Page location ({ protocol, host }) for relative proxy URLs, null outside a page
+ *   navigator  - Source of navigator.serial and navigator.bluetooth
+ *   fetch      - Fetch implementation used by the NTRIP client
+ *   WebSocket  - WebSocket constructor used by the NTRIP client
+ *   connectTcp - Opens a raw TCP/TLS connection (Node.js only, null in browsers)
+ *   recordings - Session recorder storage: append(name, bytes), read(name), list() and remove(name)
+ */
+
+/**
+ * Whether the code runs in Node.js
+ * @returns {boolean} True in Node.js
+ */
+export function isNode() {
+  const process = globalThis.process;
+  return !!(process && process.versions && process.versions.node);
+}
+
+/**
+ * Settings storage backed by IndexedDB
+ */
+export class IndexedDbStorage {
+  /**
+   * Create an IndexedDB storage adapter
+   * @param {Object} options - Storage options
+   * @param {string} options.dbName - Database name
+   * @param {string} options.storeName - Object store name
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (defaults to the global)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'gnss-module-db';
+    this.storeName = options.storeName || 'settings';
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.db = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.dbName, 1);
+
+      request.onerror = (event) => reject(event.target.error || event);
+
+      request.onsuccess = (event) => {
+        this.db = event.target.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+      };
+    });
+  }
+
+  /**
+   * Load a stored value
+   * @param {string} key - Record key
+   * @returns {Promise<*>} Stored value or null
+   */
+  async load(key) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readonly');
+      const request = transaction.objectStore(this.storeName).get(key);
+
+      request.onsuccess = (event) => resolve(event.target.result ? event.target.result.value : null);
+      request.onerror = (event) => reject(event.target.error || event);
+    });
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Record key
+   * @param {*} value - Value (must be structured-cloneable)
+   * @returns {Promise<void>}
+   */
+  async save(key, value) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const request = transaction.objectStore(this.storeName).put({ id: key, value });
+
+      request.onsuccess = () => resolve();
+      request.onerror = (event) => reject(event.target.error || event);
+    });
+  }
+}
+
+/**
+ * Settings storage kept in memory (nothing survives a restart)
+ */
+export class MemoryStorage {
+  constructor() {
+    this.values = new Map();
+  }
+
+  /**
+   * Load a stored value
+   * @param {string} key - Record key
+   * @returns {Promise<*>} Copy of the stored value or null
+   */
+  async load(key) {
+    return this.values.has(key) ? structuredClone(this.values.get(key)) : null;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Record key
+   * @param {*} value - Value
+   * @returns {Promise<void>}
+   */
+  async save(key, value) {
+    this.values.set(key, structuredClone(value));
+  }
+}
+
+/**
+ * Settings storage in a JSON file (Node.js only)
+ *
+ * All keys share one file, written whole on every save.
+ */
+export class FileStorage {
+  /**
+   * Create a file storage adapter
+   * @param {Object} options - Storage options
+   * @param {string} options.path - JSON file path
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('FileStorage requires a path');
+    }
+    this.path = options.path;
+  }
+
+  /**
+   * Read the whole file
+   * @returns {Promise<Object>} Stored records by key
+   */
+  async readAll() {
+    const fs = await import('node:fs/promises');
+    try {
+      return JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a stored value
+   * @param {string} key - Record key
+   * @returns {Promise<*>} Stored value or null
+   */
+  async load(key) {
+    const records = await this.readAll();
+    return key in records ? records[key] : null;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Record key
+   * @param {*} value - Value (must be JSON-serialisable)
+   * @returns {Promise<void>}
+   */
+  async save(key, value) {
+    const fs = await import('node:fs/promises');
+    const records = await this.readAll();
+    records[key] = value;
+
+    // Write a temporary file and rename it so a crash never leaves half a file
+    const temporaryPath = `${this.path}.tmp`;
+    await fs.writeFile(temporaryPath, JSON.stringify(records, null, 2));
+    await fs.rename(temporaryPath, this.path);
+  }
+}
+
+/**
+ * Recording storage backed by IndexedDB
+ *
+ * Appended bytes are kept as separate chunks; a second object store tracks
+ * each recording's total size so list() doesn't have to read the data.
+ */
+export class IndexedDbRecordingStore {
+  /**
+   * Create an IndexedDB recording store
+   * @param {Object} options - Storage options
+   * @param {string} options.dbName - Database name
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (defaults to the global)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'gnss-recordings';
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.db = null;
+  }
+
+  /**
+   * Open the database, creating the object stores on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.dbName, 1);
+
+      request.onerror = (event) => reject(event.target.error || event);
+
+      request.onsuccess = (event) => {
+        this.db = event.target.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains('recordings')) {
+          db.createObjectStore('recordings', { keyPath: 'name' });
+        }
+        if (!db.objectStoreNames.contains('chunks')) {
+          const chunks = db.createObjectStore('chunks', { autoIncrement: true });
+          chunks.createIndex('name', 'name');
+        }
+      };
+    });
+  }
+
+  /**
+   * Run a request-producing function in a transaction and wait for it to commit
+   * @param {string[]} storeNames - Object stores used
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Called with the transaction, returns the request whose result is wanted
+   * @returns {Promise<*>} Result of the request
+   */
+  async transact(storeNames, mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const request = operation(transaction);
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = (event) => reject(event.target.error || event);
+      transaction.onabort = (event) => reject(event.target.error || event);
+    });
+  }
+
+  /**
+   * Append bytes to a recording, creating it if needed
+   * @param {string} name - Recording name
+   * @param {Uint8Array} bytes - Bytes to append
+   * @returns {Promise<void>}
+   */
+  async append(name, bytes) {
+    const data = bytes.slice().buffer;
+
+    await this.transact(['recordings', 'chunks'], 'readwrite', (transaction) => {
+      const recordings = transaction.objectStore('recordings');
+      transaction.objectStore('chunks').add({ name, data });
+
+      const lookup = recordings.get(name);
+      lookup.onsuccess = () => {
+        const recording = lookup.result || { name, size: 0, created: Date.now() };
+        recording.size += data.byteLength;
+        recording.modified = Date.now();
+        recordings.put(recording);
+      };
+      return null;
+    });
+  }
+
+  /**
+   * Read a whole recording
+   * @param {string} name - Recording name
+   * @returns {Promise<Uint8Array|null>} Recording bytes or null if it doesn't exist
+   */
+  async read(name) {
+    const chunks = await this.transact(['chunks'], 'readonly', (transaction) =>
+      transaction.objectStore('chunks').index('name').getAll(name));
+
+    if (chunks.length === 0) {
+      return null;
+    }
+    return concatBytes(chunks.map(chunk => new Uint8Array(chunk.data)));
+  }
+
+  /**
+   * List stored recordings
+   * @returns {Promise<Object[]>} Recordings as { name, size }, sorted by name
+   */
+  async list() {
+    const recordings = await this.transact(['recordings'], 'readonly', (transaction) =>
+      transaction.objectStore('recordings').getAll());
+
+    return recordings
+      .map(({ name, size }) => ({ name, size }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Delete a recording
+   * @param {string} name - Recording name
+   * @returns {Promise<void>}
+   */
+  async remove(name) {
+    await this.transact(['recordings', 'chunks'], 'readwrite', (transaction) => {
+      transaction.objectStore('recordings').delete(name);
+      const cursorRequest = transaction.objectStore('chunks').index('name').openKeyCursor(name);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          transaction.objectStore('chunks').delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+      return null;
+    });
+  }
+}
+
+/**
+ * Recording storage kept in memory (nothing survives a restart)
+ */
+export class MemoryRecordingStore {
+  constructor() {
+    this.recordings = new Map();
+  }
+
+  /**
+   * Append bytes to a recording, creating it if needed
+   * @param {string} name - Recording name
+   * @param {Uint8Array} bytes - Bytes to append
+   * @returns {Promise<void>}
+   */
+  async append(name, bytes) {
+    if (!this.recordings.has(name)) {
+      this.recordings.set(name, []);
+    }
+    this.recordings.get(name).push(bytes.slice());
+  }
+
+  /**
+   * Read a whole recording
+   * @param {string} name - Recording name
+   * @returns {Promise<Uint8Array|null>} Recording bytes or null if it doesn't exist
+   */
+  async read(name) {
+    return this.recordings.has(name) ? concatBytes(this.recordings.get(name)) : null;
+  }
+
+  /**
+   * List stored recordings
+   * @returns {Promise<Object[]>} Recordings as { name, size }, sorted by name
+   */
+  async list() {
+    return [...this.recordings.entries()]
+      .map(([name, chunks]) => ({ name, size: chunks.reduce((size, chunk) => size + chunk.length, 0) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Delete a recording
+   * @param {string} name - Recording name
+   * @returns {Promise<void>}
+   */
+  async remove(name) {
+    this.recordings.delete(name);
+  }
+}
+
+/**
+ * Recording storage in a directory, one file per recording (Node.js only)
+ */
+export class FileRecordingStore {
+  /**
+   * Create a file recording store
+   * @param {Object} options - Storage options
+   * @param {string} options.directory - Directory for recordings (created on first write)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || 'recordings';
+    this.created = false;
+  }
+
+  /**
+   * Resolve a recording name to a file path
+   * @param {string} name - Recording name
+   * @returns {Promise<string>} File path
+   */
+  async resolve(name) {
+    const path = await import('node:path');
+    if (name !== path.basename(name)) {
+      throw new Error(`Invalid recording name: ${name}`);
+    }
+    return path.join(this.directory, name);
+  }
+
+  /**
+   * Append bytes to a recording, creating it if needed
+   * @param {string} name - Recording name
+   * @param {Uint8Array} bytes - Bytes to append
+   * @returns {Promise<void>}
+   */
+  async append(name, bytes) {
+    const fs = await import('node:fs/promises');
+    if (!this.created) {
+      await fs.mkdir(this.directory, { recursive: true });
+      this.created = true;
+    }
+    await fs.appendFile(await this.resolve(name), bytes);
+  }
+
+  /**
+   * Read a whole recording
+   * @param {string} name - Recording name
+   * @returns {Promise<Uint8Array|null>} Recording bytes or null if it doesn't exist
+   */
+  async read(name) {
+    const fs = await import('node:fs/promises');
+    try {
+      return new Uint8Array(await fs.readFile(await this.resolve(name)));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List stored recordings
+   * @returns {Promise<Object[]>} Recordings as { name, size }, sorted by name
+   */
+  async list() {
+    const fs = await import('node:fs/promises');
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const recordings = [];
+    for (const name of names.sort()) {
+      const stats = await fs.stat(await this.resolve(name));
+      if (stats.isFile()) {
+        recordings.push({ name, size: stats.size });
+      }
+    }
+    return recordings;
+  }
+
+  /**
+   * Delete a recording
+   * @param {string} name - Recording name
+   * @returns {Promise<void>}
+   */
+  async remove(name) {
+    const fs = await import('node:fs/promises');
+    await fs.rm(await this.resolve(name), { force: true });
+  }
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} chunks - Byte arrays
+ * @returns {Uint8Array} Concatenated bytes
+ */
+function concatBytes(chunks) {
+  const result = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Open a TCP connection, or TLS when options.secure is set, with Node's net/tls modules
+ *
+ * The returned connection has write(data) and close() methods and reports
+ * events through its ondata(bytes), onclose() and onerror(error) properties.
+ * @param {Object} options - Connection options
+ * @param {string} options.host - Remote host
+ * @param {number} options.port - Remote port
+ * @param {boolean} options.secure - Use TLS
+ * @param {number} options.timeout - Connection timeout in milliseconds (default 10000)
+ * @returns {Promise<Object>} Open connection
+ */
+export async function connectNodeTcp(options = {}) {
+  const transport = options.secure ? await import('node:tls') : await import('node:net');
+
+  return new Promise((resolve, reject) => {
+    const socket = transport.connect({
+      host: options.host,
+      port: options.port,
+      servername: options.secure ? options.host : undefined
+    });
+
+    const connection = {
+      ondata: null,
+      onclose: null,
+      onerror: null,
+      write: (data) => socket.write(data),
+      close: () => socket.destroy()
+    };
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`TCP connection to ${options.host}:${options.port} timed out`));
+    }, options.timeout || 10000);
+
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      socket.setNoDelay(true);
+      resolve(connection);
+    });
+
+    socket.on('data', (data) => {
+      if (connection.ondata) {
+        connection.ondata(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+      }
+    });
+
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+      if (connection.onerror) {
+        connection.onerror(error);
+      }
+    });
+
+    socket.on('close', () => {
+      if (connection.onclose) {
+        connection.onclose();
+      }
+    });
+  });
+}
+
+/**
+ * Create an environment, filling in adapters that aren't supplied from the
+ * current platform
+ * @param {Object} overrides - Adapters to use instead of the defaults
+ * @returns {Object} Environment { storage, location, navigator, fetch, WebSocket, connectTcp, recordings }
+ */
+export function createEnvironment(overrides = {}) {
+  const scope = globalThis;
+  const pick = (name, fallback) => (overrides[name] !== undefined ? overrides[name] : fallback);
+
+  return {
+    storage: pick('storage', scope.indexedDB ? new IndexedDbStorage() : new MemoryStorage()),
+    location: pick('location', scope.location && scope.location.host !== undefined ? scope.location : null),
+    navigator: pick('navigator', scope.navigator || null),
+    fetch: pick('fetch', typeof scope.fetch === 'function' ? scope.fetch.bind(scope) : null),
+    WebSocket: pick('WebSocket', scope.WebSocket || null),
+    connectTcp: pick('connectTcp', isNode() ? connectNodeTcp : null),
+    recordings: pick('recordings', defaultRecordingStore(scope))
+  };
+}
+
+/**
+ * Pick the recording store for the current platform
+ * @param {Object} scope - Global scope
+ * @returns {Object} IndexedDB store in browsers, ./recordings in Node.js, memory otherwise
+ */
+function defaultRecordingStore(scope) {
+  if (scope.indexedDB) {
+    return new IndexedDbRecordingStore();
+  }
+  return isNode() ? new FileRecordingStore() : new MemoryRecordingStore();
+}
+
+export default createEnvironment;
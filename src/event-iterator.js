@@ -0,0 +1,89 @@
+/**
+ * EventIterator - Async iterable over the payloads of one event
+ *
+ * Lets `for await` loops consume events from the EventEmitter without on/off bookkeeping:
+ * the listener is removed when the loop exits (break, return or throw) or the signal aborts.
+ * Events can't be paused at the source, so payloads that arrive faster than the loop takes them
+ * are buffered up to maxBuffered, after which the oldest are dropped.
+ */
+export class EventIterator {
+  /**
+   * @param {EventEmitter} events - Event emitter to listen on
+   * @param {string} event - Event name
+   * @param {Object} options - Iterator options
+   * @param {number} [options.maxBuffered=100] - Payloads kept while the loop is busy
+   * @param {AbortSignal} [options.signal] - Ends the iteration when aborted
+   */
+  constructor(events, event, options = {}) {
+    this.maxBuffered = options.maxBuffered || 100;
+    this.queue = [];
+    this.waiting = []; // Resolvers of next() calls made while the queue was empty
+    this.done = false;
+    this.dropped = 0; // Payloads dropped because the buffer was full
+
+    this.unsubscribe = events.on(event, data => this.push(data));
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        this.return();
+      } else {
+        options.signal.addEventListener('abort', () => this.return(), { once: true });
+      }
+    }
+  }
+
+  /**
+   * Deliver a payload to a waiting next() call or buffer it
+   * @param {*} data - Event payload
+   * @private
+   */
+  push(data) {
+    if (this.done) {
+      return;
+    }
+    if (this.waiting.length > 0) {
+      this.waiting.shift()({ value: data, done: false });
+      return;
+    }
+    this.queue.push(data);
+    if (this.queue.length > this.maxBuffered) {
+      this.queue.shift();
+      this.dropped++;
+    }
+  }
+
+  /**
+   * Get the next payload
+   * @returns {Promise<Object>} Iterator result
+   */
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve({ value: this.queue.shift(), done: false });
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Stop listening and end the iteration; called by `for await` when the loop exits early
+   * @returns {Promise<Object>} Final iterator result
+   */
+  return() {
+    if (!this.done) {
+      this.done = true;
+      this.unsubscribe();
+      this.queue = [];
+      this.waiting.forEach(resolve => resolve({ value: undefined, done: true }));
+      this.waiting = [];
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+export default EventIterator;
@@ -0,0 +1,327 @@
+/**
+ * FixAssembler - Groups parsed NMEA sentences into epochs and builds one fix per epoch
+ *
+ * Receivers output a burst of sentences per measurement epoch, each carrying
+ * part of the solution. Sentences are grouped by their UTC time tag; those
+ * without one (GSA, GSV, VTG, HDT, THS) join the epoch in progress. An epoch is complete
+ * when a sentence with a new time tag arrives or, once the receiver's output
+ * cycle has been seen, as soon as the sentence that ends the cycle arrives.
+ */
+
+// Fix type by GGA quality indicator
+const QUALITY_FIX_TYPES = {
+  0: 'none',
+  1: 'autonomous',
+  2: 'dgps',
+  3: 'pps',
+  4: 'fixed',
+  5: 'float',
+  6: 'estimated',
+  7: 'manual',
+  8: 'simulation'
+};
+
+// Fix type by RMC/VTG mode indicator, used when the epoch has no GGA
+const MODE_FIX_TYPES = {
+  N: 'none',
+  A: 'autonomous',
+  D: 'dgps',
+  P: 'pps',
+  R: 'fixed',
+  F: 'float',
+  E: 'estimated',
+  M: 'manual',
+  S: 'simulation'
+};
+
+// Sentence types that belong to an epoch; anything else is passed over
+const EPOCH_TYPES = ['GGA', 'GNS', 'RMC', 'GLL', 'ZDA', 'GST', 'GBS', 'GSA', 'GSV', 'VTG', 'HDT', 'THS'];
+
+const MS_PER_DAY = 86400000;
+
+export class FixAssembler {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Add a parsed sentence
+   * @param {Object} sentence - Result of NmeaParser.parseSentence()
+   * @returns {Object|null} The fix of an epoch completed by this sentence, null otherwise
+   */
+  push(sentence) {
+    if (!sentence || !EPOCH_TYPES.includes(sentence.type)) {
+      return null;
+    }
+
+    let completed = null;
+    const time = timeOfDay(sentence.time);
+
+    // A new time tag starts the next epoch
+    if (time !== null && this.epoch.time !== null && time !== this.epoch.time) {
+      this.cycleEnd = this.epoch.lastKey;
+      completed = this.complete();
+    }
+
+    if (time !== null && this.epoch.time === null) {
+      this.epoch.time = time;
+    }
+    this.add(sentence);
+
+    // Once the output cycle is known its last sentence completes the epoch without waiting for the next one
+    if (!completed && this.epoch.time !== null && this.epoch.lastKey === this.cycleEnd) {
+      completed = this.complete();
+    }
+
+    return completed;
+  }
+
+  /**
+   * Complete the epoch in progress, e.g. at the end of a log
+   * @returns {Object|null} Fix, null when no timed sentence has been received since the last fix
+   */
+  flush() {
+    return this.epoch.time !== null ? this.complete() : null;
+  }
+
+  /**
+   * Forget the epoch in progress, the learned output cycle and the last date
+   */
+  reset() {
+    this.epoch = createEpoch();
+    this.cycleEnd = null;
+    this.date = null;
+    this.lastTime = null;
+  }
+
+  /**
+   * Add a sentence to the epoch in progress
+   * @param {Object} sentence - Parsed sentence
+   * @private
+   */
+  add(sentence) {
+    const epoch = this.epoch;
+    epoch.sentences.push(sentence.type);
+    epoch.lastKey = cycleKey(sentence);
+
+    switch (sentence.type) {
+      case 'GSA':
+        epoch.gsa.push(sentence);
+        break;
+      case 'GSV':
+        epoch.gsv.push(sentence);
+        break;
+      default:
+        // With one sentence per talker the combined (GN) solution wins over a single constellation
+        if (!epoch[sentence.type] || sentence.talker === 'GN') {
+          epoch[sentence.type] = sentence;
+        }
+        break;
+    }
+  }
+
+  /**
+   * Build the fix of the epoch in progress and start a new one
+   * @returns {Object} Fix
+   * @private
+   */
+  complete() {
+    const fix = this.buildFix(this.epoch);
+    this.epoch = createEpoch();
+    return fix;
+  }
+
+  /**
+   * Combine the sentences of an epoch into a fix
+   * @param {Object} epoch - Epoch
+   * @returns {Object} Fix
+   * @private
+   */
+  buildFix(epoch) {
+    const { RMC: rmc, GLL: gll, ZDA: zda, GST: gst, GBS: gbs, VTG: vtg, HDT: hdt, THS: ths } = epoch;
+    // GNS carries the same solution as GGA under the same field names
+    const gga = epoch.GGA || epoch.GNS || null;
+
+    // ZDA or RMC dates the epoch; otherwise carry the last date forward, across midnight if need be
+    const date = (zda && zda.date) || (rmc && rmc.date);
+    if (date) {
+      this.date = Date.parse(`${date}T00:00:00Z`);
+    } else if (this.date !== null && this.lastTime !== null && epoch.time < this.lastTime - MS_PER_DAY / 2) {
+      this.date += MS_PER_DAY;
+    }
+    this.lastTime = epoch.time;
+
+    const latitude = pick(gga, 'latitude', rmc, 'latitude', gll, 'latitude');
+    const longitude = pick(gga, 'longitude', rmc, 'longitude', gll, 'longitude');
+    const altitude = gga ? gga.altitude : null;
+    const geoidSeparation = gga ? gga.geoidHeight : null;
+    const mode = (rmc && rmc.mode) || (gll && gll.mode) || (vtg && vtg.mode) || null;
+    const status = (rmc && rmc.status) || (gll && gll.status) || null;
+
+    let fix;
+    let quality;
+    if (gga) {
+      quality = gga.fixQuality;
+      fix = QUALITY_FIX_TYPES[quality] || 'none';
+    } else {
+      fix = MODE_FIX_TYPES[mode] || (status === 'A' ? 'autonomous' : 'none');
+      quality = qualityOf(fix);
+    }
+
+    const used = uniqueSatellites(epoch.gsa.flatMap(gsa => gsa.satellites.map(prn => ({ prn, constellation: gsa.constellation }))));
+    const inView = uniqueSatellites(epoch.gsv.flatMap(gsv => gsv.satellites));
+    const dop = epoch.gsa[0] || null;
+    const dimension = epoch.gsa.reduce((best, gsa) => Math.max(best, gsa.fixType || 0), 0);
+
+    return {
+      time: this.date !== null ? new Date(this.date + epoch.time).toISOString() : null,
+      utcTime: formatTimeOfDay(epoch.time),
+      // As sent by ZDA: hours -13 to +13, minutes with the same sign
+      localZone: zda && zda.localZoneHours !== null
+        ? { hours: zda.localZoneHours, minutes: zda.localZoneMinutes || 0 }
+        : null,
+      latitude,
+      longitude,
+      altitude,
+      ellipsoidalHeight: altitude !== null && geoidSeparation !== null ? altitude + geoidSeparation : null,
+      geoidSeparation,
+      fix,
+      quality,
+      mode,
+      status,
+      dimension: dimension >= 2 ? dimension : null,
+      satellites: epoch.gsa.length > 0 ? used : (gga ? gga.satellites : null),
+      satellitesInView: epoch.gsv.length > 0 ? inView : null,
+      dop: {
+        pdop: dop ? dop.pdop : null,
+        hdop: dop ? dop.hdop : pick(gga, 'hdop'),
+        vdop: dop ? dop.vdop : null
+      },
+      accuracy: gst ? {
+        east: gst.longitudeError,
+        north: gst.latitudeError,
+        up: gst.heightError,
+        semiMajor: gst.semiMajorError,
+        semiMinor: gst.semiMinorError,
+        orientation: gst.orientationError,
+        rms: gst.rms
+      } : null,
+      // RAIM fault detection
+      integrity: gbs ? {
+        latitudeError: gbs.latitudeError,
+        longitudeError: gbs.longitudeError,
+        altitudeError: gbs.altitudeError,
+        failedSatellite: gbs.failedSatellite,
+        failedConstellation: gbs.failedSatellite !== null ? gbs.constellation : null,
+        missedDetectionProbability: gbs.missedDetectionProbability,
+        bias: gbs.bias,
+        biasStdDev: gbs.biasStdDev
+      } : null,
+      speed: pick(rmc, 'speed', vtg, 'speedKnots'),
+      speedKmh: pick(vtg, 'speedKmh'),
+      course: pick(rmc, 'course', vtg, 'courseTrue'),
+      // Heading from a dual-antenna or inertial system, unlike course over ground
+      heading: ths && ths.valid ? ths.heading : pick(hdt, 'heading'),
+      magneticVariation: rmc && rmc.magneticVariation !== null
+        ? (rmc.magneticVariationDirection === 'W' ? -rmc.magneticVariation : rmc.magneticVariation)
+        : null,
+      correctionAge: gga ? gga.dgpsAge : null,
+      stationId: gga && gga.dgpsStation ? gga.dgpsStation : null,
+      sentences: epoch.sentences
+    };
+  }
+}
+
+/**
+ * Create an empty epoch
+ * @returns {Object} Epoch
+ */
+function createEpoch() {
+  return {
+    time: null,
+    sentences: [],
+    lastKey: null,
+    gsa: [],
+    gsv: []
+  };
+}
+
+/**
+ * Identify a sentence's place in the output cycle
+ * @param {Object} sentence - Parsed sentence
+ * @returns {string} Key, e.g. 'GNGGA' or 'GPGSV/8/last' for the last GSV of the L5 group
+ */
+function cycleKey(sentence) {
+  const address = `${sentence.talker || ''}${sentence.type}`;
+  if (sentence.type === 'GSV') {
+    return `${address}/${sentence.signalId}/${sentence.messageNumber === sentence.totalMessages ? 'last' : sentence.messageNumber}`;
+  }
+  return address;
+}
+
+/**
+ * Parse a UTC time tag
+ * @param {string} tag - Time as hhmmss.ss or hh:mm:ss.ss
+ * @returns {number|null} Milliseconds since midnight, null when missing or malformed
+ */
+function timeOfDay(tag) {
+  if (!tag) {
+    return null;
+  }
+
+  const digits = tag.replace(/:/g, '');
+  if (!/^\d{6}(\.\d+)?$/.test(digits)) {
+    return null;
+  }
+
+  const hours = parseInt(digits.substring(0, 2), 10);
+  const minutes = parseInt(digits.substring(2, 4), 10);
+  const seconds = parseFloat(digits.substring(4));
+  return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
+}
+
+/**
+ * Format milliseconds since midnight
+ * @param {number} time - Milliseconds since midnight
+ * @returns {string} hh:mm:ss.sss
+ */
+function formatTimeOfDay(time) {
+  return new Date(time).toISOString().substring(11, 23);
+}
+
+/**
+ * Take a field from the first sentence that has it
+ * @param {...*} sources - Pairs of sentence and field name
+ * @returns {*} Value, null when no sentence has it
+ */
+function pick(...sources) {
+  for (let i = 0; i < sources.length; i += 2) {
+    const sentence = sources[i];
+    const value = sentence ? sentence[sources[i + 1]] : null;
+    if (value !== null && value !== undefined && !Number.isNaN(value)) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Count satellites once each, however many sentences or signals report them
+ * @param {Object[]} satellites - Satellites with prn and constellation
+ * @returns {number} Number of distinct satellites
+ */
+function uniqueSatellites(satellites) {
+  return new Set(satellites.map(satellite => `${satellite.constellation}|${satellite.prn}`)).size;
+}
+
+/**
+ * Get the GGA quality indicator of a fix type
+ * @param {string} fix - Fix type
+ * @returns {number} Quality indicator
+ */
+function qualityOf(fix) {
+  const entry = Object.entries(QUALITY_FIX_TYPES).find(([, type]) => type === fix);
+  return entry ? parseInt(entry[0], 10) : 0;
+}
+
+export default FixAssembler;
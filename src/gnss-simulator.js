@@ -0,0 +1,804 @@
+/**
+ * GnssSimulator - Generates self-consistent NMEA output for a simulated receiver
+ *
+ * Satellites fly circular Walker-constellation orbits and are seen from the
+ * simulated antenna position, so elevations, azimuths, the satellites used
+ * and the DOPs all follow from the same geometry. The fix quality is either
+ * scripted or follows the RTCM corrections handed to receiveCorrections()
+ * (autonomous, then DGPS, float and fixed as the corrections keep coming).
+ * Reported positions carry noise matching the accuracy the GST sentence
+ * reports for the current fix. Nothing needs a network or hardware, and a
+ * given seed always produces the same output.
+ */
+import { DEFAULT_CONNECTION_SETTINGS } from './constants.js';
+import { NmeaEncoder } from './nmea-encoder.js';
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_E2 = 6.69437999014e-3;
+const EARTH_GM = 3.986004418e14;
+const EARTH_ROTATION_RATE = 7.2921151467e-5; // rad/s
+
+const DEG = Math.PI / 180;
+const KNOTS_PER_MPS = 1.943844;
+
+/**
+ * Constellation models: Walker orbits with the real systems' radius and inclination.
+ * System IDs are the NMEA 4.10/4.11 GSA values, signal IDs the GSV values of the
+ * signal reported (L1 C/A, L1OF, E1, B1I).
+ */
+const CONSTELLATIONS = {
+  GPS: { talker: 'GP', systemId: 1, signalId: 1, firstId: 1, planes: 6, perPlane: 4, radius: 26559700, inclination: 55, phase: 0 },
+  GLONASS: { talker: 'GL', systemId: 2, signalId: 1, firstId: 65, planes: 3, perPlane: 8, radius: 25508200, inclination: 64.8, phase: 0.3 },
+  Galileo: { talker: 'GA', systemId: 3, signalId: 7, firstId: 1, planes: 3, perPlane: 8, radius: 29600300, inclination: 56, phase: 0.7 },
+  BeiDou: { talker: 'GB', systemId: 4, signalId: 1, firstId: 19, planes: 3, perPlane: 8, radius: 27906100, inclination: 55, phase: 1.1 }
+};
+
+/**
+ * Fix types: GGA quality, RMC/VTG mode indicator and the user range error (m)
+ * that DOPs scale into position accuracy
+ */
+const FIX_TYPES = {
+  none: { quality: 0, mode: 'N', rangeError: null },
+  autonomous: { quality: 1, mode: 'A', rangeError: 2.0 },
+  dgps: { quality: 2, mode: 'D', rangeError: 0.7 },
+  fixed: { quality: 4, mode: 'R', rangeError: 0.01 },
+  float: { quality: 5, mode: 'F', rangeError: 0.25 }
+};
+
+// Most satellites a GSA sentence can list
+const MAX_SATELLITES_PER_GSA = 12;
+
+// Correlation of position noise between epochs, so positions wander rather than jump
+const NOISE_CORRELATION = 0.9;
+
+// Formats the sentences of each epoch
+const nmeaEncoder = new NmeaEncoder();
+
+export class GnssSimulator {
+  /**
+   * Create a simulator
+   * @param {Object} options - Simulation options
+   * @param {Object} options.origin - Start or centre position { latitude, longitude, altitude }
+   * @param {Object|Function} options.trajectory - { type: 'static' | 'line' | 'circle' | 'waypoints', ... }
+   *   or a function of elapsed seconds returning { latitude, longitude, altitude }
+   * @param {number} options.rate - Epochs per second
+   * @param {number} options.startTime - Time of the first epoch (Unix ms, defaults to now)
+   * @param {string[]} options.constellations - Any of 'GPS', 'GLONASS', 'Galileo', 'BeiDou'
+   * @param {number} options.elevationMask - Lowest elevation (degrees) used in the fix
+   * @param {Object[]} options.fixScript - Scripted fix types [{ at: seconds, fix: 'none' | 'autonomous' | 'dgps' | 'float' | 'fixed' }]
+   * @param {number} options.floatDelay - Seconds of corrections before a float fix
+   * @param {number} options.fixDelay - Seconds of corrections before a fixed solution
+   * @param {number} options.correctionTimeout - Seconds without corrections before falling back to autonomous
+   * @param {string[]} options.sentences - Sentences output each epoch, in order
+   * @param {number} options.geoidSeparation - Geoid separation reported in GGA (m)
+   * @param {number} options.seed - Seed for the position noise and signal strengths
+   */
+  constructor(options = {}) {
+    const defaults = DEFAULT_CONNECTION_SETTINGS.simulator;
+
+    this.origin = { ...defaults.origin, ...options.origin };
+    this.trajectory = createTrajectory(options.trajectory || { type: 'static' }, this.origin);
+    this.rate = options.rate || defaults.rate;
+    this.interval = 1000 / this.rate;
+    this.startTime = options.startTime !== undefined ?
+      options.startTime :
+      Math.floor(Date.now() / this.interval) * this.interval;
+    this.time = this.startTime;
+    this.constellations = options.constellations || defaults.constellations;
+    this.elevationMask = options.elevationMask !== undefined ? options.elevationMask : defaults.elevationMask;
+    this.fixScript = options.fixScript ? [...options.fixScript].sort((a, b) => a.at - b.at) : null;
+    this.floatDelay = options.floatDelay !== undefined ? options.floatDelay : defaults.floatDelay;
+    this.fixDelay = options.fixDelay !== undefined ? options.fixDelay : defaults.fixDelay;
+    this.correctionTimeout = options.correctionTimeout || defaults.correctionTimeout;
+    this.sentences = options.sentences || defaults.sentences;
+    this.geoidSeparation = options.geoidSeparation || 0;
+    this.random = createRandom(options.seed !== undefined ? options.seed : 1);
+
+    const unknown = this.constellations.filter(name => !CONSTELLATIONS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown constellations: ${unknown.join(', ')}`);
+    }
+
+    this.satellites = createSatellites(this.constellations);
+    this.noise = { east: 0, north: 0, up: 0 };
+    this.corrections = {
+      since: null,      // Start of the current run of corrections (Unix ms)
+      last: null,       // Last correction received (Unix ms)
+      stationId: null,
+      messages: 0
+    };
+  }
+
+  /**
+   * Compute the current epoch and advance to the next one
+   * @returns {Object} Epoch { time, truth, position, velocity, fix, quality, satellites, dop, accuracy, correctionAge, stationId, sentences }
+   */
+  next() {
+    const epoch = this.computeEpoch(this.time);
+    epoch.sentences = this.formatEpoch(epoch);
+    this.time += this.interval;
+    return epoch;
+  }
+
+  /**
+   * Accept RTCM frames written to the receiver
+   * @param {Object[]} frames - Frames from RtcmParser ({ messageType, message })
+   */
+  receiveCorrections(frames) {
+    if (frames.length === 0) {
+      return;
+    }
+
+    const corrections = this.corrections;
+    if (corrections.last === null || (this.time - corrections.last) / 1000 > this.correctionTimeout) {
+      corrections.since = this.time;
+    }
+    corrections.last = this.time;
+    corrections.messages += frames.length;
+
+    for (const frame of frames) {
+      if (frame.message && frame.message.stationId !== undefined) {
+        corrections.stationId = frame.message.stationId;
+      }
+    }
+  }
+
+  /**
+   * Compute the state of the simulated receiver
+   * @param {number} time - Epoch time (Unix ms)
+   * @returns {Object} Epoch without sentences
+   */
+  computeEpoch(time) {
+    const elapsed = (time - this.startTime) / 1000;
+    const truth = this.trajectory(elapsed);
+    const velocity = this.computeVelocity(elapsed, truth);
+
+    // Sky view from the antenna
+    const receiver = geodeticToEcef(truth.latitude, truth.longitude, truth.altitude);
+    const satellites = [];
+    for (const satellite of this.satellites) {
+      const look = lookAngles(receiver, truth, satellitePosition(satellite, time));
+      if (look.elevation <= 0) {
+        continue;
+      }
+      satellites.push({
+        constellation: satellite.constellation,
+        id: satellite.id,
+        elevation: look.elevation,
+        azimuth: look.azimuth,
+        snr: Math.round(Math.min(50, Math.max(15, 20 + 30 * Math.sin(look.elevation * DEG) + 2 * this.random.normal()))),
+        used: false
+      });
+    }
+
+    // Use the highest satellites above the mask, up to a GSA sentence per constellation
+    for (const name of this.constellations) {
+      satellites
+        .filter(satellite => satellite.constellation === name && satellite.elevation >= this.elevationMask)
+        .sort((a, b) => b.elevation - a.elevation)
+        .slice(0, MAX_SATELLITES_PER_GSA)
+        .forEach(satellite => { satellite.used = true; });
+    }
+
+    const used = satellites.filter(satellite => satellite.used);
+    const geometry = used.length >= 4 ? dilutionOfPrecision(used) : null;
+    const fix = geometry ? this.currentFix(time, elapsed) : 'none';
+    const fixType = FIX_TYPES[fix];
+
+    // Position noise matching the reported accuracy
+    let accuracy = null;
+    let position = null;
+    this.noise = {
+      east: NOISE_CORRELATION * this.noise.east + Math.sqrt(1 - NOISE_CORRELATION ** 2) * this.random.normal(),
+      north: NOISE_CORRELATION * this.noise.north + Math.sqrt(1 - NOISE_CORRELATION ** 2) * this.random.normal(),
+      up: NOISE_CORRELATION * this.noise.up + Math.sqrt(1 - NOISE_CORRELATION ** 2) * this.random.normal()
+    };
+    if (fixType.rangeError !== null) {
+      accuracy = errorEllipse(geometry.covariance, fixType.rangeError);
+      position = offsetPosition(truth,
+        this.noise.east * accuracy.east,
+        this.noise.north * accuracy.north,
+        this.noise.up * accuracy.up);
+    }
+
+    const corrected = fixType.quality >= 2 && this.corrections.last !== null;
+
+    return {
+      time,
+      truth,
+      position,
+      velocity,
+      fix,
+      quality: fixType.quality,
+      satellites,
+      dop: geometry ? { pdop: geometry.pdop, hdop: geometry.hdop, vdop: geometry.vdop } : null,
+      accuracy,
+      correctionAge: corrected ? (time - this.corrections.last) / 1000 : null,
+      stationId: corrected ? this.corrections.stationId : null
+    };
+  }
+
+  /**
+   * Velocity over ground from the trajectory
+   * @param {number} elapsed - Seconds since the start
+   * @param {Object} truth - Position at elapsed
+   * @returns {Object} { speed (m/s), course (degrees, null when stationary) }
+   */
+  computeVelocity(elapsed, truth) {
+    const dt = 0.5;
+    const before = this.trajectory(Math.max(0, elapsed - dt));
+    const span = elapsed >= dt ? dt : elapsed;
+    if (span === 0) {
+      const after = this.trajectory(dt);
+      return velocityBetween(truth, after, dt);
+    }
+    return velocityBetween(before, truth, span);
+  }
+
+  /**
+   * Fix type from the script or the corrections received
+   * @param {number} time - Epoch time (Unix ms)
+   * @param {number} elapsed - Seconds since the start
+   * @returns {string} Fix type
+   */
+  currentFix(time, elapsed) {
+    if (this.fixScript) {
+      let fix = 'autonomous';
+      for (const step of this.fixScript) {
+        if (step.at <= elapsed) {
+          fix = step.fix;
+        }
+      }
+      if (!FIX_TYPES[fix]) {
+        throw new Error(`Unknown fix type in script: ${fix}`);
+      }
+      return fix;
+    }
+
+    const corrections = this.corrections;
+    if (corrections.last === null || (time - corrections.last) / 1000 > this.correctionTimeout) {
+      return 'autonomous';
+    }
+
+    const converging = (time - corrections.since) / 1000;
+    if (converging >= this.fixDelay) {
+      return 'fixed';
+    }
+    return converging >= this.floatDelay ? 'float' : 'dgps';
+  }
+
+  /**
+   * Format an epoch as NMEA sentences
+   * @param {Object} epoch - Epoch from computeEpoch()
+   * @returns {string[]} Sentences without line endings
+   */
+  formatEpoch(epoch) {
+    const talker = this.constellations.length === 1 ? CONSTELLATIONS[this.constellations[0]].talker : 'GN';
+    const sentences = [];
+
+    for (const type of this.sentences) {
+      switch (type) {
+        case 'GGA':
+          sentences.push(formatGga(talker, epoch, this.geoidSeparation));
+          break;
+        case 'RMC':
+          sentences.push(formatRmc(talker, epoch));
+          break;
+        case 'VTG':
+          sentences.push(formatVtg(talker, epoch));
+          break;
+        case 'GSA':
+          sentences.push(...formatGsa(talker, epoch, this.constellations));
+          break;
+        case 'GSV':
+          sentences.push(...formatGsv(epoch, this.constellations));
+          break;
+        case 'GST':
+          sentences.push(formatGst(talker, epoch));
+          break;
+        default:
+          throw new Error(`Unsupported simulated sentence: ${type}`);
+      }
+    }
+
+    return sentences;
+  }
+}
+
+/**
+ * Create the satellites of the chosen constellations
+ * @param {string[]} names - Constellation names
+ * @returns {Object[]} Satellites with their orbital elements
+ */
+function createSatellites(names) {
+  const satellites = [];
+
+  for (const name of names) {
+    const model = CONSTELLATIONS[name];
+    const total = model.planes * model.perPlane;
+
+    for (let plane = 0; plane < model.planes; plane++) {
+      for (let slot = 0; slot < model.perPlane; slot++) {
+        satellites.push({
+          constellation: name,
+          id: model.firstId + plane * model.perPlane + slot,
+          radius: model.radius,
+          inclination: model.inclination * DEG,
+          ascendingNode: 2 * Math.PI * plane / model.planes + model.phase,
+          // Walker phasing: neighbouring planes are offset by one slot's worth / planes
+          argumentOfLatitude: 2 * Math.PI * slot / model.perPlane + 2 * Math.PI * plane / total + model.phase,
+          meanMotion: Math.sqrt(EARTH_GM / model.radius ** 3)
+        });
+      }
+    }
+  }
+
+  return satellites;
+}
+
+/**
+ * Earth-fixed position of a satellite
+ * @param {Object} satellite - Satellite from createSatellites()
+ * @param {number} time - Unix ms
+ * @returns {number[]} ECEF [x, y, z] in metres
+ */
+function satellitePosition(satellite, time) {
+  const seconds = time / 1000;
+  const u = satellite.argumentOfLatitude + satellite.meanMotion * seconds;
+  // Earth's rotation moves the node westwards in the Earth-fixed frame
+  const node = satellite.ascendingNode - EARTH_ROTATION_RATE * seconds;
+  const cosU = Math.cos(u);
+  const sinU = Math.sin(u);
+  const cosI = Math.cos(satellite.inclination);
+
+  return [
+    satellite.radius * (cosU * Math.cos(node) - sinU * cosI * Math.sin(node)),
+    satellite.radius * (cosU * Math.sin(node) + sinU * cosI * Math.cos(node)),
+    satellite.radius * sinU * Math.sin(satellite.inclination)
+  ];
+}
+
+/**
+ * Convert geodetic coordinates to ECEF
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees
+ * @param {number} altitude - Ellipsoidal height (m)
+ * @returns {number[]} ECEF [x, y, z] in metres
+ */
+function geodeticToEcef(latitude, longitude, altitude) {
+  const lat = latitude * DEG;
+  const lon = longitude * DEG;
+  const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * Math.sin(lat) ** 2);
+
+  return [
+    (n + altitude) * Math.cos(lat) * Math.cos(lon),
+    (n + altitude) * Math.cos(lat) * Math.sin(lon),
+    (n * (1 - WGS84_E2) + altitude) * Math.sin(lat)
+  ];
+}
+
+/**
+ * Elevation and azimuth of a satellite seen from the receiver
+ * @param {number[]} receiver - Receiver ECEF position
+ * @param {Object} position - Receiver geodetic position
+ * @param {number[]} satellite - Satellite ECEF position
+ * @returns {Object} { elevation, azimuth } in degrees
+ */
+function lookAngles(receiver, position, satellite) {
+  const lat = position.latitude * DEG;
+  const lon = position.longitude * DEG;
+  const dx = satellite[0] - receiver[0];
+  const dy = satellite[1] - receiver[1];
+  const dz = satellite[2] - receiver[2];
+
+  const east = -Math.sin(lon) * dx + Math.cos(lon) * dy;
+  const north = -Math.sin(lat) * Math.cos(lon) * dx - Math.sin(lat) * Math.sin(lon) * dy + Math.cos(lat) * dz;
+  const up = Math.cos(lat) * Math.cos(lon) * dx + Math.cos(lat) * Math.sin(lon) * dy + Math.sin(lat) * dz;
+
+  return {
+    elevation: Math.atan2(up, Math.hypot(east, north)) / DEG,
+    azimuth: (Math.atan2(east, north) / DEG + 360) % 360
+  };
+}
+
+/**
+ * Dilution of precision for a set of satellites
+ * @param {Object[]} satellites - Satellites with elevation and azimuth
+ * @returns {Object|null} { pdop, hdop, vdop, covariance (east/north/up cofactors) }, null for singular geometry
+ */
+function dilutionOfPrecision(satellites) {
+  // Normal matrix of the geometry matrix rows [e, n, u, 1]
+  const normal = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+  for (const satellite of satellites) {
+    const el = satellite.elevation * DEG;
+    const az = satellite.azimuth * DEG;
+    const row = [Math.cos(el) * Math.sin(az), Math.cos(el) * Math.cos(az), Math.sin(el), 1];
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  }
+
+  const q = invert4(normal);
+  if (!q) {
+    return null;
+  }
+
+  return {
+    pdop: Math.sqrt(q[0][0] + q[1][1] + q[2][2]),
+    hdop: Math.sqrt(q[0][0] + q[1][1]),
+    vdop: Math.sqrt(q[2][2]),
+    covariance: { ee: q[0][0], nn: q[1][1], uu: q[2][2], en: q[0][1] }
+  };
+}
+
+/**
+ * Invert a 4x4 matrix by Gauss-Jordan elimination
+ * @param {number[][]} matrix - Matrix
+ * @returns {number[][]|null} Inverse, null if singular
+ */
+function invert4(matrix) {
+  const size = 4;
+  const a = matrix.map((row, i) => [...row, ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))]);
+
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(a[pivot][column]) < 1e-12) {
+      return null;
+    }
+    [a[column], a[pivot]] = [a[pivot], a[column]];
+
+    const divisor = a[column][column];
+    for (let j = 0; j < 2 * size; j++) {
+      a[column][j] /= divisor;
+    }
+    for (let row = 0; row < size; row++) {
+      if (row !== column) {
+        const factor = a[row][column];
+        for (let j = 0; j < 2 * size; j++) {
+          a[row][j] -= factor * a[column][j];
+        }
+      }
+    }
+  }
+
+  return a.map(row => row.slice(size));
+}
+
+/**
+ * Position accuracy for a geometry and user range error
+ * @param {Object} covariance - Cofactors from dilutionOfPrecision()
+ * @param {number} rangeError - User range error (m)
+ * @returns {Object} Standard deviations (m) east, north, up, the error ellipse and rms
+ */
+function errorEllipse(covariance, rangeError) {
+  const variance = rangeError ** 2;
+  const ee = covariance.ee * variance;
+  const nn = covariance.nn * variance;
+  const en = covariance.en * variance;
+
+  const mean = (ee + nn) / 2;
+  const spread = Math.sqrt(((nn - ee) / 2) ** 2 + en ** 2);
+
+  return {
+    east: Math.sqrt(ee),
+    north: Math.sqrt(nn),
+    up: Math.sqrt(covariance.uu * variance),
+    semiMajor: Math.sqrt(mean + spread),
+    semiMinor: Math.sqrt(Math.max(0, mean - spread)),
+    // Bearing of the semi-major axis from true north
+    orientation: ((0.5 * Math.atan2(2 * en, nn - ee) / DEG) + 180) % 180,
+    rms: rangeError
+  };
+}
+
+/**
+ * Move a position by local east/north/up offsets
+ * @param {Object} position - { latitude, longitude, altitude }
+ * @param {number} east - Metres
+ * @param {number} north - Metres
+ * @param {number} up - Metres
+ * @returns {Object} New position
+ */
+function offsetPosition(position, east, north, up) {
+  const lat = position.latitude * DEG;
+  const sin2 = Math.sin(lat) ** 2;
+  const meridianRadius = WGS84_A * (1 - WGS84_E2) / Math.pow(1 - WGS84_E2 * sin2, 1.5);
+  const normalRadius = WGS84_A / Math.sqrt(1 - WGS84_E2 * sin2);
+
+  return {
+    latitude: position.latitude + north / (meridianRadius + position.altitude) / DEG,
+    longitude: position.longitude + east / ((normalRadius + position.altitude) * Math.cos(lat)) / DEG,
+    altitude: position.altitude + up
+  };
+}
+
+/**
+ * Local east/north offset from one position to another
+ * @param {Object} from - { latitude, longitude, altitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {Object} { east, north } in metres
+ */
+function localOffset(from, to) {
+  const lat = from.latitude * DEG;
+  const sin2 = Math.sin(lat) ** 2;
+  const meridianRadius = WGS84_A * (1 - WGS84_E2) / Math.pow(1 - WGS84_E2 * sin2, 1.5);
+  const normalRadius = WGS84_A / Math.sqrt(1 - WGS84_E2 * sin2);
+
+  return {
+    east: (to.longitude - from.longitude) * DEG * (normalRadius + from.altitude) * Math.cos(lat),
+    north: (to.latitude - from.latitude) * DEG * (meridianRadius + from.altitude)
+  };
+}
+
+/**
+ * Speed and course between two positions
+ * @param {Object} from - Earlier position
+ * @param {Object} to - Later position
+ * @param {number} seconds - Time between them
+ * @returns {Object} { speed (m/s), course (degrees, null when stationary) }
+ */
+function velocityBetween(from, to, seconds) {
+  const { east, north } = localOffset(from, to);
+  const speed = Math.hypot(east, north) / seconds;
+
+  return {
+    speed,
+    course: speed < 0.05 ? null : (Math.atan2(east, north) / DEG + 360) % 360
+  };
+}
+
+/**
+ * Create a trajectory function
+ * @param {Object|Function} trajectory - Trajectory description or function of elapsed seconds
+ * @param {Object} origin - Start or centre position
+ * @returns {Function} Position at elapsed seconds
+ */
+function createTrajectory(trajectory, origin) {
+  if (typeof trajectory === 'function') {
+    return (elapsed) => ({ altitude: origin.altitude, ...trajectory(elapsed) });
+  }
+
+  const speed = trajectory.speed || 0;
+
+  switch (trajectory.type || 'static') {
+    case 'static':
+      return () => ({ ...origin });
+
+    case 'line': {
+      // Straight line from the origin at a constant heading
+      const heading = (trajectory.heading || 0) * DEG;
+      return (elapsed) => offsetPosition(origin,
+        speed * elapsed * Math.sin(heading),
+        speed * elapsed * Math.cos(heading),
+        0);
+    }
+
+    case 'circle': {
+      // Clockwise circle around the origin, starting due north of it
+      const radius = trajectory.radius || 50;
+      return (elapsed) => {
+        const angle = speed * elapsed / radius;
+        return offsetPosition(origin, radius * Math.sin(angle), radius * Math.cos(angle), 0);
+      };
+    }
+
+    case 'waypoints': {
+      // Polyline through the waypoints, back to the first one when loop is set
+      const points = (trajectory.waypoints || []).map(point => ({ altitude: origin.altitude, ...point }));
+      if (points.length === 0) {
+        throw new Error('Waypoint trajectory needs waypoints');
+      }
+      if (trajectory.loop && points.length > 1) {
+        points.push(points[0]);
+      }
+
+      const legs = [];
+      let total = 0;
+      for (let i = 1; i < points.length; i++) {
+        const { east, north } = localOffset(points[i - 1], points[i]);
+        const length = Math.hypot(east, north);
+        legs.push({ from: points[i - 1], to: points[i], start: total, length, east, north });
+        total += length;
+      }
+
+      return (elapsed) => {
+        if (legs.length === 0 || total === 0) {
+          return { ...points[0] };
+        }
+
+        let distance = speed * elapsed;
+        distance = trajectory.loop ? distance % total : Math.min(distance, total);
+        const leg = legs.find(candidate => distance <= candidate.start + candidate.length) || legs[legs.length - 1];
+        const fraction = leg.length > 0 ? (distance - leg.start) / leg.length : 0;
+
+        return offsetPosition(leg.from,
+          leg.east * fraction,
+          leg.north * fraction,
+          (leg.to.altitude - leg.from.altitude) * fraction);
+      };
+    }
+
+    default:
+      throw new Error(`Unknown trajectory type: ${trajectory.type}`);
+  }
+}
+
+/**
+ * Seeded pseudo-random numbers (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Object} { uniform(), normal() }
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const uniform = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    uniform,
+    // Standard normal deviate (Box-Muller)
+    normal: () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform())
+  };
+}
+
+/**
+ * GGA - fix data
+ * @param {string} talker - Talker ID
+ * @param {Object} epoch - Epoch
+ * @param {number} geoidSeparation - Geoid separation (m)
+ * @returns {string} Sentence
+ */
+function formatGga(talker, epoch, geoidSeparation) {
+  const used = epoch.satellites.filter(satellite => satellite.used).length;
+  const fixed = epoch.position !== null;
+
+  return nmeaEncoder.encode({
+    type: 'GGA',
+    talker,
+    time: epoch.time,
+    latitude: fixed ? epoch.position.latitude : null,
+    longitude: fixed ? epoch.position.longitude : null,
+    fixQuality: epoch.quality,
+    satellites: fixed ? used : 0,
+    hdop: epoch.dop ? epoch.dop.hdop : null,
+    altitude: fixed ? epoch.position.altitude - geoidSeparation : null,
+    geoidHeight: geoidSeparation,
+    dgpsAge: epoch.correctionAge,
+    dgpsStation: epoch.correctionAge !== null ? epoch.stationId : null
+  });
+}
+
+/**
+ * RMC - recommended minimum data
+ * @param {string} talker - Talker ID
+ * @param {Object} epoch - Epoch
+ * @returns {string} Sentence
+ */
+function formatRmc(talker, epoch) {
+  const fixed = epoch.position !== null;
+
+  return nmeaEncoder.encode({
+    type: 'RMC',
+    talker,
+    time: epoch.time,
+    date: epoch.time,
+    status: fixed ? 'A' : 'V',
+    latitude: fixed ? epoch.position.latitude : null,
+    longitude: fixed ? epoch.position.longitude : null,
+    speed: fixed ? epoch.velocity.speed * KNOTS_PER_MPS : null,
+    course: fixed ? epoch.velocity.course : null,
+    mode: FIX_TYPES[epoch.fix].mode
+  });
+}
+
+/**
+ * VTG - course and speed over ground
+ * @param {string} talker - Talker ID
+ * @param {Object} epoch - Epoch
+ * @returns {string} Sentence
+ */
+function formatVtg(talker, epoch) {
+  const fixed = epoch.position !== null;
+
+  return nmeaEncoder.encode({
+    type: 'VTG',
+    talker,
+    courseTrue: fixed ? epoch.velocity.course : null,
+    speedKnots: fixed ? epoch.velocity.speed * KNOTS_PER_MPS : null,
+    speedKmh: fixed ? epoch.velocity.speed * 3.6 : null,
+    mode: FIX_TYPES[epoch.fix].mode
+  });
+}
+
+/**
+ * GSA - satellites used and DOPs, one sentence per constellation (NMEA 4.10 system ID)
+ * @param {string} talker - Talker ID
+ * @param {Object} epoch - Epoch
+ * @param {string[]} constellations - Simulated constellations
+ * @returns {string[]} Sentences
+ */
+function formatGsa(talker, epoch, constellations) {
+  const fixed = epoch.position !== null;
+  const dop = epoch.dop && fixed ? epoch.dop : {};
+
+  return constellations.map(name => nmeaEncoder.encode({
+    type: 'GSA',
+    talker,
+    mode: 'A',
+    fixType: fixed ? 3 : 1,
+    satellites: fixed ?
+      epoch.satellites
+        .filter(satellite => satellite.used && satellite.constellation === name)
+        .map(satellite => satellite.id)
+        .slice(0, MAX_SATELLITES_PER_GSA) :
+      [],
+    pdop: dop.pdop,
+    hdop: dop.hdop,
+    vdop: dop.vdop,
+    systemId: CONSTELLATIONS[name].systemId
+  }));
+}
+
+/**
+ * GSV - satellites in view, four per sentence, per constellation talker (NMEA 4.10 signal ID)
+ * @param {Object} epoch - Epoch
+ * @param {string[]} constellations - Simulated constellations
+ * @returns {string[]} Sentences
+ */
+function formatGsv(epoch, constellations) {
+  return constellations.flatMap(name => {
+    const model = CONSTELLATIONS[name];
+    const inView = epoch.satellites
+      .filter(satellite => satellite.constellation === name)
+      .sort((a, b) => a.id - b.id);
+
+    return nmeaEncoder.encodeGsvGroup({
+      talker: model.talker,
+      signalId: model.signalId,
+      satellites: inView.map(satellite => ({
+        prn: satellite.id,
+        elevation: Math.round(satellite.elevation),
+        azimuth: Math.round(satellite.azimuth) % 360,
+        snr: satellite.snr
+      }))
+    });
+  });
+}
+
+/**
+ * GST - position error statistics
+ * @param {string} talker - Talker ID
+ * @param {Object} epoch - Epoch
+ * @returns {string} Sentence
+ */
+function formatGst(talker, epoch) {
+  const accuracy = epoch.accuracy || {};
+
+  return nmeaEncoder.encode({
+    type: 'GST',
+    talker,
+    time: epoch.time,
+    rms: accuracy.rms,
+    semiMajorError: accuracy.semiMajor,
+    semiMinorError: accuracy.semiMinor,
+    orientationError: accuracy.orientation,
+    latitudeError: accuracy.north,
+    longitudeError: accuracy.east,
+    heightError: accuracy.up
+  });
+}
+
+export default GnssSimulator;
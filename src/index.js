@@ -6,11 +6,39 @@
  */
 import { EventEmitter } from './event-emitter.js';
 import { NmeaParser } from './nmea-parser.js';
+import { NmeaEncoder } from './nmea-encoder.js';
+import { NmeaParserStream } from './nmea-stream.js';
+import { EventIterator } from './event-iterator.js';
+import { ParserWorkerClient } from './parser-worker-client.js';
+import { SatelliteRegistry } from './satellite-registry.js';
+import { FixAssembler } from './fix-assembler.js';
+import { PROPRIETARY_DECODERS } from './proprietary-sentences.js';
+import { UbxParser } from './ubx-parser.js';
+import { RtcmParser } from './rtcm-parser.js';
+import { StreamDemuxer } from './stream-demuxer.js';
 import { NtripClient } from './ntrip-client.js';
+import { DeviceConfigurator } from './device-configurator.js';
 import { Settings } from './settings.js';
+import { SessionRecorder, parseSessionLog, exportSessionLog } from './session-recorder.js';
+import { formatPosition } from './coordinates.js';
+import {
+  createEnvironment,
+  isNode,
+  IndexedDbStorage,
+  MemoryStorage,
+  FileStorage,
+  IndexedDbRecordingStore,
+  MemoryRecordingStore,
+  FileRecordingStore
+} from './environment.js';
 import { ConnectionManager } from './connection/connection-manager.js';
 import { BluetoothHandler } from './connection/bluetooth-handler.js';
 import { SerialHandler } from './connection/serial-handler.js';
+import { NodeSerialHandler } from './connection/node-serial-handler.js';
+import { TcpHandler } from './connection/tcp-handler.js';
+import { ReplayHandler } from './connection/replay-handler.js';
+import { SimulatorHandler } from './connection/simulator-handler.js';
+import { GnssSimulator } from './gnss-simulator.js';
 import { RtkSettings } from './ui/rtk-settings.js'; 
 import { RtkStatus } from './ui/rtk-status.js';
 import { DeviceSettings } from './ui/device-settings.js';
@@ -29,8 +57,13 @@ class GnssModule {
     // Initialize event system
     this.events = new EventEmitter();
     
+    // Platform adapters (storage, location, navigator, network) - see environment.js
+    this.environment = createEnvironment(options.environment);
+    
     // Initialize settings
-    this.settings = new Settings(options.settings);
+    this.settings = new Settings({
+      storage: this.environment.storage
+    });
     
     // Initialize other properties
     this.debugSettings = options.debugSettings || {
@@ -49,29 +82,108 @@ class GnssModule {
     
     // Create and register connection handlers
     this.bluetoothHandler = new BluetoothHandler(this.events, {
-      debug: this.debugSettings
+      debug: this.debugSettings,
+      navigator: this.environment.navigator
     });
     this.serialHandler = new SerialHandler(this.events, {
+      debug: this.debugSettings,
+      navigator: this.environment.navigator
+    });
+    this.tcpHandler = new TcpHandler(this.events, {
+      debug: this.debugSettings,
+      environment: this.environment
+    });
+    this.replayHandler = new ReplayHandler(this.events, {
+      debug: this.debugSettings
+    });
+    this.simulatorHandler = new SimulatorHandler(this.events, {
       debug: this.debugSettings
     });
     
     // Register connection handlers with the connection manager
     this.connectionManager.registerConnectionMethod(this.bluetoothHandler);
     this.connectionManager.registerConnectionMethod(this.serialHandler);
+    this.connectionManager.registerConnectionMethod(this.tcpHandler);
+    this.connectionManager.registerConnectionMethod(this.replayHandler);
+    this.connectionManager.registerConnectionMethod(this.simulatorHandler);
+    
+    // Serial ports in Node.js (serialport package), e.g. /dev/ttyACM0 on a headless base station
+    if (isNode() || options.SerialPort) {
+      this.nodeSerialHandler = new NodeSerialHandler(this.events, {
+        debug: this.debugSettings,
+        SerialPort: options.SerialPort
+      });
+      this.connectionManager.registerConnectionMethod(this.nodeSerialHandler);
+    }
     
     // Initialize NMEA parser
     this.nmeaParser = new NmeaParser({
-      events: this.events
+      events: this.events,
+      satelliteTimeout: options.satelliteTimeout,
+      proprietaryDecoders: options.proprietaryDecoders,
+      strict: options.strictNmea
+    });
+    
+    // Initialize UBX parser for u-blox binary messages
+    this.ubxParser = new UbxParser({
+      events: this.events,
+      debug: this.debugSettings
+    });
+    
+    // Initialize RTCM3 parser for corrections output by the device (base station mode)
+    this.rtcmParser = new RtcmParser({
+      events: this.events,
+      debug: this.debugSettings
+    });
+    
+    // Initialize the demultiplexer that routes device bytes to the parsers
+    this.streamDemuxer = new StreamDemuxer({
+      events: this.events,
+      nmeaParser: this.nmeaParser,
+      ubxParser: this.ubxParser,
+      rtcmParser: this.rtcmParser,
+      debug: this.debugSettings
+    });
+    
+    // Parse device data in a dedicated Worker instead (options.worker: true, or { url } / { worker });
+    // the parsers above then stay idle and the worker's events are re-emitted on this.events
+    if (options.worker && options.proprietaryDecoders) {
+      throw new Error('proprietaryDecoders cannot be used with worker: decoder functions cannot be sent to the parser worker');
+    }
+    this.parserWorker = options.worker
+      ? new ParserWorkerClient(this.events, {
+        ...(options.worker === true ? {} : options.worker),
+        strict: options.strictNmea,
+        satelliteTimeout: options.satelliteTimeout,
+        debug: this.debugSettings
+      })
+      : null;
+    
+    // Initialize the configuration engine that applies device settings over UBX
+    this.deviceConfigurator = new DeviceConfigurator({
+      events: this.events,
+      connectionManager: this.connectionManager,
+      debug: this.debugSettings,
+      ...options.deviceConfig
     });
     
     // Initialize NTRIP client
     this.ntripClient = new NtripClient({
       events: this.events,
-      settings: this.settings
+      settings: this.settings,
+      environment: this.environment
+    });
+    
+    // Initialize the recorder for raw device and NTRIP streams
+    this.recorder = new SessionRecorder({
+      events: this.events,
+      store: this.environment.recordings,
+      debug: this.debugSettings,
+      ...options.recording
     });
     
-    // Initialize UI components if enabled
-    if (options.ui !== false) {
+    // Initialize UI components if enabled (never without a DOM, e.g. in Node.js)
+    if (options.ui !== false && typeof document !== 'undefined') {
       this.rtkSettings = new RtkSettings({
         events: this.events,
         settings: this.settings,
@@ -80,6 +192,7 @@ class GnssModule {
       
       this.rtkStatus = new RtkStatus({
         events: this.events,
+        settings: this.settings,
         selector: options.rtkStatusSelector
       });
       
@@ -93,6 +206,15 @@ class GnssModule {
     // Last known position
     this.currentPosition = null;
     
+    // Last complete fix (one per epoch)
+    this.currentFix = null;
+    
+    // Last satellite list
+    this.satellites = null;
+    
+    // Add a formatted field (settings.ui coordinate format and units) to position and fix events
+    this.formattedPositions = options.formattedPositions || false;
+    
     // Setup internal event listeners
     this._setupEventListeners();
   }
@@ -102,11 +224,30 @@ class GnssModule {
    * @private
    */
   _setupEventListeners() {
+    // Data flow from the device to the parsers through the demultiplexer, set up once for every connection
+    // Only listen for the standardized device:data event
+    this.events.on(EVENTS.DATA_RECEIVED, (data) => {
+      if (this.parserWorker) {
+        this.parserWorker.push(data);
+      } else {
+        this.streamDemuxer.push(data);
+      }
+    });
+    
     // Listen for position updates from NMEA parser
     this.events.on(EVENTS.POSITION_UPDATE, (position) => {
       this.currentPosition = position;
+      // Keep the NTRIP client's GGA and nearest-mountpoint selection current
+      this.ntripClient.updatePosition(position);
       // Forward position update using the public API event name
-      this.events.emit(EVENTS.POSITION, position);
+      this.events.emit(EVENTS.POSITION, this.formattedPositions ? this.withFormatted(position) : position);
+    });
+    
+    // Listen for complete per-epoch fixes from NMEA parser
+    this.events.on(EVENTS.FIX_UPDATE, (fix) => {
+      this.currentFix = fix;
+      // Forward fix using the public API event name
+      this.events.emit(EVENTS.FIX, this.formattedPositions ? this.withFormatted(fix) : fix);
     });
     
     // Listen for satellite updates from NMEA parser
@@ -118,13 +259,13 @@ class GnssModule {
     
     // Forward RTCM data to device when connected
     this.events.on(EVENTS.NTRIP_DATA, (rtcmData) => {
-      if (this.connectionManager.isConnected()) {
+      if (this.connectionManager.isDeviceConnected()) {
         this.connectionManager.sendData(rtcmData.data);
       }
     });
     
-    // Handle device settings application request
-    this.events.on(EVENTS.DEVICE_CONFIGURING, (settings) => {
+    // Handle device settings application request from the DeviceSettings UI
+    this.events.on(EVENTS.DEVICE_APPLY_SETTINGS, (settings) => {
       this.configureDevice(settings);
     });
   }
@@ -136,17 +277,7 @@ class GnssModule {
    */
   async connectDevice(options = {}) {
     try {
-      const connected = await this.connectionManager.connect(options);
-      
-      if (connected) {
-        // Setup data flow from device to NMEA parser
-        // Only listen for the standardized device:data event
-        this.events.on(EVENTS.DATA_RECEIVED, (data) => {
-          this.nmeaParser.parse(data);
-        });
-      }
-      
-      return connected;
+      return await this.connectionManager.connect(options);
     } catch (error) {
       this.events.emit(EVENTS.CONNECTION_ERROR, { message: error.message });
       return false;
@@ -186,7 +317,10 @@ class GnssModule {
       }
       
       // Request device directly (this must happen in direct response to user gesture)
-      const device = await navigator.bluetooth.requestDevice(requestOptions);
+      if (!this.bluetoothHandler.isAvailable()) {
+        throw new Error('Web Bluetooth API is not supported in this environment');
+      }
+      const device = await this.environment.navigator.bluetooth.requestDevice(requestOptions);
       
       // Now pass the selected device to the connection manager
       return this.connectDevice({ 
@@ -218,13 +352,66 @@ class GnssModule {
     });
   }
   
+  /**
+   * Connect specifically via TCP (Wi-Fi receivers)
+   * @param {Object} options - TCP connection options (host, port, secure, bridgeUrl)
+   * @returns {Promise<boolean>} Connection success
+   */
+  async connectTcp(options = {}) {
+    return this.connectDevice({ 
+      ...options,
+      method: 'tcp'
+    });
+  }
+  
+  /**
+   * Replay a recorded log in place of a live receiver
+   * @param {Object} options - Replay options (source, path or the name of a stored recording, format, speed, loop)
+   * @returns {Promise<boolean>} Whether the recording was loaded
+   */
+  async connectReplay(options = {}) {
+    if (options.recording) {
+      const source = await this.recorder.read(options.recording);
+      if (!source) {
+        this.events.emit('replay:error', { message: `Recording not found: ${options.recording}` });
+        return false;
+      }
+      options = { name: options.recording, ...options, source };
+    }
+    
+    return this.connectDevice({ 
+      ...options,
+      method: 'replay'
+    });
+  }
+  
+  /**
+   * Connect to the simulated receiver (no hardware needed)
+   * @param {Object} options - Simulation options (origin, trajectory, rate, constellations, fixScript, speed)
+   * @returns {Promise<boolean>} Connection success
+   */
+  async connectSimulator(options = {}) {
+    return this.connectDevice({ 
+      ...options,
+      method: 'simulator'
+    });
+  }
+  
   /**
    * Connect to NTRIP caster
-   * @param {Object} options - Connection options
+   * @param {Object} options - Connection options (set autoMountpoint to select the nearest mountpoint)
    * @returns {Promise<boolean>} Connection success
    */
   async connectNtrip(options = {}) {
     try {
+      // Let the client pick (and follow) the nearest mountpoint from the sourcetable
+      if (options.autoMountpoint) {
+        return await this.ntripClient.enableAutoMountpoint({
+          ...options,
+          position: this.currentPosition
+        });
+      }
+      
       return await this.ntripClient.connect({
         ...options,
         position: this.currentPosition
@@ -235,6 +422,17 @@ class GnssModule {
     }
   }
   
+  /**
+   * Download and parse an NTRIP caster's sourcetable
+   * @param {string} host - Caster host (defaults to the configured caster)
+   * @param {number} port - Caster port
+   * @param {Object} options - Connection mode, credentials and timeout
+   * @returns {Promise<Object>} Parsed sourcetable { streams, casters, networks, complete }
+   */
+  async getSourcetable(host, port, options = {}) {
+    return this.ntripClient.getSourcetable(host, port, options);
+  }
+  
   /**
    * Disconnect from device
    * @returns {Promise<void>}
@@ -251,6 +449,46 @@ class GnssModule {
     return this.ntripClient.disconnect();
   }
   
+  /**
+   * Start recording the raw device and NTRIP streams
+   * @param {Object} options - Recording options (name, maxFileSize, maxFiles, flushInterval, channels)
+   * @returns {Promise<Object>} Recording status
+   */
+  async startRecording(options = {}) {
+    return this.recorder.start(options);
+  }
+  
+  /**
+   * Stop recording
+   * @returns {Promise<Object|null>} Summary of the recording, null if none was running
+   */
+  async stopRecording() {
+    return this.recorder.stop();
+  }
+  
+  /**
+   * List stored recording segments
+   * @returns {Promise<Object[]>} Segments as { name, size }
+   */
+  async listRecordings() {
+    return this.recorder.list();
+  }
+  
+  /**
+   * Export a stored recording as a plain protocol stream
+   * @param {string} name - Segment or session name
+   * @param {string} format - 'ubx', 'nmea' or 'rtcm3'
+   * @param {Object} options - Export options (channels)
+   * @returns {Promise<Uint8Array>} Stream bytes
+   */
+  async exportRecording(name, format, options = {}) {
+    const log = await this.recorder.read(name);
+    if (!log) {
+      throw new Error(`Recording not found: ${name}`);
+    }
+    return exportSessionLog(log, format, options);
+  }
+  
   /**
    * Get current position
    * @returns {Object|null} Current position
@@ -259,6 +497,34 @@ class GnssModule {
     return this.currentPosition;
   }
   
+  /**
+   * Format a position or fix with the coordinate format and unit system of settings.ui
+   * @param {Object} [position] - Position or fix, the current position by default
+   * @returns {Object|null} { coordinates, altitude, speed } strings, see coordinates.js formatPosition()
+   */
+  formatPosition(position = this.currentPosition) {
+    return formatPosition(position, this.settings.getSection('ui'));
+  }
+  
+  /**
+   * Copy a position or fix with its formatted values added
+   * @param {Object} position - Position or fix
+   * @returns {Object} Position with a formatted field
+   * @private
+   */
+  withFormatted(position) {
+    return { ...position, formatted: this.formatPosition(position) };
+  }
+  
+  /**
+   * Get the fix of the last complete epoch
+   * @returns {Object|null} Fix with ISO time, position, heights, fix type, satellites, DOPs,
+   *   accuracy, speed/course, correction age and station ID
+   */
+  getFix() {
+    return this.currentFix;
+  }
+  
   /**
    * Get satellite information
    * @returns {Array|null} Satellite information
@@ -277,40 +543,41 @@ class GnssModule {
   
   /**
    * Configure the device with specified settings
-   * @param {Object} settings - Device settings to apply
-   * @returns {Promise<boolean>} Success flag
+   *
+   * Settings are sent as UBX CFG-VALSET (generation 9+) or legacy CFG-*
+   * messages and each one is acknowledged by the receiver. The outcome per
+   * setting is reported in the device:configured event.
+   * @param {Object} settings - Device settings to apply (defaults to the saved device section)
+   * @returns {Promise<boolean>} Whether every setting was acknowledged
    */
   async configureDevice(settings = {}) {
     try {
       // Check if connected
-      if (!this.connectionManager.isConnected()) {
-        this.events.emit('device:error', { message: 'Not connected to any device' });
+      if (!this.connectionManager.isDeviceConnected()) {
+        this.events.emit(EVENTS.DEVICE_ERROR, { message: 'Not connected to any device' });
         return false;
       }
       
       // If no settings provided, use saved device settings
-      const deviceSettings = settings.gnssSystems ? 
+      const deviceSettings = settings && Object.keys(settings).length > 0 ? 
         settings : 
         this.settings.getSection('device');
       
       // Emit event before applying settings
-      this.events.emit('device:configuring', { settings: deviceSettings });
+      this.events.emit(EVENTS.DEVICE_CONFIGURING, { settings: deviceSettings });
       
-      // Currently this is a placeholder - in a real implementation, 
-      // you would send configuration commands to the device
-      // For example, with u-blox devices, you'd send UBX configuration messages
+      const report = await this.deviceConfigurator.configure(deviceSettings);
       
-      // For now, we'll just simulate a successful configuration
-      setTimeout(() => {
-        this.events.emit('device:configured', { 
-          settings: deviceSettings,
-          success: true
-        });
-      }, 1000);
+      this.events.emit(EVENTS.DEVICE_CONFIGURED, { 
+        settings: deviceSettings,
+        success: report.success,
+        protocol: report.protocol,
+        results: report.results
+      });
       
-      return true;
+      return report.success;
     } catch (error) {
-      this.events.emit('device:error', { 
+      this.events.emit(EVENTS.DEVICE_ERROR, { 
         message: 'Error configuring device',
         error
       });
@@ -336,6 +603,50 @@ class GnssModule {
   off(event, callback) {
     this.events.off(event, callback);
   }
+  
+  /**
+   * Iterate over position updates with `for await`
+   * @param {Object} options - Iterator options
+   * @param {AbortSignal} [options.signal] - Ends the iteration when aborted
+   * @param {number} [options.maxBuffered=100] - Updates kept while the loop is busy, oldest dropped first
+   * @returns {EventIterator} Async iterable of positions, as emitted with 'position'
+   */
+  positions(options = {}) {
+    return new EventIterator(this.events, EVENTS.POSITION, options);
+  }
+  
+  /**
+   * Iterate over satellite updates with `for await`
+   *
+   * This is the satellites() iterator: that name is taken by the satellites
+   * property (the last satellite list), which stays as it was.
+   * @param {Object} options - Iterator options (see positions())
+   * @returns {EventIterator} Async iterable of satellite lists, as emitted with 'satellites'
+   */
+  satelliteUpdates(options = {}) {
+    return new EventIterator(this.events, EVENTS.SATELLITES, options);
+  }
+  
+  /**
+   * Iterate over parsed NMEA sentences with `for await`
+   * @param {Object} options - Iterator options (see positions())
+   * @returns {EventIterator} Async iterable of parsed sentences, as emitted with 'nmea:sentence'
+   */
+  sentences(options = {}) {
+    return new EventIterator(this.events, EVENTS.NMEA_SENTENCE, options);
+  }
+  
+  /**
+   * Iterate over RTCM3 frames with `for await`
+   * @param {Object} options - Iterator options (see positions())
+   * @param {string} [options.source='ntrip'] - 'ntrip' for corrections from the caster, 'device' for
+   *   frames output by the receiver (base station mode)
+   * @returns {EventIterator} Async iterable of frames: { data, messageType, message } from NTRIP, { data } from the device
+   */
+  rtcmFrames(options = {}) {
+    const event = options.source === 'device' ? EVENTS.STREAM_RTCM : EVENTS.NTRIP_DATA;
+    return new EventIterator(this.events, event, options);
+  }
 }
 
 // Export the main module class
@@ -344,17 +655,62 @@ export { GnssModule };
 // Export other classes for extensibility
 export { EventEmitter };
 export { NmeaParser };
+export { NmeaEncoder };
+export { NmeaParserStream };
+export { EventIterator };
+export { ParserWorkerClient };
+export { buildSentence } from './nmea-encoder.js';
+export { SatelliteRegistry };
+export { FixAssembler };
+export { PROPRIETARY_DECODERS };
+export { UbxParser };
+export { RtcmParser };
+export { StreamDemuxer };
 export { NtripClient };
+export { parseSourcetable } from './ntrip-sourcetable.js';
+export { DeviceConfigurator };
 export { Settings };
+export { SessionRecorder, parseSessionLog, exportSessionLog };
+export {
+  utmZone,
+  toUtm,
+  fromUtm,
+  toUps,
+  fromUps,
+  toMgrs,
+  fromMgrs,
+  toUsng,
+  toDms,
+  toDdm,
+  fromDms,
+  formatCoordinates,
+  formatLength,
+  formatSpeed,
+  formatPosition
+} from './coordinates.js';
+export {
+  createEnvironment,
+  IndexedDbStorage,
+  MemoryStorage,
+  FileStorage,
+  IndexedDbRecordingStore,
+  MemoryRecordingStore,
+  FileRecordingStore
+};
 export { ConnectionManager };
 export { BluetoothHandler };
 export { SerialHandler };
+export { NodeSerialHandler };
+export { TcpHandler };
+export { ReplayHandler };
+export { SimulatorHandler };
+export { GnssSimulator };
 export { RtkSettings };
 export { RtkStatus };
 export { DeviceSettings };
 
 // Export constants for advanced usage
-export { EVENTS, BLE_SERVICES, BLE_CHARACTERISTICS } from './constants.js';
+export { EVENTS, BLE_SERVICES, BLE_CHARACTERISTICS, UBX_CLASSES, NMEA_TALKER_IDS, NMEA_SYSTEM_IDS, NMEA_SIGNAL_IDS, NMEA_ERROR_REASONS } from './constants.js';
 
 // Export default GnssModule as the primary entry point
 export default GnssModule;
\ No newline at end of file
@@ -0,0 +1,564 @@
+/**
+ * NmeaEncoder - Builds NMEA sentences and receiver commands from typed objects
+ *
+ * Takes the objects NmeaParser returns (type GGA, RMC, ...) so sentences
+ * round-trip through the parser, computes the checksum and returns the
+ * sentence without a line ending. Numeric fields are formatted to a fixed
+ * number of decimals; a string is written as given, and null or undefined
+ * leaves the field empty.
+ */
+import { NMEA_SYSTEM_IDS } from './constants.js';
+
+// u-blox PUBX,40 rate fields, in sentence order
+const PUBX_PORTS = ['ddc', 'uart1', 'uart2', 'usb', 'spi'];
+
+// Characters that may not appear in a field; TXT sends them as ^ and two hex digits
+const RESERVED_CHARACTERS = /[\r\n$*,!\\^~]/g;
+
+export class NmeaEncoder {
+  /**
+   * Create an NMEA encoder
+   * @param {Object} options - Encoder options
+   * @param {string} options.talker - Talker ID for objects without one (default 'GP')
+   */
+  constructor(options = {}) {
+    this.talker = options.talker || 'GP';
+  }
+
+  /**
+   * Encode a sentence
+   * @param {Object} data - Sentence fields with a type, e.g. { type: 'GGA', latitude, longitude, ... }
+   * @returns {string} Sentence with checksum, without line ending
+   */
+  encode(data) {
+    if (!data || !data.type) {
+      throw new Error('Sentence type is required');
+    }
+
+    switch (data.type) {
+      case 'GGA':
+        return this.encodeGGA(data);
+      case 'GNS':
+        return this.encodeGNS(data);
+      case 'RMC':
+        return this.encodeRMC(data);
+      case 'GLL':
+        return this.encodeGLL(data);
+      case 'VTG':
+        return this.encodeVTG(data);
+      case 'GSA':
+        return this.encodeGSA(data);
+      case 'GSV':
+        return this.encodeGSV(data);
+      case 'GST':
+        return this.encodeGST(data);
+      case 'ZDA':
+        return this.encodeZDA(data);
+      case 'HDT':
+        return this.encodeHDT(data);
+      case 'THS':
+        return this.encodeTHS(data);
+      case 'TXT':
+        return this.encodeTXT(data);
+      case 'PUBX':
+        return this.encodePUBX(data);
+      default:
+        // Other proprietary sentences and commands, e.g. { type: 'PQTMCFGMSGRATE', fields: ['W', 'GGA', 1] }
+        if (data.type.startsWith('P') && Array.isArray(data.fields)) {
+          return buildSentence(data.type, data.fields);
+        }
+        throw new Error(`Unsupported NMEA sentence: ${data.type}`);
+    }
+  }
+
+  /**
+   * GGA - fix data
+   * @param {Object} data - time, latitude, longitude, fixQuality, satellites, hdop, altitude,
+   *   geoidHeight, dgpsAge, dgpsStation
+   * @returns {string} Sentence
+   */
+  encodeGGA(data) {
+    return buildSentence(this.address(data, 'GGA'), [
+      formatTime(data.time),
+      ...formatPosition(data.latitude, data.longitude),
+      formatInteger(data.fixQuality),
+      formatInteger(data.satellites, 2),
+      formatNumber(data.hdop, 2),
+      formatNumber(data.altitude, 3),
+      'M',
+      formatNumber(data.geoidHeight, 3),
+      'M',
+      formatNumber(data.dgpsAge, 1),
+      formatInteger(data.dgpsStation, 4)
+    ]);
+  }
+
+  /**
+   * GNS - multi-constellation fix data
+   * @param {Object} data - time, latitude, longitude, modeIndicator, satellites, hdop, altitude,
+   *   geoidHeight, dgpsAge, dgpsStation, navStatus
+   * @returns {string} Sentence
+   */
+  encodeGNS(data) {
+    return buildSentence(this.address(data, 'GNS'), [
+      formatTime(data.time),
+      ...formatPosition(data.latitude, data.longitude),
+      data.modeIndicator || 'N',
+      formatInteger(data.satellites, 2),
+      formatNumber(data.hdop, 2),
+      formatNumber(data.altitude, 3),
+      formatNumber(data.geoidHeight, 3),
+      formatNumber(data.dgpsAge, 1),
+      formatInteger(data.dgpsStation, 4),
+      ...optional(data.navStatus)
+    ]);
+  }
+
+  /**
+   * RMC - recommended minimum data
+   * @param {Object} data - time, date, status, latitude, longitude, speed (knots), course,
+   *   magneticVariation, magneticVariationDirection, mode
+   * @returns {string} Sentence
+   */
+  encodeRMC(data) {
+    return buildSentence(this.address(data, 'RMC'), [
+      formatTime(data.time),
+      data.status || (data.latitude !== null && data.latitude !== undefined ? 'A' : 'V'),
+      ...formatPosition(data.latitude, data.longitude),
+      formatNumber(data.speed, 3),
+      formatNumber(data.course, 2),
+      formatDate(data.date !== undefined ? data.date : data.time),
+      formatNumber(data.magneticVariation, 1),
+      data.magneticVariationDirection || '',
+      ...optional(data.mode),
+      ...optional(data.navStatus)
+    ]);
+  }
+
+  /**
+   * GLL - latitude and longitude
+   * @param {Object} data - latitude, longitude, time, status, mode
+   * @returns {string} Sentence
+   */
+  encodeGLL(data) {
+    return buildSentence(this.address(data, 'GLL'), [
+      ...formatPosition(data.latitude, data.longitude),
+      formatTime(data.time),
+      data.status || (data.latitude !== null && data.latitude !== undefined ? 'A' : 'V'),
+      ...optional(data.mode)
+    ]);
+  }
+
+  /**
+   * VTG - course and speed over ground
+   * @param {Object} data - courseTrue, courseMagnetic, speedKnots, speedKmh, mode
+   * @returns {string} Sentence
+   */
+  encodeVTG(data) {
+    return buildSentence(this.address(data, 'VTG'), [
+      formatNumber(data.courseTrue, 2),
+      'T',
+      formatNumber(data.courseMagnetic, 2),
+      'M',
+      formatNumber(data.speedKnots, 3),
+      'N',
+      formatNumber(data.speedKmh, 3),
+      'K',
+      ...optional(data.mode)
+    ]);
+  }
+
+  /**
+   * GSA - satellites used and DOPs
+   * @param {Object} data - mode, fixType, satellites (up to 12 IDs), pdop, hdop, vdop and, for NMEA 4.10+,
+   *   systemId or constellation
+   * @returns {string} Sentence
+   */
+  encodeGSA(data) {
+    const satellites = data.satellites || [];
+    if (satellites.length > 12) {
+      throw new Error('GSA lists at most 12 satellites');
+    }
+
+    return buildSentence(this.address(data, 'GSA'), [
+      data.mode || 'A',
+      formatInteger(data.fixType !== undefined ? data.fixType : 1),
+      ...Array.from({ length: 12 }, (_, i) => formatInteger(satellites[i], 2)),
+      formatNumber(data.pdop, 2),
+      formatNumber(data.hdop, 2),
+      formatNumber(data.vdop, 2),
+      ...optional(formatHex(systemIdOf(data)))
+    ]);
+  }
+
+  /**
+   * GSV - satellites in view, one sentence of a group
+   * @param {Object} data - totalMessages, messageNumber, satellitesInView, satellites (up to 4, each with prn,
+   *   elevation, azimuth, snr) and, for NMEA 4.10+, signalId
+   * @returns {string} Sentence
+   */
+  encodeGSV(data) {
+    const satellites = data.satellites || [];
+    if (satellites.length > 4) {
+      throw new Error('GSV carries at most 4 satellites');
+    }
+
+    const fields = [
+      formatInteger(data.totalMessages !== undefined ? data.totalMessages : 1),
+      formatInteger(data.messageNumber !== undefined ? data.messageNumber : 1),
+      formatInteger(data.satellitesInView !== undefined ? data.satellitesInView : satellites.length, 2)
+    ];
+    for (const satellite of satellites) {
+      fields.push(
+        formatInteger(satellite.prn !== undefined ? satellite.prn : satellite.svId, 2),
+        formatInteger(satellite.elevation, 2),
+        formatInteger(typeof satellite.azimuth === 'number' ? satellite.azimuth % 360 : satellite.azimuth, 3),
+        formatInteger(satellite.snr, 2)
+      );
+    }
+    fields.push(...optional(formatHex(data.signalId)));
+
+    return buildSentence(this.address(data, 'GSV'), fields);
+  }
+
+  /**
+   * GSV - a complete group, four satellites per sentence
+   * @param {Object} data - talker, satellites and, for NMEA 4.10+, signalId
+   * @returns {string[]} Sentences
+   */
+  encodeGsvGroup(data) {
+    const satellites = data.satellites || [];
+    const totalMessages = Math.max(1, Math.ceil(satellites.length / 4));
+
+    return Array.from({ length: totalMessages }, (_, i) => this.encodeGSV({
+      ...data,
+      totalMessages,
+      messageNumber: i + 1,
+      satellitesInView: satellites.length,
+      satellites: satellites.slice(i * 4, i * 4 + 4)
+    }));
+  }
+
+  /**
+   * GST - position error statistics
+   * @param {Object} data - time, rms, semiMajorError, semiMinorError, orientationError, latitudeError,
+   *   longitudeError, heightError
+   * @returns {string} Sentence
+   */
+  encodeGST(data) {
+    return buildSentence(this.address(data, 'GST'), [
+      formatTime(data.time),
+      formatNumber(data.rms, 3),
+      formatNumber(data.semiMajorError, 3),
+      formatNumber(data.semiMinorError, 3),
+      formatNumber(data.orientationError, 1),
+      formatNumber(data.latitudeError, 3),
+      formatNumber(data.longitudeError, 3),
+      formatNumber(data.heightError, 3)
+    ]);
+  }
+
+  /**
+   * ZDA - time and date
+   * @param {Object} data - time, date (YYYY-MM-DD, or taken from time), localZoneHours, localZoneMinutes
+   * @returns {string} Sentence
+   */
+  encodeZDA(data) {
+    const date = formatDate(data.date !== undefined ? data.date : data.time, true);
+
+    return buildSentence(this.address(data, 'ZDA'), [
+      formatTime(data.time),
+      date.substring(0, 2),
+      date.substring(2, 4),
+      date.substring(4),
+      formatSigned(data.localZoneHours !== undefined ? data.localZoneHours : 0),
+      formatSigned(data.localZoneMinutes !== undefined ? data.localZoneMinutes : 0)
+    ]);
+  }
+
+  /**
+   * HDT - true heading
+   * @param {Object} data - heading
+   * @returns {string} Sentence
+   */
+  encodeHDT(data) {
+    return buildSentence(this.address(data, 'HDT'), [formatNumber(data.heading, 2), 'T']);
+  }
+
+  /**
+   * THS - true heading and status
+   * @param {Object} data - heading, mode
+   * @returns {string} Sentence
+   */
+  encodeTHS(data) {
+    return buildSentence(this.address(data, 'THS'), [formatNumber(data.heading, 2), data.mode || 'A']);
+  }
+
+  /**
+   * TXT - text transmission
+   * @param {Object} data - text, textId, messageNumber, totalMessages
+   * @returns {string} Sentence
+   */
+  encodeTXT(data) {
+    const text = String(data.text || '').replace(RESERVED_CHARACTERS, char =>
+      `^${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+    return buildSentence(this.address(data, 'TXT'), [
+      formatInteger(data.totalMessages !== undefined ? data.totalMessages : 1, 2),
+      formatInteger(data.messageNumber !== undefined ? data.messageNumber : 1, 2),
+      formatInteger(data.textId !== undefined ? data.textId : 7, 2),
+      text
+    ]);
+  }
+
+  /**
+   * u-blox PUBX: POSITION (00) output, RATE (40) and POLL commands
+   * @param {Object} data - message and its fields; other messages take a fields array
+   * @returns {string} Sentence
+   */
+  encodePUBX(data) {
+    switch (data.message) {
+      case 'POSITION':
+        return buildSentence('PUBX', [
+          '00',
+          formatTime(data.time),
+          ...formatPosition(data.latitude, data.longitude),
+          formatNumber(data.altitude, 3),
+          data.navStatus || 'NF',
+          formatNumber(data.horizontalAccuracy, 1),
+          formatNumber(data.verticalAccuracy, 1),
+          formatNumber(data.speedKmh, 3),
+          formatNumber(data.course, 2),
+          formatNumber(data.verticalVelocity, 3),
+          formatNumber(data.correctionAge, 1),
+          formatNumber(data.hdop, 2),
+          formatNumber(data.vdop, 2),
+          formatNumber(data.tdop, 2),
+          formatInteger(data.satellites),
+          '0',
+          data.deadReckoning ? '1' : '0'
+        ]);
+      case 'RATE':
+        return this.pubxRate(data.sentence, data.rates);
+      case 'POLL':
+        return buildSentence('PUBX', [data.id || '00']);
+      default:
+        if (!data.message || !Array.isArray(data.fields)) {
+          throw new Error(`Unsupported PUBX message: ${data.message}`);
+        }
+        return buildSentence('PUBX', [data.message, ...data.fields]);
+    }
+  }
+
+  /**
+   * u-blox PUBX,40 - set the output rate of a standard sentence
+   * @param {string} sentence - Sentence type, e.g. 'GGA'
+   * @param {number|Object} rates - Output every n navigation epochs (0 = off) on every port, or per port:
+   *   { ddc, uart1, uart2, usb, spi }, missing ports off
+   * @returns {string} Sentence
+   */
+  pubxRate(sentence, rates = 1) {
+    return buildSentence('PUBX', [
+      '40',
+      sentence,
+      ...PUBX_PORTS.map(port => formatInteger(typeof rates === 'number' ? rates : rates[port] || 0)),
+      '0'
+    ]);
+  }
+
+  /**
+   * Quectel PQTM command
+   * @param {string} command - Command after PQTM, e.g. 'CFGMSGRATE'
+   * @param {Array} fields - Command fields
+   * @returns {string} Sentence
+   */
+  pqtm(command, fields = []) {
+    return buildSentence(`PQTM${command}`, fields);
+  }
+
+  /**
+   * Build the address of a standard sentence
+   * @param {Object} data - Sentence fields, with an optional talker
+   * @param {string} type - Sentence type
+   * @returns {string} Address, e.g. 'GNGGA'
+   * @private
+   */
+  address(data, type) {
+    return `${data.talker || this.talker}${type}`;
+  }
+}
+
+/**
+ * Build a sentence from its address and fields
+ * @param {string} address - Talker and type, e.g. 'GPGGA', or a proprietary address such as 'PUBX'
+ * @param {Array} fields - Data fields
+ * @returns {string} Sentence with checksum, without line ending
+ */
+export function buildSentence(address, fields = []) {
+  const body = [address, ...fields.map(field => (field === null || field === undefined ? '' : field))].join(',');
+  return `$${body}*${checksum(body)}`;
+}
+
+/**
+ * Compute an NMEA checksum
+ * @param {string} body - Everything between '$' and '*'
+ * @returns {string} Two upper-case hex digits
+ */
+export function checksum(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    sum ^= body.charCodeAt(i);
+  }
+  return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Format a decimal field
+ * @param {number|string|null} value - Number, or a string written as given
+ * @param {number} digits - Decimals
+ * @returns {string} Field
+ */
+function formatNumber(value, digits) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '';
+}
+
+/**
+ * Format an integer field
+ * @param {number|string|null} value - Number, or a string written as given
+ * @param {number} width - Minimum number of digits
+ * @returns {string} Field
+ */
+function formatInteger(value, width = 1) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return typeof value === 'number' && Number.isFinite(value)
+    ? String(Math.round(value)).padStart(width, '0')
+    : '';
+}
+
+/**
+ * Format a signed two-digit field, e.g. the ZDA local zone
+ * @param {number|string} value - Number, or a string written as given
+ * @returns {string} Field, e.g. '-05' or '00'
+ */
+function formatSigned(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return `${value < 0 ? '-' : ''}${String(Math.abs(value)).padStart(2, '0')}`;
+}
+
+/**
+ * Format a hexadecimal ID field (NMEA 4.10 system and signal IDs)
+ * @param {number|null} value - ID
+ * @returns {string|null} Field, null when there is no ID
+ */
+function formatHex(value) {
+  return typeof value === 'number' ? value.toString(16).toUpperCase() : null;
+}
+
+/**
+ * Keep a trailing field only when it has a value, so older sentence versions stay short
+ * @param {*} value - Field
+ * @returns {Array} The field, or nothing
+ */
+function optional(value) {
+  return value === null || value === undefined ? [] : [value];
+}
+
+/**
+ * Get the NMEA 4.10 system ID of a GSA
+ * @param {Object} data - GSA fields with systemId or constellation
+ * @returns {number|null} System ID
+ */
+function systemIdOf(data) {
+  // An explicit null keeps a parsed NMEA 4.0 GSA without one
+  if (data.systemId !== undefined) {
+    return typeof data.systemId === 'number' ? data.systemId : null;
+  }
+  const entry = Object.entries(NMEA_SYSTEM_IDS).find(([, name]) => name === data.constellation);
+  return entry ? parseInt(entry[0], 10) : null;
+}
+
+/**
+ * Format a UTC time as hhmmss.ss
+ * @param {number|Date|string} time - Unix ms, Date, or a time string (hhmmss.ss or hh:mm:ss.ss)
+ * @returns {string} Time field
+ */
+function formatTime(time) {
+  if (time === null || time === undefined) {
+    return '';
+  }
+  if (typeof time === 'string') {
+    return time.replace(/:/g, '');
+  }
+
+  // Round to the field's resolution first so 59.999 s never prints as 60.00
+  const date = new Date(Math.round(Number(time) / 10) * 10);
+  const seconds = date.getUTCSeconds() + date.getUTCMilliseconds() / 1000;
+  return String(date.getUTCHours()).padStart(2, '0') +
+    String(date.getUTCMinutes()).padStart(2, '0') +
+    seconds.toFixed(2).padStart(5, '0');
+}
+
+/**
+ * Format a UTC date as ddmmyy, or ddmmyyyy for ZDA
+ * @param {number|Date|string} date - Unix ms, Date, or YYYY-MM-DD
+ * @param {boolean} fullYear - Four-digit year
+ * @returns {string} Date field, empty when there is no date
+ */
+function formatDate(date, fullYear = false) {
+  if (date === null || date === undefined || (typeof date === 'string' && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    return '';
+  }
+
+  const value = typeof date === 'string' ? new Date(`${date}T00:00:00Z`) : new Date(date);
+  const year = String(value.getUTCFullYear());
+  return String(value.getUTCDate()).padStart(2, '0') +
+    String(value.getUTCMonth() + 1).padStart(2, '0') +
+    (fullYear ? year : year.substring(2));
+}
+
+/**
+ * Format latitude and longitude fields
+ * @param {number|null} latitude - Degrees
+ * @param {number|null} longitude - Degrees
+ * @returns {string[]} Latitude, N/S, longitude, E/W; empty without a position
+ */
+function formatPosition(latitude, longitude) {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return ['', '', '', ''];
+  }
+  return [
+    ...formatCoordinate(latitude, 2, ['N', 'S']),
+    ...formatCoordinate(longitude, 3, ['E', 'W'])
+  ];
+}
+
+/**
+ * Format a coordinate as (d)ddmm.mmmmmmm and hemisphere
+ * @param {number} value - Degrees
+ * @param {number} degreeDigits - 2 for latitude, 3 for longitude
+ * @param {string[]} hemispheres - [positive, negative]
+ * @returns {string[]} [value field, hemisphere field]
+ */
+function formatCoordinate(value, degreeDigits, hemispheres) {
+  const absolute = Math.abs(value);
+  let degrees = Math.floor(absolute);
+  let minutes = ((absolute - degrees) * 60).toFixed(7);
+  // 59.99999999 minutes rounds up to the next degree
+  if (minutes.startsWith('60')) {
+    degrees += 1;
+    minutes = (0).toFixed(7);
+  }
+  return [
+    String(degrees).padStart(degreeDigits, '0') + minutes.padStart(10, '0'),
+    value >= 0 ? hemispheres[0] : hemispheres[1]
+  ];
+}
+
+export default NmeaEncoder;
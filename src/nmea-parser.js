@@ -1,11 +1,98 @@
 /**
  * NmeaParser - Parses NMEA sentences from the GNSS receiver
  */
+import { NMEA_TALKER_IDS, NMEA_SYSTEM_IDS, NMEA_SIGNAL_IDS, NMEA_ERROR_REASONS } from './constants.js';
+import { SatelliteRegistry } from './satellite-registry.js';
+import { FixAssembler } from './fix-assembler.js';
+import { PROPRIETARY_DECODERS } from './proprietary-sentences.js';
+
+// GGA quality indicator by GNS mode character, ranked by solution precision for picking the best constellation
+const GNS_MODE_QUALITY = {
+  N: 0, // No fix
+  E: 6, // Estimated (dead reckoning)
+  M: 7, // Manual input
+  S: 8, // Simulator
+  A: 1, // Autonomous
+  D: 2, // Differential
+  P: 3, // Precise
+  F: 5, // Float RTK
+  R: 4 // Fixed RTK
+};
+const GNS_MODE_RANK = Object.keys(GNS_MODE_QUALITY);
+
+// Fewest fields (address included) of each sentence type, checked in strict mode; older NMEA versions send fewer
+const MIN_FIELDS = {
+  GGA: 15,
+  GSA: 18,
+  GSV: 4,
+  RMC: 12,
+  GST: 9,
+  VTG: 9,
+  GNS: 13,
+  GLL: 7,
+  ZDA: 7,
+  GBS: 9,
+  GRS: 15,
+  HDT: 3,
+  THS: 3,
+  TXT: 5
+};
+
+// Valid values of parsed numeric fields, checked in strict mode
+const FIELD_RANGES = {
+  latitude: [-90, 90],
+  longitude: [-180, 180],
+  fixQuality: [0, 8],
+  fixType: [1, 3],
+  satellites: [0, Infinity],
+  satellitesInView: [0, Infinity],
+  totalMessages: [1, Infinity],
+  messageNumber: [1, Infinity],
+  hdop: [0, Infinity],
+  pdop: [0, Infinity],
+  vdop: [0, Infinity],
+  dgpsAge: [0, Infinity],
+  speed: [0, Infinity],
+  speedKnots: [0, Infinity],
+  speedKmh: [0, Infinity],
+  course: [0, 360],
+  courseTrue: [0, 360],
+  courseMagnetic: [0, 360],
+  heading: [0, 360],
+  magneticVariation: [0, 180],
+  localZoneHours: [-13, 13],
+  localZoneMinutes: [-59, 59],
+  rms: [0, Infinity],
+  semiMajorError: [0, Infinity],
+  semiMinorError: [0, Infinity],
+  orientationError: [0, 360],
+  latitudeError: [0, Infinity],
+  longitudeError: [0, Infinity],
+  heightError: [0, Infinity],
+  altitudeError: [0, Infinity],
+  residualMode: [0, 1],
+  // GSV satellite blocks
+  prn: [1, Infinity],
+  elevation: [-90, 90],
+  azimuth: [0, 360],
+  snr: [0, 99]
+};
+
 export class NmeaParser {
   constructor(options = {}) {
     this.lastPosition = null;
-    this.lastSatellites = [];
-    this.satellitesById = {};
+    // Sky view keyed by constellation, SV ID and signal; satellites not reported for satelliteTimeout ms expire
+    this.satelliteRegistry = new SatelliteRegistry({
+      maxAge: options.satelliteTimeout
+    });
+    // Groups sentences by UTC time tag into one complete fix per epoch
+    this.fixAssembler = new FixAssembler();
+    this.lastFix = null;
+    // Proprietary sentence decoders by address prefix, e.g. 'PUBX'; see registerProprietary()
+    this.proprietaryDecoders = new Map(Object.entries({
+      ...PROPRIETARY_DECODERS,
+      ...options.proprietaryDecoders
+    }));
     this.buffer = '';
     this.sentenceStats = {
       GGA: 0,
@@ -14,10 +101,24 @@ export class NmeaParser {
       RMC: 0,
       GST: 0,
       VTG: 0,
+      GNS: 0,
+      GLL: 0,
+      ZDA: 0,
+      GBS: 0,
+      GRS: 0,
+      HDT: 0,
+      THS: 0,
+      TXT: 0,
+      PROPRIETARY: 0,
       UNKNOWN: 0
     };
+    // Rejected sentences by reason (NMEA_ERROR_REASONS)
+    this.errorStats = Object.fromEntries(Object.values(NMEA_ERROR_REASONS).map(reason => [reason, 0]));
     this.lastSentenceTime = Date.now();
     
+    // Strict mode also rejects short, malformed and unknown sentences, and leaves empty numeric fields null rather than 0
+    this.strict = options.strict || false;
+    
     // Store the event emitter if provided
     this.events = options.events || null;
     
@@ -99,6 +200,7 @@ export class NmeaParser {
     this.buffer = sentences.pop() || '';
     
     const results = [];
+    const fixes = [];
     let positionUpdated = false;
     let satellitesUpdated = false;
     
@@ -110,8 +212,15 @@ export class NmeaParser {
         if (parsed) {
           results.push(parsed);
           
+          // Collect fixes of the epochs this sentence completes
+          const fix = this.fixAssembler.push(parsed);
+          if (fix) {
+            fixes.push(fix);
+            this.lastFix = fix;
+          }
+          
           // Check if position data has been updated
-          if ((parsed.type === 'GGA' || parsed.type === 'RMC') && this.lastPosition) {
+          if (['GGA', 'RMC', 'GNS', 'GLL'].includes(parsed.type) && this.lastPosition) {
             positionUpdated = true;
           }
           
@@ -130,6 +239,13 @@ export class NmeaParser {
       }
     }
     
+    // Emit each parsed sentence (EVENTS.NMEA_SENTENCE)
+    if (this.events) {
+      for (const result of results) {
+        this.events.emit('nmea:sentence', result);
+      }
+    }
+    
     // Emit position event if we have new position data and an event emitter
     if (positionUpdated && this.events) {
       const position = this.getPosition();
@@ -144,6 +260,13 @@ export class NmeaParser {
       }
     }
     
+    // Emit one event per completed epoch
+    if (this.events) {
+      for (const fix of fixes) {
+        this.events.emit('fix:update', fix);
+      }
+    }
+    
     // Emit satellites event if we have new satellite data and an event emitter
     if (satellitesUpdated && this.events) {
       const satellites = this.getSatellites();
@@ -171,22 +294,20 @@ export class NmeaParser {
       
       sentence = sentence.trim();
       
+      // Lines that lost their start or end on a noisy link
       if (!sentence.startsWith('$') || sentence.length < 9) {
-        this.logger.debug('Invalid NMEA sentence format:', sentence);
-        return null;
+        return this.rejectSentence(NMEA_ERROR_REASONS.TRUNCATED, sentence, 'Invalid NMEA sentence format');
       }
       
       // Check for checksum
       const asteriskIndex = sentence.indexOf('*');
       if (asteriskIndex === -1) {
-        this.logger.debug('Missing checksum in NMEA sentence:', sentence);
-        return null;
+        return this.rejectSentence(NMEA_ERROR_REASONS.TRUNCATED, sentence, 'Missing checksum in NMEA sentence');
       }
       
       // Check checksum
       if (!this.validateChecksum(sentence)) {
-        this.logger.debug('Invalid NMEA checksum:', sentence);
-        return null;
+        return this.rejectSentence(NMEA_ERROR_REASONS.CHECKSUM, sentence, 'Invalid NMEA checksum');
       }
       
       // Log raw sentence for debugging
@@ -195,73 +316,107 @@ export class NmeaParser {
       // Split the sentence by commas, removing the '$' and checksum
       let parts = sentence.substring(1, asteriskIndex).split(',');
       if (parts.length < 1) {
-        this.logger.debug('Invalid NMEA sentence structure:', sentence);
-        return null;
+        return this.rejectSentence(NMEA_ERROR_REASONS.TRUNCATED, sentence, 'Invalid NMEA sentence structure');
       }
       
       const sentenceType = parts[0];
       if (!sentenceType || sentenceType.length < 3) {
-        this.logger.debug('Invalid NMEA sentence type:', sentenceType);
-        return null;
+        return this.rejectSentence(NMEA_ERROR_REASONS.TRUNCATED, sentence, 'Invalid NMEA sentence type');
       }
       
-      // Extract type without prefix (e.g., GPGGA -> GGA)
-      const typeWithoutPrefix = sentenceType.substring(2);
-      this.logger.parsedSentence(`Parsing NMEA sentence type: ${sentenceType} (${typeWithoutPrefix})`);
+      // Split the address into talker and sentence type (e.g., GAGSV -> GA, GSV);
+      // proprietary sentences ($P...) have no talker and keep their full address
+      const proprietary = sentenceType.startsWith('P');
+      const talker = proprietary ? null : sentenceType.substring(0, 2);
+      const type = proprietary ? sentenceType : sentenceType.substring(2);
+      this.logger.parsedSentence(`Parsing NMEA sentence type: ${sentenceType} (${type})`);
+      
+      if (this.strict && parts.length < MIN_FIELDS[type]) {
+        return this.rejectSentence(NMEA_ERROR_REASONS.TRUNCATED, sentence, `${type} sentence has too few fields`);
+      }
       
-      // Parse different sentence types
+      // Parse different sentence types, whichever constellation reports them
       let result;
-      switch (sentenceType) {
-        case 'GPGGA':
-        case 'GNGGA':
-        case 'BDGGA':
-        case 'GLGGA':
+      let decodedProprietary = false;
+      switch (type) {
+        case 'GGA':
           result = this.parseGGA(parts);
           break;
-        case 'GPGSA':
-        case 'GNGSA':
-        case 'BDGSA':
-        case 'GLGSA':
-          result = this.parseGSA(parts);
+        case 'GSA':
+          result = this.parseGSA(parts, talker);
           break;
-        case 'GPGSV':
-        case 'GNGSV':
-        case 'BDGSV':
-        case 'GLGSV':
-          result = this.parseGSV(parts);
+        case 'GSV':
+          result = this.parseGSV(parts, talker);
           break;
-        case 'GPRMC':
-        case 'GNRMC':
-        case 'BDRMC':
-        case 'GLRMC':
+        case 'RMC':
           result = this.parseRMC(parts);
           break;
-        case 'GPGST':
-        case 'GNGST':
-        case 'BDGST':
-        case 'GLGST':
+        case 'GST':
           result = this.parseGST(parts);
           break;
-        case 'GPVTG':
-        case 'GNVTG':
-        case 'BDVTG':
-        case 'GLVTG':
+        case 'VTG':
           result = this.parseVTG(parts);
           break;
+        case 'GNS':
+          result = this.parseGNS(parts);
+          break;
+        case 'GLL':
+          result = this.parseGLL(parts);
+          break;
+        case 'ZDA':
+          result = this.parseZDA(parts);
+          break;
+        case 'GBS':
+          result = this.parseGBS(parts, talker);
+          break;
+        case 'GRS':
+          result = this.parseGRS(parts, talker);
+          break;
+        case 'HDT':
+          result = this.parseHDT(parts);
+          break;
+        case 'THS':
+          result = this.parseTHS(parts);
+          break;
+        case 'TXT':
+          result = this.parseTXT(parts);
+          break;
         default: {
-          // For unknown sentence types, extract the last part of the type
-          // Common prefixes: GP = GPS, GN = GNSS, BD = BeiDou, GL = GLONASS, GA = Galileo
-          const match = sentenceType.match(/^(GP|GN|BD|GL|GA)(.+)$/);
-          const type = match ? match[2] : typeWithoutPrefix;
-          
+          // Proprietary sentences go to the decoder registered for the longest prefix of their address
+          const decoder = proprietary ? this.findProprietaryDecoder(type) : null;
+          const decoded = decoder ? decoder(parts) : null;
+          decodedProprietary = Boolean(decoded);
+          if (this.strict && !decodedProprietary) {
+            return this.rejectSentence(NMEA_ERROR_REASONS.UNKNOWN_TYPE, sentence, 'Unsupported NMEA sentence type');
+          }
           result = {
             type,
+            ...decoded,
             raw: sentence
           };
           break;
         }
       }
       
+      // Proprietary decoders check their own fields
+      if (this.strict && !proprietary) {
+        const field = invalidField(result);
+        if (field) {
+          return this.rejectSentence(NMEA_ERROR_REASONS.FIELD_RANGE, sentence, `Invalid ${type} field ${field}`, field);
+        }
+      }
+      
+      // Record which constellation reported the sentence, unless the sentence names it (GSA system ID)
+      if (result) {
+        result.talker = talker;
+        if (result.constellation === undefined) {
+          result.constellation = talkerConstellation(talker);
+        }
+        
+        // Only a sentence that passed the strict checks changes the position and sky view
+        this.applySentence(result);
+      }
+      
       // Add raw data for reference
       if (result) {
         result.raw = sentence;
@@ -270,6 +425,8 @@ export class NmeaParser {
         if (result.type) {
           if (this.sentenceStats.hasOwnProperty(result.type)) {
             this.sentenceStats[result.type]++;
+          } else if (decodedProprietary) {
+            this.sentenceStats.PROPRIETARY++;
           } else {
             this.sentenceStats.UNKNOWN++;
           }
@@ -284,6 +441,11 @@ export class NmeaParser {
         this.lastSentenceTime = now;
       }
       
+      // Announce decoded proprietary sentences (EVENTS.NMEA_PROPRIETARY)
+      if (decodedProprietary && this.events) {
+        this.events.emit('nmea:proprietary', result);
+      }
+      
       return result;
     } catch (error) {
       this.logger.error('Unexpected error parsing NMEA sentence:', error, sentence);
@@ -291,6 +453,168 @@ export class NmeaParser {
     }
   }
 
+  /**
+   * Count a rejected sentence and announce it (EVENTS.NMEA_ERROR)
+   * @param {string} reason - Reason from NMEA_ERROR_REASONS
+   * @param {string} sentence - Raw sentence text
+   * @param {string} message - Description for the debug log
+   * @param {string} [field] - Offending field, for field-range errors
+   * @returns {null} Result of the rejected sentence
+   * @private
+   */
+  rejectSentence(reason, sentence, message, field = null) {
+    this.errorStats[reason]++;
+    this.logger.debug(`${message}:`, sentence);
+    
+    if (this.events) {
+      this.events.emit('nmea:error', { reason, message, field, raw: sentence });
+    }
+    return null;
+  }
+
+  /**
+   * Update the last position and the satellite registry from a parsed sentence
+   * @param {Object} result - Parsed sentence with its constellation
+   * @private
+   */
+  applySentence(result) {
+    const hasCoordinates = result.latitude !== null && result.longitude !== null;
+    
+    switch (result.type) {
+      case 'GGA':
+        if (hasCoordinates) {
+          this.lastPosition = {
+            latitude: result.latitude,
+            longitude: result.longitude,
+            fixQuality: result.fixQuality,
+            satellites: result.satellites,
+            hdop: result.hdop,
+            altitude: result.altitude,
+            altitudeUnits: result.altitudeUnits,
+            geoidHeight: result.geoidHeight,
+            geoidHeightUnits: result.geoidHeightUnits,
+            dgpsAge: result.dgpsAge,
+            dgpsStation: result.dgpsStation
+          };
+        }
+        break;
+      case 'RMC':
+        // Keep data like altitude and fix quality that came from GGA
+        if (hasCoordinates && result.status === 'A') {
+          this.lastPosition = {
+            ...(this.lastPosition || {}),
+            latitude: result.latitude,
+            longitude: result.longitude,
+            status: result.status,
+            speed: result.speed,
+            course: result.course,
+            date: result.date,
+            time: result.time,
+            mode: result.mode
+          };
+        }
+        break;
+      case 'GNS':
+        // Keep RMC data like speed and course
+        if (hasCoordinates) {
+          this.lastPosition = {
+            ...(this.lastPosition || {}),
+            latitude: result.latitude,
+            longitude: result.longitude,
+            fixQuality: result.fixQuality,
+            satellites: result.satellites,
+            hdop: result.hdop,
+            altitude: result.altitude,
+            geoidHeight: result.geoidHeight,
+            dgpsAge: result.dgpsAge,
+            dgpsStation: result.dgpsStation
+          };
+        }
+        break;
+      case 'GLL':
+        if (hasCoordinates && result.status === 'A') {
+          this.lastPosition = {
+            ...(this.lastPosition || {}),
+            latitude: result.latitude,
+            longitude: result.longitude
+          };
+        }
+        break;
+      case 'GSA':
+        // Replace the used flags of this constellation only, other systems have their own GSA
+        this.satelliteRegistry.updateUsed(result.constellation, result.satellites);
+        break;
+      case 'GSV':
+        // Merge into the sky view; a complete group replaces only this talker's satellites for this signal
+        this.satelliteRegistry.updateInView(result);
+        break;
+    }
+  }
+
+  /**
+   * Parse a numeric field that is 0 (or 1) when empty, or null in strict mode
+   * @param {string} value - Field text
+   * @param {number} fallback - Value of an empty field outside strict mode
+   * @returns {number|null} Number, NaN when malformed
+   * @private
+   */
+  numberField(value, fallback) {
+    if (!value) {
+      return this.strict ? null : fallback;
+    }
+    // Number() rather than parseFloat() so trailing garbage is caught as malformed
+    return this.strict ? Number(value) : parseFloat(value);
+  }
+
+  /**
+   * Parse an integer field that is 0 (or 1) when empty, or null in strict mode
+   * @param {string} value - Field text
+   * @param {number} fallback - Value of an empty field outside strict mode
+   * @returns {number|null} Integer, NaN when malformed
+   * @private
+   */
+  integerField(value, fallback) {
+    if (!value) {
+      return this.strict ? null : fallback;
+    }
+    return this.strict && !/^[-+]?\d+$/.test(value) ? NaN : parseInt(value);
+  }
+
+  /**
+   * Register a decoder for proprietary sentences, replacing any for the same prefix
+   * @param {string} prefix - Address prefix, e.g. 'PGRM' for Garmin $PGRME and $PGRMZ
+   * @param {Function} decoder - Called with the sentence fields (address first); returns the decoded
+   *   fields, or null to leave the sentence undecoded
+   */
+  registerProprietary(prefix, decoder) {
+    this.proprietaryDecoders.set(prefix, decoder);
+  }
+
+  /**
+   * Remove the decoder for a proprietary address prefix
+   * @param {string} prefix - Address prefix
+   * @returns {boolean} Whether a decoder was registered
+   */
+  unregisterProprietary(prefix) {
+    return this.proprietaryDecoders.delete(prefix);
+  }
+
+  /**
+   * Find the decoder for a proprietary address
+   * @param {string} address - Sentence address, e.g. 'PQTMEPE'
+   * @returns {Function|null} Decoder registered for the longest matching prefix
+   * @private
+   */
+  findProprietaryDecoder(address) {
+    let match = null;
+    for (const [prefix, decoder] of this.proprietaryDecoders) {
+      if (address.startsWith(prefix) && (!match || prefix.length > match.prefix.length)) {
+        match = { prefix, decoder };
+      }
+    }
+    return match ? match.decoder : null;
+  }
+
   /**
    * Validate NMEA checksum
    * @param {string} sentence - NMEA sentence
@@ -323,29 +647,11 @@ export class NmeaParser {
   parseGGA(parts) {
     const latitude = this.parseLatitude(parts[2], parts[3]);
     const longitude = this.parseLongitude(parts[4], parts[5]);
-    const fixQuality = parseInt(parts[6] || '0');
-    const satellites = parseInt(parts[7] || '0');
-    const hdop = parseFloat(parts[8] || '0');
+    const fixQuality = this.integerField(parts[6], 0);
+    const satellites = this.integerField(parts[7], 0);
+    const hdop = this.numberField(parts[8], 0);
     const altitude = parts[9] ? parseFloat(parts[9]) : null;
     
-    // Update the last position if coordinates are valid
-    if (latitude !== null && longitude !== null) {
-      this.lastPosition = { 
-        latitude, 
-        longitude,
-        fixQuality,
-        satellites,
-        hdop,
-        altitude,
-        // Add other position details
-        altitudeUnits: parts[10],
-        geoidHeight: parts[11] ? parseFloat(parts[11]) : null,
-        geoidHeightUnits: parts[12],
-        dgpsAge: parts[13] ? parseFloat(parts[13]) : null,
-        dgpsStation: parts[14]
-      };
-    }
-    
     return {
       type: 'GGA',
       time: parts[1],
@@ -366,69 +672,58 @@ export class NmeaParser {
   /**
    * Parse GSA sentence (GPS DOP and active satellites)
    * @param {string[]} parts - Sentence parts
+   * @param {string} talker - Talker ID
    * @returns {Object} Parsed GSA data
    */
-  parseGSA(parts) {
+  parseGSA(parts, talker) {
     const satellites = [];
     
-    // Reset all 'used' flags for tracked satellites
-    Object.keys(this.satellitesById).forEach(key => {
-      if (this.satellitesById[key]) {
-        this.satellitesById[key].used = false;
-      }
-    });
+    // NMEA 4.10+ names the constellation with a system ID, needed when the talker is GN
+    const systemId = parts[18] ? parseInt(parts[18], 16) : null;
+    const constellation = systemId !== null
+      ? NMEA_SYSTEM_IDS[systemId] || null
+      : talkerConstellation(talker);
     
     // Extract satellite IDs (parts 3-14)
     for (let i = 3; i <= 14; i++) {
       if (parts[i] && parts[i].trim() !== '') {
-        const prn = parseInt(parts[i]);
-        satellites.push(prn);
-        
-        // Mark this satellite as used in our satellite tracking
-        if (this.satellitesById[prn]) {
-          this.satellitesById[prn].used = true;
-        } else {
-          // Create a placeholder entry if the satellite isn't in our list yet
-          this.satellitesById[prn] = {
-            prn,
-            used: true,
-            elevation: null,
-            azimuth: null,
-            snr: null
-          };
-        }
+        satellites.push(parseInt(parts[i]));
       }
     }
     
     return {
       type: 'GSA',
       mode: parts[1],
-      fixType: parseInt(parts[2] || '1'),
+      fixType: this.integerField(parts[2], 1),
       satellites,
-      pdop: parseFloat(parts[15] || '0'),
-      hdop: parseFloat(parts[16] || '0'),
-      vdop: parseFloat(parts[17] || '0')
+      pdop: this.numberField(parts[15], 0),
+      hdop: this.numberField(parts[16], 0),
+      vdop: this.numberField(parts[17], 0),
+      systemId,
+      constellation
     };
   }
 
   /**
    * Parse GSV sentence (GPS Satellites in view)
    * @param {string[]} parts - Sentence parts
+   * @param {string} talker - Talker ID
    * @returns {Object} Parsed GSV data
    */
-  parseGSV(parts) {
+  parseGSV(parts, talker) {
     const currentMessageSatellites = [];
     
     // Total number of messages, message number, total satellites in view
-    const totalMessages = parseInt(parts[1] || '1');
-    const messageNumber = parseInt(parts[2] || '1');
-    const satellitesInView = parseInt(parts[3] || '0');
-    
-    // Handle first message in set
-    if (messageNumber === 1) {
-      // Clear existing satellites if this is a new set of messages
-      this.satellitesById = {};
-    }
+    const totalMessages = this.integerField(parts[1], 1);
+    const messageNumber = this.integerField(parts[2], 1);
+    const satellitesInView = this.integerField(parts[3], 0);
+    
+    // NMEA 4.10+ appends a signal ID after the satellite blocks, one GSV group per signal
+    const constellation = talkerConstellation(talker);
+    const signalId = (parts.length - 4) % 4 === 1 && parts[parts.length - 1] !== ''
+      ? parseInt(parts[parts.length - 1], 16)
+      : null;
+    const signal = signalName(constellation, signalId);
     
     // Each satellite block is 4 parts: PRN, elevation, azimuth, SNR
     const numSatellitesInMessage = Math.min(4, Math.floor((parts.length - 4) / 4));
@@ -438,38 +733,33 @@ export class NmeaParser {
       
       // Some receivers may not send all 4 values for each satellite
       if (baseIndex + 3 < parts.length) {
-        const prn = parseInt(parts[baseIndex] || '0');
-        if (prn === 0) continue; // Skip invalid PRNs
+        const prn = this.integerField(parts[baseIndex], 0);
+        if (prn === 0 || prn === null) continue; // Skip empty satellite blocks
         
-        // Create or update satellite info
-        const existingSatellite = this.satellitesById[prn] || {};
         const satellite = {
           prn,
-          elevation: parseInt(parts[baseIndex + 1] || '0'),
-          azimuth: parseInt(parts[baseIndex + 2] || '0'),
+          constellation,
+          signalId,
+          signal,
+          elevation: this.integerField(parts[baseIndex + 1], 0),
+          azimuth: this.integerField(parts[baseIndex + 2], 0),
           snr: parts[baseIndex + 3] ? parseInt(parts[baseIndex + 3]) : null,
-          // Preserve the 'used' flag if it was set by GSA sentence
-          used: existingSatellite.used || false
+          // Set by the GSA sentences of this constellation
+          used: this.satelliteRegistry.isUsed(constellation, prn)
         };
         
-        // Store satellite by PRN in our tracking object
-        this.satellitesById[prn] = satellite;
-        
         // Add to current message list
         currentMessageSatellites.push(satellite);
       }
     }
     
-    // Rebuild full satellite list after processing all messages
-    if (messageNumber === totalMessages) {
-      this.lastSatellites = Object.values(this.satellitesById);
-    }
-    
     return {
       type: 'GSV',
       totalMessages,
       messageNumber,
       satellitesInView,
+      signalId,
+      signal,
       satellites: currentMessageSatellites
     };
   }
@@ -503,27 +793,6 @@ export class NmeaParser {
       time = `${hours}:${minutes}:${seconds}`;
     }
     
-    // Update the last position if coordinates are valid and status is active
-    if (latitude !== null && longitude !== null && parts[2] === 'A') {
-      // Preserve the existing data like altitude and fix quality
-      // that might have come from GGA sentences
-      const currentPosition = this.lastPosition || {};
-      
-      this.lastPosition = { 
-        ...currentPosition,
-        latitude, 
-        longitude,
-        // Add RMC-specific data
-        status: parts[2],
-        speed,
-        course,
-        date,
-        time,
-        // The RMC sentence has a mode indicator too
-        mode: parts[12]
-      };
-    }
-    
     return {
       type: 'RMC',
       time,
@@ -535,7 +804,8 @@ export class NmeaParser {
       date,
       magneticVariation: parts[10] ? parseFloat(parts[10]) : null,
       magneticVariationDirection: parts[11],
-      mode: parts[12] // A=autonomous, D=differential, E=estimated
+      mode: parts[12], // A=autonomous, D=differential, E=estimated
+      navStatus: parts[13] || null // NMEA 4.10+: S=safe, C=caution, U=unsafe, V=not valid
     };
   }
 
@@ -548,13 +818,13 @@ export class NmeaParser {
     return {
       type: 'GST',
       time: parts[1],
-      rms: parseFloat(parts[2] || '0'), // RMS value of the standard deviation of the range inputs
-      semiMajorError: parseFloat(parts[3] || '0'), // Standard deviation of semi-major axis
-      semiMinorError: parseFloat(parts[4] || '0'), // Standard deviation of semi-minor axis
-      orientationError: parseFloat(parts[5] || '0'), // Orientation of semi-major axis
-      latitudeError: parseFloat(parts[6] || '0'), // Standard deviation of latitude error
-      longitudeError: parseFloat(parts[7] || '0'), // Standard deviation of longitude error
-      heightError: parseFloat(parts[8] || '0') // Standard deviation of height error
+      rms: this.numberField(parts[2], 0), // RMS value of the standard deviation of the range inputs
+      semiMajorError: this.numberField(parts[3], 0), // Standard deviation of semi-major axis
+      semiMinorError: this.numberField(parts[4], 0), // Standard deviation of semi-minor axis
+      orientationError: this.numberField(parts[5], 0), // Orientation of semi-major axis
+      latitudeError: this.numberField(parts[6], 0), // Standard deviation of latitude error
+      longitudeError: this.numberField(parts[7], 0), // Standard deviation of longitude error
+      heightError: this.numberField(parts[8], 0) // Standard deviation of height error
     };
   }
   
@@ -578,17 +848,208 @@ export class NmeaParser {
     };
   }
 
+  /**
+   * Parse GNS sentence (GNSS Fix Data), the multi-constellation counterpart of GGA
+   * @param {string[]} parts - Sentence parts
+   * @returns {Object} Parsed GNS data, with GGA field names where the fields match
+   */
+  parseGNS(parts) {
+    const latitude = this.parseLatitude(parts[2], parts[3]);
+    const longitude = this.parseLongitude(parts[4], parts[5]);
+    // One mode character per constellation (GPS, GLONASS, Galileo, BeiDou, QZSS, NavIC)
+    const modeIndicator = parts[6] || '';
+    const fixQuality = bestGnsQuality(modeIndicator);
+    const satellites = this.integerField(parts[7], 0);
+    const hdop = parts[8] ? parseFloat(parts[8]) : null;
+    const altitude = parts[9] ? parseFloat(parts[9]) : null;
+    const geoidHeight = parts[10] ? parseFloat(parts[10]) : null;
+    const dgpsAge = parts[11] ? parseFloat(parts[11]) : null;
+    const dgpsStation = parts[12];
+    
+    return {
+      type: 'GNS',
+      time: parts[1],
+      latitude,
+      longitude,
+      modeIndicator,
+      fixQuality,
+      satellites,
+      hdop,
+      altitude, // Above mean sea level
+      geoidHeight,
+      dgpsAge,
+      dgpsStation,
+      navStatus: parts[13] || null // NMEA 4.10+: S=safe, C=caution, U=unsafe, V=not valid
+    };
+  }
+
+  /**
+   * Parse GLL sentence (Geographic Position - Latitude/Longitude)
+   * @param {string[]} parts - Sentence parts
+   * @returns {Object} Parsed GLL data
+   */
+  parseGLL(parts) {
+    const latitude = this.parseLatitude(parts[1], parts[2]);
+    const longitude = this.parseLongitude(parts[3], parts[4]);
+    
+    return {
+      type: 'GLL',
+      time: parts[5],
+      latitude,
+      longitude,
+      status: parts[6], // A=valid, V=invalid
+      mode: parts[7] // NMEA 2.3+ mode indicator, as in RMC
+    };
+  }
+
+  /**
+   * Parse ZDA sentence (Time & Date)
+   * @param {string[]} parts - Sentence parts
+   * @returns {Object} Parsed ZDA data
+   */
+  parseZDA(parts) {
+    const day = parts[2];
+    const month = parts[3];
+    const year = parts[4];
+    const localZoneHours = parts[5] ? parseInt(parts[5]) : null;
+    const localZoneMinutes = parts[6] ? parseInt(parts[6]) : null;
+    
+    return {
+      type: 'ZDA',
+      time: parts[1],
+      // Four-digit year, unlike RMC
+      date: day && month && year ? `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` : null,
+      localZoneHours, // -13 to +13
+      localZoneMinutes // Same sign as the hours
+    };
+  }
+
+  /**
+   * Parse GBS sentence (GNSS Satellite Fault Detection), output by RAIM-capable receivers
+   * @param {string[]} parts - Sentence parts
+   * @param {string} talker - Talker ID
+   * @returns {Object} Parsed GBS data
+   */
+  parseGBS(parts, talker) {
+    // NMEA 4.10+ names the constellation of the failed satellite with a system ID
+    const systemId = parts[9] ? parseInt(parts[9], 16) : null;
+    const constellation = systemId !== null
+      ? NMEA_SYSTEM_IDS[systemId] || null
+      : talkerConstellation(talker);
+    const signalId = parts[10] ? parseInt(parts[10], 16) : null;
+    
+    return {
+      type: 'GBS',
+      time: parts[1],
+      latitudeError: parts[2] ? parseFloat(parts[2]) : null, // Expected 1-sigma error (m)
+      longitudeError: parts[3] ? parseFloat(parts[3]) : null,
+      altitudeError: parts[4] ? parseFloat(parts[4]) : null,
+      failedSatellite: parts[5] ? parseInt(parts[5]) : null, // Most likely failed satellite, if any
+      missedDetectionProbability: parts[6] ? parseFloat(parts[6]) : null,
+      bias: parts[7] ? parseFloat(parts[7]) : null, // Estimated range bias of the failed satellite (m)
+      biasStdDev: parts[8] ? parseFloat(parts[8]) : null,
+      systemId,
+      signalId,
+      signal: signalName(constellation, signalId),
+      constellation
+    };
+  }
+
+  /**
+   * Parse GRS sentence (GNSS Range Residuals)
+   * @param {string[]} parts - Sentence parts
+   * @param {string} talker - Talker ID
+   * @returns {Object} Parsed GRS data
+   */
+  parseGRS(parts, talker) {
+    const systemId = parts[15] ? parseInt(parts[15], 16) : null;
+    const constellation = systemId !== null
+      ? NMEA_SYSTEM_IDS[systemId] || null
+      : talkerConstellation(talker);
+    const signalId = parts[16] ? parseInt(parts[16], 16) : null;
+    
+    // Residuals (parts 3-14) are in the order of the satellites of the matching GSA
+    const residuals = [];
+    for (let i = 3; i <= 14; i++) {
+      if (parts[i] && parts[i].trim() !== '') {
+        residuals.push(parseFloat(parts[i]));
+      }
+    }
+    
+    return {
+      type: 'GRS',
+      time: parts[1],
+      residualMode: this.integerField(parts[2], 0), // 0=used to calculate the GGA position, 1=recomputed after it
+      residuals,
+      systemId,
+      signalId,
+      signal: signalName(constellation, signalId),
+      constellation
+    };
+  }
+
+  /**
+   * Parse HDT sentence (True Heading), e.g. from a dual-antenna receiver
+   * @param {string[]} parts - Sentence parts
+   * @returns {Object} Parsed HDT data
+   */
+  parseHDT(parts) {
+    return {
+      type: 'HDT',
+      heading: parts[1] ? parseFloat(parts[1]) : null, // Degrees true
+      headingRef: parts[2] // T = True
+    };
+  }
+
+  /**
+   * Parse THS sentence (True Heading and Status)
+   * @param {string[]} parts - Sentence parts
+   * @returns {Object} Parsed THS data
+   */
+  parseTHS(parts) {
+    const mode = parts[2] || 'V';
+    
+    return {
+      type: 'THS',
+      heading: parts[1] ? parseFloat(parts[1]) : null, // Degrees true
+      mode, // A=autonomous, E=estimated, M=manual, S=simulator, V=not valid
+      valid: mode !== 'V'
+    };
+  }
+
+  /**
+   * Parse TXT sentence (Text Transmission)
+   * @param {string[]} parts - Sentence parts
+   * @returns {Object} Parsed TXT data
+   */
+  parseTXT(parts) {
+    return {
+      type: 'TXT',
+      totalMessages: this.integerField(parts[1], 1),
+      messageNumber: this.integerField(parts[2], 1),
+      textId: parts[3] ? parseInt(parts[3]) : null, // u-blox: 0=error, 1=warning, 2=notice, 7=user
+      // Reserved characters are sent as ^ and two hex digits
+      text: parts.slice(4).join(',')
+        .replace(/\^([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    };
+  }
+
   /**
    * Parse latitude from NMEA format
    * @param {string} value - Latitude value
    * @param {string} direction - N/S
-   * @returns {number|null} Decimal latitude
+   * @returns {number|null} Decimal latitude, NaN when malformed
    */
   parseLatitude(value, direction) {
     if (!value || value === '') {
       return null;
     }
     
+    // Strict mode rejects anything but DDMM.MMMM with an N/S hemisphere, and minutes of 60 or more
+    if (this.strict && malformedCoordinate(value, direction, 2, ['N', 'S'])) {
+      return NaN;
+    }
+    
     try {
       // NMEA format: DDMM.MMMM
       const degrees = parseInt(value.substring(0, 2));
@@ -611,13 +1072,17 @@ export class NmeaParser {
    * Parse longitude from NMEA format
    * @param {string} value - Longitude value
    * @param {string} direction - E/W
-   * @returns {number|null} Decimal longitude
+   * @returns {number|null} Decimal longitude, NaN when malformed
    */
   parseLongitude(value, direction) {
     if (!value || value === '') {
       return null;
     }
     
+    if (this.strict && malformedCoordinate(value, direction, 3, ['E', 'W'])) {
+      return NaN;
+    }
+    
     try {
       // NMEA format: DDDMM.MMMM
       const degrees = parseInt(value.substring(0, 3));
@@ -663,26 +1128,39 @@ export class NmeaParser {
     };
   }
 
+  /**
+   * Get the fix of the last complete epoch
+   * @returns {Object|null} Fix with ISO time, position, heights, fix type, satellites, DOPs, accuracy,
+   *   speed/course, correction age and station ID
+   */
+  getFix() {
+    return this.lastFix;
+  }
+
   /**
    * Get current satellite information
-   * @returns {Object[]|null} Satellite information
+   * @returns {Object[]} One entry per satellite across all constellations, with its tracked signals
    */
   getSatellites() {
-    if (!this.lastSatellites || this.lastSatellites.length === 0) {
-      return [];
-    }
-    
-    // Return a clone of the satellites array so external code cannot modify our internal state
-    return [...this.lastSatellites];
+    return this.satelliteRegistry.getSatellites();
+  }
+  
+  /**
+   * Get every tracked signal, e.g. to compare L1 and L5 signal strength
+   * @returns {Object[]} One entry per satellite and signal
+   */
+  getSignals() {
+    return this.satelliteRegistry.getSignals();
   }
   
   /**
    * Get sentence statistics
-   * @returns {Object} Sentence type counts and rates
+   * @returns {Object} Sentence type counts and rates, and rejected sentences by reason in `errors`
    */
   getSentenceStats() {
     return {
       ...this.sentenceStats,
+      errors: { ...this.errorStats },
       lastUpdate: this.lastSentenceTime
     };
   }
@@ -692,15 +1170,144 @@ export class NmeaParser {
    */
   reset() {
     this.lastPosition = null;
-    this.lastSatellites = [];
-    this.satellitesById = {};
+    this.satelliteRegistry.clear();
+    this.fixAssembler.reset();
+    this.lastFix = null;
     this.buffer = '';
     // Reset sentence stats
     Object.keys(this.sentenceStats).forEach(key => {
       this.sentenceStats[key] = 0;
     });
+    Object.keys(this.errorStats).forEach(key => {
+      this.errorStats[key] = 0;
+    });
     this.lastSentenceTime = Date.now();
   }
 }
 
-export default NmeaParser;
\ No newline at end of file
+/**
+ * Get the constellation reporting under a talker ID
+ * @param {string|null} talker - Talker ID, e.g. 'GA'
+ * @returns {string|null} Constellation name ('GNSS' for combined GN solutions), null when unknown
+ */
+function talkerConstellation(talker) {
+  return (talker && NMEA_TALKER_IDS[talker]) || null;
+}
+
+/**
+ * Get the GGA quality indicator of the best solution in a GNS mode indicator
+ * @param {string} modeIndicator - One mode character per constellation, e.g. 'RRFN'
+ * @returns {number} Quality indicator, 0 when no constellation has a fix
+ */
+function bestGnsQuality(modeIndicator) {
+  let best = 'N';
+  for (const mode of modeIndicator) {
+    if (GNS_MODE_RANK.indexOf(mode) > GNS_MODE_RANK.indexOf(best)) {
+      best = mode;
+    }
+  }
+  return GNS_MODE_QUALITY[best];
+}
+
+/**
+ * Get the name of an NMEA 4.10/4.11 signal
+ * @param {string|null} constellation - Constellation name
+ * @param {number|null} signalId - Signal ID from GSV
+ * @returns {string|null} Signal name, e.g. 'L5-Q', null when not given or unknown
+ */
+function signalName(constellation, signalId) {
+  if (signalId === null || signalId === 0) {
+    return null;
+  }
+  const signals = NMEA_SIGNAL_IDS[constellation];
+  return (signals && signals[signalId]) || null;
+}
+
+/**
+ * Check an NMEA coordinate field in strict mode
+ * @param {string} value - Coordinate, e.g. '4740.7843'
+ * @param {string} direction - Hemisphere
+ * @param {number} degreeDigits - Digits of the degrees, 2 for latitude and 3 for longitude
+ * @param {string[]} hemispheres - Valid hemispheres
+ * @returns {boolean} Whether the coordinate is malformed
+ */
+function malformedCoordinate(value, direction, degreeDigits, hemispheres) {
+  const match = value.match(new RegExp(`^\\d{${degreeDigits}}(\\d{2}(?:\\.\\d+)?)$`));
+  return !match || parseFloat(match[1]) >= 60 || !hemispheres.includes(direction);
+}
+
+/**
+ * Find the first malformed or out-of-range field of a parsed sentence
+ * @param {Object} result - Parsed sentence
+ * @returns {string|null} Field name, e.g. 'latitude' or 'satellites[2].elevation', null when all are valid
+ */
+function invalidField(result) {
+  const field = outOfRange(result);
+  if (field) {
+    return field;
+  }
+  if (result.time && !validTime(result.time)) {
+    return 'time';
+  }
+  if (result.date && !validDate(result.date)) {
+    return 'date';
+  }
+  
+  // GSA lists satellite IDs, GSV satellite blocks
+  if (Array.isArray(result.satellites)) {
+    for (const [index, satellite] of result.satellites.entries()) {
+      if (typeof satellite === 'number') {
+        if (!Number.isInteger(satellite) || satellite < 1) {
+          return `satellites[${index}]`;
+        }
+        continue;
+      }
+      const satelliteField = outOfRange(satellite);
+      if (satelliteField) {
+        return `satellites[${index}].${satelliteField}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first numeric field that is NaN or outside FIELD_RANGES
+ * @param {Object} values - Parsed fields
+ * @returns {string|null} Field name, null when all are valid
+ */
+function outOfRange(values) {
+  for (const [field, value] of Object.entries(values)) {
+    if (typeof value !== 'number') {
+      continue;
+    }
+    const range = FIELD_RANGES[field];
+    if (Number.isNaN(value) || (range && (value < range[0] || value > range[1]))) {
+      return field;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a UTC time field
+ * @param {string} time - 'hhmmss.ss', or 'hh:mm:ss.ss' as RMC returns it
+ * @returns {boolean} Whether the time is valid
+ */
+function validTime(time) {
+  const match = time.match(/^(\d{2}):?(\d{2}):?(\d{2}(?:\.\d+)?)$/);
+  // Seconds up to 60 for leap seconds
+  return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60 && Number(match[3]) < 61;
+}
+
+/**
+ * Check a parsed date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {boolean} Whether the date is valid
+ */
+function validDate(date) {
+  const match = date.match(/^\d{4}-(\d{2})-(\d{2})$/);
+  return Boolean(match) && Number(match[1]) >= 1 && Number(match[1]) <= 12 && Number(match[2]) >= 1 && Number(match[2]) <= 31;
+}
+
+export default NmeaParser;
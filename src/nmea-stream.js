@@ -0,0 +1,41 @@
+/**
+ * NmeaParserStream - NmeaParser as a web TransformStream
+ *
+ * Takes text or bytes (e.g. the Uint8Array chunks of a Web Serial port.readable, or a Node.js
+ * stream converted with Readable.toWeb()) and outputs one parsed object per NMEA sentence, so
+ * a slow consumer holds back the source instead of the parser buffering without bound.
+ */
+import { NmeaParser } from './nmea-parser.js';
+
+export class NmeaParserStream extends TransformStream {
+  /**
+   * @param {Object} options - NmeaParser options (strict, events, proprietaryDecoders, ...)
+   * @param {NmeaParser} [options.parser] - Parser to use instead of a new one, e.g. to share its position
+   * @param {QueuingStrategy} [options.writableStrategy] - Strategy for the input chunks
+   * @param {QueuingStrategy} [options.readableStrategy] - Strategy for the parsed sentences
+   */
+  constructor(options = {}) {
+    const parser = options.parser || new NmeaParser(options);
+    // Streaming decode keeps multi-byte characters split across chunks intact
+    const decoder = new TextDecoder();
+
+    super({
+      transform(chunk, controller) {
+        const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        for (const sentence of parser.parseData(text)) {
+          controller.enqueue(sentence);
+        }
+      },
+      flush(controller) {
+        // The last sentence may end without a line ending
+        for (const sentence of parser.parseData(decoder.decode() + '\n')) {
+          controller.enqueue(sentence);
+        }
+      }
+    }, options.writableStrategy, options.readableStrategy);
+
+    this.parser = parser;
+  }
+}
+
+export default NmeaParserStream;
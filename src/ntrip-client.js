@@ -2,6 +2,15 @@
  * NtripClient - Handles connections to NTRIP casters for RTK corrections
  * with multiple connection approaches (direct, proxy, WebSocket)
  */
+import { RtcmParser, validateFrame } from './rtcm-parser.js';
+import { parseSourcetable, isSourcetable, rankStreams, greatCircleDistance } from './ntrip-sourcetable.js';
+import { ChunkedDecoder, NtripResponseDecoder, buildRequest, createRequestHeaders, responseRevision, requestedRevision } from './ntrip-protocol.js';
+import { createEnvironment } from './environment.js';
+import { NmeaEncoder } from './nmea-encoder.js';
+
+// WebSocket.OPEN, identical for every WebSocket implementation
+const WEBSOCKET_OPEN = 1;
+
 export class NtripClient {
   /**
    * Create a new NTRIP client
@@ -9,8 +18,16 @@ export class NtripClient {
    * @param {Object} options - Configuration options
    */
   constructor(eventEmitter, options = {}) {
+    // Also accept a single options object, as used by GnssModule: new NtripClient({ events, settings })
+    if (eventEmitter && typeof eventEmitter.emit !== 'function' && eventEmitter.events) {
+      options = { ...eventEmitter, ...options };
+      eventEmitter = options.events;
+    }
+    
     this.eventEmitter = eventEmitter;
     this.debug = options.debug || {};
+    this.environment = options.environment || createEnvironment(); // fetch, WebSocket, location, connectTcp
+    this.nmeaEncoder = new NmeaEncoder(); // GGA sent to casters for network RTK
     this.isConnected = false;
     this.isConnecting = false;
     this.autoReconnect = true;
@@ -27,6 +44,7 @@ export class NtripClient {
       username: '',
       password: '',
       sendGga: true,
+      ntripVersion: 'auto', // 'auto' (request Rev 2, accept Rev 1), 1 or 2
       
       // Connection options
       connectionMode: 'auto', // 'auto', 'direct', 'proxy', 'websocket'
@@ -34,18 +52,28 @@ export class NtripClient {
       websocketUrl: 'ws://localhost:3000/ws', // WebSocket endpoint
       
       // Advanced settings
-      ggaUpdateInterval: 10 // Seconds between GGA updates
+      ggaUpdateInterval: 10, // Seconds between GGA updates
+      
+      // Automatic nearest-mountpoint selection
+      autoMountpoint: false,
+      mountpointSwitchDistance: 5000, // Meters the rover moves before the nearest mountpoint is re-evaluated
+      mountpointFormats: ['RTCM 3'], // Accepted stream formats
+      mountpointConstellations: [] // Constellations a stream must carry, e.g. ['GPS', 'GLO']
     };
     
     // Connection handling
     this.abortController = null;  // For direct fetch
     this.reader = null;           // For direct fetch
     this.webSocket = null;        // For WebSocket
+    this.tcpSocket = null;        // For direct TCP (Node.js)
     this.activeMode = null;       // Which connection mode is active
+    this.ntripVersion = null;     // Negotiated NTRIP revision (1 or 2)
+    this.chunkedDecoder = null;   // Strips chunk framing when the bridge forwards a raw Rev 2 body
     
     // GGA handling
     this.ggaInterval = null;
-    this.lastGga = null;  // Last GGA sentence sent
+    this.lastGga = null;  // Latest GGA sentence, rebuilt from every position update
+    this.lastGgaTime = null; // When a GGA was last sent, to rate-limit position updates
     this.lastPosition = null; // Last position data for generating GGA
     
     // RTCM statistics
@@ -57,6 +85,19 @@ export class NtripClient {
       correctionAge: null
     };
     
+    // RTCM3 framer - reassembles frames split across network chunks
+    // Decoded messages are delivered with ntrip:rtcm rather than rtcm:message
+    this.rtcmParser = new RtcmParser({
+      debug: this.debug
+    });
+    
+    // Automatic mountpoint selection state
+    this.sourcetable = null;            // Sourcetable used for ranking
+    this.selectionPosition = null;      // Position the current mountpoint was selected at
+    this.selectingMountpoint = false;
+    this.selectionFailures = 0;         // Failed switches in a row, for the retry backoff
+    this.selectionRetryTime = 0;        // Earliest time a position update may select again
+    
     // Device manager for sending corrections
     this.deviceManager = null;
     this.rtcmQueue = [];
@@ -126,6 +167,12 @@ export class NtripClient {
     }
     
     this.isConnecting = true;
+    
+    // Drop any partial frame left over from a previous connection
+    this.rtcmParser.reset();
+    this.ntripVersion = null;
+    this.chunkedDecoder = null;
+    
     this.eventEmitter.emit('ntrip:connecting', { 
       casterHost: this.config.casterHost,
       mountpoint: this.config.mountpoint
@@ -136,9 +183,9 @@ export class NtripClient {
     
     // Auto mode - try WebSocket first, then direct, then proxy
     if (connectionMode === 'auto') {
-      // Try WebSocket first
+      // Try WebSocket first, unless the caster can be reached over TCP without a bridge
       try {
-        const wsSuccess = await this.connectWebSocket();
+        const wsSuccess = !this.environment.connectTcp && await this.connectWebSocket();
         if (wsSuccess) {
           this.activeMode = 'websocket';
           return true;
@@ -240,34 +287,18 @@ export class NtripClient {
     return new Promise((resolve, reject) => {
       try {
         // Determine WebSocket URL
-        let wsUrl = this.config.websocketUrl;
-        
-        // If it's a relative URL, make it absolute
-        if (wsUrl.startsWith('/')) {
-          const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-          wsUrl = `${protocol}//${window.location.host}${wsUrl}`;
-        }
-        
-        // Handle mixed content issue - enforce WSS if we're connecting from HTTPS
-        if (window.location.protocol === 'https:' && 
-            wsUrl.startsWith('ws:') && 
-            (wsUrl.includes('192.168.') || 
-             wsUrl.includes('127.0.0.1') || 
-             wsUrl.includes('localhost'))) {
-          console.log('Adjusting WebSocket URL protocol to match page protocol (WSS)');
-          wsUrl = wsUrl.replace('ws:', 'wss:');
-        }
+        const wsUrl = this.resolveWebSocketUrl();
         
         console.log(`Connecting to NTRIP via WebSocket at ${wsUrl}`, {
           casterHost: this.config.casterHost,
           mountpoint: this.config.mountpoint,
           connectionMode: this.config.connectionMode
         });
-        this.webSocket = new WebSocket(wsUrl);
+        this.webSocket = new this.environment.WebSocket(wsUrl);
         
         // Set up connection timeout
         const connectionTimeout = setTimeout(() => {
-          if (this.webSocket && this.webSocket.readyState !== WebSocket.OPEN) {
+          if (this.webSocket && this.webSocket.readyState !== WEBSOCKET_OPEN) {
             this.webSocket.close();
             reject(new Error('WebSocket connection timeout'));
           }
@@ -287,7 +318,9 @@ export class NtripClient {
               casterPort: this.config.casterPort,
               mountpoint: this.config.mountpoint,
               username: this.config.username,
-              password: this.config.password
+              password: this.config.password,
+              ntripVersion: this.config.ntripVersion,
+              gga: this.getInitialGga()
             }
           }));
         };
@@ -305,6 +338,11 @@ export class NtripClient {
                 this.isConnecting = false;
                 this.reconnectAttempts = 0;
                 
+                // The bridge reports the revision the caster answered with; a
+                // chunked Rev 2 body is forwarded as-is and decoded here
+                this.ntripVersion = data.ntripVersion || 1;
+                this.chunkedDecoder = data.chunked ? new ChunkedDecoder() : null;
+                
                 // Setup regular message handler
                 this.webSocket.onmessage = this.handleSocketMessage;
                 
@@ -321,7 +359,8 @@ export class NtripClient {
                 this.eventEmitter.emit('ntrip:connected', {
                   casterHost: this.config.casterHost,
                   mountpoint: this.config.mountpoint,
-                  mode: 'websocket'
+                  mode: 'websocket',
+                  ntripVersion: this.ntripVersion
                 });
                 
                 resolve(true);
@@ -360,9 +399,14 @@ export class NtripClient {
    * @returns {Promise<boolean>} Whether connection was successful
    */
   async connectDirect() {
+    // Outside a browser the caster is reached over a plain TCP connection
+    if (this.environment.connectTcp) {
+      return this.connectTcp();
+    }
+    
     try {
       // Determine if we're on an HTTPS page
-      const isHttpsPage = typeof window !== 'undefined' && window.location && window.location.protocol === 'https:';
+      const isHttpsPage = this.isHttpsPage();
       
       // Create URL for NTRIP connection
       const protocol = this.config.casterPort === 443 ? 'https' : 'http';
@@ -396,24 +440,21 @@ export class NtripClient {
         return await this.connectProxy();
       }
       
-      const url = `${protocol}://${this.config.casterHost}:${this.config.casterPort}/${this.config.mountpoint}`;
+      const url = this.getCasterUrl(this.config.casterHost, this.config.casterPort, this.config.mountpoint);
       
-      // Prepare authentication headers if needed
-      const headers = new Headers({
-        'Accept': 'application/octet-stream',
-        'User-Agent': 'NTRIP WebGNSS Client'
-      });
-      
-      if (this.config.username && this.config.password) {
-        const auth = btoa(`${this.config.username}:${this.config.password}`);
-        headers.append('Authorization', `Basic ${auth}`);
-      }
+      // Rev 2 request headers (Ntrip-Version, Ntrip-GGA) plus authentication
+      const headers = new Headers(createRequestHeaders({
+        version: this.config.ntripVersion,
+        username: this.config.username,
+        password: this.config.password,
+        gga: this.getInitialGga()
+      }));
       
       // Create abort controller for clean disconnection
       this.abortController = new AbortController();
       
       // Make the request
-      const response = await fetch(url, {
+      const response = await this.environment.fetch(url, {
         method: 'GET',
         headers,
         signal: this.abortController.signal
@@ -427,6 +468,10 @@ export class NtripClient {
       // Get a reader for the response body
       const contentType = response.headers.get('content-type');
       
+      // Rev 1 casters answer "ICY 200 OK" which the browser reports without headers.
+      // Chunked transfer encoding is removed by fetch itself.
+      this.ntripVersion = this.getResponseRevision(response);
+      
       // For debugging - log content type
       this.eventEmitter.emit('ntrip:info', { 
         message: `Direct NTRIP connection established, content type: ${contentType}`
@@ -442,7 +487,8 @@ export class NtripClient {
       this.eventEmitter.emit('ntrip:connected', {
         casterHost: this.config.casterHost,
         mountpoint: this.config.mountpoint,
-        mode: 'direct'
+        mode: 'direct',
+        ntripVersion: this.ntripVersion
       });
       
       // If we have a GGA message or position, start sending it periodically
@@ -461,36 +507,136 @@ export class NtripClient {
   }
   
   /**
-   * Connect to NTRIP caster via HTTP proxy
+   * Connect directly to the caster over TCP (Node.js)
+   *
+   * Speaks NTRIP on the socket itself, so Rev 1 "ICY 200 OK" responses that
+   * fetch rejects are accepted as well.
    * @returns {Promise<boolean>} Whether connection was successful
    */
-  async connectProxy() {
+  async connectTcp() {
+    const port = parseInt(this.config.casterPort, 10) || 2101;
+    const gga = this.getInitialGga();
+    const decoder = new NtripResponseDecoder();
+    
+    const socket = await this.environment.connectTcp({
+      host: this.config.casterHost,
+      port,
+      secure: port === 443
+    });
+    
+    let body;
     try {
-      // Determine proxy URL
-      let proxyUrl = this.config.proxyUrl;
-      
-      // If it's a relative URL, make it absolute
-      if (proxyUrl.startsWith('/')) {
-        const protocol = window.location.protocol;
-        proxyUrl = `${protocol}//${window.location.host}${proxyUrl}`;
+      body = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('NTRIP caster did not respond')), 10000);
+        const fail = (error) => {
+          clearTimeout(timer);
+          reject(error);
+        };
+        
+        socket.onerror = fail;
+        socket.onclose = () => fail(new Error('NTRIP caster closed the connection'));
+        socket.ondata = (bytes) => {
+          let payload;
+          try {
+            payload = decoder.push(bytes);
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          if (!decoder.response) {
+            return;
+          }
+          
+          const { statusCode, statusText, sourcetable } = decoder.response;
+          if (sourcetable) {
+            fail(new Error(`Mountpoint ${this.config.mountpoint} not found on caster`));
+          } else if (statusCode !== 200) {
+            fail(new Error(`NTRIP server error: ${statusCode} ${statusText}`));
+          } else {
+            clearTimeout(timer);
+            resolve(payload);
+          }
+        };
+        
+        socket.write(buildRequest({
+          host: this.config.casterHost,
+          port,
+          mountpoint: this.config.mountpoint,
+          version: this.config.ntripVersion,
+          username: this.config.username,
+          password: this.config.password,
+          gga
+        }));
+      });
+    } catch (error) {
+      socket.close();
+      console.error('Direct TCP connection error:', error);
+      throw error;
+    }
+    
+    this.tcpSocket = socket;
+    this.ntripVersion = decoder.response.version;
+    this.isConnected = true;
+    this.isConnecting = false;
+    this.reconnectAttempts = 0;
+    
+    socket.ondata = (bytes) => {
+      try {
+        this.processRtcmChunk(decoder.push(bytes));
+      } catch (error) {
+        this.eventEmitter.emit('ntrip:error', {
+          message: 'Invalid chunked transfer encoding from caster',
+          error
+        });
       }
-      
-      // Handle mixed content issue - enforce HTTP if we're connecting to a local IP
-      // This avoids HTTPS to HTTP mixed content blocking
-      if (window.location.protocol === 'https:' && 
-          proxyUrl.startsWith('http:') && 
-          (proxyUrl.includes('192.168.') || 
-           proxyUrl.includes('127.0.0.1') || 
-           proxyUrl.includes('localhost'))) {
-        console.log('Adjusting proxy URL protocol to match page protocol (HTTPS)');
-        proxyUrl = proxyUrl.replace('http:', 'https:');
+    };
+    socket.onerror = (error) => {
+      this.eventEmitter.emit('ntrip:error', {
+        message: 'NTRIP connection error',
+        error
+      });
+    };
+    socket.onclose = () => {
+      if (this.tcpSocket === socket) {
+        this.handleDisconnect({ reason: 'Stream closed' });
       }
-      
-      // Add mountpoint and parameters
-      proxyUrl = `${proxyUrl}/${this.config.mountpoint}`;
+    };
+    
+    // Rev 1 casters take the position on the connection after the request
+    if (gga && this.ntripVersion === 1) {
+      socket.write(gga.trim() + '\r\n');
+    }
+    
+    this.eventEmitter.emit('ntrip:connected', {
+      casterHost: this.config.casterHost,
+      mountpoint: this.config.mountpoint,
+      mode: 'direct',
+      ntripVersion: this.ntripVersion
+    });
+    
+    if (this.config.sendGga && (this.lastGga || this.lastPosition)) {
+      this.startGgaUpdates();
+    }
+    
+    if (body.length > 0) {
+      this.processRtcmChunk(body);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Connect to NTRIP caster via HTTP proxy
+   * @returns {Promise<boolean>} Whether connection was successful
+   */
+  async connectProxy() {
+    try {
+      // Determine proxy URL and add mountpoint and parameters
+      let proxyUrl = `${this.resolveProxyUrl()}/${this.config.mountpoint}`;
       const params = new URLSearchParams({
         host: this.config.casterHost,
-        port: this.config.casterPort.toString()
+        port: this.config.casterPort.toString(),
+        version: requestedRevision(this.config.ntripVersion).toString()
       });
       
       if (this.config.username && this.config.password) {
@@ -498,13 +644,18 @@ export class NtripClient {
         params.append('password', this.config.password);
       }
       
+      const gga = this.getInitialGga();
+      if (gga) {
+        params.append('gga', gga);
+      }
+      
       proxyUrl += `?${params.toString()}`;
       
       // Create abort controller for clean disconnection
       this.abortController = new AbortController();
       
       // Make the request to the proxy
-      const response = await fetch(proxyUrl, {
+      const response = await this.environment.fetch(proxyUrl, {
         method: 'GET',
         signal: this.abortController.signal
       });
@@ -514,6 +665,9 @@ export class NtripClient {
         throw new Error(`Proxy server error: ${response.status} ${response.statusText}`);
       }
       
+      // The proxy negotiates with the caster and reports the result in Ntrip-Version
+      this.ntripVersion = this.getResponseRevision(response);
+      
       // Start reading from the response stream
       this.reader = response.body.getReader();
       this.isConnected = true;
@@ -524,7 +678,8 @@ export class NtripClient {
       this.eventEmitter.emit('ntrip:connected', {
         casterHost: this.config.casterHost,
         mountpoint: this.config.mountpoint,
-        mode: 'proxy'
+        mode: 'proxy',
+        ntripVersion: this.ntripVersion
       });
       
       // If we have a GGA message, start sending it periodically via proxy
@@ -542,14 +697,538 @@ export class NtripClient {
     }
   }
 
+  /**
+   * Whether the client runs in a page served over HTTPS
+   * @returns {boolean} True on an HTTPS page
+   */
+  isHttpsPage() {
+    const location = this.environment.location;
+    return !!location && location.protocol === 'https:';
+  }
+  
+  /**
+   * Host of the page, used to resolve relative proxy and WebSocket URLs
+   * @returns {string} Page host
+   */
+  getPageHost() {
+    if (!this.environment.location) {
+      throw new Error('Relative proxy and WebSocket URLs need a page location');
+    }
+    return this.environment.location.host;
+  }
+  
+  /**
+   * Resolve the configured WebSocket bridge URL for the current page
+   * @returns {string} Absolute WebSocket URL
+   */
+  resolveWebSocketUrl() {
+    let wsUrl = this.config.websocketUrl;
+    
+    // If it's a relative URL, make it absolute
+    if (wsUrl.startsWith('/')) {
+      const protocol = this.isHttpsPage() ? 'wss:' : 'ws:';
+      wsUrl = `${protocol}//${this.getPageHost()}${wsUrl}`;
+    }
+    
+    // Handle mixed content issue - enforce WSS if we're connecting from HTTPS
+    if (this.isHttpsPage() && 
+        wsUrl.startsWith('ws:') && 
+        (wsUrl.includes('192.168.') || 
+         wsUrl.includes('127.0.0.1') || 
+         wsUrl.includes('localhost'))) {
+      console.log('Adjusting WebSocket URL protocol to match page protocol (WSS)');
+      wsUrl = wsUrl.replace('ws:', 'wss:');
+    }
+    
+    return wsUrl;
+  }
+  
+  /**
+   * Resolve the configured HTTP proxy URL for the current page
+   * @returns {string} Absolute proxy URL without trailing slash
+   */
+  resolveProxyUrl() {
+    let proxyUrl = this.config.proxyUrl.replace(/\/+$/, '');
+    
+    // If it's a relative URL, make it absolute
+    if (proxyUrl.startsWith('/')) {
+      const protocol = this.isHttpsPage() ? 'https:' : 'http:';
+      proxyUrl = `${protocol}//${this.getPageHost()}${proxyUrl}`;
+    }
+    
+    // Handle mixed content issue - enforce HTTPS if we're connecting to a local IP
+    // This avoids HTTPS to HTTP mixed content blocking
+    if (this.isHttpsPage() && 
+        proxyUrl.startsWith('http:') && 
+        (proxyUrl.includes('192.168.') || 
+         proxyUrl.includes('127.0.0.1') || 
+         proxyUrl.includes('localhost'))) {
+      console.log('Adjusting proxy URL protocol to match page protocol (HTTPS)');
+      proxyUrl = proxyUrl.replace('http:', 'https:');
+    }
+    
+    return proxyUrl;
+  }
+  
+  /**
+   * Download and parse a caster's sourcetable
+   * 
+   * Uses the same connection modes as connect(): in 'auto' mode WebSocket,
+   * direct and proxy are tried in turn. Does not affect an active connection.
+   * @param {string} host - Caster host (defaults to the configured casterHost)
+   * @param {number} port - Caster port (defaults to the configured casterPort)
+   * @param {Object} options - Optional connectionMode, username, password and timeout (ms)
+   * @returns {Promise<Object>} Parsed sourcetable { streams, casters, networks, complete }
+   */
+  async getSourcetable(host = this.config.casterHost, port = this.config.casterPort, options = {}) {
+    if (!host) {
+      throw new Error('NTRIP caster host is required to request a sourcetable');
+    }
+    
+    const request = {
+      host,
+      port: parseInt(port, 10) || 2101,
+      username: options.username !== undefined ? options.username : this.config.username,
+      password: options.password !== undefined ? options.password : this.config.password,
+      timeout: options.timeout || 10000
+    };
+    
+    const connectionMode = options.connectionMode || this.config.connectionMode;
+    // Without browser restrictions the caster is reached directly, no bridge needed
+    const autoModes = this.environment.connectTcp ? ['direct', 'proxy'] : ['websocket', 'direct', 'proxy'];
+    const modes = connectionMode === 'auto' ? autoModes : [connectionMode];
+    
+    let lastError = null;
+    for (const mode of modes) {
+      try {
+        let text;
+        if (mode === 'websocket') {
+          text = await this.fetchSourcetableWebSocket(request);
+        } else if (mode === 'direct' && this.environment.connectTcp) {
+          text = await this.fetchSourcetableTcp(request);
+        } else if (mode === 'direct') {
+          text = await this.fetchSourcetableHttp(this.getCasterUrl(request.host, request.port, ''), request);
+        } else if (mode === 'proxy') {
+          const params = new URLSearchParams({ host: request.host, port: request.port.toString() });
+          text = await this.fetchSourcetableHttp(`${this.resolveProxyUrl()}/?${params.toString()}`, request);
+        } else {
+          throw new Error(`Unknown connection mode: ${mode}`);
+        }
+        
+        if (!isSourcetable(text)) {
+          throw new Error('Caster response is not a sourcetable');
+        }
+        
+        const sourcetable = parseSourcetable(text);
+        this.eventEmitter.emit('ntrip:sourcetable', {
+          casterHost: request.host,
+          casterPort: request.port,
+          mode,
+          sourcetable
+        });
+        return sourcetable;
+      } catch (error) {
+        console.log(`Sourcetable request via ${mode} failed:`, error.message);
+        lastError = error;
+      }
+    }
+    
+    throw lastError || new Error('Sourcetable request failed');
+  }
+  
+  /**
+   * Enable automatic nearest-mountpoint selection
+   *
+   * Downloads the caster's sourcetable, connects to the nearest matching
+   * stream once a position is known and switches whenever the rover has
+   * moved mountpointSwitchDistance meters and another stream is nearer.
+   * @param {Object} options - Connection configuration plus the mountpoint* options
+   * @returns {Promise<boolean>} Whether a mountpoint was connected (true while waiting for a first position)
+   */
+  async enableAutoMountpoint(options = {}) {
+    const { position, ...config } = options;
+    this.config = {
+      ...this.config,
+      ...config,
+      autoMountpoint: true
+    };
+    
+    try {
+      this.sourcetable = await this.getSourcetable(this.config.casterHost, this.config.casterPort);
+    } catch (error) {
+      this.config.autoMountpoint = false;
+      this.eventEmitter.emit('ntrip:error', {
+        message: 'Automatic mountpoint selection failed: sourcetable unavailable',
+        error
+      });
+      return false;
+    }
+    
+    if (position) {
+      this.lastPosition = position;
+    }
+    
+    this.selectionPosition = null;
+    this.selectionFailures = 0;
+    this.selectionRetryTime = 0;
+    if (!hasCoordinates(this.lastPosition)) {
+      this.eventEmitter.emit('ntrip:info', {
+        message: 'Waiting for a position to select the nearest mountpoint'
+      });
+      return true;
+    }
+    
+    return (await this.selectNearestMountpoint('initial')) !== null;
+  }
+  
+  /**
+   * Disable automatic mountpoint selection (the current connection is kept)
+   */
+  disableAutoMountpoint() {
+    this.config.autoMountpoint = false;
+    this.selectionPosition = null;
+  }
+  
+  /**
+   * Rank the sourcetable's streams from a position
+   * @param {Object} position - Position with latitude and longitude (defaults to the last position)
+   * @returns {Object[]} Matching streams with distance in meters, nearest first
+   */
+  rankMountpoints(position = this.lastPosition) {
+    if (!this.sourcetable) {
+      return [];
+    }
+    
+    return rankStreams(this.sourcetable.streams, position, {
+      formats: this.config.mountpointFormats,
+      constellations: this.config.mountpointConstellations
+    });
+  }
+  
+  /**
+   * Connect to the stream nearest to the last position, switching if needed
+   * @param {string} reason - Why the selection runs: 'initial', 'distance' or 'manual'
+   * @returns {Promise<Object|null>} Selected stream or null if none matched
+   */
+  async selectNearestMountpoint(reason = 'manual') {
+    if (this.selectingMountpoint) {
+      return null;
+    }
+    
+    const position = this.lastPosition;
+    const nearest = this.rankMountpoints(position)[0];
+    
+    if (!nearest) {
+      this.eventEmitter.emit('ntrip:info', {
+        message: 'No mountpoint in the sourcetable matches the format and constellation filters'
+      });
+      return null;
+    }
+    
+    const movedDistance = this.selectionPosition ?
+      greatCircleDistance(this.selectionPosition.latitude, this.selectionPosition.longitude,
+        position.latitude, position.longitude) :
+      null;
+    const selectionPosition = { latitude: position.latitude, longitude: position.longitude };
+    
+    // Already on the nearest stream
+    if (nearest.mountpoint === this.config.mountpoint && (this.isConnected || this.isConnecting)) {
+      this.selectionPosition = selectionPosition;
+      return nearest;
+    }
+    
+    this.selectingMountpoint = true;
+    try {
+      const from = this.isConnected ? this.config.mountpoint : null;
+      
+      if (this.isConnected || this.isConnecting) {
+        // Don't let the intentional disconnect trigger a reconnect to the old mountpoint
+        const autoReconnect = this.autoReconnect;
+        this.autoReconnect = false;
+        this.disconnect();
+        this.autoReconnect = autoReconnect;
+      }
+      
+      const connected = await this.connect({ mountpoint: nearest.mountpoint });
+      
+      if (!connected) {
+        // The old stream is gone, so a later position update selects again, backing off like reconnects
+        this.selectionPosition = null;
+        this.selectionFailures++;
+        this.selectionRetryTime = Date.now() +
+          Math.min(30000, this.reconnectDelay * Math.pow(1.5, this.selectionFailures - 1));
+        this.eventEmitter.emit('ntrip:error', {
+          message: `Failed to switch to mountpoint ${nearest.mountpoint}`,
+          reason,
+          mountpoint: nearest.mountpoint
+        });
+        return null;
+      }
+      
+      this.selectionPosition = selectionPosition;
+      this.selectionFailures = 0;
+      this.selectionRetryTime = 0;
+      this.eventEmitter.emit('ntrip:mountpoint:switch', {
+        reason,
+        from,
+        to: nearest.mountpoint,
+        distance: nearest.distance,
+        movedDistance,
+        stream: nearest
+      });
+      return nearest;
+    } finally {
+      this.selectingMountpoint = false;
+    }
+  }
+  
+  /**
+   * Re-evaluate the nearest mountpoint after a position update
+   * @param {Object} position - New position
+   */
+  checkMountpointDistance(position) {
+    if (!this.config.autoMountpoint || !this.sourcetable || !hasCoordinates(position)) {
+      return;
+    }
+    
+    // One selection at a time, and none until the backoff after a failed switch has passed
+    if (this.selectingMountpoint || Date.now() < this.selectionRetryTime) {
+      return;
+    }
+    
+    // First position after enabling (or after a failed switch): make the initial selection
+    if (!this.selectionPosition) {
+      this.selectNearestMountpoint('initial').catch(error => this.handleSelectionError(error));
+      return;
+    }
+    
+    // Only switch streams while connected, a manual disconnect stays disconnected
+    if (!this.isConnected) {
+      return;
+    }
+    
+    const moved = greatCircleDistance(this.selectionPosition.latitude, this.selectionPosition.longitude,
+      position.latitude, position.longitude);
+    if (moved >= this.config.mountpointSwitchDistance) {
+      this.selectNearestMountpoint('distance').catch(error => this.handleSelectionError(error));
+    }
+  }
+  
+  /**
+   * Report a selection that threw instead of failing to connect
+   * @param {Error} error - Error from selectNearestMountpoint()
+   */
+  handleSelectionError(error) {
+    this.eventEmitter.emit('ntrip:error', {
+      message: `Mountpoint selection failed: ${error.message}`,
+      error
+    });
+  }
+  
+  /**
+   * Build the URL of a caster resource
+   * @param {string} host - Caster host
+   * @param {number} port - Caster port
+   * @param {string} mountpoint - Mountpoint, empty for the sourcetable
+   * @returns {string} Caster URL
+   */
+  getCasterUrl(host, port, mountpoint) {
+    const protocol = port === 443 ? 'https' : 'http';
+    return `${protocol}://${host}:${port}/${mountpoint}`;
+  }
+  
+  /**
+   * Request a sourcetable over HTTP (directly or through the proxy)
+   * @param {string} url - Request URL
+   * @param {Object} request - Sourcetable request (credentials, timeout)
+   * @returns {Promise<string>} Response text
+   */
+  async fetchSourcetableHttp(url, request) {
+    const headers = new Headers(createRequestHeaders({
+      version: this.config.ntripVersion,
+      username: request.username,
+      password: request.password
+    }));
+    
+    const abortController = new AbortController();
+    const timer = setTimeout(() => abortController.abort(), request.timeout);
+    
+    try {
+      const response = await this.environment.fetch(url, {
+        method: 'GET',
+        headers,
+        signal: abortController.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`NTRIP server error: ${response.status} ${response.statusText}`);
+      }
+      
+      return await response.text();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  /**
+   * Request a sourcetable over a direct TCP connection (Node.js)
+   * @param {Object} request - Sourcetable request (host, port, credentials, timeout)
+   * @returns {Promise<string>} Sourcetable text
+   */
+  async fetchSourcetableTcp(request) {
+    const decoder = new NtripResponseDecoder();
+    const socket = await this.environment.connectTcp({
+      host: request.host,
+      port: request.port,
+      secure: request.port === 443,
+      timeout: request.timeout
+    });
+    
+    return new Promise((resolve, reject) => {
+      const textDecoder = new TextDecoder('latin1');
+      let text = '';
+      let settled = false;
+      
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.close();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(text);
+        }
+      };
+      
+      const timer = setTimeout(() => finish(text ? null : new Error('Sourcetable request timeout')), request.timeout);
+      
+      socket.onerror = finish;
+      socket.onclose = () => finish(decoder.response ? null : new Error('Caster closed the connection'));
+      socket.ondata = (bytes) => {
+        try {
+          text += textDecoder.decode(decoder.push(bytes), { stream: true });
+        } catch (error) {
+          finish(error);
+          return;
+        }
+        
+        if (decoder.response && decoder.response.statusCode !== 200) {
+          finish(new Error(`NTRIP server error: ${decoder.response.statusCode} ${decoder.response.statusText}`));
+        } else if (text.includes('ENDSOURCETABLE')) {
+          finish();
+        }
+      };
+      
+      socket.write(buildRequest({
+        host: request.host,
+        port: request.port,
+        mountpoint: '',
+        version: this.config.ntripVersion,
+        username: request.username,
+        password: request.password
+      }));
+    });
+  }
+  
+  /**
+   * Request a sourcetable through the WebSocket bridge
+   * @param {Object} request - Sourcetable request (host, port, credentials, timeout)
+   * @returns {Promise<string>} Sourcetable text
+   */
+  fetchSourcetableWebSocket(request) {
+    return new Promise((resolve, reject) => {
+      const socket = new this.environment.WebSocket(this.resolveWebSocketUrl());
+      let settled = false;
+      
+      const finish = (error, text) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.close();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(text);
+        }
+      };
+      
+      const timer = setTimeout(() => finish(new Error('Sourcetable request timeout')), request.timeout);
+      
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          command: 'sourcetable',
+          config: {
+            casterHost: request.host,
+            casterPort: request.port,
+            username: request.username,
+            password: request.password
+          }
+        }));
+      };
+      
+      socket.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          if (data.type === 'sourcetable') {
+            finish(null, data.data);
+          } else if (data.type === 'error') {
+            finish(new Error(data.message || 'Sourcetable request failed'));
+          }
+        } catch (e) {
+          finish(new Error('Unexpected binary data in sourcetable response'));
+        }
+      };
+      
+      socket.onerror = () => finish(new Error('WebSocket connection error'));
+      socket.onclose = (event) => finish(new Error(`WebSocket closed: ${event.code} - ${event.reason}`));
+    });
+  }
+
+  /**
+   * Determine the NTRIP revision a fetch response was served with
+   * @param {Response} response - Fetch response from the caster or proxy
+   * @returns {number} 1 or 2
+   */
+  getResponseRevision(response) {
+    return responseRevision('HTTP/1.1', {
+      'ntrip-version': response.headers.get('ntrip-version') || '',
+      'content-type': response.headers.get('content-type') || ''
+    });
+  }
+  
+  /**
+   * GGA sentence to send with a Rev 2 request (Ntrip-GGA header)
+   * @returns {string|null} Last GGA, a GGA built from the last position, or null
+   */
+  getInitialGga() {
+    if (!this.config.sendGga) {
+      return null;
+    }
+    if (this.lastGga) {
+      return this.lastGga;
+    }
+    if (hasCoordinates(this.lastPosition)) {
+      return this.createGgaSentence(this.lastPosition) || null;
+    }
+    return null;
+  }
+  
   /**
    * Read and process the response stream from the NTRIP caster (for direct/proxy mode)
    */
   async readStream() {
+    // A disconnect replaces or clears the reader; a stale loop must not tear down its successor
+    const reader = this.reader;
+    
     try {
       // Loop until disconnected or error occurs
-      while (this.isConnected) {
-        const { value, done } = await this.reader.read();
+      while (this.isConnected && this.reader === reader) {
+        const { value, done } = await reader.read();
+        
+        if (this.reader !== reader) {
+          break;
+        }
         
         // If stream is closed, exit the loop
         if (done) {
@@ -559,22 +1238,14 @@ export class NtripClient {
         
         // Process the chunk of binary data
         if (value) {
-          // Update stats
-          this.rtcmStats.messagesReceived++;
-          this.rtcmStats.lastMessageTime = new Date();
-          this.rtcmStats.bytesReceived += value.length;
-          
-          // Convert to ArrayBuffer and emit correction event
-          this.eventEmitter.emit('ntrip:rtcm', {
-            data: value.buffer,
-            stats: { ...this.rtcmStats }
-          });
-          
-          // Forward to device if available
-          this.forwardRtcmToDevice(value.buffer);
+          this.processRtcmChunk(value);
         }
       }
     } catch (error) {
+      if (this.reader !== reader) {
+        return;
+      }
+      
       // Only emit error if it's not an abort error (which happens during normal disconnect)
       if (error.name !== 'AbortError') {
         this.eventEmitter.emit('ntrip:error', {
@@ -674,27 +1345,23 @@ export class NtripClient {
         return;
       }
       
-      // Verify if data is really RTCM3 format (should start with 0xD3 preamble)
-      const isRtcm = this.isValidRtcmData(binaryData);
-      
-      // Update stats
-      this.rtcmStats.messagesReceived++;
-      this.rtcmStats.lastMessageTime = new Date();
-      this.rtcmStats.bytesReceived += binaryData.byteLength;
-      this.updateCorrectionAge();
+      // A chunk that does not start a frame, while no partial frame is buffered,
+      // might be a text response rather than RTCM
+      const startsFrame = binaryData.byteLength > 0 && new Uint8Array(binaryData)[0] === 0xD3;
       
-      // If it's not valid RTCM, check if it might be a sourcetable
-      if (!isRtcm) {
+      // If it's not RTCM, check if it might be a sourcetable
+      if (!startsFrame && this.rtcmParser.buffer.length === 0) {
         try {
           const textDecoder = new TextDecoder();
           const dataString = textDecoder.decode(binaryData);
           
           // Check if it looks like a sourcetable response
-          if (dataString.includes('SOURCETABLE') || dataString.includes('STR;')) {
+          if (isSourcetable(dataString)) {
             // Likely we received a sourcetable instead of RTCM data
             // This often happens when the caster is waiting for a GGA position
             this.eventEmitter.emit('ntrip:info', { 
-              message: 'Received sourcetable from NTRIP caster. The mountpoint requires GGA position data.'
+              message: 'Received sourcetable from NTRIP caster. The mountpoint requires GGA position data.',
+              sourcetable: parseSourcetable(dataString)
             });
             
             // Try to send GGA data immediately
@@ -716,26 +1383,73 @@ export class NtripClient {
         }
       }
       
-      // Emit RTCM data event regardless of validation
+      this.processRtcmChunk(new Uint8Array(binaryData));
+    } catch (error) {
+      console.error('Error handling RTCM data:', error);
+    }
+  }
+  
+  /**
+   * Reassemble RTCM3 frames from a network chunk, then emit and forward
+   * each complete, CRC-valid frame
+   * @param {Uint8Array} chunk - Bytes received from the caster
+   */
+  processRtcmChunk(chunk) {
+    this.rtcmStats.bytesReceived += chunk.byteLength;
+    
+    // Remove Rev 2 chunk framing before RTCM framing
+    if (this.chunkedDecoder) {
+      try {
+        chunk = this.chunkedDecoder.push(chunk);
+      } catch (error) {
+        this.eventEmitter.emit('ntrip:error', {
+          message: 'Invalid chunked transfer encoding from caster',
+          error
+        });
+        return;
+      }
+    }
+    
+    const frames = this.rtcmParser.parseData(chunk);
+    
+    // Keep frame validation stats alongside the transfer stats
+    const parserStats = this.rtcmParser.getStats();
+    this.rtcmStats.crcErrors = parserStats.crcErrors;
+    this.rtcmStats.skippedBytes = parserStats.skippedBytes;
+    
+    for (const frame of frames) {
+      this.rtcmStats.messagesReceived++;
+      this.rtcmStats.lastMessageTime = new Date();
+      
+      if (frame.messageType !== null) {
+        if (!this.rtcmStats.messageTypes) {
+          this.rtcmStats.messageTypes = {};
+        }
+        const typeStr = frame.messageType.toString();
+        this.rtcmStats.messageTypes[typeStr] = (this.rtcmStats.messageTypes[typeStr] || 0) + 1;
+      }
+      
+      this.updateCorrectionAge();
+      
+      // Copy the frame into its own ArrayBuffer so consumers get exactly one message
+      const data = frame.data.slice().buffer;
+      
       this.eventEmitter.emit('ntrip:rtcm', {
-        data: binaryData,
-        isValidRtcm: isRtcm,
+        data,
+        isValidRtcm: true,
+        messageType: frame.messageType,
+        message: frame.message,
         stats: { ...this.rtcmStats }
       });
       
-      // Only forward valid RTCM data to the device
-      if (isRtcm) {
-        this.forwardRtcmToDevice(binaryData);
-      }
-    } catch (error) {
-      console.error('Error handling RTCM data:', error);
+      this.forwardRtcmToDevice(data);
     }
   }
   
   /**
-   * Validate if the data is in RTCM3 format
+   * Validate if the data is a complete RTCM3 frame with a valid CRC-24Q
    * @param {ArrayBuffer} data - Binary data to validate
-   * @returns {boolean} Whether the data appears to be valid RTCM3
+   * @returns {boolean} Whether the data starts with a complete, valid RTCM3 frame
    */
   isValidRtcmData(data) {
     if (!data || data.byteLength === 0) {
@@ -743,53 +1457,15 @@ export class NtripClient {
     }
     
     try {
-      // RTCM3 messages must start with 0xD3 preamble
-      const dataView = new DataView(data);
-      const firstByte = dataView.getUint8(0);
-      
-      if (firstByte !== 0xD3) {
-        // Data doesn't start with 0xD3, likely not valid RTCM3
-        // Log first few bytes for debugging
-        if (this.debug?.errors || this.debug?.rtcmMessages) {
-          const bytes = new Uint8Array(data.slice(0, Math.min(10, data.byteLength)));
-          console.error('Invalid RTCM data - missing preamble 0xD3, instead got:', 
-            Array.from(bytes).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
-        }
-        return false;
-      }
+      const valid = validateFrame(new Uint8Array(data));
       
-      // Optionally decode more of the RTCM3 header for validation
-      if (data.byteLength >= 3) {
-        // Extract message length from RTCM3 header
-        const msgLength = ((dataView.getUint8(1) & 0x03) << 8) + dataView.getUint8(2);
-        
-        // Basic length validation (should at least be 6 bytes for header + CRC)
-        if (msgLength < 3 || msgLength > 1023) {
-          if (this.debug?.errors) {
-            console.error(`RTCM3 message has invalid length: ${msgLength}`);
-          }
-          return false;
-        }
-        
-        // If we have enough data, extract the message type
-        if (data.byteLength >= 6) {
-          const msgType = ((dataView.getUint8(3) & 0xFF) << 4) + ((dataView.getUint8(4) & 0xF0) >> 4);
-          
-          // Track message type in stats
-          if (!this.rtcmStats.messageTypes) {
-            this.rtcmStats.messageTypes = {};
-          }
-          
-          const typeStr = msgType.toString();
-          this.rtcmStats.messageTypes[typeStr] = (this.rtcmStats.messageTypes[typeStr] || 0) + 1;
-          
-          if (this.debug?.rtcmMessages) {
-            console.log(`RTCM3 message type: ${msgType}, length: ${msgLength}`);
-          }
-        }
+      if (!valid && (this.debug?.errors || this.debug?.rtcmMessages)) {
+        const bytes = new Uint8Array(data.slice(0, Math.min(10, data.byteLength)));
+        console.error('Invalid RTCM data - incomplete frame or CRC mismatch:', 
+          Array.from(bytes).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
       }
       
-      return true;
+      return valid;
     } catch (error) {
       console.error('Error validating RTCM data:', error);
       return false;
@@ -869,16 +1545,24 @@ export class NtripClient {
       // WebSocket mode
       if (this.activeMode === 'websocket' && this.webSocket) {
         // Send disconnect command to proxy
-        if (this.webSocket.readyState === WebSocket.OPEN) {
+        if (this.webSocket.readyState === WEBSOCKET_OPEN) {
           this.webSocket.send(JSON.stringify({
             command: 'disconnect'
           }));
         }
         
-        // Close WebSocket
+        // Close WebSocket, detached so its late close event can't affect a new connection
+        this.webSocket.onmessage = null;
+        this.webSocket.onclose = null;
+        this.webSocket.onerror = null;
         this.webSocket.close();
         this.webSocket = null;
       }
+      // Direct TCP mode
+      else if (this.tcpSocket) {
+        this.tcpSocket.close();
+        this.tcpSocket = null;
+      }
       // Direct or proxy mode
       else if (this.abortController) {
         this.abortController.abort();
@@ -907,6 +1591,10 @@ export class NtripClient {
     this.webSocket = null;
     this.reader = null;
     this.abortController = null;
+    if (this.tcpSocket) {
+      this.tcpSocket.close();
+      this.tcpSocket = null;
+    }
     
     // Stop GGA updates
     this.stopGgaUpdates();
@@ -1096,10 +1784,20 @@ export class NtripClient {
   updatePosition(position) {
     this.lastPosition = position;
     
-    // If GGA updates are enabled and we're connected, create and send GGA
-    if (this.config.sendGga && this.isConnected && !this.lastGga) {
-      const gga = this.createGgaSentence(position);
-      this.sendGGA(gga);
+    // Follow the nearest mountpoint when automatic selection is enabled
+    this.checkMountpointDistance(position);
+    
+    if (!this.config.sendGga || !hasCoordinates(position)) {
+      return;
+    }
+    
+    // Keep the GGA current for the periodic updates and the next connection
+    this.lastGga = this.createGgaSentence(position);
+    
+    // Send it right away unless a GGA went out within the update interval
+    const elapsed = this.lastGgaTime === null ? Infinity : Date.now() - this.lastGgaTime;
+    if (this.isConnected && elapsed >= this.config.ggaUpdateInterval * 1000) {
+      this.sendGGA(this.lastGga);
     }
   }
 
@@ -1116,6 +1814,7 @@ export class NtripClient {
     try {
       // Store the GGA for periodic updates
       this.lastGga = gga;
+      this.lastGgaTime = Date.now();
       
       // Choose method based on active mode
       if (this.activeMode === 'websocket') {
@@ -1139,7 +1838,7 @@ export class NtripClient {
    * @returns {Promise<boolean>} Whether message was sent successfully
    */
   async sendGGAWebSocket(gga) {
-    if (!this.webSocket || this.webSocket.readyState !== WebSocket.OPEN) {
+    if (!this.webSocket || this.webSocket.readyState !== WEBSOCKET_OPEN) {
       return false;
     }
     
@@ -1162,24 +1861,29 @@ export class NtripClient {
    * @returns {Promise<boolean>} Whether message was sent successfully
    */
   async sendGGADirect(gga) {
+    // Over TCP the GGA goes on the open connection
+    if (this.tcpSocket) {
+      this.tcpSocket.write(gga.trim() + '\r\n');
+      return true;
+    }
+    
     try {
       // Create POST request URL
-      const protocol = this.config.casterPort === 443 ? 'https' : 'http';
-      const url = `${protocol}://${this.config.casterHost}:${this.config.casterPort}/${this.config.mountpoint}`;
+      const url = this.getCasterUrl(this.config.casterHost, this.config.casterPort, this.config.mountpoint);
       
-      // Create headers with authentication if needed
+      // Create headers with authentication if needed; Rev 2 carries the position in Ntrip-GGA
       const headers = new Headers({
-        'Content-Type': 'text/plain',
-        'User-Agent': 'NTRIP WebGNSS Client'
+        ...createRequestHeaders({
+          version: this.ntripVersion || this.config.ntripVersion,
+          username: this.config.username,
+          password: this.config.password,
+          gga
+        }),
+        'Content-Type': 'text/plain'
       });
       
-      if (this.config.username && this.config.password) {
-        const auth = btoa(`${this.config.username}:${this.config.password}`);
-        headers.append('Authorization', `Basic ${auth}`);
-      }
-      
       // Send request - don't await the response as it's fire-and-forget
-      fetch(url, {
+      this.environment.fetch(url, {
         method: 'POST',
         headers,
         body: gga
@@ -1201,22 +1905,14 @@ export class NtripClient {
    */
   async sendGGAProxy(gga) {
     try {
-      // Determine proxy URL
-      let proxyUrl = this.config.proxyUrl;
-      
-      // If it's a relative URL, make it absolute
-      if (proxyUrl.startsWith('/')) {
-        const protocol = window.location.protocol;
-        proxyUrl = `${protocol}//${window.location.host}${proxyUrl}`;
-      }
-      
-      // Add GGA endpoint
-      proxyUrl = `${proxyUrl}/${this.config.mountpoint}/gga`;
+      // Determine proxy URL and add GGA endpoint
+      let proxyUrl = `${this.resolveProxyUrl()}/${this.config.mountpoint}/gga`;
       
       // Add parameters
       const params = new URLSearchParams({
         host: this.config.casterHost,
-        port: this.config.casterPort.toString()
+        port: this.config.casterPort.toString(),
+        version: (this.ntripVersion || requestedRevision(this.config.ntripVersion)).toString()
       });
       
       if (this.config.username && this.config.password) {
@@ -1227,7 +1923,7 @@ export class NtripClient {
       proxyUrl += `?${params.toString()}`;
       
       // Send request - don't await the response as it's fire-and-forget
-      fetch(proxyUrl, {
+      this.environment.fetch(proxyUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'text/plain'
@@ -1256,83 +1952,21 @@ export class NtripClient {
         throw new Error('Invalid position data');
       }
       
-      // Get time in UTC
-      const now = new Date();
-      const hours = now.getUTCHours().toString().padStart(2, '0');
-      const minutes = now.getUTCMinutes().toString().padStart(2, '0');
-      const seconds = now.getUTCSeconds().toString().padStart(2, '0');
-      const milliseconds = now.getUTCMilliseconds().toString().padStart(3, '0');
-      const timeStr = `${hours}${minutes}${seconds}.${milliseconds}`;
-      
-      // Format latitude - IMPORTANT: This must follow NMEA spec exactly
-      // Format: DDMM.MMMMM (degrees and decimal minutes)
-      const latDeg = Math.floor(Math.abs(position.latitude));
-      const latMin = (Math.abs(position.latitude) - latDeg) * 60;
-      const latStr = `${latDeg.toString().padStart(2, '0')}${latMin.toFixed(7)}`;
-      const latDir = position.latitude >= 0 ? 'N' : 'S';
-      
-      // Format longitude - IMPORTANT: This must follow NMEA spec exactly
-      // Format: DDDMM.MMMMM (degrees and decimal minutes)
-      const lonDeg = Math.floor(Math.abs(position.longitude));
-      const lonMin = (Math.abs(position.longitude) - lonDeg) * 60;
-      const lonStr = `${lonDeg.toString().padStart(3, '0')}${lonMin.toFixed(7)}`;
-      const lonDir = position.longitude >= 0 ? 'E' : 'W';
-      
-      // Quality indicator
-      // 0 = No fix, 1 = GPS fix, 2 = DGPS, 4 = RTK fixed, 5 = RTK float
-      const quality = position.quality || 1;
-      
-      // Number of satellites
-      const satellites = position.satellites || 8; // Default to 8 satellites to indicate strong signal
-      
-      // HDOP
-      const hdop = position.hdop || 1.0;
-      
-      // Altitude
-      const altitude = position.altitude || 0.0;
-      
-      // Geoid separation (set to 0 if not available)
-      const geoidSep = position.geoidSeparation || 0.0;
-      
-      // Age of differential corrections (set to empty if not available)
-      const diffAge = position.diffAge || '';
-      
-      // Differential reference station ID (empty if not available)
-      const diffStationId = position.diffStationId || '';
-      
-      // Construct GGA sentence
-      const ggaFields = [
-        'GPGGA',         // Message ID
-        timeStr,         // UTC Time
-        latStr,          // Latitude
-        latDir,          // N/S indicator
-        lonStr,          // Longitude
-        lonDir,          // E/W indicator
-        quality,         // Quality indicator
-        satellites,      // Number of satellites
-        hdop.toFixed(1), // HDOP
-        altitude.toFixed(1), // Altitude
-        'M',             // Altitude units (meters)
-        geoidSep.toFixed(1), // Geoid separation
-        'M',             // Geoid separation units (meters)
-        diffAge,         // Age of differential corrections
-        diffStationId    // Differential reference station ID
-      ];
-      
-      // Join fields with commas
-      const sentence = '$' + ggaFields.join(',');
-      
-      // Calculate checksum
-      let checksum = 0;
-      for (let i = 1; i < sentence.length; i++) {
-        checksum ^= sentence.charCodeAt(i);
-      }
-      
-      // Format checksum as 2-digit hex
-      const checksumHex = checksum.toString(16).toUpperCase().padStart(2, '0');
-      
-      // Add checksum and line ending
-      const fullSentence = `${sentence}*${checksumHex}\r\n`;
+      // Minutes are zero-padded (DDMM.MMMMMMM), which casters need to place the rover
+      const fullSentence = `${this.nmeaEncoder.encode({
+        type: 'GGA',
+        talker: 'GP',
+        time: Date.now(),
+        latitude: position.latitude,
+        longitude: position.longitude,
+        fixQuality: position.quality || 1, // 0 = No fix, 1 = GPS fix, 2 = DGPS, 4 = RTK fixed, 5 = RTK float
+        satellites: position.satellites || 8, // Default to 8 satellites to indicate strong signal
+        hdop: position.hdop || 1.0,
+        altitude: position.altitude || 0.0,
+        geoidHeight: position.geoidSeparation || 0.0,
+        dgpsAge: position.diffAge,
+        dgpsStation: position.diffStationId
+      })}\r\n`;
       
       // Validate the created sentence
       if (this.isValidGga(fullSentence)) {
@@ -1344,8 +1978,18 @@ export class NtripClient {
       console.error('Error creating GGA sentence:', error);
       
       // Return a minimal valid GGA sentence with 0,0 coordinates
-      // This is a fallback that uses a pre-computed valid GGA with checksum
-      return '$GPGGA,000000.000,0000.0000,N,00000.0000,E,1,08,1.0,0.0,M,0.0,M,,*67\r\n';
+      return `${this.nmeaEncoder.encode({
+        type: 'GGA',
+        talker: 'GP',
+        time: '000000.00',
+        latitude: 0,
+        longitude: 0,
+        fixQuality: 1,
+        satellites: 8,
+        hdop: 1.0,
+        altitude: 0.0,
+        geoidHeight: 0.0
+      })}\r\n`;
     }
   }
   
@@ -1431,6 +2075,7 @@ export class NtripClient {
    * Reset RTCM statistics
    */
   resetRtcmStats() {
+    this.rtcmParser.resetStats();
     this.rtcmStats = {
       messagesReceived: 0,
       bytesSent: 0,
@@ -1463,6 +2108,7 @@ export class NtripClient {
       casterHost: this.config.casterHost,
       mountpoint: this.config.mountpoint,
       mode: this.activeMode,
+      ntripVersion: this.ntripVersion,
       rtcmStats: { ...this.rtcmStats },
       reconnectAttempts: this.reconnectAttempts,
       autoReconnect: this.autoReconnect
@@ -1470,4 +2116,13 @@ export class NtripClient {
   }
 }
 
+/**
+ * Check that a position has usable coordinates
+ * @param {Object} position - Position data
+ * @returns {boolean} Whether latitude and longitude are finite numbers
+ */
+function hasCoordinates(position) {
+  return Boolean(position) && Number.isFinite(position.latitude) && Number.isFinite(position.longitude);
+}
+
 export default NtripClient;
\ No newline at end of file
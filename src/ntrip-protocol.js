@@ -0,0 +1,410 @@
+/**
+ * NTRIP protocol helpers - request building and response decoding for
+ * NTRIP Rev 1 and Rev 2
+ *
+ * Rev 1 casters answer "ICY 200 OK" and stream raw bytes. Rev 2 casters
+ * answer a regular HTTP/1.1 response carrying an Ntrip-Version header and
+ * may use chunked transfer encoding. Shared by NtripClient and the Node
+ * proxy so both negotiate the revision the same way.
+ */
+
+export const NTRIP_USER_AGENT = 'NTRIP gnss.js';
+
+// Header sent by Rev 2 clients and casters
+export const NTRIP_VERSION_HEADER = 'Ntrip-Version';
+export const NTRIP_REV2 = 'Ntrip/2.0';
+
+// Largest response header block accepted before giving up on a response
+const MAX_HEADER_LENGTH = 16384;
+
+/**
+ * Normalise a requested protocol version
+ * @param {number|string} version - 1, 2 or 'auto' (Rev 2 request, Rev 1 accepted)
+ * @returns {number} Revision to request (1 or 2)
+ */
+export function requestedRevision(version) {
+  return String(version) === '1' ? 1 : 2;
+}
+
+/**
+ * Check the fields that go into a caster request
+ *
+ * Host and mountpoint end up in the request line, the rest in headers, so
+ * control characters (CR/LF in particular) or spaces would let a caller
+ * append its own headers or requests.
+ * @param {Object} options - Request options (host, mountpoint, username, password, gga)
+ * @throws {Error} When a field can't be sent safely
+ */
+export function validateRequest(options = {}) {
+  for (const field of ['host', 'mountpoint']) {
+    const value = String(options[field] || '');
+    if (hasControlCharacters(value) || /\s/.test(value)) {
+      throw new Error(`Invalid ${field}: whitespace and control characters are not allowed`);
+    }
+  }
+
+  for (const field of ['username', 'password']) {
+    if (hasControlCharacters(String(options[field] || ''))) {
+      throw new Error(`Invalid ${field}: control characters are not allowed`);
+    }
+  }
+
+  if (options.gga && !isGgaSentence(options.gga.trim())) {
+    throw new Error('Invalid GGA: expected a $..GGA sentence with a valid checksum');
+  }
+}
+
+/**
+ * Check that text is a single GGA sentence with a valid checksum
+ * @param {string} text - Sentence without line ending
+ * @returns {boolean} Whether the sentence is a checksummed GGA
+ */
+export function isGgaSentence(text) {
+  const match = typeof text === 'string' && text.match(/^\$([A-Z]{2}GGA,[\x20-\x7E]*)\*([0-9A-Fa-f]{2})$/);
+  if (!match || match[1].includes('*') || match[1].includes('$')) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < match[1].length; i++) {
+    sum ^= match[1].charCodeAt(i);
+  }
+  return sum === parseInt(match[2], 16);
+}
+
+/**
+ * Build the request headers for a mountpoint or sourcetable request
+ * @param {Object} options - Request options
+ * @param {number|string} options.version - Protocol version to request
+ * @param {string} options.username - Username for Basic authentication
+ * @param {string} options.password - Password for Basic authentication
+ * @param {string} options.gga - GGA sentence sent with a Rev 2 request
+ * @returns {Object} Header name/value pairs
+ * @throws {Error} When a field fails validateRequest()
+ */
+export function createRequestHeaders(options = {}) {
+  validateRequest(options);
+
+  const headers = {
+    'User-Agent': NTRIP_USER_AGENT,
+    'Accept': '*/*'
+  };
+
+  if (requestedRevision(options.version) === 2) {
+    headers[NTRIP_VERSION_HEADER] = NTRIP_REV2;
+
+    // Rev 2 passes the rover position in the request instead of after it
+    if (options.gga) {
+      headers['Ntrip-GGA'] = options.gga.trim();
+    }
+  }
+
+  if (options.username || options.password) {
+    headers['Authorization'] = `Basic ${encodeBase64(`${options.username || ''}:${options.password || ''}`)}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Build a raw request for a TCP connection to a caster
+ * @param {Object} options - Request options (see createRequestHeaders)
+ * @param {string} options.host - Caster host
+ * @param {number} options.port - Caster port
+ * @param {string} options.mountpoint - Mountpoint, empty for the sourcetable
+ * @returns {string} Request including the terminating blank line
+ * @throws {Error} When a field fails validateRequest()
+ */
+export function buildRequest(options = {}) {
+  validateRequest(options);
+
+  const revision = requestedRevision(options.version);
+  const lines = [`GET /${options.mountpoint || ''} HTTP/1.${revision === 2 ? 1 : 0}`];
+
+  if (revision === 2) {
+    lines.push(`Host: ${options.host}:${options.port}`);
+  }
+
+  for (const [name, value] of Object.entries(createRequestHeaders(options))) {
+    lines.push(`${name}: ${value}`);
+  }
+  lines.push('Connection: close');
+
+  return lines.join('\r\n') + '\r\n\r\n';
+}
+
+/**
+ * Determine the protocol revision from a response
+ * @param {string} protocol - Status line protocol (ICY, HTTP/1.0, HTTP/1.1, SOURCETABLE)
+ * @param {Object} headers - Response headers with lowercase names
+ * @returns {number} 1 or 2
+ */
+export function responseRevision(protocol, headers = {}) {
+  const version = headers['ntrip-version'] || '';
+  if (protocol.startsWith('HTTP') && /2\.\d/.test(version)) {
+    return 2;
+  }
+  // gnss/data and gnss/sourcetable are the Rev 2 content types
+  if (protocol.startsWith('HTTP') && /^gnss\//.test(headers['content-type'] || '')) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * Decoder for HTTP chunked transfer encoding
+ */
+export class ChunkedDecoder {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Strip chunk framing from a piece of the body
+   * @param {Uint8Array} bytes - Chunked body bytes
+   * @returns {Uint8Array} Payload bytes contained in this piece
+   */
+  push(bytes) {
+    const output = [];
+    let offset = 0;
+
+    while (offset < bytes.length && !this.done) {
+      if (this.state === 'size') {
+        // Chunk size line: hex size, optional extensions, CRLF
+        const byte = bytes[offset++];
+        if (byte === 0x0A) {
+          const size = parseInt(this.line.split(';')[0].trim(), 16);
+          this.line = '';
+          if (!Number.isFinite(size)) {
+            throw new Error('Invalid chunk size in chunked transfer encoding');
+          }
+          this.remaining = size;
+          this.state = size === 0 ? 'trailer' : 'data';
+        } else if (byte !== 0x0D) {
+          this.line += String.fromCharCode(byte);
+        }
+      } else if (this.state === 'data') {
+        const count = Math.min(this.remaining, bytes.length - offset);
+        output.push(bytes.subarray(offset, offset + count));
+        offset += count;
+        this.remaining -= count;
+        if (this.remaining === 0) {
+          this.state = 'data-end';
+        }
+      } else if (this.state === 'data-end') {
+        // CRLF after the chunk data
+        if (bytes[offset++] === 0x0A) {
+          this.state = 'size';
+        }
+      } else {
+        // Trailer section ends with an empty line
+        const byte = bytes[offset++];
+        if (byte === 0x0A) {
+          if (this.line === '') {
+            this.done = true;
+          }
+          this.line = '';
+        } else if (byte !== 0x0D) {
+          this.line += String.fromCharCode(byte);
+        }
+      }
+    }
+
+    return concatBytes(output);
+  }
+
+  /**
+   * Reset the decoder for a new body
+   */
+  reset() {
+    this.state = 'size';
+    this.line = '';
+    this.remaining = 0;
+    this.done = false;
+  }
+}
+
+/**
+ * Decoder for a caster response on a raw TCP connection
+ *
+ * Parses the status line and headers, records the negotiated revision and
+ * returns body bytes, by default with any chunk framing removed.
+ */
+export class NtripResponseDecoder {
+  /**
+   * Create a response decoder
+   * @param {Object} options - Decoder options
+   * @param {boolean} options.dechunk - Remove chunk framing from the body (default true)
+   */
+  constructor(options = {}) {
+    this.dechunk = options.dechunk !== false;
+    this.reset();
+  }
+
+  /**
+   * Feed bytes received from the caster
+   * @param {Uint8Array} bytes - Received bytes
+   * @returns {Uint8Array} Body bytes available so far (empty until headers are complete)
+   */
+  push(bytes) {
+    if (this.response) {
+      return this.decodeBody(bytes);
+    }
+
+    const combined = concatBytes([this.headerBuffer, bytes]);
+    const headerEnd = findHeaderEnd(combined);
+
+    if (headerEnd === -1) {
+      if (combined.length > MAX_HEADER_LENGTH) {
+        throw new Error('NTRIP response header too long');
+      }
+      this.headerBuffer = combined;
+      return new Uint8Array(0);
+    }
+
+    this.headerBuffer = new Uint8Array(0);
+    this.response = parseResponseHead(decodeAscii(combined.subarray(0, headerEnd.start)));
+    return this.decodeBody(combined.subarray(headerEnd.end));
+  }
+
+  /**
+   * Decode body bytes according to the response's transfer encoding
+   * @param {Uint8Array} bytes - Body bytes
+   * @returns {Uint8Array} Payload bytes
+   */
+  decodeBody(bytes) {
+    return this.response.chunked && this.dechunk ? this.chunkedDecoder.push(bytes) : bytes;
+  }
+
+  /**
+   * Reset the decoder for a new response
+   */
+  reset() {
+    this.headerBuffer = new Uint8Array(0);
+    this.response = null;
+    this.chunkedDecoder = new ChunkedDecoder();
+  }
+}
+
+/**
+ * Find the end of the response head
+ * @param {Uint8Array} bytes - Received bytes
+ * @returns {Object|number} { start, end } of the terminator or -1 if incomplete
+ */
+function findHeaderEnd(bytes) {
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] !== 0x0A) {
+      continue;
+    }
+
+    // A Rev 1 "ICY 200 OK" line may be followed directly by data
+    if (bytes[0] === 0x49 && decodeAscii(bytes.subarray(0, 4)) === 'ICY ') {
+      let end = i + 1;
+      if (bytes[end] === 0x0D && bytes[end + 1] === 0x0A) {
+        end += 2;
+      } else if (end >= bytes.length - 1 && bytes[end] === 0x0D) {
+        return -1; // Can't tell yet whether a blank line follows
+      }
+      return { start: i + 1, end };
+    }
+
+    if (bytes[i + 1] === 0x0A) {
+      return { start: i + 1, end: i + 2 };
+    }
+    if (bytes[i + 1] === 0x0D && bytes[i + 2] === 0x0A) {
+      return { start: i + 1, end: i + 3 };
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse the status line and headers of a response
+ * @param {string} head - Response head text
+ * @returns {Object} Response { protocol, statusCode, statusText, headers, version, chunked, sourcetable }
+ */
+function parseResponseHead(head) {
+  const lines = head.split(/\r?\n/).filter(line => line.length > 0);
+  const statusLine = lines.shift() || '';
+  const match = statusLine.match(/^(\S+)\s+(\d{3})\s*(.*)$/);
+
+  const headers = {};
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+    }
+  }
+
+  const protocol = match ? match[1] : statusLine;
+  return {
+    protocol,
+    statusCode: match ? parseInt(match[2], 10) : 0,
+    statusText: match ? match[3] : statusLine,
+    headers,
+    version: responseRevision(protocol, headers),
+    chunked: /chunked/i.test(headers['transfer-encoding'] || ''),
+    sourcetable: protocol === 'SOURCETABLE' || /sourcetable/i.test(headers['content-type'] || '')
+  };
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Uint8Array[]} parts - Byte arrays
+ * @returns {Uint8Array} Combined bytes
+ */
+function concatBytes(parts) {
+  if (parts.length === 1) {
+    return parts[0];
+  }
+
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Decode ASCII bytes
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Text
+ */
+function decodeAscii(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+/**
+ * Whether text contains C0 control characters or DEL
+ * @param {string} text - Text
+ * @returns {boolean} True when a control character is present
+ */
+function hasControlCharacters(text) {
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x20 || code === 0x7F) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Base64-encode a credentials string
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 text
+ */
+function encodeBase64(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
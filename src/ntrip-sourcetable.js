@@ -0,0 +1,241 @@
+/**
+ * NTRIP sourcetable parsing
+ *
+ * A caster answers a request for "/" with its sourcetable: one record per
+ * line, fields separated by semicolons, terminated by ENDSOURCETABLE.
+ * STR records describe data streams (mountpoints), CAS records other casters
+ * and NET records the networks streams belong to.
+ */
+
+// Mean Earth radius (IUGG) in meters, used for great-circle distances
+const EARTH_RADIUS = 6371008.8;
+
+// Navigation system spellings found in STR records, by canonical name
+const NAV_SYSTEM_ALIASES = {
+  GPS: ['GPS', 'NAVSTAR'],
+  GLO: ['GLO', 'GLONASS'],
+  GAL: ['GAL', 'GALILEO'],
+  BDS: ['BDS', 'BEIDOU', 'BEI', 'CMP', 'COMPASS'],
+  QZS: ['QZS', 'QZSS'],
+  SBAS: ['SBAS', 'SBS', 'EGNOS', 'WAAS', 'MSAS', 'GAGAN']
+};
+
+/**
+ * Parse a sourcetable response into structured records
+ * @param {string} text - Sourcetable text (HTTP/ICY headers are skipped)
+ * @returns {Object} Sourcetable { streams, casters, networks, complete }
+ */
+export function parseSourcetable(text) {
+  const sourcetable = {
+    streams: [],
+    casters: [],
+    networks: [],
+    complete: false
+  };
+
+  if (!text) {
+    return sourcetable;
+  }
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line === 'ENDSOURCETABLE') {
+      sourcetable.complete = true;
+      break;
+    }
+
+    const fields = line.split(';');
+    switch (fields[0]) {
+      case 'STR':
+        sourcetable.streams.push(parseStreamRecord(fields));
+        break;
+      case 'CAS':
+        sourcetable.casters.push(parseCasterRecord(fields));
+        break;
+      case 'NET':
+        sourcetable.networks.push(parseNetworkRecord(fields));
+        break;
+      default:
+        // Response headers, blank lines and unknown record types
+        break;
+    }
+  }
+
+  return sourcetable;
+}
+
+/**
+ * Check whether a response body looks like a sourcetable
+ * @param {string} text - Response text
+ * @returns {boolean} Whether the text contains sourcetable records
+ */
+export function isSourcetable(text) {
+  return typeof text === 'string' &&
+    (text.includes('SOURCETABLE') || /^(STR|CAS|NET);/m.test(text));
+}
+
+/**
+ * Great-circle (haversine) distance between two points
+ * @param {number} lat1 - Latitude of the first point in degrees
+ * @param {number} lon1 - Longitude of the first point in degrees
+ * @param {number} lat2 - Latitude of the second point in degrees
+ * @param {number} lon2 - Longitude of the second point in degrees
+ * @returns {number} Distance in meters
+ */
+export function greatCircleDistance(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Rank sourcetable streams by distance from a position
+ *
+ * Streams without coordinates are dropped, as are streams whose format
+ * doesn't match or that don't carry every requested constellation.
+ * @param {Object[]} streams - STR records from parseSourcetable()
+ * @param {Object} position - Position with latitude and longitude
+ * @param {Object} options - Filters
+ * @param {string[]} options.formats - Accepted format prefixes (default RTCM 3.x)
+ * @param {string[]} options.constellations - Constellations a stream must carry (e.g. ['GPS', 'GLO'])
+ * @returns {Object[]} Matching streams with a distance (meters) property, nearest first
+ */
+export function rankStreams(streams, position, options = {}) {
+  if (!position || !Number.isFinite(position.latitude) || !Number.isFinite(position.longitude)) {
+    return [];
+  }
+
+  const formats = (options.formats || ['RTCM 3']).map(normalizeFormat);
+  const constellations = (options.constellations || []).map(normalizeNavSystem);
+
+  return streams
+    .filter(stream => Number.isFinite(stream.latitude) && Number.isFinite(stream.longitude) &&
+      // 0/0 is the conventional "unknown location" in sourcetables
+      !(stream.latitude === 0 && stream.longitude === 0))
+    .filter(stream => formats.some(format => normalizeFormat(stream.format).startsWith(format)))
+    .filter(stream => {
+      const available = stream.navSystems.map(normalizeNavSystem);
+      return constellations.every(system => available.includes(system));
+    })
+    .map(stream => ({
+      ...stream,
+      distance: greatCircleDistance(position.latitude, position.longitude, stream.latitude, stream.longitude)
+    }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Normalise a stream format for comparison ("RTCM 3.2" -> "RTCM3.2")
+ * @param {string} format - Format field
+ * @returns {string} Normalised format
+ */
+function normalizeFormat(format) {
+  return String(format || '').replace(/[\s_-]/g, '').toUpperCase();
+}
+
+/**
+ * Map a navigation system name to its canonical sourcetable spelling
+ * @param {string} system - Navigation system (e.g. 'glonass', 'GLO')
+ * @returns {string} Canonical name (GPS, GLO, GAL, BDS, QZS, SBAS) or the input uppercased
+ */
+function normalizeNavSystem(system) {
+  const name = String(system).trim().toUpperCase();
+  const match = Object.keys(NAV_SYSTEM_ALIASES).find(key => NAV_SYSTEM_ALIASES[key].includes(name));
+  return match || name;
+}
+
+/**
+ * Parse an STR (data stream) record
+ * @param {string[]} fields - Record fields
+ * @returns {Object} Stream description
+ */
+function parseStreamRecord(fields) {
+  const navSystem = fields[6] || '';
+
+  return {
+    mountpoint: fields[1] || '',
+    identifier: fields[2] || '',
+    format: fields[3] || '',
+    formatDetails: fields[4] || '',
+    carrier: toInteger(fields[5]), // 0 = none, 1 = L1, 2 = L1+L2
+    navSystem,
+    navSystems: navSystem ? navSystem.split('+').map(system => system.trim()).filter(Boolean) : [],
+    network: fields[7] || '',
+    country: fields[8] || '',
+    latitude: toNumber(fields[9]),
+    longitude: toNumber(fields[10]),
+    nmea: fields[11] === '1', // Client must send GGA
+    solution: toInteger(fields[12]), // 0 = single base, 1 = network
+    generator: fields[13] || '',
+    compression: fields[14] || '',
+    authentication: fields[15] || 'N', // N = none, B = basic, D = digest
+    fee: fields[16] === 'Y',
+    bitrate: toInteger(fields[17]),
+    misc: fields.slice(18).join(';')
+  };
+}
+
+/**
+ * Parse a CAS (caster) record
+ * @param {string[]} fields - Record fields
+ * @returns {Object} Caster description
+ */
+function parseCasterRecord(fields) {
+  return {
+    host: fields[1] || '',
+    port: toInteger(fields[2]),
+    identifier: fields[3] || '',
+    operator: fields[4] || '',
+    nmea: fields[5] === '1',
+    country: fields[6] || '',
+    latitude: toNumber(fields[7]),
+    longitude: toNumber(fields[8]),
+    fallbackHost: fields[9] || '',
+    fallbackPort: toInteger(fields[10]),
+    misc: fields.slice(11).join(';')
+  };
+}
+
+/**
+ * Parse a NET (network) record
+ * @param {string[]} fields - Record fields
+ * @returns {Object} Network description
+ */
+function parseNetworkRecord(fields) {
+  return {
+    identifier: fields[1] || '',
+    operator: fields[2] || '',
+    authentication: fields[3] || 'N',
+    fee: fields[4] === 'Y',
+    webNet: fields[5] || '',
+    webStr: fields[6] || '',
+    webReg: fields[7] || '',
+    misc: fields.slice(8).join(';')
+  };
+}
+
+/**
+ * Parse a decimal field
+ * @param {string} value - Field value
+ * @returns {number|null} Number or null if empty/invalid
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse an integer field
+ * @param {string} value - Field value
+ * @returns {number|null} Integer or null if empty/invalid
+ */
+function toInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+export default parseSourcetable;
@@ -0,0 +1,125 @@
+import { isNode } from './environment.js';
+
+/**
+ * ParserWorkerClient - Main-thread side of the parser worker
+ *
+ * Sends raw device data to parser-worker.js as transferred ArrayBuffers and re-emits
+ * the parsed events it posts back on the module's EventEmitter, so listeners see the
+ * same events as when the parsers run on the main thread.
+ */
+export class ParserWorkerClient {
+  /**
+   * @param {EventEmitter} events - Event emitter to re-emit the worker's events on
+   * @param {Object} options - Worker options
+   * @param {Worker} [options.worker] - Worker running parser-worker.js, e.g. a Node.js worker_threads Worker
+   * @param {string|URL} [options.url] - URL of parser-worker.js when the worker is created here
+   *   (a module Web Worker, or a worker_threads Worker in Node.js)
+   * @param {boolean} [options.strict] - NmeaParser strict mode
+   * @param {number} [options.satelliteTimeout] - ms before unreported satellites expire
+   * @param {Object} [options.debug] - Debug settings
+   */
+  constructor(events, options = {}) {
+    this.events = events;
+    this.worker = options.worker || createWorker(options.url || new URL('./parser-worker.js', import.meta.url));
+    this.textEncoder = new TextEncoder();
+    this.pendingStats = new Map(); // Resolvers of getStats() by request ID
+    this.nextRequestId = 1;
+
+    // Web Workers deliver MessageEvents, worker_threads the message itself
+    if (typeof this.worker.addEventListener === 'function') {
+      this.worker.addEventListener('message', event => this.handleMessage(event.data));
+    } else {
+      this.worker.on('message', message => this.handleMessage(message));
+    }
+
+    this.worker.postMessage({
+      type: 'init',
+      options: {
+        strict: options.strict,
+        satelliteTimeout: options.satelliteTimeout,
+        debug: options.debug
+      }
+    });
+  }
+
+  /**
+   * Send a chunk of raw device data to the worker
+   * @param {string|ArrayBuffer|Uint8Array} data - Raw data from the receiver
+   */
+  push(data) {
+    // Transfer a copy: other device:data listeners, such as the recorder, keep using the original
+    const bytes = typeof data === 'string'
+      ? this.textEncoder.encode(data)
+      : new Uint8Array(data instanceof ArrayBuffer ? data : data.buffer, data.byteOffset || 0, data.byteLength).slice();
+    this.worker.postMessage({ type: 'data', data: bytes.buffer }, [bytes.buffer]);
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} message - { type: 'events', events } or { type: 'stats', id, stats }
+   * @private
+   */
+  handleMessage(message) {
+    if (message.type === 'events') {
+      for (const [event, data] of message.events) {
+        this.events.emit(event, data);
+      }
+    } else if (message.type === 'stats') {
+      const resolve = this.pendingStats.get(message.id);
+      this.pendingStats.delete(message.id);
+      if (resolve) {
+        resolve(message.stats);
+      }
+    }
+  }
+
+  /**
+   * Get the statistics of the parsers in the worker
+   * @returns {Promise<Object>} { demuxer, nmea, ubx, rtcm } statistics
+   */
+  getStats() {
+    const id = this.nextRequestId++;
+    return new Promise(resolve => {
+      this.pendingStats.set(id, resolve);
+      this.worker.postMessage({ type: 'stats', id });
+    });
+  }
+
+  /**
+   * Clear the buffers and state of the parsers in the worker
+   */
+  reset() {
+    this.worker.postMessage({ type: 'reset' });
+  }
+
+  /**
+   * Stop the worker
+   */
+  terminate() {
+    this.worker.terminate();
+    this.pendingStats.forEach(resolve => resolve(null));
+    this.pendingStats.clear();
+  }
+}
+
+/**
+ * Start parser-worker.js as a module Web Worker, or as a worker_threads Worker in Node.js
+ * @param {string|URL} url - URL of parser-worker.js
+ * @returns {Worker} Worker
+ */
+function createWorker(url) {
+  if (typeof Worker === 'function') {
+    return new Worker(url, { type: 'module' });
+  }
+
+  // Node.js has no global Worker; getBuiltinModule loads worker_threads synchronously (20.16+)
+  const process = globalThis.process;
+  if (isNode() && typeof process.getBuiltinModule === 'function') {
+    const { Worker: ThreadWorker } = process.getBuiltinModule('node:worker_threads');
+    return new ThreadWorker(url);
+  }
+
+  throw new Error('No Worker available in this environment: pass a worker_threads Worker running parser-worker.js as options.worker');
+}
+
+export default ParserWorkerClient;
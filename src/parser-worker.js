@@ -0,0 +1,130 @@
+/**
+ * Parser worker - Runs the device data pipeline in a dedicated Worker
+ *
+ * Load this module as a module Worker (or a Node.js worker_threads Worker). It owns a
+ * StreamDemuxer with its NMEA, UBX and RTCM3 parsers, takes raw device data as transferred
+ * ArrayBuffers and posts back the events the parsers emit, batched per chunk, so the main
+ * thread only re-emits them. ParserWorkerClient (parser-worker-client.js) is the main-thread side.
+ */
+import { NmeaParser } from './nmea-parser.js';
+import { UbxParser } from './ubx-parser.js';
+import { RtcmParser } from './rtcm-parser.js';
+import { StreamDemuxer } from './stream-demuxer.js';
+import { isNode } from './environment.js';
+
+export class ParserWorkerHost {
+  /**
+   * @param {Object} port - Posts messages to the main thread (worker global scope or parentPort)
+   * @param {Object} options - Parser options sent with the init message
+   * @param {boolean} [options.strict] - NmeaParser strict mode
+   * @param {number} [options.satelliteTimeout] - ms before unreported satellites expire
+   * @param {Object} [options.debug] - Debug settings
+   */
+  constructor(port, options = {}) {
+    this.port = port;
+    this.queue = []; // Events emitted while handling the current message, as [name, data]
+
+    // The parsers only emit, so a queue stands in for the EventEmitter
+    const events = {
+      emit: (event, data) => this.queue.push([event, data])
+    };
+
+    this.nmeaParser = new NmeaParser({
+      events,
+      strict: options.strict,
+      satelliteTimeout: options.satelliteTimeout
+    });
+    this.ubxParser = new UbxParser({ events, debug: options.debug });
+    this.rtcmParser = new RtcmParser({ events, debug: options.debug });
+    this.streamDemuxer = new StreamDemuxer({
+      events,
+      nmeaParser: this.nmeaParser,
+      ubxParser: this.ubxParser,
+      rtcmParser: this.rtcmParser,
+      debug: options.debug
+    });
+  }
+
+  /**
+   * Handle a message from the main thread
+   * @param {Object} message - { type: 'data', data: ArrayBuffer }, { type: 'reset' } or { type: 'stats', id }
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'data':
+        this.streamDemuxer.push(message.data);
+        this.flush();
+        break;
+      case 'reset':
+        this.streamDemuxer.reset();
+        this.nmeaParser.reset();
+        this.ubxParser.reset();
+        this.rtcmParser.reset();
+        break;
+      case 'stats':
+        this.port.postMessage({
+          type: 'stats',
+          id: message.id,
+          stats: {
+            demuxer: this.streamDemuxer.getStats(),
+            nmea: this.nmeaParser.getSentenceStats(),
+            ubx: this.ubxParser.getMessageStats(),
+            rtcm: this.rtcmParser.getStats()
+          }
+        });
+        break;
+    }
+  }
+
+  /**
+   * Post the queued events to the main thread in one message
+   */
+  flush() {
+    if (this.queue.length === 0) {
+      return;
+    }
+    const events = this.queue;
+    this.queue = [];
+
+    try {
+      this.port.postMessage({ type: 'events', events });
+    } catch (error) {
+      // A payload that can't be cloned must not stop the others
+      for (const [event, data] of events) {
+        try {
+          this.port.postMessage({ type: 'events', events: [[event, data]] });
+        } catch (cloneError) {
+          console.error(`[PARSER-WORKER] Cannot post '${event}':`, cloneError);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Create a host when the init message arrives and pass it every later message
+ * @param {Object} port - Posts messages to the main thread
+ * @param {Function} subscribe - Registers a callback for message data
+ */
+function listen(port, subscribe) {
+  let host = null;
+  subscribe(message => {
+    if (message.type === 'init') {
+      host = new ParserWorkerHost(port, message.options);
+    } else if (host) {
+      host.handleMessage(message);
+    }
+  });
+}
+
+// Start when loaded as a worker: a browser worker has no document, a Node.js worker is not the main thread
+if (isNode()) {
+  const { isMainThread, parentPort } = await import('node:worker_threads');
+  if (!isMainThread && parentPort) {
+    listen(parentPort, callback => parentPort.on('message', callback));
+  }
+} else if (typeof document === 'undefined' && typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+  listen(self, callback => self.addEventListener('message', event => callback(event.data)));
+}
+
+export default ParserWorkerHost;
@@ -0,0 +1,360 @@
+/**
+ * Proprietary NMEA sentence decoders
+ *
+ * Proprietary sentences start with 'P' and a manufacturer code instead of a
+ * talker ID. NmeaParser looks up the decoder registered for the longest prefix
+ * of the address ($PUBX -> 'PUBX', $PQTMEPE -> 'PQTM'), so applications can add
+ * their own with NmeaParser.registerProprietary().
+ *
+ * A decoder receives the comma-separated fields, the address first, and
+ * returns the decoded fields (type, talker and raw are added by the parser) or
+ * null when it does not understand the sentence.
+ */
+
+// Trimble GGK/AVR quality indicator
+const TRIMBLE_FIX_TYPES = {
+  0: 'none',
+  1: 'autonomous',
+  2: 'float',
+  3: 'fixed',
+  4: 'dgps',
+  5: 'sbas',
+  6: 'float', // Network RTK, 3D
+  7: 'fixed',
+  8: 'float', // Network RTK, 2D
+  9: 'fixed',
+  10: 'omnistar-hp',
+  11: 'omnistar-vbs',
+  12: 'location-rtk',
+  13: 'beacon-dgps',
+  14: 'rtx',
+  15: 'xfill'
+};
+
+/**
+ * u-blox PUBX: 00 position, 03 satellite status, 04 time
+ * @param {string[]} parts - Sentence fields
+ * @returns {Object} Decoded fields
+ */
+function decodePubx(parts) {
+  const vendor = 'u-blox';
+
+  switch (parts[1]) {
+    case '00':
+      return {
+        vendor,
+        message: 'POSITION',
+        time: parts[2],
+        latitude: parseCoordinate(parts[3], parts[4]),
+        longitude: parseCoordinate(parts[5], parts[6]),
+        altitude: parseNumber(parts[7]), // Height above the ellipsoid (m)
+        navStatus: parts[8], // NF, DR, G2, G3, D2, D3, RK (combined GNSS/DR), TT (time only)
+        horizontalAccuracy: parseNumber(parts[9]), // m
+        verticalAccuracy: parseNumber(parts[10]), // m
+        speedKmh: parseNumber(parts[11]),
+        course: parseNumber(parts[12]),
+        verticalVelocity: parseNumber(parts[13]), // m/s, positive downwards
+        correctionAge: parseNumber(parts[14]),
+        hdop: parseNumber(parts[15]),
+        vdop: parseNumber(parts[16]),
+        tdop: parseNumber(parts[17]),
+        satellites: parseInteger(parts[18]),
+        deadReckoning: parts[20] === '1'
+      };
+    case '03': {
+      const satellites = [];
+      for (let i = 3; i + 5 < parts.length; i += 6) {
+        satellites.push({
+          svId: parseInteger(parts[i]),
+          status: parts[i + 1], // U=used, e=ephemeris available but not used, -=not used
+          used: parts[i + 1] === 'U',
+          azimuth: parseInteger(parts[i + 2]),
+          elevation: parseInteger(parts[i + 3]),
+          cno: parseInteger(parts[i + 4]),
+          lockTime: parseInteger(parts[i + 5]) // s, 0-64
+        });
+      }
+      return {
+        vendor,
+        message: 'SVSTATUS',
+        satellitesTracked: parseInteger(parts[2]),
+        satellites
+      };
+    }
+    case '04':
+      return {
+        vendor,
+        message: 'TIME',
+        time: parts[2],
+        date: parseDate(parts[3], 'ddmmyy'),
+        timeOfWeek: parseNumber(parts[4]), // UTC seconds of week
+        week: parseInteger(parts[5]),
+        leapSeconds: parseInteger(parts[6]),
+        // Firmware default until the leap seconds have been received from the satellites
+        leapSecondsDefault: Boolean(parts[6] && parts[6].endsWith('D')),
+        clockBias: parseInteger(parts[7]), // ns
+        clockDrift: parseNumber(parts[8]), // ns/s
+        timepulseGranularity: parseInteger(parts[9]) // ns
+      };
+    default:
+      return { vendor, message: parts[1], fields: parts.slice(2) };
+  }
+}
+
+/**
+ * Quectel PQTM: EPE error estimates, PVT solution, VERNO firmware version
+ * @param {string[]} parts - Sentence fields
+ * @returns {Object} Decoded fields
+ */
+function decodePqtm(parts) {
+  const vendor = 'Quectel';
+  const message = parts[0].substring(4);
+
+  switch (message) {
+    case 'EPE':
+      return {
+        vendor,
+        message,
+        version: parseInteger(parts[1]),
+        errorNorth: parseNumber(parts[2]), // m
+        errorEast: parseNumber(parts[3]),
+        errorDown: parseNumber(parts[4]),
+        error2D: parseNumber(parts[5]),
+        error3D: parseNumber(parts[6])
+      };
+    case 'PVT':
+      return {
+        vendor,
+        message,
+        version: parseInteger(parts[1]),
+        timeOfWeek: parseInteger(parts[2]), // ms
+        date: parseDate(parts[3], 'yyyymmdd'),
+        time: parts[4],
+        fixMode: parseInteger(parts[6]), // 0=no fix, 2=2D, 3=3D
+        satellites: parseInteger(parts[7]),
+        leapSeconds: parseInteger(parts[8]),
+        latitude: parseNumber(parts[9]), // Decimal degrees
+        longitude: parseNumber(parts[10]),
+        altitude: parseNumber(parts[11]), // Above mean sea level (m)
+        geoidSeparation: parseNumber(parts[12]),
+        velocityNorth: parseNumber(parts[13]), // m/s
+        velocityEast: parseNumber(parts[14]),
+        velocityDown: parseNumber(parts[15]),
+        speed: parseNumber(parts[16]), // m/s
+        heading: parseNumber(parts[17]),
+        hdop: parseNumber(parts[18]),
+        pdop: parseNumber(parts[19])
+      };
+    case 'VERNO':
+      return {
+        vendor,
+        message,
+        version: parts[1],
+        buildDate: parts[2],
+        buildTime: parts[3]
+      };
+    default:
+      // Command replies such as $PQTMCFGMSGRATE,OK
+      return { vendor, message, fields: parts.slice(1) };
+  }
+}
+
+/**
+ * Trimble PTNL: GGK position, AVR dual-antenna attitude
+ * @param {string[]} parts - Sentence fields
+ * @returns {Object} Decoded fields
+ */
+function decodePtnl(parts) {
+  const vendor = 'Trimble';
+
+  switch (parts[1]) {
+    case 'GGK': {
+      const quality = parseInteger(parts[8]);
+      return {
+        vendor,
+        message: 'GGK',
+        time: parts[2],
+        date: parseDate(parts[3], 'mmddyy'),
+        latitude: parseCoordinate(parts[4], parts[5]),
+        longitude: parseCoordinate(parts[6], parts[7]),
+        quality,
+        fix: TRIMBLE_FIX_TYPES[quality] || null,
+        satellites: parseInteger(parts[9]),
+        pdop: parseNumber(parts[10]),
+        // Sent as EHT followed by the height
+        ellipsoidalHeight: parts[11] ? parseNumber(parts[11].replace(/^EHT/, '')) : null
+      };
+    }
+    case 'AVR': {
+      const quality = parseInteger(parts[10]);
+      return {
+        vendor,
+        message: 'AVR',
+        time: parts[2],
+        yaw: parseNumber(parts[3]), // Degrees, from the primary to the secondary antenna
+        tilt: parseNumber(parts[5]),
+        roll: parseNumber(parts[7]),
+        range: parseNumber(parts[9]), // Antenna separation (m)
+        quality,
+        fix: TRIMBLE_FIX_TYPES[quality] || null,
+        pdop: parseNumber(parts[11]),
+        satellites: parseInteger(parts[12])
+      };
+    }
+    default:
+      return { vendor, message: parts[1], fields: parts.slice(2) };
+  }
+}
+
+/**
+ * SkyTraq PSTI: 030 RTK position and velocity, 032 moving-base baseline
+ * @param {string[]} parts - Sentence fields
+ * @returns {Object} Decoded fields
+ */
+function decodePsti(parts) {
+  const vendor = 'SkyTraq';
+
+  switch (parts[1]) {
+    case '030':
+      return {
+        vendor,
+        message: '030',
+        time: parts[2],
+        status: parts[3], // A=valid, V=invalid
+        latitude: parseCoordinate(parts[4], parts[5]),
+        longitude: parseCoordinate(parts[6], parts[7]),
+        altitude: parseNumber(parts[8]), // Above mean sea level (m)
+        velocityEast: parseNumber(parts[9]), // m/s
+        velocityNorth: parseNumber(parts[10]),
+        velocityUp: parseNumber(parts[11]),
+        date: parseDate(parts[12], 'ddmmyy'),
+        mode: parts[13], // N, A, D, E, F (float RTK), R (fixed RTK)
+        rtkAge: parseNumber(parts[14]),
+        rtkRatio: parseNumber(parts[15])
+      };
+    case '032':
+      return {
+        vendor,
+        message: '032',
+        time: parts[2],
+        date: parseDate(parts[3], 'ddmmyy'),
+        status: parts[4],
+        mode: parts[5],
+        baselineEast: parseNumber(parts[6]), // m
+        baselineNorth: parseNumber(parts[7]),
+        baselineUp: parseNumber(parts[8]),
+        baselineLength: parseNumber(parts[9]),
+        baselineCourse: parseNumber(parts[10])
+      };
+    default:
+      return { vendor, message: parts[1], fields: parts.slice(2) };
+  }
+}
+
+/**
+ * Septentrio PSSN: HRP attitude
+ * @param {string[]} parts - Sentence fields
+ * @returns {Object} Decoded fields
+ */
+function decodePssn(parts) {
+  const vendor = 'Septentrio';
+
+  switch (parts[1]) {
+    case 'HRP': {
+      const magneticVariation = parseNumber(parts[12]);
+      return {
+        vendor,
+        message: 'HRP',
+        time: parts[2],
+        date: parseDate(parts[3], 'ddmmyy'),
+        heading: parseNumber(parts[4]),
+        roll: parseNumber(parts[5]),
+        pitch: parseNumber(parts[6]),
+        headingStdDev: parseNumber(parts[7]),
+        rollStdDev: parseNumber(parts[8]),
+        pitchStdDev: parseNumber(parts[9]),
+        satellites: parseInteger(parts[10]),
+        attitudeMode: parseInteger(parts[11]), // 0=no attitude
+        magneticVariation: magneticVariation !== null && parts[13] === 'W' ? -magneticVariation : magneticVariation
+      };
+    }
+    default:
+      return { vendor, message: parts[1], fields: parts.slice(2) };
+  }
+}
+
+// Decoders shipped with the parser, by address prefix
+export const PROPRIETARY_DECODERS = {
+  PUBX: decodePubx,
+  PQTM: decodePqtm,
+  PTNL: decodePtnl,
+  PSTI: decodePsti,
+  PSSN: decodePssn
+};
+
+/**
+ * Parse a decimal field
+ * @param {string} value - Field
+ * @returns {number|null} Number, null when empty or malformed
+ */
+function parseNumber(value) {
+  const number = value ? parseFloat(value) : NaN;
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Parse an integer field
+ * @param {string} value - Field
+ * @returns {number|null} Integer, null when empty or malformed
+ */
+function parseInteger(value) {
+  const number = value ? parseInt(value, 10) : NaN;
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Parse an NMEA latitude or longitude, whatever the number of degree digits
+ * @param {string} value - (D)DDMM.MMMM
+ * @param {string} hemisphere - N/S/E/W
+ * @returns {number|null} Decimal degrees
+ */
+function parseCoordinate(value, hemisphere) {
+  if (!value) {
+    return null;
+  }
+
+  const dot = value.indexOf('.');
+  const degreeDigits = (dot === -1 ? value.length : dot) - 2;
+  const degrees = parseInt(value.substring(0, degreeDigits), 10);
+  const minutes = parseFloat(value.substring(degreeDigits));
+  if (Number.isNaN(degrees) || Number.isNaN(minutes)) {
+    return null;
+  }
+
+  // Nine decimals keep the millimetre precision of RTK receivers
+  const coordinate = parseFloat((degrees + minutes / 60).toFixed(9));
+  return hemisphere === 'S' || hemisphere === 'W' ? -coordinate : coordinate;
+}
+
+/**
+ * Parse a date field
+ * @param {string} value - Date
+ * @param {string} format - 'ddmmyy', 'mmddyy' or 'yyyymmdd'
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseDate(value, format) {
+  if (!value || value.length !== format.length) {
+    return null;
+  }
+
+  if (format === 'yyyymmdd') {
+    return `${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}`;
+  }
+
+  const first = value.substring(0, 2);
+  const second = value.substring(2, 4);
+  const year = `20${value.substring(4, 6)}`;
+  return format === 'mmddyy' ? `${year}-${first}-${second}` : `${year}-${second}-${first}`;
+}
+
+export default PROPRIETARY_DECODERS;
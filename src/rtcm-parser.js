@@ -0,0 +1,609 @@
+/**
+ * RtcmParser - Frames RTCM 3 messages from a byte stream and decodes station and MSM messages
+ *
+ * RTCM 3 frame layout: preamble 0xD3 (8 bits), reserved (6 bits), message length (10 bits),
+ * message body, CRC-24Q (24 bits). TCP and serial streams split and merge frames
+ * arbitrarily, so bytes are buffered until a complete, CRC-valid frame is available.
+ */
+import { EVENTS } from './constants.js';
+
+const PREAMBLE = 0xD3;
+const HEADER_LENGTH = 3;
+const CRC_LENGTH = 3;
+
+// GNSS for each block of MSM message numbers (1071-1077 = GPS, 1081-1087 = GLONASS, ...)
+const MSM_CONSTELLATIONS = {
+  107: 'GPS',
+  108: 'GLONASS',
+  109: 'Galileo',
+  110: 'SBAS',
+  111: 'QZSS',
+  112: 'BeiDou',
+  113: 'NavIC'
+};
+
+// Short descriptions for common message types
+const MESSAGE_DESCRIPTIONS = {
+  1005: 'Stationary RTK Reference Station ARP',
+  1006: 'Stationary RTK Reference Station ARP with Antenna Height',
+  1007: 'Antenna Descriptor',
+  1008: 'Antenna Descriptor and Serial Number',
+  1019: 'GPS Ephemeris',
+  1020: 'GLONASS Ephemeris',
+  1033: 'Receiver and Antenna Descriptors',
+  1042: 'BeiDou Ephemeris',
+  1044: 'QZSS Ephemeris',
+  1045: 'Galileo F/NAV Ephemeris',
+  1046: 'Galileo I/NAV Ephemeris',
+  1230: 'GLONASS L1 and L2 Code-Phase Biases'
+};
+
+// GLONASS signals in the order used by the 1230 FDMA signal mask
+const GLONASS_BIAS_SIGNALS = ['L1CA', 'L1P', 'L2CA', 'L2P'];
+
+export class RtcmParser {
+  /**
+   * Create an RTCM 3 parser
+   * @param {Object} options - Configuration options
+   * @param {EventEmitter} options.events - Event emitter for decoded messages
+   * @param {Object} options.debug - Debug settings
+   */
+  constructor(options = {}) {
+    this.buffer = new Uint8Array(0);
+    this.events = options.events || null;
+    this.stats = createStats();
+
+    // Debug settings
+    this.debug = options.debug || {
+      info: false,
+      debug: false,
+      errors: true,
+      rtcmMessages: false
+    };
+
+    // Set up logger functions
+    this.logger = {
+      debug: (...args) => {
+        if (this.debug.debug || this.debug.rtcmMessages) {
+          console.debug('[RTCM-DEBUG]', ...args);
+        }
+      },
+      error: (...args) => {
+        if (this.debug.errors) {
+          console.error('[RTCM-ERROR]', ...args);
+        }
+      }
+    };
+  }
+
+  /**
+   * Add data to the buffer and extract complete frames
+   * @param {ArrayBuffer|Uint8Array} data - Raw RTCM stream data
+   * @returns {Object[]} Complete frames as { messageType, length, data, message }
+   */
+  parseData(data) {
+    const bytes = toUint8Array(data);
+    if (!bytes || bytes.length === 0) {
+      return [];
+    }
+
+    const combined = new Uint8Array(this.buffer.length + bytes.length);
+    combined.set(this.buffer, 0);
+    combined.set(bytes, this.buffer.length);
+    this.buffer = combined;
+
+    return this.processBuffer();
+  }
+
+  /**
+   * Alias for parseData for consistency with the other parsers
+   * @param {ArrayBuffer|Uint8Array} data - Raw RTCM stream data
+   * @returns {Object[]} Complete frames
+   */
+  parse(data) {
+    return this.parseData(data);
+  }
+
+  /**
+   * Extract complete, CRC-valid frames from the buffer
+   * @returns {Object[]} Complete frames
+   */
+  processBuffer() {
+    const frames = [];
+    const buffer = this.buffer;
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      if (buffer[offset] !== PREAMBLE) {
+        this.stats.skippedBytes++;
+        offset++;
+        continue;
+      }
+
+      if (buffer.length - offset < HEADER_LENGTH) {
+        break;
+      }
+
+      // The 6 reserved bits after the preamble must be zero
+      if ((buffer[offset + 1] & 0xFC) !== 0) {
+        this.stats.skippedBytes++;
+        offset++;
+        continue;
+      }
+
+      const messageLength = ((buffer[offset + 1] & 0x03) << 8) | buffer[offset + 2];
+      const frameLength = HEADER_LENGTH + messageLength + CRC_LENGTH;
+      if (buffer.length - offset < frameLength) {
+        // Incomplete frame, wait for more data
+        break;
+      }
+
+      const frame = buffer.subarray(offset, offset + frameLength);
+      if (!validateFrame(frame)) {
+        this.stats.crcErrors++;
+        this.stats.skippedBytes++;
+        this.logger.debug(`CRC-24Q mismatch for frame of length ${messageLength}, resynchronising`);
+        offset++;
+        continue;
+      }
+
+      frames.push(this.parseFrame(frame.slice()));
+      offset += frameLength;
+    }
+
+    this.buffer = buffer.slice(offset);
+    return frames;
+  }
+
+  /**
+   * Decode a complete frame
+   * @param {Uint8Array} frame - Frame including header and CRC (already validated)
+   * @returns {Object} Frame info with decoded message
+   */
+  parseFrame(frame) {
+    const messageLength = ((frame[1] & 0x03) << 8) | frame[2];
+    const body = frame.subarray(HEADER_LENGTH, HEADER_LENGTH + messageLength);
+
+    // Message number is the first 12 bits of the body
+    const messageType = body.length >= 2 ? (body[0] << 4) | (body[1] >> 4) : null;
+
+    let message = null;
+    try {
+      message = this.decodeMessage(body);
+    } catch (error) {
+      this.logger.error(`Error decoding RTCM message ${messageType}:`, error);
+    }
+
+    // Update statistics
+    this.stats.frames++;
+    if (messageType !== null) {
+      this.stats.messageTypes[messageType] = (this.stats.messageTypes[messageType] || 0) + 1;
+    }
+
+    this.logger.debug(`RTCM3 message type: ${messageType}, length: ${messageLength}`);
+
+    const result = {
+      messageType,
+      length: messageLength,
+      data: frame,
+      message
+    };
+
+    if (this.events && message) {
+      this.events.emit(EVENTS.RTCM_MESSAGE, message);
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode a message body (without header and CRC)
+   * @param {Uint8Array} body - Message body
+   * @returns {Object|null} Decoded message
+   */
+  decodeMessage(body) {
+    if (body.length < 2) {
+      return null;
+    }
+
+    const reader = new BitReader(body);
+    const messageType = reader.readUnsigned(12);
+    const msmBlock = Math.floor(messageType / 10);
+
+    if (MSM_CONSTELLATIONS[msmBlock] && messageType % 10 >= 1 && messageType % 10 <= 7) {
+      return this.decodeMsmHeader(reader, messageType);
+    }
+
+    switch (messageType) {
+      case 1005:
+      case 1006:
+        return this.decodeStationArp(reader, messageType);
+      case 1007:
+      case 1008:
+        return this.decodeAntennaDescriptor(reader, messageType);
+      case 1033:
+        return this.decodeReceiverDescriptor(reader, messageType);
+      case 1230:
+        return this.decodeGlonassBiases(reader, messageType);
+      default:
+        return {
+          type: 'RTCM3',
+          messageType,
+          description: MESSAGE_DESCRIPTIONS[messageType] || null
+        };
+    }
+  }
+
+  /**
+   * Decode 1005/1006 stationary reference station ARP
+   * @param {BitReader} reader - Reader positioned after the message number
+   * @param {number} messageType - Message number
+   * @returns {Object} Decoded station message
+   */
+  decodeStationArp(reader, messageType) {
+    const stationId = reader.readUnsigned(12);
+    const itrfYear = reader.readUnsigned(6);
+    const gps = reader.readUnsigned(1) === 1;
+    const glonass = reader.readUnsigned(1) === 1;
+    const galileo = reader.readUnsigned(1) === 1;
+    const referenceStation = reader.readUnsigned(1) === 1;
+    const x = reader.readSigned(38) * 0.0001;
+    const singleReceiverOscillator = reader.readUnsigned(1) === 1;
+    reader.skip(1); // Reserved
+    const y = reader.readSigned(38) * 0.0001;
+    const quarterCycleIndicator = reader.readUnsigned(2);
+    const z = reader.readSigned(38) * 0.0001;
+
+    const result = {
+      type: 'RTCM3',
+      messageType,
+      description: MESSAGE_DESCRIPTIONS[messageType],
+      stationId,
+      itrfYear,
+      constellations: { gps, glonass, galileo },
+      referenceStation,
+      singleReceiverOscillator,
+      quarterCycleIndicator,
+      // Antenna reference point, ECEF meters
+      ecef: { x, y, z },
+      antennaHeight: null
+    };
+
+    if (messageType === 1006) {
+      result.antennaHeight = reader.readUnsigned(16) * 0.0001;
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode 1007/1008 antenna descriptor (and serial number)
+   * @param {BitReader} reader - Reader positioned after the message number
+   * @param {number} messageType - Message number
+   * @returns {Object} Decoded antenna descriptor
+   */
+  decodeAntennaDescriptor(reader, messageType) {
+    const stationId = reader.readUnsigned(12);
+    const antennaDescriptor = reader.readString(reader.readUnsigned(8));
+    const antennaSetupId = reader.readUnsigned(8);
+
+    const result = {
+      type: 'RTCM3',
+      messageType,
+      description: MESSAGE_DESCRIPTIONS[messageType],
+      stationId,
+      antennaDescriptor,
+      antennaSetupId,
+      antennaSerialNumber: null
+    };
+
+    if (messageType === 1008) {
+      result.antennaSerialNumber = reader.readString(reader.readUnsigned(8));
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode 1033 receiver and antenna descriptors
+   * @param {BitReader} reader - Reader positioned after the message number
+   * @param {number} messageType - Message number
+   * @returns {Object} Decoded descriptors
+   */
+  decodeReceiverDescriptor(reader, messageType) {
+    const stationId = reader.readUnsigned(12);
+    const antennaDescriptor = reader.readString(reader.readUnsigned(8));
+    const antennaSetupId = reader.readUnsigned(8);
+    const antennaSerialNumber = reader.readString(reader.readUnsigned(8));
+    const receiverType = reader.readString(reader.readUnsigned(8));
+    const firmwareVersion = reader.readString(reader.readUnsigned(8));
+    const receiverSerialNumber = reader.readString(reader.readUnsigned(8));
+
+    return {
+      type: 'RTCM3',
+      messageType,
+      description: MESSAGE_DESCRIPTIONS[messageType],
+      stationId,
+      antennaDescriptor,
+      antennaSetupId,
+      antennaSerialNumber,
+      receiverType,
+      firmwareVersion,
+      receiverSerialNumber
+    };
+  }
+
+  /**
+   * Decode 1230 GLONASS code-phase biases
+   * @param {BitReader} reader - Reader positioned after the message number
+   * @param {number} messageType - Message number
+   * @returns {Object} Decoded biases in meters, keyed by signal
+   */
+  decodeGlonassBiases(reader, messageType) {
+    const stationId = reader.readUnsigned(12);
+    const aligned = reader.readUnsigned(1) === 1;
+    reader.skip(3); // Reserved
+    const signalMask = reader.readUnsigned(4);
+
+    const biases = {};
+    GLONASS_BIAS_SIGNALS.forEach((signal, index) => {
+      if (signalMask & (0x08 >> index)) {
+        biases[signal] = reader.readSigned(16) * 0.02;
+      }
+    });
+
+    return {
+      type: 'RTCM3',
+      messageType,
+      description: MESSAGE_DESCRIPTIONS[messageType],
+      stationId,
+      aligned,
+      signalMask,
+      biases
+    };
+  }
+
+  /**
+   * Decode the header of a Multiple Signal Message (MSM1-7)
+   * @param {BitReader} reader - Reader positioned after the message number
+   * @param {number} messageType - Message number
+   * @returns {Object} Decoded MSM header
+   */
+  decodeMsmHeader(reader, messageType) {
+    const constellation = MSM_CONSTELLATIONS[Math.floor(messageType / 10)];
+    const stationId = reader.readUnsigned(12);
+    const epochTime = reader.readUnsigned(30);
+    const multipleMessage = reader.readUnsigned(1) === 1;
+    const iods = reader.readUnsigned(3);
+    reader.skip(7); // Reserved
+    const clockSteering = reader.readUnsigned(2);
+    const externalClock = reader.readUnsigned(2);
+    const divergenceFreeSmoothing = reader.readUnsigned(1) === 1;
+    const smoothingInterval = reader.readUnsigned(3);
+
+    // Satellite mask (64 bits) and signal mask (32 bits), MSB = ID 1
+    const satellites = [];
+    for (let i = 1; i <= 64; i++) {
+      if (reader.readUnsigned(1)) satellites.push(i);
+    }
+
+    const signals = [];
+    for (let i = 1; i <= 32; i++) {
+      if (reader.readUnsigned(1)) signals.push(i);
+    }
+
+    // Cell mask: one bit per satellite/signal combination
+    const cellMask = [];
+    let numCells = 0;
+    if (satellites.length * signals.length <= 64) {
+      for (let s = 0; s < satellites.length; s++) {
+        const row = [];
+        for (let g = 0; g < signals.length; g++) {
+          const present = reader.readUnsigned(1) === 1;
+          if (present) numCells++;
+          row.push(present);
+        }
+        cellMask.push(row);
+      }
+    }
+
+    // GLONASS epoch time is day of week (3 bits) and time of day (27 bits)
+    const epoch = constellation === 'GLONASS' ?
+      { dayOfWeek: epochTime >>> 27, timeOfDay: epochTime & 0x7FFFFFF } :
+      { timeOfWeek: epochTime };
+
+    return {
+      type: 'RTCM3',
+      messageType,
+      description: `${constellation} MSM${messageType % 10}`,
+      msm: messageType % 10,
+      constellation,
+      stationId,
+      epochTime,
+      epoch,
+      multipleMessage,
+      iods,
+      clockSteering,
+      externalClock,
+      divergenceFreeSmoothing,
+      smoothingInterval,
+      satellites,
+      signals,
+      cellMask,
+      numCells
+    };
+  }
+
+  /**
+   * Get parser statistics
+   * @returns {Object} Frame, CRC error and message type counts
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      messageTypes: { ...this.stats.messageTypes },
+      buffered: this.buffer.length
+    };
+  }
+
+  /**
+   * Clear statistics without dropping a partially received frame
+   */
+  resetStats() {
+    this.stats = createStats();
+  }
+
+  /**
+   * Clear the buffer and statistics
+   */
+  reset() {
+    this.buffer = new Uint8Array(0);
+    this.stats = createStats();
+  }
+}
+
+/**
+ * Reads big-endian bit fields from a byte array, as used by RTCM 3
+ */
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0;
+  }
+
+  /**
+   * Read an unsigned integer
+   * @param {number} bits - Field width (up to 53 bits)
+   * @returns {number} Value
+   */
+  readUnsigned(bits) {
+    if (this.position + bits > this.bytes.length * 8) {
+      throw new Error(`RTCM message too short: need ${bits} bits at bit ${this.position}`);
+    }
+
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      const bitIndex = this.position + i;
+      const bit = (this.bytes[bitIndex >> 3] >> (7 - (bitIndex & 7))) & 1;
+      value = value * 2 + bit;
+    }
+    this.position += bits;
+    return value;
+  }
+
+  /**
+   * Read a two's complement signed integer
+   * @param {number} bits - Field width (up to 53 bits)
+   * @returns {number} Value
+   */
+  readSigned(bits) {
+    const value = this.readUnsigned(bits);
+    const signBit = Math.pow(2, bits - 1);
+    return value >= signBit ? value - signBit * 2 : value;
+  }
+
+  /**
+   * Read an 8-bit character string
+   * @param {number} length - Number of characters
+   * @returns {string} Decoded string
+   */
+  readString(length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += String.fromCharCode(this.readUnsigned(8));
+    }
+    return result.trim();
+  }
+
+  /**
+   * Skip bits
+   * @param {number} bits - Number of bits to skip
+   */
+  skip(bits) {
+    this.position += bits;
+  }
+}
+
+// CRC-24Q lookup table (polynomial 0x1864CFB)
+const CRC24Q_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 16;
+    for (let bit = 0; bit < 8; bit++) {
+      crc <<= 1;
+      if (crc & 0x1000000) {
+        crc ^= 0x1864CFB;
+      }
+    }
+    table[i] = crc & 0xFFFFFF;
+  }
+  return table;
+})();
+
+/**
+ * Calculate the CRC-24Q checksum used by RTCM 3
+ * @param {Uint8Array} bytes - Data
+ * @param {number} start - First byte index (inclusive)
+ * @param {number} end - Last byte index (exclusive)
+ * @returns {number} 24-bit CRC
+ */
+export function crc24q(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = ((crc << 8) & 0xFFFFFF) ^ CRC24Q_TABLE[((crc >> 16) ^ bytes[i]) & 0xFF];
+  }
+  return crc;
+}
+
+/**
+ * Check the CRC-24Q of a complete frame
+ * @param {Uint8Array} frame - Frame including header and CRC
+ * @returns {boolean} Whether the CRC matches
+ */
+export function validateFrame(frame) {
+  if (!frame || frame.length < HEADER_LENGTH + CRC_LENGTH || frame[0] !== PREAMBLE) {
+    return false;
+  }
+
+  const messageLength = ((frame[1] & 0x03) << 8) | frame[2];
+  const crcOffset = HEADER_LENGTH + messageLength;
+  if (frame.length < crcOffset + CRC_LENGTH) {
+    return false;
+  }
+
+  const expected = (frame[crcOffset] << 16) | (frame[crcOffset + 1] << 8) | frame[crcOffset + 2];
+  return crc24q(frame, 0, crcOffset) === expected;
+}
+
+/**
+ * Create an empty statistics object
+ * @returns {Object} Statistics
+ */
+function createStats() {
+  return {
+    frames: 0,
+    crcErrors: 0,
+    skippedBytes: 0,
+    messageTypes: {}
+  };
+}
+
+/**
+ * Convert supported binary inputs to a Uint8Array view
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary data
+ * @returns {Uint8Array|null} Byte view or null for unsupported input
+ */
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return null;
+}
+
+export default RtcmParser;
@@ -0,0 +1,262 @@
+/**
+ * SatelliteRegistry - Multi-GNSS sky view assembled from GSV and GSA sentences
+ *
+ * Signals are keyed by (constellation, SV ID, signal ID), so GPS PRN 5 and
+ * GLONASS slot 5, or the L1 and L5 signals of one satellite, never overwrite
+ * each other. Each GSV group (one per talker and signal) only replaces its own
+ * signals, GSA marks satellites used per constellation, and anything not
+ * reported within maxAge milliseconds expires.
+ */
+import { NMEA_SYSTEM_IDS } from './constants.js';
+
+// Sky view order: GPS, GLONASS, Galileo, BeiDou, QZSS, NavIC, then anything else
+const CONSTELLATION_ORDER = Object.values(NMEA_SYSTEM_IDS);
+
+export class SatelliteRegistry {
+  /**
+   * Create a satellite registry
+   * @param {Object} options - Registry options
+   * @param {number} options.maxAge - Milliseconds after which an unreported satellite expires (default 10000)
+   */
+  constructor(options = {}) {
+    this.maxAge = options.maxAge || 10000;
+    this.signals = new Map(); // 'constellation|svId|signalId' -> signal entry
+    this.usage = new Map(); // 'constellation|svId' -> { used, lastSeen }
+    this.groups = new Map(); // 'constellation|signalId' -> serial of the GSV group in progress
+    this.groupSerial = 0;
+  }
+
+  /**
+   * Add one GSV sentence
+   * @param {Object} gsv - Parsed GSV (constellation, signalId, signal, messageNumber, totalMessages, satellites)
+   * @param {number} timestamp - Time the sentence was received (ms)
+   */
+  updateInView(gsv, timestamp = Date.now()) {
+    const groupKey = `${gsv.constellation}|${gsv.signalId}`;
+    if (gsv.messageNumber === 1 || !this.groups.has(groupKey)) {
+      this.groups.set(groupKey, ++this.groupSerial);
+    }
+    const group = this.groups.get(groupKey);
+
+    for (const satellite of gsv.satellites) {
+      const constellation = resolveConstellation(gsv.constellation, satellite.prn);
+      this.signals.set(signalKey(constellation, satellite.prn, gsv.signalId), {
+        constellation,
+        svId: satellite.prn,
+        signalId: gsv.signalId,
+        signal: gsv.signal,
+        elevation: satellite.elevation,
+        azimuth: satellite.azimuth,
+        snr: satellite.snr,
+        source: groupKey,
+        group,
+        lastSeen: timestamp
+      });
+    }
+
+    // A complete group is the whole set for its talker and signal: drop satellites that have set
+    if (gsv.messageNumber === gsv.totalMessages) {
+      for (const [key, entry] of this.signals) {
+        if (entry.source === groupKey && entry.group !== group) {
+          this.signals.delete(key);
+        }
+      }
+      this.groups.delete(groupKey);
+    }
+  }
+
+  /**
+   * Add one GSA sentence, replacing the used flags of the constellation it reports
+   * @param {string|null} constellation - Constellation from the system ID or talker ('GNSS' when combined)
+   * @param {number[]} svIds - Satellites used in the solution
+   * @param {number} timestamp - Time the sentence was received (ms)
+   */
+  updateUsed(constellation, svIds, timestamp = Date.now()) {
+    // Without a system ID a combined GSA lists satellites by their NMEA 4.0 PRN ranges
+    const constellations = new Set(svIds.map(svId => resolveConstellation(constellation, svId)));
+    if (svIds.length === 0 && constellation) {
+      constellations.add(constellation);
+    }
+
+    for (const [key, entry] of this.usage) {
+      if (constellations.has(key.slice(0, key.indexOf('|')))) {
+        entry.used = false;
+      }
+    }
+
+    for (const svId of svIds) {
+      this.usage.set(`${resolveConstellation(constellation, svId)}|${svId}`, {
+        used: true,
+        lastSeen: timestamp
+      });
+    }
+  }
+
+  /**
+   * Remove satellites that have not been reported within maxAge
+   * @param {number} timestamp - Current time (ms)
+   */
+  expire(timestamp = Date.now()) {
+    const oldest = timestamp - this.maxAge;
+    for (const map of [this.signals, this.usage]) {
+      for (const [key, entry] of map) {
+        if (entry.lastSeen < oldest) {
+          map.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get every tracked signal, one entry per (constellation, SV ID, signal)
+   * @param {number} timestamp - Current time (ms), used to expire stale entries
+   * @returns {Object[]} Signals with constellation, svId, signalId, signal, elevation, azimuth, snr, used and lastSeen
+   */
+  getSignals(timestamp = Date.now()) {
+    this.expire(timestamp);
+
+    return [...this.signals.values()]
+      .map(({ source, group, ...entry }) => ({
+        ...entry,
+        used: this.isUsed(entry.constellation, entry.svId)
+      }))
+      .sort(compareSatellites);
+  }
+
+  /**
+   * Get the sky view, one entry per satellite with its signals merged
+   *
+   * Satellites used in the solution but missing from GSV are included with a
+   * null elevation and azimuth.
+   * @param {number} timestamp - Current time (ms), used to expire stale entries
+   * @returns {Object[]} Satellites with constellation, svId, prn, elevation, azimuth, snr (strongest signal),
+   *   used, signals [{ signalId, signal, snr }] and lastSeen
+   */
+  getSatellites(timestamp = Date.now()) {
+    this.expire(timestamp);
+
+    const satellites = new Map();
+    for (const entry of this.signals.values()) {
+      const key = `${entry.constellation}|${entry.svId}`;
+      let satellite = satellites.get(key);
+      if (!satellite) {
+        satellite = {
+          constellation: entry.constellation,
+          svId: entry.svId,
+          prn: entry.svId,
+          elevation: entry.elevation,
+          azimuth: entry.azimuth,
+          snr: null,
+          used: this.isUsed(entry.constellation, entry.svId),
+          signals: [],
+          lastSeen: entry.lastSeen
+        };
+        satellites.set(key, satellite);
+      }
+
+      satellite.signals.push({ signalId: entry.signalId, signal: entry.signal, snr: entry.snr });
+      if (entry.snr !== null && (satellite.snr === null || entry.snr > satellite.snr)) {
+        satellite.snr = entry.snr;
+      }
+      if (entry.lastSeen > satellite.lastSeen) {
+        satellite.lastSeen = entry.lastSeen;
+        satellite.elevation = entry.elevation;
+        satellite.azimuth = entry.azimuth;
+      }
+    }
+
+    for (const [key, usage] of this.usage) {
+      if (usage.used && !satellites.has(key)) {
+        const separator = key.lastIndexOf('|');
+        const svId = parseInt(key.slice(separator + 1), 10);
+        satellites.set(key, {
+          constellation: key.slice(0, separator),
+          svId,
+          prn: svId,
+          elevation: null,
+          azimuth: null,
+          snr: null,
+          used: true,
+          signals: [],
+          lastSeen: usage.lastSeen
+        });
+      }
+    }
+
+    for (const satellite of satellites.values()) {
+      satellite.signals.sort((a, b) => (a.signalId || 0) - (b.signalId || 0));
+    }
+
+    return [...satellites.values()].sort(compareSatellites);
+  }
+
+  /**
+   * Check whether a satellite is used in the solution
+   * @param {string|null} constellation - Constellation name, as reported by the talker
+   * @param {number} svId - Satellite ID
+   * @returns {boolean} Whether the last GSA for its constellation listed it
+   */
+  isUsed(constellation, svId) {
+    const usage = this.usage.get(`${resolveConstellation(constellation, svId)}|${svId}`);
+    return usage ? usage.used : false;
+  }
+
+  /**
+   * Forget every satellite
+   */
+  clear() {
+    this.signals.clear();
+    this.usage.clear();
+    this.groups.clear();
+  }
+}
+
+/**
+ * Build the key of one signal
+ * @param {string} constellation - Constellation name
+ * @param {number} svId - Satellite ID
+ * @param {number|null} signalId - NMEA signal ID
+ * @returns {string} Registry key
+ */
+function signalKey(constellation, svId, signalId) {
+  return `${constellation}|${svId}|${signalId === null ? '' : signalId}`;
+}
+
+/**
+ * Work out the constellation of a satellite reported under a combined (GN) or unknown talker
+ *
+ * NMEA 4.0 numbers GPS (and SBAS) as 1-64 and GLONASS as 65-96.
+ * @param {string|null} constellation - Constellation from the talker or system ID
+ * @param {number} svId - Satellite ID
+ * @returns {string} Constellation name, 'GNSS' when it cannot be told
+ */
+function resolveConstellation(constellation, svId) {
+  if (constellation && constellation !== 'GNSS') {
+    return constellation;
+  }
+  if (svId >= 1 && svId <= 64) {
+    return 'GPS';
+  }
+  if (svId >= 65 && svId <= 96) {
+    return 'GLONASS';
+  }
+  return 'GNSS';
+}
+
+/**
+ * Order satellites by constellation, then SV ID, then signal ID
+ * @param {Object} a - Satellite or signal
+ * @param {Object} b - Satellite or signal
+ * @returns {number} Sort order
+ */
+function compareSatellites(a, b) {
+  const rank = (constellation) => {
+    const index = CONSTELLATION_ORDER.indexOf(constellation);
+    return index === -1 ? CONSTELLATION_ORDER.length : index;
+  };
+  return rank(a.constellation) - rank(b.constellation)
+    || a.svId - b.svId
+    || (a.signalId || 0) - (b.signalId || 0);
+}
+
+export default SatelliteRegistry;
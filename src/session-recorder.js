@@ -0,0 +1,596 @@
+/**
+ * SessionRecorder - Records the raw byte streams of a session to storage
+ *
+ * Everything the receiver sent (device:data), everything written to it
+ * (device:data:sent) and the corrections received from the caster
+ * (ntrip:rtcm) is logged unmodified with the time it was seen, so a session
+ * can be replayed through the parsers or exported as a plain stream later.
+ *
+ * Log format (version 1, all numbers little-endian). A log is one or more
+ * segments; each starts with a 16-byte header:
+ *
+ *   offset 0  4 bytes  magic "GNSL"
+ *   offset 4  uint8    format version (1)
+ *   offset 5  3 bytes  reserved (0)
+ *   offset 8  float64  segment start time, Unix milliseconds
+ *
+ * followed by records with a 10-byte header and the bytes as seen:
+ *
+ *   offset 0  uint32   milliseconds since the segment start time
+ *   offset 4  uint8    channel: 1 = receiver to host, 2 = host to receiver, 3 = NTRIP caster to host
+ *   offset 5  uint8    reserved (0)
+ *   offset 6  uint32   data length
+ *   offset 10          data
+ *
+ * Segments are rotated by size and numbered from 001; concatenating a
+ * session's segments in number order (as list() returns them, past 999 the
+ * names no longer sort) gives a valid log. A log cut short (e.g. by a crash) reads up to its
+ * last complete record.
+ */
+import { EVENTS, DEFAULT_RECORDING_SETTINGS } from './constants.js';
+import { StreamDemuxer } from './stream-demuxer.js';
+
+const MAGIC = [0x47, 0x4E, 0x53, 0x4C]; // "GNSL"
+const FORMAT_VERSION = 1;
+const FILE_HEADER_LENGTH = 16;
+const RECORD_HEADER_LENGTH = 10;
+
+// Largest time offset a record can hold before the segment must be rotated
+const MAX_TIME_OFFSET = 0xFFFFFFFF;
+
+// Buffered bytes that trigger a write before the flush interval is up
+const FLUSH_THRESHOLD = 64 * 1024;
+
+// Channel codes in record headers
+const CHANNELS = {
+  rx: 1,
+  tx: 2,
+  ntrip: 3
+};
+
+const CHANNEL_NAMES = {
+  1: 'rx',
+  2: 'tx',
+  3: 'ntrip'
+};
+
+// Plain stream exports: demultiplexer protocol and the channels it is taken from by default
+const EXPORT_FORMATS = {
+  ubx: { protocol: 'ubx', channels: ['rx'] },
+  nmea: { protocol: 'nmea', channels: ['rx'] },
+  rtcm3: { protocol: 'rtcm', channels: ['ntrip'] }
+};
+
+// File extension of recording segments
+const EXTENSION = '.gnsslog';
+
+export class SessionRecorder {
+  /**
+   * Create a session recorder
+   * @param {Object} options - Configuration options
+   * @param {EventEmitter} options.events - Event emitter carrying the streams
+   * @param {Object} options.store - Recording store (see the recordings adapter in environment.js)
+   * @param {number} options.maxFileSize - Segment size in bytes before rotating
+   * @param {number} options.maxFiles - Segments kept per session, 0 keeps all
+   * @param {number} options.flushInterval - Milliseconds between writes to the store
+   * @param {string[]} options.channels - Streams to record: 'rx', 'tx' and/or 'ntrip'
+   * @param {Object} options.debug - Debug settings
+   */
+  constructor(options = {}) {
+    this.events = options.events || null;
+    this.store = options.store || null;
+    this.defaults = {
+      maxFileSize: options.maxFileSize || DEFAULT_RECORDING_SETTINGS.maxFileSize,
+      maxFiles: options.maxFiles !== undefined ? options.maxFiles : DEFAULT_RECORDING_SETTINGS.maxFiles,
+      flushInterval: options.flushInterval || DEFAULT_RECORDING_SETTINGS.flushInterval,
+      channels: options.channels || DEFAULT_RECORDING_SETTINGS.channels
+    };
+
+    this.recording = false;
+    this.session = null;
+    this.segment = null;
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.writeQueue = Promise.resolve();
+    this.unsubscribers = [];
+    this.flushTimer = null;
+
+    // Debug settings
+    this.debug = options.debug || {
+      info: false,
+      debug: false,
+      errors: true
+    };
+
+    // Set up logger functions
+    this.logger = {
+      info: (...args) => {
+        if (this.debug.info) {
+          console.info('[RECORDER]', ...args);
+        }
+      },
+      error: (...args) => {
+        if (this.debug.errors) {
+          console.error('[RECORDER-ERROR]', ...args);
+        }
+      }
+    };
+  }
+
+  /**
+   * Start recording
+   * @param {Object} options - Recording options (overrides the constructor's)
+   * @param {string} options.name - Session name (defaults to session-<UTC time>)
+   * @param {number} options.maxFileSize - Segment size in bytes before rotating
+   * @param {number} options.maxFiles - Segments kept, 0 keeps all
+   * @param {number} options.flushInterval - Milliseconds between writes to the store
+   * @param {string[]} options.channels - Streams to record: 'rx', 'tx' and/or 'ntrip'
+   * @returns {Promise<Object>} Recording status
+   */
+  async start(options = {}) {
+    if (this.recording) {
+      return this.getStatus();
+    }
+    if (!this.store) {
+      throw new Error('No recording store available');
+    }
+
+    const settings = { ...this.defaults };
+    for (const key of Object.keys(settings)) {
+      if (options[key] !== undefined) {
+        settings[key] = options[key];
+      }
+    }
+
+    const unknown = settings.channels.filter(channel => !(channel in CHANNELS));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown recording channels: ${unknown.join(', ')}`);
+    }
+
+    const startTime = Date.now();
+    this.session = {
+      name: options.name || `session-${formatTimestamp(startTime)}`,
+      settings,
+      startTime,
+      segments: [],
+      segmentCount: 0,
+      records: 0,
+      bytes: 0
+    };
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.openSegment(startTime);
+
+    // Subscribe to the streams
+    const listeners = {
+      rx: [EVENTS.DATA_RECEIVED, data => this.record('rx', data)],
+      tx: [EVENTS.DATA_SENT, data => this.record('tx', data)],
+      ntrip: [EVENTS.NTRIP_DATA, rtcmData => this.record('ntrip', rtcmData && rtcmData.data)]
+    };
+    this.unsubscribers = settings.channels.map(channel => this.events.on(...listeners[channel]));
+
+    this.flushTimer = setInterval(() => this.flush(), settings.flushInterval);
+    this.recording = true;
+
+    this.logger.info(`Recording to ${this.segment.name}`);
+    const status = this.getStatus();
+    if (this.events) {
+      this.events.emit(EVENTS.RECORDING_STARTED, status);
+    }
+    return status;
+  }
+
+  /**
+   * Stop recording and write everything still buffered
+   * @returns {Promise<Object|null>} Summary { name, segments, records, bytes, duration }, null if not recording
+   */
+  async stop() {
+    if (!this.recording) {
+      return null;
+    }
+
+    this.recording = false;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+
+    await this.flush();
+
+    const summary = {
+      name: this.session.name,
+      segments: [...this.session.segments],
+      records: this.session.records,
+      bytes: this.session.bytes,
+      duration: Date.now() - this.session.startTime
+    };
+
+    this.logger.info(`Recording stopped after ${summary.records} records`);
+    if (this.events) {
+      this.events.emit(EVENTS.RECORDING_STOPPED, summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Whether a recording is running
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Get the recording status
+   * @returns {Object} Status { recording, name, segment, records, bytes, startTime }
+   */
+  getStatus() {
+    if (!this.session) {
+      return { recording: false };
+    }
+
+    return {
+      recording: this.recording,
+      name: this.session.name,
+      segment: this.segment ? this.segment.name : null,
+      records: this.session.records,
+      bytes: this.session.bytes,
+      startTime: this.session.startTime
+    };
+  }
+
+  /**
+   * Log a chunk of one stream
+   * @param {string} channel - 'rx', 'tx' or 'ntrip'
+   * @param {string|ArrayBuffer|Uint8Array} data - Bytes as seen
+   */
+  record(channel, data) {
+    if (!this.recording) {
+      return;
+    }
+
+    const bytes = toBytes(data);
+    if (!bytes || bytes.length === 0) {
+      return;
+    }
+
+    const time = Date.now();
+    const size = RECORD_HEADER_LENGTH + bytes.length;
+    const segmentFull = this.segment.size > FILE_HEADER_LENGTH &&
+      this.segment.size + size > this.session.settings.maxFileSize;
+    if (segmentFull || time - this.segment.startTime > MAX_TIME_OFFSET) {
+      this.rotate(time);
+    }
+
+    const header = new Uint8Array(RECORD_HEADER_LENGTH);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, Math.max(0, time - this.segment.startTime), true);
+    view.setUint8(4, CHANNELS[channel]);
+    view.setUint32(6, bytes.length, true);
+
+    this.queue(header);
+    this.queue(bytes);
+    this.segment.size += size;
+    this.session.records++;
+    this.session.bytes += bytes.length;
+
+    if (this.pendingBytes >= FLUSH_THRESHOLD) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Begin a new segment and buffer its header
+   * @param {number} startTime - Segment start time (Unix ms)
+   */
+  openSegment(startTime) {
+    this.session.segmentCount++;
+    this.segment = {
+      name: `${this.session.name}-${String(this.session.segmentCount).padStart(3, '0')}${EXTENSION}`,
+      startTime,
+      size: FILE_HEADER_LENGTH
+    };
+    this.session.segments.push(this.segment.name);
+    this.queue(encodeFileHeader(startTime));
+  }
+
+  /**
+   * Close the current segment and continue in a new one
+   * @param {number} time - Start time of the new segment (Unix ms)
+   */
+  rotate(time) {
+    const previous = this.segment.name;
+    this.flush();
+    this.openSegment(time);
+
+    // Drop the oldest segments of this session beyond maxFiles
+    const maxFiles = this.session.settings.maxFiles;
+    if (maxFiles > 0) {
+      const expired = this.session.segments.splice(0, Math.max(0, this.session.segments.length - maxFiles));
+      expired.forEach(name => this.enqueueWrite(() => this.store.remove(name)));
+    }
+
+    this.logger.info(`Rotated to ${this.segment.name}`);
+    if (this.events) {
+      this.events.emit(EVENTS.RECORDING_ROTATED, {
+        previous,
+        segment: this.segment.name
+      });
+    }
+  }
+
+  /**
+   * Buffer bytes for the current segment
+   * @param {Uint8Array} bytes - Bytes to write
+   */
+  queue(bytes) {
+    this.pending.push(bytes);
+    this.pendingBytes += bytes.length;
+  }
+
+  /**
+   * Write the buffered bytes to the store
+   * @returns {Promise<void>} Resolves once everything queued so far is written
+   */
+  flush() {
+    if (this.pending.length > 0) {
+      const name = this.segment.name;
+      const bytes = concatBytes(this.pending);
+      this.pending = [];
+      this.pendingBytes = 0;
+      this.enqueueWrite(() => this.store.append(name, bytes));
+    }
+    return this.writeQueue;
+  }
+
+  /**
+   * Run a store operation after the ones already queued, reporting failures
+   * @param {Function} operation - Returns a promise
+   */
+  enqueueWrite(operation) {
+    this.writeQueue = this.writeQueue
+      .then(operation)
+      .catch(error => {
+        this.logger.error('Error writing recording:', error);
+        if (this.events) {
+          this.events.emit(EVENTS.RECORDING_ERROR, {
+            message: error.message,
+            error
+          });
+        }
+      });
+  }
+
+  /**
+   * List stored recording segments
+   * @returns {Promise<Object[]>} Segments as { name, size }, each session's in segment order
+   */
+  async list() {
+    const recordings = await this.store.list();
+    return recordings
+      .filter(recording => recording.name.endsWith(EXTENSION))
+      .sort((a, b) => compareSegments(a.name, b.name));
+  }
+
+  /**
+   * Read a recording
+   * @param {string} name - Segment name, or a session name to read all of its segments in order
+   * @returns {Promise<Uint8Array|null>} Log bytes or null if nothing matches
+   */
+  async read(name) {
+    if (name.endsWith(EXTENSION)) {
+      return this.store.read(name);
+    }
+
+    const segments = (await this.list()).filter(recording => isSegmentOf(recording.name, name));
+    if (segments.length === 0) {
+      return null;
+    }
+
+    const parts = [];
+    for (const segment of segments) {
+      parts.push(await this.store.read(segment.name));
+    }
+    return concatBytes(parts.filter(Boolean));
+  }
+
+  /**
+   * Delete a recording
+   * @param {string} name - Segment name, or a session name to delete all of its segments
+   * @returns {Promise<void>}
+   */
+  async remove(name) {
+    const names = name.endsWith(EXTENSION) ?
+      [name] :
+      (await this.list()).map(recording => recording.name).filter(segment => isSegmentOf(segment, name));
+
+    for (const segment of names) {
+      await this.store.remove(segment);
+    }
+  }
+}
+
+/**
+ * Check whether bytes start with a session log header
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {boolean} True for a session log
+ */
+export function isSessionLog(bytes) {
+  return bytes.length >= FILE_HEADER_LENGTH && MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Parse a session log
+ * @param {Uint8Array|ArrayBuffer} data - Log bytes (one or more segments)
+ * @returns {Object} { startTime, records: [{ time (Unix ms), channel, data }], truncated }
+ */
+export function parseSessionLog(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (!isSessionLog(bytes)) {
+    throw new Error('Not a session log');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const records = [];
+  let startTime = null;
+  let segmentStart = 0;
+  let offset = 0;
+  let truncated = false;
+
+  while (offset < bytes.length) {
+    // A segment header where a record would start begins the next segment
+    if (isSessionLog(bytes.subarray(offset))) {
+      const version = bytes[offset + 4];
+      if (version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported session log version ${version}`);
+      }
+      segmentStart = view.getFloat64(offset + 8, true);
+      if (startTime === null) {
+        startTime = segmentStart;
+      }
+      offset += FILE_HEADER_LENGTH;
+      continue;
+    }
+
+    if (bytes.length - offset < RECORD_HEADER_LENGTH) {
+      truncated = true;
+      break;
+    }
+
+    const length = view.getUint32(offset + 6, true);
+    const end = offset + RECORD_HEADER_LENGTH + length;
+    if (end > bytes.length) {
+      truncated = true;
+      break;
+    }
+
+    records.push({
+      time: segmentStart + view.getUint32(offset, true),
+      channel: CHANNEL_NAMES[bytes[offset + 4]] || 'unknown',
+      data: bytes.subarray(offset + RECORD_HEADER_LENGTH, end)
+    });
+    offset = end;
+  }
+
+  return { startTime, records, truncated };
+}
+
+/**
+ * Export the frames of one protocol from a session log as a plain stream
+ *
+ * Each channel is demultiplexed separately, so only complete, checksum-valid
+ * frames are written, in the order they were received.
+ * @param {Uint8Array|ArrayBuffer} data - Log bytes
+ * @param {string} format - 'ubx', 'nmea' or 'rtcm3'
+ * @param {Object} options - Export options
+ * @param {string[]} options.channels - Channels to take frames from (receiver output for ubx/nmea, NTRIP for rtcm3)
+ * @returns {Uint8Array} Stream bytes, e.g. for a .ubx, .nmea or .rtcm3 file
+ */
+export function exportSessionLog(data, format, options = {}) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const channels = options.channels || target.channels;
+  const demuxers = {};
+  const frames = [];
+
+  for (const record of parseSessionLog(data).records) {
+    if (!channels.includes(record.channel)) {
+      continue;
+    }
+    if (!demuxers[record.channel]) {
+      demuxers[record.channel] = new StreamDemuxer({ debug: { errors: false } });
+    }
+    demuxers[record.channel].push(record.data)
+      .filter(frame => frame.protocol === target.protocol)
+      .forEach(frame => frames.push(frame.data));
+  }
+
+  return concatBytes(frames);
+}
+
+/**
+ * Encode a segment header
+ * @param {number} startTime - Segment start time (Unix ms)
+ * @returns {Uint8Array} Header bytes
+ */
+function encodeFileHeader(startTime) {
+  const header = new Uint8Array(FILE_HEADER_LENGTH);
+  header.set(MAGIC, 0);
+  header[4] = FORMAT_VERSION;
+  new DataView(header.buffer).setFloat64(8, startTime, true);
+  return header;
+}
+
+/**
+ * Copy stream data into a byte array of its own
+ * @param {string|ArrayBuffer|Uint8Array} data - Stream data
+ * @returns {Uint8Array|null} Bytes, null for unsupported data
+ */
+function toBytes(data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data.slice(0));
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  }
+  return null;
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} chunks - Byte arrays
+ * @returns {Uint8Array} Concatenated bytes
+ */
+function concatBytes(chunks) {
+  const result = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Check whether a segment belongs to a session
+ * @param {string} segment - Segment name, e.g. session-20240501T120000Z-001.gnsslog
+ * @param {string} session - Session name
+ * @returns {boolean} True for one of the session's segments
+ */
+function isSegmentOf(segment, session) {
+  return segment.startsWith(`${session}-`) &&
+    /^\d+$/.test(segment.slice(session.length + 1, -EXTENSION.length));
+}
+
+/**
+ * Order segment names by session, then by segment number
+ * @param {string} a - Segment name
+ * @param {string} b - Segment name
+ * @returns {number} Negative when a comes first
+ */
+function compareSegments(a, b) {
+  const pattern = /^(.*)-(\d+)\.gnsslog$/;
+  const matchA = a.match(pattern);
+  const matchB = b.match(pattern);
+  if (matchA && matchB && matchA[1] === matchB[1]) {
+    return Number(matchA[2]) - Number(matchB[2]);
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Format a time for recording names
+ * @param {number} time - Unix ms
+ * @returns {string} Compact UTC timestamp, e.g. 20240501T120000Z
+ */
+function formatTimestamp(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+export default SessionRecorder;
@@ -1,13 +1,21 @@
 /**
  * Settings - Manages and persists module settings
  */
-import { DEFAULT_CONNECTION_SETTINGS, DEFAULT_NTRIP_SETTINGS } from './constants.js';
+import { DEFAULT_CONNECTION_SETTINGS, DEFAULT_NTRIP_SETTINGS, DEFAULT_DEVICE_SETTINGS } from './constants.js';
+import { createEnvironment } from './environment.js';
+
+// Storage key holding the user's settings
+const SETTINGS_KEY = 'user-settings';
 
 export class Settings {
-  constructor() {
-    this.dbName = 'gnss-module-db';
-    this.storeName = 'settings';
-    this.db = null;
+  /**
+   * Create the settings store
+   * @param {Object} options - Settings options
+   * @param {Object} options.storage - Storage adapter with load(key)/save(key, value)
+   *   (defaults to IndexedDB in browsers and memory elsewhere, see environment.js)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || createEnvironment().storage;
     this.settings = {
       // Connection settings
       connection: {
@@ -29,6 +37,11 @@ export class Settings {
           parity: DEFAULT_CONNECTION_SETTINGS.serial.parity,
           flowControl: DEFAULT_CONNECTION_SETTINGS.serial.flowControl,
           lastPort: null
+        },
+        tcp: {
+          host: '',
+          port: DEFAULT_CONNECTION_SETTINGS.tcp.port,
+          bridgeUrl: DEFAULT_CONNECTION_SETTINGS.tcp.bridgeUrl
         }
       },
       
@@ -51,7 +64,7 @@ export class Settings {
       ui: {
         showDebugInfo: false,
         unitSystem: 'metric', // or 'imperial'
-        coordinateFormat: 'dd', // decimal degrees, 'dms', or 'utm'
+        coordinateFormat: 'dd', // decimal degrees, 'dms', 'ddm', 'utm', 'mgrs' or 'usng' (see coordinates.js)
       },
       
       // Rover settings
@@ -60,67 +73,34 @@ export class Settings {
         dynamicModel: 'pedestrian', // automotive, pedestrian, etc.
         altitudeOffset: 0, // meters for altitude correction when using pole or tripod
         antennaOffset: 0, // meters for antenna offset (this is specific to the device used)
+      },
+      
+      // Device (receiver) configuration applied by GnssModule.configureDevice
+      device: {
+        ...DEFAULT_DEVICE_SETTINGS,
+        gnssSystems: [...DEFAULT_DEVICE_SETTINGS.gnssSystems],
+        nmeaSentences: [...DEFAULT_DEVICE_SETTINGS.nmeaSentences]
       }
     };
     
-    // Initialize the database
-    this.initDb();
+    // Load saved settings; await settings.ready before relying on them
+    this.ready = this.loadSettings();
   }
 
   /**
-   * Initialize IndexedDB
-   */
-  async initDb() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1);
-      
-      request.onerror = (event) => {
-        console.error('IndexedDB error:', event);
-        reject(event);
-      };
-      
-      request.onsuccess = (event) => {
-        this.db = event.target.result;
-        this.loadSettings().then(resolve);
-      };
-      
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          db.createObjectStore(this.storeName, { keyPath: 'id' });
-        }
-      };
-    });
-  }
-
-  /**
-   * Load settings from IndexedDB
+   * Load settings from storage
    */
   async loadSettings() {
-    if (!this.db) {
-      return;
+    try {
+      const savedSettings = await this.storage.load(SETTINGS_KEY);
+      if (savedSettings) {
+        // Deep merge with defaults for any new settings
+        this.deepMerge(this.settings, savedSettings);
+      }
+    } catch (error) {
+      console.error('Settings storage error:', error);
+      // Use defaults if error
     }
-    
-    return new Promise((resolve) => {
-      const transaction = this.db.transaction(this.storeName, 'readonly');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.get('user-settings');
-      
-      request.onsuccess = (event) => {
-        if (event.target.result) {
-          // Merge with defaults for any new settings
-          const savedSettings = event.target.result.value;
-          
-          // Deep merge the settings
-          this.deepMerge(this.settings, savedSettings);
-        }
-        resolve();
-      };
-      
-      request.onerror = () => {
-        resolve(); // Use defaults if error
-      };
-    });
   }
 
   /**
@@ -132,8 +112,9 @@ export class Settings {
   deepMerge(target, source) {
     for (const key in source) {
       if (source.hasOwnProperty(key)) {
-        // Check if the source value is an object and not null
-        if (source[key] !== null && typeof source[key] === 'object' && key in target && target[key] !== null) {
+        // Check if the source value is an object and not null (arrays are replaced, not merged)
+        if (source[key] !== null && typeof source[key] === 'object' && !Array.isArray(source[key]) &&
+            key in target && target[key] !== null) {
           // Initialize target[key] if it's null but source[key] is an object
           if (target[key] === null) {
             target[key] = Array.isArray(source[key]) ? [] : {};
@@ -148,24 +129,10 @@ export class Settings {
   }
 
   /**
-   * Save settings to IndexedDB
+   * Save settings to storage
    */
   async saveSettings() {
-    if (!this.db) {
-      return;
-    }
-    
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(this.storeName, 'readwrite');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.put({
-        id: 'user-settings',
-        value: this.settings
-      });
-      
-      request.onsuccess = () => resolve();
-      request.onerror = (event) => reject(event);
-    });
+    return this.storage.save(SETTINGS_KEY, this.settings);
   }
 
   /**
@@ -257,6 +224,11 @@ export class Settings {
           parity: DEFAULT_CONNECTION_SETTINGS.serial.parity,
           flowControl: DEFAULT_CONNECTION_SETTINGS.serial.flowControl,
           lastPort: null
+        },
+        tcp: {
+          host: '',
+          port: DEFAULT_CONNECTION_SETTINGS.tcp.port,
+          bridgeUrl: DEFAULT_CONNECTION_SETTINGS.tcp.bridgeUrl
         }
       },
       
@@ -285,6 +257,12 @@ export class Settings {
         dynamicModel: 'pedestrian',
         altitudeOffset: 0,
         antennaOffset: 0,
+      },
+      
+      device: {
+        ...DEFAULT_DEVICE_SETTINGS,
+        gnssSystems: [...DEFAULT_DEVICE_SETTINGS.gnssSystems],
+        nmeaSentences: [...DEFAULT_DEVICE_SETTINGS.nmeaSentences]
       }
     };
     
@@ -0,0 +1,440 @@
+/**
+ * StreamDemuxer - Splits a mixed-protocol byte stream into NMEA, UBX and RTCM3 frames
+ *
+ * Receivers interleave text and binary protocols on one serial or BLE link.
+ * The demultiplexer works on raw bytes, recognises each protocol by its
+ * preamble, validates the frame checksum and only then hands the frame
+ * to the matching decoder. Bytes that cannot be framed are counted and skipped;
+ * NMEA lines that fail framing still go to the NMEA parser so it reports them.
+ */
+import { EVENTS } from './constants.js';
+import { crc24q } from './rtcm-parser.js';
+
+// Protocol preambles
+const NMEA_START = 0x24; // '$'
+const UBX_SYNC_1 = 0xB5;
+const UBX_SYNC_2 = 0x62;
+const RTCM3_PREAMBLE = 0xD3;
+
+// Address field of a sentence that lost its checksum or line ending, not a '$' inside binary data
+const NMEA_HEADER = /^\$[A-Z][A-Z0-9]{3,5},/;
+
+// Frame size limits used to reject false preambles
+const MAX_NMEA_LENGTH = 256; // Standard limit is 82, proprietary sentences run longer
+const MAX_UBX_PAYLOAD = 8192;
+
+// Frame status returned by the protocol framers
+const FRAME_INCOMPLETE = 'incomplete';
+const FRAME_INVALID = 'invalid';
+
+export class StreamDemuxer {
+  /**
+   * Create a stream demultiplexer
+   * @param {Object} options - Configuration options
+   * @param {EventEmitter} options.events - Event emitter for per-protocol events
+   * @param {NmeaParser} options.nmeaParser - Decoder for NMEA sentences
+   * @param {UbxParser} options.ubxParser - Decoder for UBX frames
+   * @param {RtcmParser} options.rtcmParser - Decoder for RTCM3 frames
+   * @param {Object} options.debug - Debug settings
+   */
+  constructor(options = {}) {
+    this.events = options.events || null;
+    this.nmeaParser = options.nmeaParser || null;
+    this.ubxParser = options.ubxParser || null;
+    this.rtcmParser = options.rtcmParser || null;
+    this.buffer = new Uint8Array(0);
+    this.textEncoder = new TextEncoder();
+    this.textDecoder = new TextDecoder('ascii');
+    this.stats = createStats();
+
+    // Debug settings
+    this.debug = options.debug || {
+      info: false,
+      debug: false,
+      errors: true
+    };
+
+    // Set up logger functions
+    this.logger = {
+      debug: (...args) => {
+        if (this.debug.debug) {
+          console.debug('[DEMUX-DEBUG]', ...args);
+        }
+      },
+      error: (...args) => {
+        if (this.debug.errors) {
+          console.error('[DEMUX-ERROR]', ...args);
+        }
+      }
+    };
+  }
+
+  /**
+   * Push a chunk of raw device data through the demultiplexer
+   * @param {string|ArrayBuffer|Uint8Array} data - Raw data from receiver
+   * @returns {Object[]} Complete frames found, as { protocol, data }
+   */
+  push(data) {
+    let bytes;
+    if (typeof data === 'string') {
+      bytes = this.textEncoder.encode(data);
+    } else if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data);
+    } else if (ArrayBuffer.isView(data)) {
+      bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+      this.logger.error('Unsupported data type:', typeof data);
+      return [];
+    }
+
+    if (bytes.length === 0) {
+      return [];
+    }
+
+    const combined = new Uint8Array(this.buffer.length + bytes.length);
+    combined.set(this.buffer, 0);
+    combined.set(bytes, this.buffer.length);
+    this.buffer = combined;
+
+    const rejected = [];
+    const frames = this.processBuffer(rejected);
+    this.dispatch(frames, rejected);
+    return frames;
+  }
+
+  /**
+   * Extract all complete frames from the buffer
+   * @param {Object[]} [rejected=[]] - Collects NMEA lines that failed framing, as { index, sentence }
+   * @returns {Object[]} Complete frames as { protocol, data }
+   */
+  processBuffer(rejected = []) {
+    const frames = [];
+    const buffer = this.buffer;
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      const byte = buffer[offset];
+      let result = null;
+      let protocol = null;
+
+      if (byte === NMEA_START) {
+        protocol = 'nmea';
+        result = this.frameNmea(buffer, offset);
+      } else if (byte === UBX_SYNC_1) {
+        protocol = 'ubx';
+        result = this.frameUbx(buffer, offset);
+      } else if (byte === RTCM3_PREAMBLE) {
+        protocol = 'rtcm';
+        result = this.frameRtcm(buffer, offset);
+      }
+
+      if (protocol === 'nmea' && result === FRAME_INVALID) {
+        // A corrupted sentence: let the NMEA parser count and report it where it belongs in the stream
+        const sentence = this.rejectedNmea(buffer, offset);
+        if (sentence) {
+          rejected.push({ index: frames.length, sentence });
+        }
+      }
+
+      if (result === null || result === FRAME_INVALID) {
+        // Not the start of a frame we can recognise, skip this byte
+        this.stats.skippedBytes++;
+        offset++;
+        continue;
+      }
+
+      if (result === FRAME_INCOMPLETE) {
+        // A false UBX/RTCM preamble with a bogus length would hold back everything behind it
+        // until that many bytes arrive: stop waiting as soon as a complete frame follows it
+        if (protocol !== 'nmea' && this.hasFrameAfter(buffer, offset + 1)) {
+          this.stats.skippedBytes++;
+          offset++;
+          continue;
+        }
+        // Wait for more data
+        break;
+      }
+
+      frames.push({
+        protocol,
+        data: buffer.slice(offset, offset + result)
+      });
+      this.stats[protocol]++;
+      offset += result;
+    }
+
+    this.buffer = buffer.slice(offset);
+    return frames;
+  }
+
+  /**
+   * Check whether a complete, checksum-valid frame starts anywhere from start
+   * @param {Uint8Array} buffer - Byte buffer
+   * @param {number} start - First index to look at
+   * @returns {boolean} Whether a complete frame was found
+   */
+  hasFrameAfter(buffer, start) {
+    for (let i = start; i < buffer.length; i++) {
+      const byte = buffer[i];
+      let result = null;
+      if (byte === NMEA_START) {
+        result = this.frameNmea(buffer, i, false);
+      } else if (byte === UBX_SYNC_1) {
+        result = this.frameUbx(buffer, i, false);
+      } else if (byte === RTCM3_PREAMBLE) {
+        result = this.frameRtcm(buffer, i, false);
+      }
+      if (typeof result === 'number') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Frame an NMEA sentence starting at offset
+   * @param {Uint8Array} buffer - Byte buffer
+   * @param {number} offset - Index of the '$'
+   * @param {boolean} [count=true] - Count checksum errors (false when only looking ahead)
+   * @returns {number|string} Frame length including line ending, or a frame status
+   */
+  frameNmea(buffer, offset, count = true) {
+    const limit = Math.min(buffer.length, offset + MAX_NMEA_LENGTH);
+
+    for (let i = offset + 1; i < limit; i++) {
+      const byte = buffer[i];
+
+      if (byte === 0x0D || byte === 0x0A) {
+        const sentence = this.textDecoder.decode(buffer.subarray(offset, i));
+        if (!validateNmeaChecksum(sentence)) {
+          if (count) this.stats.checksumErrors.nmea++;
+          return FRAME_INVALID;
+        }
+
+        // Consume the CR/LF line ending with the sentence
+        let end = i + 1;
+        if (byte === 0x0D && end < buffer.length && buffer[end] === 0x0A) {
+          end++;
+        }
+        return end - offset;
+      }
+
+      // NMEA is printable ASCII only, anything else means this was not a sentence
+      if (byte < 0x20 || byte > 0x7E) {
+        return FRAME_INVALID;
+      }
+    }
+
+    return limit - offset >= MAX_NMEA_LENGTH ? FRAME_INVALID : FRAME_INCOMPLETE;
+  }
+
+  /**
+   * Read the text of an NMEA line that failed framing
+   * @param {Uint8Array} buffer - Byte buffer
+   * @param {number} offset - Index of the '$'
+   * @returns {string|null} Printable text up to the line ending or first control byte, null when it is no sentence
+   */
+  rejectedNmea(buffer, offset) {
+    const limit = Math.min(buffer.length, offset + MAX_NMEA_LENGTH);
+    let end = offset + 1;
+    while (end < limit && buffer[end] >= 0x20 && buffer[end] <= 0x7E) {
+      end++;
+    }
+
+    const sentence = this.textDecoder.decode(buffer.subarray(offset, end));
+    return NMEA_HEADER.test(sentence) ? sentence : null;
+  }
+
+  /**
+   * Frame a UBX message starting at offset
+   * @param {Uint8Array} buffer - Byte buffer
+   * @param {number} offset - Index of the first sync character
+   * @param {boolean} [count=true] - Count checksum errors (false when only looking ahead)
+   * @returns {number|string} Frame length or a frame status
+   */
+  frameUbx(buffer, offset, count = true) {
+    if (buffer.length - offset < 2) {
+      return FRAME_INCOMPLETE;
+    }
+    if (buffer[offset + 1] !== UBX_SYNC_2) {
+      return FRAME_INVALID;
+    }
+    if (buffer.length - offset < 6) {
+      return FRAME_INCOMPLETE;
+    }
+
+    const payloadLength = buffer[offset + 4] | (buffer[offset + 5] << 8);
+    if (payloadLength > MAX_UBX_PAYLOAD) {
+      return FRAME_INVALID;
+    }
+
+    const frameLength = payloadLength + 8;
+    if (buffer.length - offset < frameLength) {
+      return FRAME_INCOMPLETE;
+    }
+
+    // 8-bit Fletcher checksum over class, ID, length and payload
+    let ckA = 0;
+    let ckB = 0;
+    for (let i = offset + 2; i < offset + frameLength - 2; i++) {
+      ckA = (ckA + buffer[i]) & 0xFF;
+      ckB = (ckB + ckA) & 0xFF;
+    }
+
+    if (ckA !== buffer[offset + frameLength - 2] || ckB !== buffer[offset + frameLength - 1]) {
+      if (count) this.stats.checksumErrors.ubx++;
+      return FRAME_INVALID;
+    }
+
+    return frameLength;
+  }
+
+  /**
+   * Frame an RTCM3 message starting at offset
+   * @param {Uint8Array} buffer - Byte buffer
+   * @param {number} offset - Index of the 0xD3 preamble
+   * @param {boolean} [count=true] - Count checksum errors (false when only looking ahead)
+   * @returns {number|string} Frame length or a frame status
+   */
+  frameRtcm(buffer, offset, count = true) {
+    if (buffer.length - offset < 3) {
+      return FRAME_INCOMPLETE;
+    }
+
+    // The 6 bits after the preamble are reserved and always zero
+    if ((buffer[offset + 1] & 0xFC) !== 0) {
+      return FRAME_INVALID;
+    }
+
+    const messageLength = ((buffer[offset + 1] & 0x03) << 8) | buffer[offset + 2];
+    const frameLength = messageLength + 6;
+    if (buffer.length - offset < frameLength) {
+      return FRAME_INCOMPLETE;
+    }
+
+    const crcOffset = offset + 3 + messageLength;
+    const expected = (buffer[crcOffset] << 16) | (buffer[crcOffset + 1] << 8) | buffer[crcOffset + 2];
+    if (crc24q(buffer, offset, crcOffset) !== expected) {
+      if (count) this.stats.checksumErrors.rtcm++;
+      return FRAME_INVALID;
+    }
+
+    return frameLength;
+  }
+
+  /**
+   * Route frames to their decoders and emit per-protocol events
+   * @param {Object[]} frames - Frames from processBuffer()
+   * @param {Object[]} [rejected=[]] - NMEA lines that failed framing, from processBuffer()
+   */
+  dispatch(frames, rejected = []) {
+    const sentences = [];
+    const ubxFrames = [];
+    const rtcmFrames = [];
+    let next = 0;
+
+    frames.forEach((frame, index) => {
+      // Rejected lines keep their place among the valid sentences
+      while (next < rejected.length && rejected[next].index === index) {
+        sentences.push(rejected[next++].sentence);
+      }
+
+      if (frame.protocol === 'nmea') {
+        const sentence = this.textDecoder.decode(frame.data).trim();
+        sentences.push(sentence);
+        if (this.events) {
+          this.events.emit(EVENTS.STREAM_NMEA, { sentence });
+        }
+      } else if (frame.protocol === 'ubx') {
+        ubxFrames.push(frame.data);
+        if (this.events) {
+          this.events.emit(EVENTS.STREAM_UBX, { data: frame.data });
+        }
+      } else if (frame.protocol === 'rtcm') {
+        rtcmFrames.push(frame.data);
+        if (this.events) {
+          this.events.emit(EVENTS.STREAM_RTCM, { data: frame.data });
+        }
+      }
+    });
+    while (next < rejected.length) {
+      sentences.push(rejected[next++].sentence);
+    }
+
+    try {
+      // Hand NMEA over as one batch so the parser emits one position update per chunk
+      if (this.nmeaParser && sentences.length > 0) {
+        this.nmeaParser.parseData(sentences.join('\r\n') + '\r\n');
+      }
+
+      if (this.ubxParser && ubxFrames.length > 0) {
+        this.ubxParser.parseFrames(ubxFrames);
+      }
+
+      if (this.rtcmParser) {
+        rtcmFrames.forEach(frame => this.rtcmParser.parseFrame(frame));
+      }
+    } catch (error) {
+      this.logger.error('Error dispatching frames:', error);
+    }
+  }
+
+  /**
+   * Get demultiplexer statistics
+   * @returns {Object} Frame counts per protocol, skipped bytes and checksum errors
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      checksumErrors: { ...this.stats.checksumErrors },
+      buffered: this.buffer.length
+    };
+  }
+
+  /**
+   * Clear the buffer and statistics
+   */
+  reset() {
+    this.buffer = new Uint8Array(0);
+    this.stats = createStats();
+  }
+}
+
+/**
+ * Create an empty statistics object
+ * @returns {Object} Statistics
+ */
+function createStats() {
+  return {
+    nmea: 0,
+    ubx: 0,
+    rtcm: 0,
+    skippedBytes: 0,
+    checksumErrors: {
+      nmea: 0,
+      ubx: 0,
+      rtcm: 0
+    }
+  };
+}
+
+/**
+ * Validate the XOR checksum of an NMEA sentence
+ * @param {string} sentence - Sentence starting with '$' without line ending
+ * @returns {boolean} Whether the checksum is present and valid
+ */
+function validateNmeaChecksum(sentence) {
+  const asteriskIndex = sentence.indexOf('*');
+  if (asteriskIndex === -1 || sentence.length < asteriskIndex + 3) {
+    return false;
+  }
+
+  let checksum = 0;
+  for (let i = 1; i < asteriskIndex; i++) {
+    checksum ^= sentence.charCodeAt(i);
+  }
+
+  return checksum === parseInt(sentence.substring(asteriskIndex + 1, asteriskIndex + 3), 16);
+}
+
+export default StreamDemuxer;
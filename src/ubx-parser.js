@@ -0,0 +1,897 @@
+/**
+ * UbxParser - Frames and decodes u-blox UBX binary messages from the GNSS receiver
+ */
+import { EVENTS, UBX_CLASSES, UBX_GNSS_IDS } from './constants.js';
+
+// UBX frame layout: sync (2) + class (1) + id (1) + length (2) + payload + checksum (2)
+const SYNC_CHAR_1 = 0xB5;
+const SYNC_CHAR_2 = 0x62;
+const HEADER_LENGTH = 6;
+const CHECKSUM_LENGTH = 2;
+const MAX_PAYLOAD_LENGTH = 8192; // Anything larger is treated as a false sync
+
+// Names of the messages this parser knows how to decode, keyed by class and ID
+const MESSAGE_NAMES = {
+  [UBX_CLASSES.NAV]: {
+    0x02: 'NAV-POSLLH',
+    0x04: 'NAV-DOP',
+    0x07: 'NAV-PVT',
+    0x14: 'NAV-HPPOSLLH',
+    0x35: 'NAV-SAT',
+    0x3C: 'NAV-RELPOSNED'
+  },
+  [UBX_CLASSES.RXM]: {
+    0x32: 'RXM-RTCM'
+  },
+  [UBX_CLASSES.CFG]: {
+    0x3E: 'CFG-GNSS'
+  },
+  [UBX_CLASSES.ACK]: {
+    0x00: 'ACK-NAK',
+    0x01: 'ACK-ACK'
+  },
+  [UBX_CLASSES.MON]: {
+    0x04: 'MON-VER',
+    0x38: 'MON-RF'
+  }
+};
+
+// Class names used to label messages we don't decode
+const CLASS_NAMES = Object.fromEntries(
+  Object.entries(UBX_CLASSES).map(([name, value]) => [value, name])
+);
+
+// Conversion factor from m/s to knots (NMEA speed unit)
+const MS_TO_KNOTS = 1.943844;
+
+export class UbxParser {
+  constructor(options = {}) {
+    this.buffer = new Uint8Array(0);
+    this.messageStats = {
+      UNKNOWN: 0,
+      CHECKSUM_ERRORS: 0
+    };
+    this.lastMessageTime = Date.now();
+
+    // Latest navigation state, assembled from NAV-PVT and NAV-HPPOSLLH
+    this.lastPvt = null;
+    this.lastHpPosition = null;
+    this.lastDop = null;
+    this.lastSatellites = [];
+
+    // Emit position:update from UBX navigation messages
+    this.emitPositions = options.emitPositions !== false;
+
+    // Store the event emitter if provided
+    this.events = options.events || null;
+
+    // Debug settings
+    this.debug = options.debug || {
+      info: false,
+      debug: false,
+      errors: true,
+      parsedSentences: false,
+      rtcmMessages: false
+    };
+
+    // Set up logger functions
+    this.logger = {
+      info: (...args) => {
+        if (this.debug.info) {
+          console.info('[UBX-INFO]', ...args);
+        }
+      },
+      debug: (...args) => {
+        if (this.debug.debug) {
+          console.debug('[UBX-DEBUG]', ...args);
+        }
+      },
+      error: (...args) => {
+        if (this.debug.errors) {
+          console.error('[UBX-ERROR]', ...args);
+        }
+      },
+      parsedMessage: (...args) => {
+        if (this.debug.parsedSentences) {
+          console.log('[UBX-PARSED]', ...args);
+        }
+      }
+    };
+  }
+
+  /**
+   * Parse data received from the device
+   * @param {ArrayBuffer|Uint8Array} data - Raw data from receiver
+   * @returns {Object[]} Array of decoded UBX messages
+   */
+  parseData(data) {
+    const bytes = toUint8Array(data);
+    if (!bytes || bytes.length === 0) {
+      return [];
+    }
+
+    // Append to the buffer and process any complete frames
+    const combined = new Uint8Array(this.buffer.length + bytes.length);
+    combined.set(this.buffer, 0);
+    combined.set(bytes, this.buffer.length);
+    this.buffer = combined;
+
+    return this.processBuffer();
+  }
+
+  /**
+   * Alias for parseData for consistency with NmeaParser
+   * @param {ArrayBuffer|Uint8Array} data - Raw data from receiver
+   * @returns {Object[]} Array of decoded UBX messages
+   */
+  parse(data) {
+    return this.parseData(data);
+  }
+
+  /**
+   * Extract complete UBX frames from the buffer
+   * @returns {Object[]} Array of decoded UBX messages
+   */
+  processBuffer() {
+    const results = [];
+    let offset = 0;
+
+    while (offset < this.buffer.length) {
+      // Find the next sync sequence
+      const syncIndex = findSync(this.buffer, offset);
+      if (syncIndex === -1) {
+        // Keep a trailing first sync byte, it may be completed by the next chunk
+        offset = this.buffer[this.buffer.length - 1] === SYNC_CHAR_1 ?
+          this.buffer.length - 1 :
+          this.buffer.length;
+        break;
+      }
+      offset = syncIndex;
+
+      // Wait for the rest of the header
+      if (this.buffer.length - offset < HEADER_LENGTH) {
+        break;
+      }
+
+      const payloadLength = this.buffer[offset + 4] | (this.buffer[offset + 5] << 8);
+      if (payloadLength > MAX_PAYLOAD_LENGTH) {
+        // Not a real frame, skip the sync byte and keep searching
+        offset += 1;
+        continue;
+      }
+
+      const frameLength = HEADER_LENGTH + payloadLength + CHECKSUM_LENGTH;
+      if (this.buffer.length - offset < frameLength) {
+        // Incomplete frame, wait for more data
+        break;
+      }
+
+      const frame = this.buffer.subarray(offset, offset + frameLength);
+      const message = this.parseMessage(frame);
+
+      if (message) {
+        results.push(message);
+        offset += frameLength;
+      } else {
+        // Bad checksum, resynchronise from the next byte
+        offset += 1;
+      }
+    }
+
+    // Keep any unprocessed bytes for the next chunk
+    this.buffer = this.buffer.slice(offset);
+
+    if (results.length > 0) {
+      this.emitNavigationUpdates(results);
+    }
+
+    return results;
+  }
+
+  /**
+   * Parse complete frames that were already extracted from the stream
+   * (e.g. by StreamDemuxer) and emit navigation updates once for the batch
+   * @param {Uint8Array[]} frames - Complete UBX frames
+   * @returns {Object[]} Array of decoded UBX messages
+   */
+  parseFrames(frames) {
+    const results = [];
+    for (const frame of frames) {
+      const message = this.parseMessage(frame);
+      if (message) {
+        results.push(message);
+      }
+    }
+
+    if (results.length > 0) {
+      this.emitNavigationUpdates(results);
+    }
+
+    return results;
+  }
+
+  /**
+   * Parse a single complete UBX frame
+   * @param {Uint8Array} frame - Frame including sync characters and checksum
+   * @returns {Object|null} Decoded message or null if invalid
+   */
+  parseMessage(frame) {
+    try {
+      frame = toUint8Array(frame);
+
+      if (!frame || frame.length < HEADER_LENGTH + CHECKSUM_LENGTH ||
+          frame[0] !== SYNC_CHAR_1 || frame[1] !== SYNC_CHAR_2) {
+        this.logger.debug('Invalid UBX frame');
+        return null;
+      }
+
+      const msgClass = frame[2];
+      const msgId = frame[3];
+      const payloadLength = frame[4] | (frame[5] << 8);
+
+      if (frame.length !== HEADER_LENGTH + payloadLength + CHECKSUM_LENGTH) {
+        this.logger.debug('UBX frame length mismatch:', frame.length, payloadLength);
+        return null;
+      }
+
+      // Check the Fletcher checksum over class, ID, length and payload
+      const [ckA, ckB] = this.calculateChecksum(frame, 2, HEADER_LENGTH + payloadLength);
+      if (ckA !== frame[frame.length - 2] || ckB !== frame[frame.length - 1]) {
+        this.messageStats.CHECKSUM_ERRORS++;
+        this.logger.debug(`Invalid UBX checksum for class 0x${msgClass.toString(16)} ID 0x${msgId.toString(16)}`);
+        return null;
+      }
+
+      const payload = new DataView(frame.buffer, frame.byteOffset + HEADER_LENGTH, payloadLength);
+      const name = (MESSAGE_NAMES[msgClass] && MESSAGE_NAMES[msgClass][msgId]) ||
+        `${CLASS_NAMES[msgClass] || 'UNKNOWN'}-0x${msgId.toString(16).padStart(2, '0').toUpperCase()}`;
+
+      const decoded = this.decodePayload(name, payload);
+      const message = {
+        type: 'UBX',
+        name,
+        msgClass,
+        msgId,
+        length: payloadLength,
+        ...(decoded || {}),
+        raw: frame.slice()
+      };
+
+      // Update message statistics
+      if (decoded) {
+        this.messageStats[name] = (this.messageStats[name] || 0) + 1;
+      } else {
+        this.messageStats.UNKNOWN++;
+      }
+      this.lastMessageTime = Date.now();
+
+      this.logger.parsedMessage(`Parsed UBX message: ${name}`, message);
+
+      // Emit the decoded message
+      if (this.events) {
+        this.events.emit(EVENTS.UBX_MESSAGE, message);
+        this.events.emit(`ubx:${name}`, message);
+      }
+
+      return message;
+    } catch (error) {
+      this.logger.error('Unexpected error parsing UBX frame:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Calculate the 8-bit Fletcher checksum used by UBX
+   * @param {Uint8Array} bytes - Data to checksum
+   * @param {number} start - First byte index (inclusive)
+   * @param {number} end - Last byte index (exclusive)
+   * @returns {number[]} Checksum bytes [CK_A, CK_B]
+   */
+  calculateChecksum(bytes, start = 0, end = bytes.length) {
+    let ckA = 0;
+    let ckB = 0;
+    for (let i = start; i < end; i++) {
+      ckA = (ckA + bytes[i]) & 0xFF;
+      ckB = (ckB + ckA) & 0xFF;
+    }
+    return [ckA, ckB];
+  }
+
+  /**
+   * Decode a message payload by name
+   * @param {string} name - Message name (e.g. NAV-PVT)
+   * @param {DataView} payload - Message payload
+   * @returns {Object|null} Decoded fields or null if not supported
+   */
+  decodePayload(name, payload) {
+    switch (name) {
+      case 'NAV-POSLLH':
+        return this.parseNavPosllh(payload);
+      case 'NAV-DOP':
+        return this.parseNavDop(payload);
+      case 'NAV-PVT':
+        return this.parseNavPvt(payload);
+      case 'NAV-HPPOSLLH':
+        return this.parseNavHpposllh(payload);
+      case 'NAV-SAT':
+        return this.parseNavSat(payload);
+      case 'NAV-RELPOSNED':
+        return this.parseNavRelposned(payload);
+      case 'RXM-RTCM':
+        return this.parseRxmRtcm(payload);
+      case 'ACK-ACK':
+      case 'ACK-NAK':
+        return this.parseAck(payload);
+      case 'CFG-GNSS':
+        return this.parseCfgGnss(payload);
+      case 'MON-VER':
+        return this.parseMonVer(payload);
+      case 'MON-RF':
+        return this.parseMonRf(payload);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse NAV-POSLLH (geodetic position solution)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed NAV-POSLLH data
+   */
+  parseNavPosllh(p) {
+    if (p.byteLength < 28) return null;
+
+    return {
+      iTOW: p.getUint32(0, true),
+      longitude: p.getInt32(4, true) * 1e-7,
+      latitude: p.getInt32(8, true) * 1e-7,
+      height: p.getInt32(12, true) / 1000, // Ellipsoidal height in meters
+      altitude: p.getInt32(16, true) / 1000, // Height above mean sea level in meters
+      horizontalAccuracy: p.getUint32(20, true) / 1000,
+      verticalAccuracy: p.getUint32(24, true) / 1000
+    };
+  }
+
+  /**
+   * Parse NAV-DOP (dilution of precision)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed NAV-DOP data
+   */
+  parseNavDop(p) {
+    if (p.byteLength < 18) return null;
+
+    return {
+      iTOW: p.getUint32(0, true),
+      gdop: p.getUint16(4, true) * 0.01,
+      pdop: p.getUint16(6, true) * 0.01,
+      tdop: p.getUint16(8, true) * 0.01,
+      vdop: p.getUint16(10, true) * 0.01,
+      hdop: p.getUint16(12, true) * 0.01,
+      ndop: p.getUint16(14, true) * 0.01,
+      edop: p.getUint16(16, true) * 0.01
+    };
+  }
+
+  /**
+   * Parse NAV-PVT (navigation position velocity time solution)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed NAV-PVT data
+   */
+  parseNavPvt(p) {
+    if (p.byteLength < 92) return null;
+
+    const valid = p.getUint8(11);
+    const flags = p.getUint8(21);
+    const flags3 = p.getUint16(78, true);
+
+    const year = p.getUint16(4, true);
+    const month = p.getUint8(6);
+    const day = p.getUint8(7);
+    const hour = p.getUint8(8);
+    const minute = p.getUint8(9);
+    const second = p.getUint8(10);
+    const nano = p.getInt32(16, true);
+
+    // Build a UTC timestamp only when the receiver reports valid date and time
+    let time = null;
+    if ((valid & 0x03) === 0x03) {
+      time = new Date(Date.UTC(year, month - 1, day, hour, minute, second) + Math.round(nano / 1e6));
+    }
+
+    return {
+      iTOW: p.getUint32(0, true),
+      year,
+      month,
+      day,
+      hour,
+      minute,
+      second,
+      nano,
+      time,
+      validDate: (valid & 0x01) !== 0,
+      validTime: (valid & 0x02) !== 0,
+      fullyResolved: (valid & 0x04) !== 0,
+      timeAccuracy: p.getUint32(12, true), // ns
+      fixType: p.getUint8(20), // 0=no fix, 1=DR, 2=2D, 3=3D, 4=GNSS+DR, 5=time only
+      gnssFixOk: (flags & 0x01) !== 0,
+      diffSoln: (flags & 0x02) !== 0,
+      carrSoln: (flags >> 6) & 0x03, // 0=none, 1=float, 2=fixed
+      numSV: p.getUint8(23),
+      longitude: p.getInt32(24, true) * 1e-7,
+      latitude: p.getInt32(28, true) * 1e-7,
+      height: p.getInt32(32, true) / 1000, // Ellipsoidal height in meters
+      altitude: p.getInt32(36, true) / 1000, // Height above mean sea level in meters
+      horizontalAccuracy: p.getUint32(40, true) / 1000,
+      verticalAccuracy: p.getUint32(44, true) / 1000,
+      velN: p.getInt32(48, true) / 1000, // m/s
+      velE: p.getInt32(52, true) / 1000,
+      velD: p.getInt32(56, true) / 1000,
+      groundSpeed: p.getInt32(60, true) / 1000, // m/s
+      headingOfMotion: p.getInt32(64, true) * 1e-5, // degrees
+      speedAccuracy: p.getUint32(68, true) / 1000,
+      headingAccuracy: p.getUint32(72, true) * 1e-5,
+      pdop: p.getUint16(76, true) * 0.01,
+      invalidLlh: (flags3 & 0x01) !== 0,
+      headingOfVehicle: p.getInt32(84, true) * 1e-5,
+      magneticDeclination: p.getInt16(88, true) * 1e-2,
+      magneticDeclinationAccuracy: p.getUint16(90, true) * 1e-2
+    };
+  }
+
+  /**
+   * Parse NAV-HPPOSLLH (high precision geodetic position solution)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed NAV-HPPOSLLH data
+   */
+  parseNavHpposllh(p) {
+    if (p.byteLength < 36) return null;
+
+    // Combine the standard and high precision components
+    // lon/lat: 1e-7 deg + 1e-9 deg, height: mm + 0.1 mm
+    const longitude = (p.getInt32(8, true) * 100 + p.getInt8(24)) * 1e-9;
+    const latitude = (p.getInt32(12, true) * 100 + p.getInt8(25)) * 1e-9;
+    const height = (p.getInt32(16, true) * 10 + p.getInt8(26)) * 1e-4;
+    const altitude = (p.getInt32(20, true) * 10 + p.getInt8(27)) * 1e-4;
+
+    return {
+      version: p.getUint8(0),
+      invalidLlh: (p.getUint8(3) & 0x01) !== 0,
+      iTOW: p.getUint32(4, true),
+      longitude,
+      latitude,
+      height, // Ellipsoidal height in meters
+      altitude, // Height above mean sea level in meters
+      horizontalAccuracy: p.getUint32(28, true) * 1e-4,
+      verticalAccuracy: p.getUint32(32, true) * 1e-4
+    };
+  }
+
+  /**
+   * Parse NAV-SAT (satellite information)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed NAV-SAT data
+   */
+  parseNavSat(p) {
+    if (p.byteLength < 8) return null;
+
+    const numSvs = p.getUint8(5);
+    const satellites = [];
+
+    for (let i = 0; i < numSvs && 8 + (i + 1) * 12 <= p.byteLength; i++) {
+      const base = 8 + i * 12;
+      const gnssId = p.getUint8(base);
+      const flags = p.getUint32(base + 8, true);
+
+      satellites.push({
+        gnssId,
+        constellation: UBX_GNSS_IDS[gnssId] || 'Unknown',
+        svId: p.getUint8(base + 1),
+        prn: p.getUint8(base + 1),
+        snr: p.getUint8(base + 2), // Carrier to noise ratio (dBHz)
+        elevation: p.getInt8(base + 3),
+        azimuth: p.getInt16(base + 4, true),
+        pseudorangeResidual: p.getInt16(base + 6, true) * 0.1,
+        qualityIndicator: flags & 0x07,
+        used: (flags & 0x08) !== 0,
+        health: (flags >> 4) & 0x03, // 0=unknown, 1=healthy, 2=unhealthy
+        diffCorr: (flags & 0x40) !== 0
+      });
+    }
+
+    this.lastSatellites = satellites;
+
+    return {
+      iTOW: p.getUint32(0, true),
+      version: p.getUint8(4),
+      numSvs,
+      satellites
+    };
+  }
+
+  /**
+   * Parse NAV-RELPOSNED (relative position in NED frame)
+   * Handles both the 40 byte version 0 and the 64 byte version 1 layouts.
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed NAV-RELPOSNED data
+   */
+  parseNavRelposned(p) {
+    if (p.byteLength < 40) return null;
+
+    const version = p.getUint8(0);
+    const isV1 = version >= 1 && p.byteLength >= 64;
+
+    // cm + 0.1 mm components, converted to meters
+    const hpOffset = isV1 ? 32 : 20;
+    const relPosN = (p.getInt32(8, true) * 100 + p.getInt8(hpOffset)) * 1e-4;
+    const relPosE = (p.getInt32(12, true) * 100 + p.getInt8(hpOffset + 1)) * 1e-4;
+    const relPosD = (p.getInt32(16, true) * 100 + p.getInt8(hpOffset + 2)) * 1e-4;
+
+    const accOffset = isV1 ? 36 : 24;
+    const flags = p.getUint32(isV1 ? 60 : 36, true);
+
+    const result = {
+      version,
+      refStationId: p.getUint16(2, true),
+      iTOW: p.getUint32(4, true),
+      relPosN,
+      relPosE,
+      relPosD,
+      accN: p.getUint32(accOffset, true) * 1e-4,
+      accE: p.getUint32(accOffset + 4, true) * 1e-4,
+      accD: p.getUint32(accOffset + 8, true) * 1e-4,
+      gnssFixOk: (flags & 0x01) !== 0,
+      diffSoln: (flags & 0x02) !== 0,
+      relPosValid: (flags & 0x04) !== 0,
+      carrSoln: (flags >> 3) & 0x03,
+      isMoving: (flags & 0x20) !== 0,
+      refPosMiss: (flags & 0x40) !== 0,
+      refObsMiss: (flags & 0x80) !== 0
+    };
+
+    if (isV1) {
+      result.relPosLength = (p.getInt32(20, true) * 100 + p.getInt8(35)) * 1e-4;
+      result.relPosHeading = p.getInt32(24, true) * 1e-5;
+      result.accLength = p.getUint32(48, true) * 1e-4;
+      result.accHeading = p.getUint32(52, true) * 1e-5;
+      result.relPosHeadingValid = (flags & 0x100) !== 0;
+      result.relPosNormalized = (flags & 0x200) !== 0;
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse RXM-RTCM (RTCM input status)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed RXM-RTCM data
+   */
+  parseRxmRtcm(p) {
+    if (p.byteLength < 8) return null;
+
+    const flags = p.getUint8(1);
+    return {
+      version: p.getUint8(0),
+      crcFailed: (flags & 0x01) !== 0,
+      msgUsed: (flags >> 1) & 0x03, // 0=unknown, 1=not used, 2=used
+      subType: p.getUint16(2, true),
+      refStation: p.getUint16(4, true),
+      msgType: p.getUint16(6, true)
+    };
+  }
+
+  /**
+   * Parse ACK-ACK / ACK-NAK
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed acknowledgement
+   */
+  parseAck(p) {
+    if (p.byteLength < 2) return null;
+
+    return {
+      ackClass: p.getUint8(0),
+      ackId: p.getUint8(1)
+    };
+  }
+
+  /**
+   * Parse CFG-GNSS (legacy constellation configuration, poll response)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed CFG-GNSS data
+   */
+  parseCfgGnss(p) {
+    if (p.byteLength < 4) return null;
+
+    const numConfigBlocks = p.getUint8(3);
+    if (p.byteLength < 4 + numConfigBlocks * 8) return null;
+
+    const blocks = [];
+    for (let i = 0; i < numConfigBlocks; i++) {
+      const offset = 4 + i * 8;
+      const flags = p.getUint32(offset + 4, true);
+      blocks.push({
+        gnssId: p.getUint8(offset),
+        constellation: UBX_GNSS_IDS[p.getUint8(offset)] || 'Unknown',
+        resTrkCh: p.getUint8(offset + 1),
+        maxTrkCh: p.getUint8(offset + 2),
+        flags,
+        enabled: (flags & 0x01) !== 0
+      });
+    }
+
+    return {
+      msgVer: p.getUint8(0),
+      numTrkChHw: p.getUint8(1),
+      numTrkChUse: p.getUint8(2),
+      blocks
+    };
+  }
+
+  /**
+   * Parse MON-VER (receiver and software version)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed MON-VER data
+   */
+  parseMonVer(p) {
+    if (p.byteLength < 40) return null;
+
+    const extensions = [];
+    for (let offset = 40; offset + 30 <= p.byteLength; offset += 30) {
+      extensions.push(readString(p, offset, 30));
+    }
+
+    // Extract the protocol version (e.g. "PROTVER=27.12") when present
+    let protocolVersion = null;
+    const protVer = extensions.find(ext => ext.startsWith('PROTVER'));
+    if (protVer) {
+      const match = protVer.match(/PROTVER[=\s]*([\d.]+)/);
+      if (match) {
+        protocolVersion = parseFloat(match[1]);
+      }
+    }
+
+    return {
+      swVersion: readString(p, 0, 30),
+      hwVersion: readString(p, 30, 10),
+      extensions,
+      protocolVersion
+    };
+  }
+
+  /**
+   * Parse MON-RF (RF information)
+   * @param {DataView} p - Payload
+   * @returns {Object|null} Parsed MON-RF data
+   */
+  parseMonRf(p) {
+    if (p.byteLength < 4) return null;
+
+    const nBlocks = p.getUint8(1);
+    const blocks = [];
+
+    for (let i = 0; i < nBlocks && 4 + (i + 1) * 24 <= p.byteLength; i++) {
+      const base = 4 + i * 24;
+      blocks.push({
+        blockId: p.getUint8(base),
+        jammingState: p.getUint8(base + 1) & 0x03, // 0=unknown, 1=ok, 2=warning, 3=critical
+        antennaStatus: p.getUint8(base + 2), // 0=init, 1=unknown, 2=ok, 3=short, 4=open
+        antennaPower: p.getUint8(base + 3), // 0=off, 1=on, 2=unknown
+        noisePerMS: p.getUint16(base + 12, true),
+        agcCount: p.getUint16(base + 14, true),
+        jammingIndicator: p.getUint8(base + 16)
+      });
+    }
+
+    return {
+      version: p.getUint8(0),
+      blocks
+    };
+  }
+
+  /**
+   * Update navigation state and emit position/satellite events
+   * @param {Object[]} messages - Messages decoded from the current chunk
+   */
+  emitNavigationUpdates(messages) {
+    let positionUpdated = false;
+    let satellitesUpdated = false;
+
+    for (const message of messages) {
+      if (message.name === 'NAV-PVT') {
+        this.lastPvt = message;
+        // Only use NAV-PVT for positions when no high precision solution is available
+        if (!this.lastHpPosition) {
+          positionUpdated = true;
+        }
+      } else if (message.name === 'NAV-HPPOSLLH' && !message.invalidLlh) {
+        this.lastHpPosition = message;
+        positionUpdated = true;
+      } else if (message.name === 'NAV-DOP') {
+        this.lastDop = message;
+      } else if (message.name === 'NAV-SAT') {
+        satellitesUpdated = true;
+      }
+    }
+
+    if (!this.events || !this.emitPositions) {
+      return;
+    }
+
+    if (positionUpdated) {
+      const position = this.getPosition();
+      if (position) {
+        // Use the standardized event name from constants.js (position:update)
+        this.events.emit(EVENTS.POSITION_UPDATE, {
+          ...position,
+          timestamp: new Date()
+        });
+      }
+    }
+
+    if (satellitesUpdated && this.lastSatellites.length > 0) {
+      this.events.emit(EVENTS.SATELLITES_UPDATE, this.getSatellites());
+    }
+  }
+
+  /**
+   * Get the current position from UBX navigation messages
+   * Uses NAV-HPPOSLLH coordinates when available and NAV-PVT for fix status.
+   * @returns {Object|null} Current position in the same shape as NmeaParser.getPosition()
+   */
+  getPosition() {
+    const pvt = this.lastPvt;
+    const hp = this.lastHpPosition;
+    const source = hp || pvt;
+
+    if (!source || (pvt && pvt.invalidLlh && !hp)) {
+      return null;
+    }
+
+    return {
+      latitude: source.latitude,
+      longitude: source.longitude,
+      altitude: source.altitude,
+      ellipsoidHeight: source.height,
+      horizontalAccuracy: source.horizontalAccuracy,
+      verticalAccuracy: source.verticalAccuracy,
+      quality: pvt ? fixQualityFromPvt(pvt) : 0,
+      satellites: pvt ? pvt.numSV : 0,
+      hdop: this.lastDop ? this.lastDop.hdop : null,
+      // Speed in knots to match NMEA RMC
+      speed: pvt ? pvt.groundSpeed * MS_TO_KNOTS : null,
+      course: pvt ? pvt.headingOfMotion : null,
+      time: pvt ? pvt.time : null,
+      source: 'ubx'
+    };
+  }
+
+  /**
+   * Get satellites from the last NAV-SAT message
+   * @returns {Object[]} Satellite information
+   */
+  getSatellites() {
+    return [...this.lastSatellites];
+  }
+
+  /**
+   * Get message statistics
+   * @returns {Object} Message counts by name
+   */
+  getMessageStats() {
+    return {
+      ...this.messageStats,
+      lastUpdate: this.lastMessageTime
+    };
+  }
+
+  /**
+   * Clear parsed data
+   */
+  reset() {
+    this.buffer = new Uint8Array(0);
+    this.lastPvt = null;
+    this.lastHpPosition = null;
+    this.lastDop = null;
+    this.lastSatellites = [];
+    this.messageStats = {
+      UNKNOWN: 0,
+      CHECKSUM_ERRORS: 0
+    };
+    this.lastMessageTime = Date.now();
+  }
+}
+
+/**
+ * Build a complete UBX frame (sync characters, header, payload and checksum)
+ * @param {number} msgClass - Message class
+ * @param {number} msgId - Message ID
+ * @param {Uint8Array|number[]} payload - Message payload (empty for a poll request)
+ * @returns {Uint8Array} Encoded frame
+ */
+export function buildUbxFrame(msgClass, msgId, payload = []) {
+  const frame = new Uint8Array(HEADER_LENGTH + payload.length + CHECKSUM_LENGTH);
+  frame[0] = SYNC_CHAR_1;
+  frame[1] = SYNC_CHAR_2;
+  frame[2] = msgClass;
+  frame[3] = msgId;
+  frame[4] = payload.length & 0xFF;
+  frame[5] = (payload.length >> 8) & 0xFF;
+  frame.set(payload, HEADER_LENGTH);
+
+  let ckA = 0;
+  let ckB = 0;
+  for (let i = 2; i < HEADER_LENGTH + payload.length; i++) {
+    ckA = (ckA + frame[i]) & 0xFF;
+    ckB = (ckB + ckA) & 0xFF;
+  }
+  frame[frame.length - 2] = ckA;
+  frame[frame.length - 1] = ckB;
+
+  return frame;
+}
+
+/**
+ * Convert supported binary inputs to a Uint8Array view
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary data
+ * @returns {Uint8Array|null} Byte view or null for unsupported input
+ */
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return null;
+}
+
+/**
+ * Find the next UBX sync sequence
+ * @param {Uint8Array} bytes - Buffer to search
+ * @param {number} start - Index to start searching from
+ * @returns {number} Index of the first sync byte or -1
+ */
+function findSync(bytes, start) {
+  for (let i = start; i < bytes.length - 1; i++) {
+    if (bytes[i] === SYNC_CHAR_1 && bytes[i + 1] === SYNC_CHAR_2) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read a NUL-terminated ASCII string from a payload
+ * @param {DataView} view - Payload
+ * @param {number} offset - Start offset
+ * @param {number} length - Field length
+ * @returns {string} Decoded string
+ */
+function readString(view, offset, length) {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    const code = view.getUint8(offset + i);
+    if (code === 0) break;
+    result += String.fromCharCode(code);
+  }
+  return result.trim();
+}
+
+/**
+ * Map a NAV-PVT solution to the NMEA GGA fix quality scale
+ * @param {Object} pvt - Parsed NAV-PVT message
+ * @returns {number} 0=no fix, 1=GPS, 2=DGPS, 4=RTK fixed, 5=RTK float
+ */
+function fixQualityFromPvt(pvt) {
+  if (!pvt.gnssFixOk || pvt.fixType < 2 || pvt.fixType === 5) {
+    return 0;
+  }
+  if (pvt.carrSoln === 2) return 4;
+  if (pvt.carrSoln === 1) return 5;
+  if (pvt.diffSoln) return 2;
+  return 1;
+}
+
+export default UbxParser;
@@ -673,6 +673,9 @@ export class DeviceSettings {
     // Connection status change events
     this.events.on('connection:connected', this.handleConnected.bind(this));
     this.events.on('connection:disconnected', this.handleDisconnected.bind(this));
+    
+    // Configuration results
+    this.events.on('device:configured', this.handleConfigured.bind(this));
   }
 
   /**
@@ -702,6 +705,19 @@ export class DeviceSettings {
     this.elements.applyButton.disabled = true;
   }
 
+  /**
+   * Handle device configured event
+   * @param {Object} data - Event data with per-setting results
+   */
+  handleConfigured(data) {
+    if (!this.elements || !this.elements.deviceStatusText) return;
+    
+    const failed = (data.results || []).filter(result => !result.success);
+    this.elements.deviceStatusText.textContent = failed.length === 0 ?
+      'Settings applied to device' :
+      `Settings not applied: ${failed.map(result => result.setting).join(', ')}`;
+  }
+
   /**
    * Load saved configuration from settings
    */
@@ -2,17 +2,21 @@
  * RTK Status UI Component
  * 
  * This component displays the current RTK fix status, including fix quality,
- * satellite information, and correction data status.
+ * satellite information, correction data status and the position.
  */
+import { formatPosition } from '../coordinates.js';
+
 export class RtkStatus {
   /**
    * Create an RTK status component
    * @param {Object} options - Configuration options
    * @param {EventEmitter} options.events - Event emitter for communication
+   * @param {Settings} [options.settings] - Settings whose ui section sets the coordinate format and units
    * @param {string} options.selector - CSS selector for the container element
    */
   constructor(options = {}) {
     this.events = options.events;
+    this.settings = options.settings;
     
     // Find container element if selector provided
     if (options.selector) {
@@ -33,6 +37,7 @@ export class RtkStatus {
     this.messagesReceived = 0;
     this.ggaRequired = false;
     this.ntripConnected = false;
+    this.position = null;
     
     // Add CSS for proper styling
     this.addStyles();
@@ -123,6 +128,10 @@ export class RtkStatus {
         font-weight: 500;
       }
       
+      .rtk-status-detail.position {
+        grid-column: 1 / -1;
+      }
+      
       .rtk-status-correction-age {
         color: #666;
       }
@@ -301,6 +310,28 @@ export class RtkStatus {
     
     details.appendChild(messagesDetail);
     
+    // Position
+    const positionDetail = document.createElement('div');
+    positionDetail.className = 'rtk-status-detail position';
+    
+    const positionIcon = document.createElement('div');
+    positionIcon.className = 'rtk-status-detail-icon';
+    positionIcon.innerHTML = `<svg viewBox="0 0 24 24" width="12" height="12"><path fill="currentColor" d="M12,11.5A2.5,2.5 0 0,1 9.5,9A2.5,2.5 0 0,1 12,6.5A2.5,2.5 0 0,1 14.5,9A2.5,2.5 0 0,1 12,11.5M12,2A7,7 0 0,0 5,9C5,14.25 12,22 12,22C12,22 19,14.25 19,9A7,7 0 0,0 12,2Z" /></svg>`;
+    
+    const positionLabel = document.createElement('div');
+    positionLabel.className = 'rtk-status-detail-label';
+    positionLabel.textContent = 'Position:';
+    
+    const positionValue = document.createElement('div');
+    positionValue.className = 'rtk-status-detail-value';
+    positionValue.textContent = 'N/A';
+    
+    positionDetail.appendChild(positionIcon);
+    positionDetail.appendChild(positionLabel);
+    positionDetail.appendChild(positionValue);
+    
+    details.appendChild(positionDetail);
+    
     statusContainer.appendChild(details);
     
     // Add to container
@@ -314,7 +345,8 @@ export class RtkStatus {
       satellitesValue,
       modeValue,
       correctionValue,
-      messagesValue
+      messagesValue,
+      positionValue
     };
   }
 
@@ -358,6 +390,8 @@ export class RtkStatus {
       this.fixQuality = position.quality;
     }
     
+    this.position = position;
+    
     // Update UI
     this.updateStatus();
   }
@@ -465,6 +499,28 @@ export class RtkStatus {
     
     // Update message count
     this.elements.messagesValue.textContent = this.messagesReceived.toString();
+    
+    // Update position in the coordinate format and units of the settings
+    const formatted = this.formatPosition();
+    this.elements.positionValue.textContent = formatted
+      ? [formatted.coordinates, formatted.altitude].filter(Boolean).join(', ')
+      : 'N/A';
+  }
+
+  /**
+   * Format the last position with the ui settings, read each time so changes apply immediately
+   * @returns {Object|null} Formatted position, or null without a position
+   */
+  formatPosition() {
+    if (!this.position) return null;
+    
+    const uiSettings = this.settings ? this.settings.getSection('ui') : {};
+    try {
+      return formatPosition(this.position, uiSettings);
+    } catch (error) {
+      // E.g. an unknown format in stored settings: fall back to decimal degrees
+      return formatPosition(this.position, { unitSystem: uiSettings.unitSystem });
+    }
   }
 
   /**
@@ -202,7 +202,17 @@ class SettingsPage {
               <select id="adv-coordinate-format" class="form-control">
                 <option value="dd">Decimal Degrees</option>
                 <option value="dms">Degrees Minutes Seconds</option>
-                <option value="utm">UTM</option>
+                <option value="ddm">Degrees Decimal Minutes</option>
+                <option value="utm">UTM / UPS</option>
+                <option value="mgrs">MGRS</option>
+                <option value="usng">USNG</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="adv-unit-system">Units</label>
+              <select id="adv-unit-system" class="form-control">
+                <option value="metric">Metric</option>
+                <option value="imperial">Imperial</option>
               </select>
             </div>
             <div class="form-group">
@@ -450,6 +460,8 @@ class SettingsPage {
     // Advanced settings
     const advDebugMode = this.container.querySelector('#adv-debug-mode');
     const advReset = this.container.querySelector('#adv-reset');
+    const advCoordinateFormat = this.container.querySelector('#adv-coordinate-format');
+    const advUnitSystem = this.container.querySelector('#adv-unit-system');
     const advAutoSendGga = this.container.querySelector('#adv-auto-send-gga');
     const advGgaInterval = this.container.querySelector('#adv-gga-interval');
     
@@ -460,6 +472,18 @@ class SettingsPage {
       });
     }
     
+    if (advCoordinateFormat) {
+      advCoordinateFormat.addEventListener('change', () => {
+        this.gnssModule.settings.set('ui', 'coordinateFormat', advCoordinateFormat.value);
+      });
+    }
+    
+    if (advUnitSystem) {
+      advUnitSystem.addEventListener('change', () => {
+        this.gnssModule.settings.set('ui', 'unitSystem', advUnitSystem.value);
+      });
+    }
+    
     if (advAutoSendGga) {
       advAutoSendGga.addEventListener('change', () => {
         this.gnssModule.settings.set('ntrip', 'autoSendGga', advAutoSendGga.checked);
@@ -605,11 +629,13 @@ class SettingsPage {
     // const ntripSettings = this.gnssModule.settings.getSection('ntrip');
     const advDebugMode = this.container.querySelector('#adv-debug-mode');
     const advCoordinateFormat = this.container.querySelector('#adv-coordinate-format');
+    const advUnitSystem = this.container.querySelector('#adv-unit-system');
     const advAutoSendGga = this.container.querySelector('#adv-auto-send-gga');
     const advGgaInterval = this.container.querySelector('#adv-gga-interval');
     
     if (advDebugMode) advDebugMode.checked = uiSettings.showDebugInfo || false;
     if (advCoordinateFormat) advCoordinateFormat.value = uiSettings.coordinateFormat || 'dd';
+    if (advUnitSystem) advUnitSystem.value = uiSettings.unitSystem || 'metric';
     if (advAutoSendGga) advAutoSendGga.checked = ntripSettings.autoSendGga || false;
     if (advGgaInterval) advGgaInterval.value = ntripSettings.ggaUpdateInterval || 10;
   }
@@ -0,0 +1,253 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConnectionManager } from '../src/connection/connection-manager.js';
+import { ConnectionHandler } from '../src/connection/connection-handler.js';
+import { NodeSerialHandler } from '../src/connection/node-serial-handler.js';
+import { ReplayHandler } from '../src/connection/replay-handler.js';
+import { SimulatorHandler } from '../src/connection/simulator-handler.js';
+import { EventEmitter } from '../src/event-emitter.js';
+
+const QUIET = { info: false, debug: false, errors: false };
+
+/**
+ * Connection handler with scripted availability, priority and outcome
+ */
+class MockHandler extends ConnectionHandler {
+  /**
+   * Create a mock handler
+   * @param {EventEmitter} eventEmitter - Event emitter
+   * @param {Object} options - Handler options
+   * @param {string} options.name - Handler name
+   * @param {number} options.priority - Priority returned by getPriority()
+   * @param {boolean} options.available - Whether the handler is available
+   * @param {boolean|Error} options.result - connect() result, thrown when an Error
+   * @param {boolean} options.explicitOnly - Whether auto selection skips the handler
+   * @param {string[]} options.attempts - Shared log of connect() calls
+   */
+  constructor(eventEmitter, options = {}) {
+    super(eventEmitter, { debug: QUIET });
+    this.name = options.name;
+    this.priority = options.priority || 0;
+    this.available = options.available !== false;
+    this.result = options.result !== undefined ? options.result : true;
+    this.explicitOnly = !!options.explicitOnly;
+    this.attempts = options.attempts || [];
+    this.sent = [];
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  getPriority(options = {}) {
+    return options.preferredMethod === this.name ? 100 : this.priority;
+  }
+
+  async connect() {
+    this.attempts.push(this.name);
+    if (this.result instanceof Error) {
+      throw this.result;
+    }
+    this.isConnected = this.result;
+    return this.result;
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+  }
+
+  async sendData(data) {
+    this.sent.push(data);
+    return true;
+  }
+
+  getDeviceInfo() {
+    return { name: this.name };
+  }
+}
+
+describe('ConnectionManager', () => {
+  let events;
+  let manager;
+  let attempts;
+
+  /**
+   * Register mock handlers in the given order
+   * @param {...Object} handlers - MockHandler options
+   * @returns {MockHandler[]} - Registered handlers
+   */
+  function register(...handlers) {
+    return handlers.map((options) => {
+      const handler = new MockHandler(events, { attempts, ...options });
+      manager.registerConnectionMethod(handler);
+      return handler;
+    });
+  }
+
+  beforeEach(() => {
+    events = new EventEmitter();
+    manager = new ConnectionManager(events, { debug: QUIET });
+    attempts = [];
+  });
+
+  test('tries handlers in priority order, not registration order', async () => {
+    register(
+      { name: 'low', priority: 1 },
+      { name: 'high', priority: 3 },
+      { name: 'middle', priority: 2 }
+    );
+
+    assert.equal(await manager.connect(), true);
+    assert.deepEqual(attempts, ['high']);
+    assert.equal(manager.getConnectionInfo().method, 'high');
+  });
+
+  test('falls back when a handler fails or throws', async () => {
+    register(
+      { name: 'throws', priority: 3, result: new Error('no device') },
+      { name: 'fails', priority: 2, result: false },
+      { name: 'works', priority: 1 }
+    );
+    const connecting = [];
+    events.on('connection:connecting', event => connecting.push(event.method));
+    const connected = new Promise(resolve => events.on('connection:connected', resolve));
+
+    assert.equal(await manager.connect(), true);
+    assert.deepEqual(attempts, ['throws', 'fails', 'works']);
+    assert.deepEqual(connecting, [undefined, 'throws', 'fails', 'works']);
+    assert.deepEqual(await connected, { method: 'works', deviceInfo: { name: 'works' } });
+    assert.equal(manager.isDeviceConnected(), true);
+  });
+
+  test('skips unavailable handlers', async () => {
+    register(
+      { name: 'missing', priority: 3, available: false },
+      { name: 'present', priority: 1 }
+    );
+
+    assert.equal(await manager.connect(), true);
+    assert.deepEqual(attempts, ['present']);
+  });
+
+  test('honours the preferred method through handler priority', async () => {
+    register(
+      { name: 'serial', priority: 3 },
+      { name: 'bluetooth', priority: 2 }
+    );
+
+    assert.equal(await manager.connect({ preferredMethod: 'bluetooth' }), true);
+    assert.deepEqual(attempts, ['bluetooth']);
+  });
+
+  test('only uses explicit-only handlers when requested', async () => {
+    register(
+      { name: 'simulator', priority: 5, explicitOnly: true },
+      { name: 'serial', priority: 1, result: false }
+    );
+
+    assert.equal(await manager.connect(), false);
+    assert.deepEqual(attempts, ['serial']);
+
+    assert.equal(await manager.connect({ preferredMethod: 'simulator' }), true);
+    assert.deepEqual(attempts, ['serial', 'simulator']);
+  });
+
+  test('does not fall back to the simulator or replay without a receiver', async () => {
+    const simulator = new SimulatorHandler(events, { debug: QUIET });
+    manager.registerConnectionMethod(simulator);
+    manager.registerConnectionMethod(new ReplayHandler(events, { debug: QUIET }));
+    register({ name: 'serial', priority: 5, result: false });
+
+    assert.equal(await manager.connect({ source: '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47\r\n' }), false);
+    assert.deepEqual(attempts, ['serial']);
+    assert.equal(simulator.isConnected, false);
+
+    assert.equal(await manager.connect({ method: 'simulator', autoStart: false }), true);
+    assert.equal(manager.getConnectionInfo().method, 'simulator');
+    await manager.disconnect();
+  });
+
+  test('connects a requested explicit-only handler without any receiver handler', async () => {
+    const simulator = new SimulatorHandler(events, { debug: QUIET });
+    manager.registerConnectionMethod(simulator);
+
+    assert.equal(await manager.connect({ method: 'simulator', autoStart: false }), true);
+    assert.equal(manager.getConnectionInfo().method, 'simulator');
+    assert.equal(simulator.isConnected, true);
+    await manager.disconnect();
+  });
+
+  test('reports failure when every handler fails', async () => {
+    register(
+      { name: 'first', priority: 2, result: false },
+      { name: 'second', priority: 1, result: false }
+    );
+    const error = new Promise(resolve => events.on('connection:error', resolve));
+
+    assert.equal(await manager.connect(), false);
+    assert.deepEqual(attempts, ['first', 'second']);
+    assert.match((await error).message, /any available method/);
+    assert.equal(manager.isConnecting, false);
+    assert.equal(manager.isDeviceConnected(), false);
+  });
+
+  test('does not fall back when a specific method is requested', async () => {
+    register(
+      { name: 'serial', priority: 2, result: false },
+      { name: 'bluetooth', priority: 1 }
+    );
+
+    assert.equal(await manager.connect({ method: 'serial' }), false);
+    assert.deepEqual(attempts, ['serial']);
+  });
+
+  test('rejects a requested method that is not available', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    register(
+      { name: 'serial', priority: 2, available: false },
+      { name: 'bluetooth', priority: 1 }
+    );
+    const error = new Promise(resolve => events.on('connection:error', resolve));
+
+    assert.equal(await manager.connect({ method: 'serial' }), false);
+    assert.deepEqual(attempts, []);
+    assert.match((await error).message, /'serial' is not available/);
+  });
+
+  test('fails without any registered handler', async () => {
+    assert.equal(await manager.connect(), false);
+    assert.equal(manager.isConnecting, false);
+  });
+
+  test('sends through the active handler and emits device:data:sent', async () => {
+    const [handler] = register({ name: 'serial', priority: 1 });
+    const sent = [];
+    events.on('device:data:sent', data => sent.push(data));
+
+    assert.equal(await manager.sendData('$PUBX,00*33\r\n'), false);
+    await manager.connect();
+    assert.equal(await manager.sendData('$PUBX,00*33\r\n'), true);
+
+    assert.deepEqual(handler.sent, ['$PUBX,00*33\r\n']);
+    assert.deepEqual(sent, ['$PUBX,00*33\r\n']);
+  });
+
+  test('disconnects the active handler', async () => {
+    const [handler] = register({ name: 'serial', priority: 1 });
+    await manager.connect();
+    await manager.disconnect();
+
+    assert.equal(handler.isConnected, false);
+    assert.equal(manager.isDeviceConnected(), false);
+    assert.equal(manager.getConnectionInfo().method, null);
+  });
+
+  test('ranks a serial port path above replay', () => {
+    const options = { path: '/dev/ttyACM0' };
+    const serial = new NodeSerialHandler(events, { debug: QUIET });
+    const replay = new ReplayHandler(events, { debug: QUIET });
+
+    assert.ok(serial.getPriority(options) > replay.getPriority(options));
+    assert.ok(replay.getPriority({ ...options, preferredMethod: 'replay' }) > serial.getPriority(options));
+  });
+});
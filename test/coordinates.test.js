@@ -0,0 +1,198 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GnssModule, EVENTS, MemoryStorage, MemoryRecordingStore } from '../src/index.js';
+import {
+  utmZone,
+  toUtm,
+  fromUtm,
+  toUps,
+  fromUps,
+  toMgrs,
+  fromMgrs,
+  toUsng,
+  toDms,
+  toDdm,
+  fromDms,
+  formatCoordinates,
+  formatLength,
+  formatSpeed,
+  formatPosition
+} from '../src/coordinates.js';
+
+/**
+ * Assert that two numbers differ by at most a tolerance
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Largest allowed difference
+ */
+function assertClose(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('UTM', () => {
+  test('projects reference points', () => {
+    // Equator on the edge of zone 31
+    const origin = toUtm(0, 0);
+    assert.equal(origin.zone, 31);
+    assert.equal(origin.band, 'N');
+    assertClose(origin.easting, 166021.4431, 1e-4);
+    assertClose(origin.northing, 0, 1e-6);
+
+    // GeographicLib GeoConvert: 33.3 44.4 -> 38n 444140.54 3684706.36
+    const baghdad = toUtm(33.3, 44.4);
+    assert.equal(baghdad.zone, 38);
+    assertClose(baghdad.easting, 444140.54, 0.005);
+    assertClose(baghdad.northing, 3684706.36, 0.005);
+
+    // Central meridian: exact false easting and k0
+    const central = toUtm(-30, 3);
+    assert.equal(central.hemisphere, 'S');
+    assertClose(central.easting, 500000, 1e-6);
+    assertClose(central.scale, 0.9996, 1e-12);
+    assertClose(central.convergence, 0, 1e-12);
+  });
+
+  test('applies the Norway and Svalbard zone exceptions', () => {
+    assert.equal(utmZone(60, 5), 32);
+    assert.equal(utmZone(60, 2), 31);
+    assert.equal(utmZone(78, 8), 31);
+    assert.equal(utmZone(78, 10), 33);
+    assert.equal(utmZone(78, 25), 35);
+    assert.equal(utmZone(78, 40), 37);
+    assert.equal(utmZone(50, 179.9), 60);
+    assert.equal(utmZone(50, -180), 1);
+  });
+
+  test('round-trips across a zone to sub-millimetre accuracy', () => {
+    for (const [latitude, longitude] of [[47.6797, -122.1194], [-45.123, 170.987], [83.9, -3], [-79.9, 59.9], [0.001, 8.99]]) {
+      const result = fromUtm(toUtm(latitude, longitude));
+      assertClose(result.latitude, latitude, 1e-9);
+      assertClose(result.longitude, longitude, 1e-9);
+    }
+  });
+
+  test('rejects latitudes outside 80°S to 84°N', () => {
+    assert.throws(() => toUtm(85, 0), /outside the UTM limits/);
+    assert.throws(() => toUtm(-81, 0), /outside the UTM limits/);
+    assert.throws(() => fromUtm({ zone: 61, hemisphere: 'N', easting: 500000, northing: 0 }), /Invalid UTM zone/);
+  });
+});
+
+describe('UPS', () => {
+  test('puts the poles at the false origin', () => {
+    assert.deepEqual(toUps(90, 0), { zone: 'Z', hemisphere: 'N', easting: 2000000, northing: 2000000 });
+    assert.equal(toUps(-90, -1).zone, 'A');
+  });
+
+  test('round-trips in both polar regions', () => {
+    for (const [latitude, longitude] of [[87.5, 123.4], [84.5, -170], [-82, -44], [-88.8, 5]]) {
+      const result = fromUps(toUps(latitude, longitude));
+      assertClose(result.latitude, latitude, 1e-9);
+      assertClose(result.longitude, longitude, 1e-9);
+    }
+  });
+});
+
+describe('MGRS and USNG', () => {
+  test('formats references in UTM and UPS regions', () => {
+    assert.equal(toMgrs(33.3, 44.4), '38SMB4414084706');
+    assert.equal(toMgrs(48.8582, 2.2945, { spaces: true }), '31U DQ 48251 11932');
+    assert.equal(toMgrs(33.3, 44.4, { precision: 2 }), '38SMB4484');
+    assert.equal(toMgrs(90, 0), 'ZAH0000000000');
+    assert.equal(toMgrs(-90, 0), 'BAN0000000000');
+    assert.equal(toUsng(33.3, 44.4, { precision: 3 }), '38S MB 441 847');
+  });
+
+  test('uses the exception zones', () => {
+    assert.match(toMgrs(60, 5), /^32V/);
+    assert.match(toMgrs(78, 10), /^33X/);
+  });
+
+  test('parses references to the south-west corner of the square', () => {
+    const corner = fromMgrs('38S MB 44140 84706');
+    const expected = fromUtm({ zone: 38, hemisphere: 'N', easting: 444140, northing: 3684706 });
+    assertClose(corner.latitude, expected.latitude, 1e-9);
+    assertClose(corner.longitude, expected.longitude, 1e-9);
+    assert.equal(corner.precision, 1);
+
+    assert.equal(fromMgrs('38smb4484').precision, 1000);
+    assert.deepEqual(fromMgrs('ZAH0000000000'), { latitude: 90, longitude: 0, precision: 1 });
+  });
+
+  test('round-trips to within the 1 m square', () => {
+    for (const [latitude, longitude] of [[-33.86, 151.21], [60, 5], [78, 10], [-85, -10], [86, -30], [0.5, -0.5], [83.99, 170]]) {
+      const result = fromMgrs(toMgrs(latitude, longitude));
+      assertClose(result.latitude, latitude, 2e-5);
+      // 1 m is 1e-5° of latitude, and more degrees of longitude towards the poles
+      assertClose(result.longitude, longitude, 2e-5 / Math.cos(latitude * Math.PI / 180));
+    }
+  });
+
+  test('rejects malformed references', () => {
+    assert.throws(() => fromMgrs('38SMB441408470'), /Invalid MGRS coordinates/);
+    assert.throws(() => fromMgrs('38IMB44140847'), /Invalid MGRS reference/);
+    assert.throws(() => fromMgrs('38SWB4414084706'), /Invalid MGRS square/);
+    assert.throws(() => toMgrs(0, 0, { precision: 6 }), /Invalid MGRS precision/);
+  });
+});
+
+describe('DMS and DDM', () => {
+  test('split degrees with rounding carried upwards', () => {
+    assert.deepEqual(toDms(-122.119387, 'longitude'), { degrees: 122, minutes: 7, seconds: 9.79, hemisphere: 'W' });
+    assert.deepEqual(toDms(10.99999999, 'latitude'), { degrees: 11, minutes: 0, seconds: 0, hemisphere: 'N' });
+    assert.deepEqual(toDdm(-33.5, 'latitude'), { degrees: 33, minutes: 30, hemisphere: 'S' });
+  });
+
+  test('convert back to decimal degrees', () => {
+    assertClose(fromDms(122, 7, 9.79, 'W'), -122.119386, 1e-6);
+    assert.equal(fromDms(33, 30, 0, 'S'), -33.5);
+    assert.equal(fromDms(-33, 30), -33.5);
+  });
+});
+
+describe('Formatting', () => {
+  test('formats coordinates in every format', () => {
+    const [latitude, longitude] = [47.679738, -122.119387];
+    assert.equal(formatCoordinates(latitude, longitude), '47.679738, -122.119387');
+    assert.equal(formatCoordinates(latitude, longitude, { format: 'dms' }), '47°40\'47.06"N 122°07\'09.79"W');
+    assert.equal(formatCoordinates(latitude, longitude, { format: 'ddm' }), '47°40.7843\'N 122°07.1632\'W');
+    assert.match(formatCoordinates(latitude, longitude, { format: 'utm' }), /^10T \d{6}\.\d \d{7}\.\d$/);
+    assert.match(formatCoordinates(89, 10, { format: 'utm' }), /^Z \d{7}\.\d \d{7}\.\d$/);
+    assert.equal(formatCoordinates(latitude, longitude, { format: 'mgrs', precision: 3 }), toMgrs(latitude, longitude, { precision: 3 }));
+    assert.throws(() => formatCoordinates(0, 0, { format: 'gars' }), /Unsupported coordinate format/);
+  });
+
+  test('formats lengths and speeds in metric and imperial units', () => {
+    assert.equal(formatLength(100), '100.00 m');
+    assert.equal(formatLength(100, 'imperial'), '328.08 ft');
+    assert.equal(formatSpeed(10), '18.5 km/h');
+    assert.equal(formatSpeed(10, 'imperial'), '11.5 mph');
+  });
+
+  test('formats a position with the ui settings', () => {
+    assert.deepEqual(formatPosition({ latitude: 1, longitude: 2, altitude: 100, speed: null }, { coordinateFormat: 'dms', unitSystem: 'imperial' }), {
+      coordinates: '1°00\'00.00"N 2°00\'00.00"E',
+      altitude: '328.08 ft',
+      speed: null
+    });
+    assert.equal(formatPosition({ latitude: null, longitude: null }), null);
+  });
+
+  test('GnssModule adds formatted values to position events when enabled', () => {
+    const gnss = new GnssModule({
+      ui: false,
+      formattedPositions: true,
+      environment: { storage: new MemoryStorage(), recordings: new MemoryRecordingStore() }
+    });
+    gnss.settings.set('ui', 'coordinateFormat', 'mgrs');
+
+    const positions = [];
+    gnss.events.on(EVENTS.POSITION, position => positions.push(position));
+    gnss.events.emit(EVENTS.POSITION_UPDATE, { latitude: 33.3, longitude: 44.4, altitude: 34.5 });
+
+    assert.equal(positions[0].formatted.coordinates, '38SMB4414084706');
+    assert.equal(positions[0].formatted.altitude, '34.50 m');
+    assert.equal(gnss.currentPosition.formatted, undefined);
+    assert.deepEqual(gnss.formatPosition(), positions[0].formatted);
+  });
+});
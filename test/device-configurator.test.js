@@ -0,0 +1,145 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeviceConfigurator } from '../src/device-configurator.js';
+import { UbxParser, buildUbxFrame } from '../src/ubx-parser.js';
+import { EventEmitter } from '../src/event-emitter.js';
+
+/**
+ * Build a MON-VER response payload
+ * @param {string} protVer - Protocol version extension, e.g. 'PROTVER=27.12'
+ * @returns {Uint8Array} - Payload
+ */
+function monVerPayload(protVer) {
+  const payload = new Uint8Array(70);
+  payload.set(new TextEncoder().encode('ROM SPG 5.10 (7b202e)'), 0);
+  payload.set(new TextEncoder().encode('00190000'), 30);
+  payload.set(new TextEncoder().encode(protVer), 40);
+  return payload;
+}
+
+/**
+ * Stand-in receiver that records sent frames and answers through a UbxParser
+ * @param {Function} respond - (msgClass, msgId, payload) => reply frames
+ * @returns {Object} - { events, sent, connectionManager }
+ */
+function createReceiver(respond) {
+  const events = new EventEmitter();
+  const parser = new UbxParser({ events, emitPositions: false });
+  const sent = [];
+
+  const connectionManager = {
+    async sendData(buffer) {
+      const frame = new Uint8Array(buffer);
+      const message = { msgClass: frame[2], msgId: frame[3], payload: frame.slice(6, frame.length - 2) };
+      sent.push(message);
+      setTimeout(() => {
+        for (const reply of respond(message)) {
+          parser.parseData(reply);
+        }
+      }, 0);
+      return true;
+    }
+  };
+
+  return { events, sent, connectionManager };
+}
+
+/**
+ * Answer MON-VER polls with a generation 9 version and acknowledge everything else
+ * @param {Object} message - Sent message
+ * @returns {Uint8Array[]} - Replies
+ */
+function ackAll({ msgClass, msgId, payload }) {
+  if (msgClass === 0x0A && msgId === 0x04 && payload.length === 0) {
+    return [buildUbxFrame(0x0A, 0x04, monVerPayload('PROTVER=27.12'))];
+  }
+  return [buildUbxFrame(0x05, 0x01, [msgClass, msgId])];
+}
+
+describe('DeviceConfigurator', () => {
+  test('detects CFG-VALSET support and encodes one message per setting', async () => {
+    const receiver = createReceiver(ackAll);
+    const configurator = new DeviceConfigurator({ events: receiver.events, connectionManager: receiver.connectionManager });
+
+    const report = await configurator.configure({ outputRate: 5, dynamicModel: 'stationary' });
+
+    assert.equal(report.protocol, 'valset');
+    assert.equal(report.success, true);
+    assert.deepEqual(report.results.map(result => [result.setting, result.status]), [['outputRate', 'ack'], ['dynamicModel', 'ack']]);
+
+    const [, rate, model] = receiver.sent;
+    assert.equal(rate.msgId, 0x8A);
+    // Version 0, RAM layer, CFG-RATE-MEAS (U2) = 200 ms
+    assert.deepEqual([...rate.payload], [0x00, 0x01, 0x00, 0x00, 0x01, 0x00, 0x21, 0x30, 0xC8, 0x00]);
+    // CFG-NAVSPG-DYNMODEL (E1) = 2, stationary
+    assert.deepEqual([...model.payload], [0x00, 0x01, 0x00, 0x00, 0x21, 0x00, 0x11, 0x20, 0x02]);
+  });
+
+  test('writes RAM, BBR and flash layers when persisting', async () => {
+    const receiver = createReceiver(ackAll);
+    const configurator = new DeviceConfigurator({
+      events: receiver.events,
+      connectionManager: receiver.connectionManager,
+      protocol: 'valset',
+      persist: true
+    });
+
+    await configurator.configure({ gnssSystems: ['gps', 'galileo'] });
+
+    const { payload } = receiver.sent[0];
+    assert.equal(payload[1], 0x07);
+    // Five constellation keys, each followed by one L value
+    assert.equal(payload.length, 4 + 5 * 5);
+    assert.deepEqual([...payload.subarray(4, 9)], [0x1F, 0x00, 0x31, 0x10, 0x01]);
+  });
+
+  test('reports ACK-NAK per setting', async () => {
+    const receiver = createReceiver((message) => {
+      const reply = ackAll(message);
+      if (message.payload[4] === 0x21 && message.payload[7] === 0x20) {
+        return [buildUbxFrame(0x05, 0x00, [message.msgClass, message.msgId])];
+      }
+      return reply;
+    });
+    const configurator = new DeviceConfigurator({ events: receiver.events, connectionManager: receiver.connectionManager });
+
+    const report = await configurator.configure({ outputRate: 1, dynamicModel: 'automotive' });
+
+    assert.equal(report.success, false);
+    assert.equal(report.results[0].status, 'ack');
+    assert.equal(report.results[1].status, 'nak');
+    assert.equal(report.results[1].message, 'Rejected by receiver (ACK-NAK)');
+  });
+
+  test('falls back to legacy messages and times out without an answer', async () => {
+    const receiver = createReceiver(() => []);
+    const configurator = new DeviceConfigurator({
+      events: receiver.events,
+      connectionManager: receiver.connectionManager,
+      ackTimeout: 20
+    });
+
+    const report = await configurator.configure({ outputRate: 5 });
+
+    assert.equal(report.protocol, 'legacy');
+    assert.equal(report.results[0].status, 'timeout');
+    // CFG-RATE: measRate 200 ms, navRate 1, timeRef GPS
+    const rate = receiver.sent[1];
+    assert.equal(rate.msgId, 0x08);
+    assert.deepEqual([...rate.payload], [0xC8, 0x00, 0x01, 0x00, 0x01, 0x00]);
+  });
+
+  test('reports invalid values without sending them', async () => {
+    const receiver = createReceiver(ackAll);
+    const configurator = new DeviceConfigurator({
+      events: receiver.events,
+      connectionManager: receiver.connectionManager,
+      protocol: 'valset'
+    });
+
+    const report = await configurator.configure({ outputRate: 100, elevationMask: 'high' });
+
+    assert.deepEqual(report.results.map(result => result.status), ['invalid', 'invalid']);
+    assert.equal(receiver.sent.length, 0);
+  });
+});
@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GnssModule, EVENTS, MemoryStorage, MemoryRecordingStore } from '../src/index.js';
+import { EventIterator } from '../src/event-iterator.js';
+import { EventEmitter } from '../src/event-emitter.js';
+
+/**
+ * Create a module that keeps settings and recordings in memory
+ * @returns {GnssModule} - Module
+ */
+function createModule() {
+  return new GnssModule({
+    ui: false,
+    environment: { storage: new MemoryStorage(), recordings: new MemoryRecordingStore() }
+  });
+}
+
+describe('EventIterator', () => {
+  test('delivers payloads emitted before and while waiting', async () => {
+    const events = new EventEmitter();
+    const iterator = new EventIterator(events, 'tick');
+
+    events.emit('tick', 1);
+    const waiting = iterator.next();
+    assert.deepEqual(await waiting, { value: 1, done: false });
+
+    const pending = iterator.next();
+    events.emit('tick', 2);
+    assert.deepEqual(await pending, { value: 2, done: false });
+  });
+
+  test('removes its listener when the loop exits', async () => {
+    const events = new EventEmitter();
+    const values = [];
+    const iterator = new EventIterator(events, 'tick');
+    [1, 2, 3].forEach(value => events.emit('tick', value));
+
+    for await (const value of iterator) {
+      values.push(value);
+      if (value === 2) break;
+    }
+
+    assert.deepEqual(values, [1, 2]);
+    assert.deepEqual(events.events.tick, []);
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+  });
+
+  test('ends pending reads when the signal aborts', async () => {
+    const events = new EventEmitter();
+    const controller = new AbortController();
+    const iterator = new EventIterator(events, 'tick', { signal: controller.signal });
+    const pending = iterator.next();
+
+    controller.abort();
+
+    assert.deepEqual(await pending, { value: undefined, done: true });
+    assert.deepEqual(events.events.tick, []);
+  });
+
+  test('drops the oldest payloads beyond maxBuffered', async () => {
+    const events = new EventEmitter();
+    const iterator = new EventIterator(events, 'tick', { maxBuffered: 2 });
+    [1, 2, 3].forEach(value => events.emit('tick', value));
+
+    assert.equal(iterator.dropped, 1);
+    assert.deepEqual((await iterator.next()).value, 2);
+    await iterator.return();
+  });
+});
+
+describe('GnssModule async iterables', () => {
+  test('iterates positions, satellites and sentences from a device', async () => {
+    const gnss = createModule();
+    const positions = gnss.positions();
+    const satellites = gnss.satelliteUpdates();
+    const sentences = gnss.sentences();
+
+    await gnss.connectSimulator({ autoStart: false });
+    gnss.simulatorHandler.step();
+    await gnss.disconnectDevice();
+
+    const position = (await positions.next()).value;
+    assert.equal(typeof position.latitude, 'number');
+    assert.ok((await satellites.next()).value.length > 0);
+    assert.equal(gnss.satellites.length, gnss.getSatellites().length);
+
+    const types = [];
+    for await (const sentence of sentences) {
+      types.push(sentence.type);
+      if (sentence.type === 'GST') break;
+    }
+    assert.deepEqual(types.slice(0, 2), ['RMC', 'VTG']);
+    await positions.return();
+    await satellites.return();
+  });
+
+  test('iterates RTCM frames from the caster or the device', async () => {
+    const gnss = createModule();
+    const controller = new AbortController();
+    const corrections = gnss.rtcmFrames({ signal: controller.signal });
+    const output = gnss.rtcmFrames({ source: 'device', signal: controller.signal });
+
+    gnss.events.emit(EVENTS.NTRIP_DATA, { data: new ArrayBuffer(8), messageType: 1005 });
+    gnss.events.emit(EVENTS.STREAM_RTCM, { data: new Uint8Array(4) });
+
+    assert.equal((await corrections.next()).value.messageType, 1005);
+    assert.equal((await output.next()).value.data.length, 4);
+
+    controller.abort();
+    assert.deepEqual(await corrections.next(), { value: undefined, done: true });
+    assert.deepEqual(await output.next(), { value: undefined, done: true });
+  });
+});
@@ -0,0 +1,145 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GnssModule, EVENTS, MemoryStorage, MemoryRecordingStore, RtcmParser, EventEmitter } from '../src/index.js';
+import { stationFrame } from './helpers/caster.js';
+
+// Applications subscribe to these strings directly; renaming one is a breaking change
+const EXPECTED_EVENTS = {
+  CONNECTING: 'device:connecting',
+  CONNECTED: 'device:connected',
+  DISCONNECTED: 'device:disconnected',
+  CONNECTION_ERROR: 'device:connection:error',
+  DATA_RECEIVED: 'device:data',
+  DATA_SENT: 'device:data:sent',
+  NMEA_SENTENCE: 'nmea:sentence',
+  NMEA_PROPRIETARY: 'nmea:proprietary',
+  NMEA_ERROR: 'nmea:error',
+  POSITION_UPDATE: 'position:update',
+  SATELLITES_UPDATE: 'satellites:update',
+  FIX_UPDATE: 'fix:update',
+  STREAM_NMEA: 'stream:nmea',
+  STREAM_UBX: 'stream:ubx',
+  STREAM_RTCM: 'stream:rtcm',
+  UBX_MESSAGE: 'ubx:message',
+  POSITION: 'position',
+  SATELLITES: 'satellites',
+  FIX: 'fix',
+  NTRIP_CONNECTING: 'ntrip:connecting',
+  NTRIP_CONNECTED: 'ntrip:connected',
+  NTRIP_DISCONNECTED: 'ntrip:disconnected',
+  NTRIP_ERROR: 'ntrip:error',
+  NTRIP_DATA: 'ntrip:rtcm',
+  NTRIP_SOURCETABLE: 'ntrip:sourcetable',
+  NTRIP_MOUNTPOINT_SWITCH: 'ntrip:mountpoint:switch',
+  RTCM_MESSAGE: 'rtcm:message',
+  RECORDING_STARTED: 'recording:started',
+  RECORDING_ROTATED: 'recording:rotated',
+  RECORDING_STOPPED: 'recording:stopped',
+  RECORDING_ERROR: 'recording:error',
+  SETTINGS_CHANGED: 'settings:changed',
+  DEVICE_APPLY_SETTINGS: 'device:apply:settings',
+  DEVICE_CONFIGURING: 'device:configuring',
+  DEVICE_CONFIGURED: 'device:configured',
+  DEVICE_ERROR: 'device:error'
+};
+
+describe('EVENTS', () => {
+  test('keeps every published event name', () => {
+    for (const [key, name] of Object.entries(EXPECTED_EVENTS)) {
+      assert.equal(EVENTS[key], name, `EVENTS.${key}`);
+    }
+  });
+
+  test('lists every new event name in this test', () => {
+    assert.deepEqual(Object.keys(EVENTS).filter(key => !(key in EXPECTED_EVENTS)), []);
+  });
+
+  test('uses each name once', () => {
+    const names = Object.values(EVENTS);
+    assert.equal(new Set(names).size, names.length);
+  });
+});
+
+describe('events emitted by GnssModule', () => {
+  /**
+   * Create a module that keeps settings and recordings in memory
+   * @returns {Object} - Module and a log of emitted event names
+   */
+  function createModule() {
+    const gnss = new GnssModule({
+      ui: false,
+      environment: { storage: new MemoryStorage(), recordings: new MemoryRecordingStore() }
+    });
+    const emitted = [];
+    const emit = gnss.events.emit.bind(gnss.events);
+    gnss.events.emit = (name, ...args) => {
+      emitted.push(name);
+      return emit(name, ...args);
+    };
+    return { gnss, emitted };
+  }
+
+  test('uses the EVENTS names for device data, positions, satellites and fixes', async () => {
+    const { gnss, emitted } = createModule();
+
+    assert.equal(await gnss.connectSimulator({ autoStart: false }), true);
+    // The first epoch's fix is complete once the second epoch starts
+    gnss.simulatorHandler.step();
+    gnss.simulatorHandler.step();
+    assert.equal(await gnss.connectionManager.sendData(stationFrame(2003).buffer), true);
+    await gnss.disconnectDevice();
+
+    for (const name of [
+      EVENTS.CONNECTED,
+      EVENTS.DATA_RECEIVED,
+      EVENTS.NMEA_SENTENCE,
+      EVENTS.POSITION_UPDATE,
+      EVENTS.POSITION,
+      EVENTS.SATELLITES_UPDATE,
+      EVENTS.SATELLITES,
+      EVENTS.FIX_UPDATE,
+      EVENTS.FIX,
+      EVENTS.DATA_SENT,
+      EVENTS.DISCONNECTED
+    ]) {
+      assert.ok(emitted.includes(name), `${name} was emitted`);
+    }
+  });
+
+  test('parses each chunk of device data once after reconnecting', async () => {
+    const { gnss, emitted } = createModule();
+    const push = mock.method(gnss.streamDemuxer, 'push');
+
+    for (let connection = 0; connection < 2; connection++) {
+      assert.equal(await gnss.connectSimulator({ autoStart: false }), true);
+      gnss.simulatorHandler.step();
+      await gnss.disconnectDevice();
+    }
+
+    const chunks = emitted.filter(name => name === EVENTS.DATA_RECEIVED).length;
+    assert.ok(chunks >= 2);
+    assert.equal(push.mock.callCount(), chunks);
+  });
+
+  test('uses the EVENTS names for recordings', async () => {
+    const { gnss, emitted } = createModule();
+
+    await gnss.startRecording();
+    await gnss.stopRecording();
+
+    assert.ok(emitted.includes(EVENTS.RECORDING_STARTED));
+    assert.ok(emitted.includes(EVENTS.RECORDING_STOPPED));
+  });
+
+  test('RtcmParser announces decoded messages with EVENTS.RTCM_MESSAGE', () => {
+    const events = new EventEmitter();
+    const parser = new RtcmParser({ events });
+    const messages = [];
+    events.on(EVENTS.RTCM_MESSAGE, message => messages.push(message));
+
+    parser.parseData(new Uint8Array(stationFrame(2003)));
+
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].stationId, 2003);
+  });
+});
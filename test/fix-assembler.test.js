@@ -0,0 +1,208 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { FixAssembler } from '../src/fix-assembler.js';
+import { NmeaParser } from '../src/nmea-parser.js';
+import { EventEmitter } from '../src/event-emitter.js';
+
+/**
+ * Build an NMEA sentence with its checksum
+ * @param {string} body - Sentence between '$' and '*'
+ * @returns {string} - Sentence
+ */
+function sentence(body) {
+  let sum = 0;
+  for (const char of body) {
+    sum ^= char.charCodeAt(0);
+  }
+  return `$${body}*${sum.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+/**
+ * Copy sentences to another UTC time, recomputing checksums
+ * @param {string[]} sentences - Sentences
+ * @param {string} from - Time tag to replace, hhmmss.ss
+ * @param {string} to - New time tag
+ * @returns {string} - Sentences as one CRLF-terminated string
+ */
+function retime(sentences, from, to) {
+  return sentences
+    .map(line => sentence(line.slice(1, line.indexOf('*')).replace(from, to)))
+    .map(line => `${line}\r\n`)
+    .join('');
+}
+
+const epoch411 = readFileSync(new URL('./fixtures/nmea-4.11.nmea', import.meta.url), 'utf8')
+  .split('\n')
+  .filter(line => line.startsWith('$'));
+
+/**
+ * Feed sentences through a parser and an assembler
+ * @param {FixAssembler} assembler - Assembler
+ * @param {string} text - NMEA text
+ * @returns {Object[]} - Fixes completed while pushing
+ */
+function feed(assembler, text) {
+  const parser = new NmeaParser();
+  return parser.parseData(text).map(result => assembler.push(result)).filter(Boolean);
+}
+
+describe('FixAssembler', () => {
+  test('combines every sentence of an epoch into one fix', () => {
+    const assembler = new FixAssembler();
+    assert.deepEqual(feed(assembler, retime(epoch411, '101530.00', '101530.00')), []);
+
+    const fix = assembler.flush();
+    assert.deepEqual(fix, {
+      time: '2026-09-19T10:15:30.000Z',
+      utcTime: '10:15:30.000',
+      localZone: null,
+      latitude: 47.679738,
+      longitude: -122.119387,
+      altitude: 52.4,
+      ellipsoidalHeight: 29.299999999999997,
+      geoidSeparation: -23.1,
+      fix: 'fixed',
+      quality: 4,
+      mode: 'R',
+      status: 'A',
+      dimension: 3,
+      satellites: 16,
+      satellitesInView: 16,
+      dop: { pdop: 1.12, hdop: 0.61, vdop: 0.94 },
+      accuracy: { east: 0.01, north: 0.011, up: 0.018, semiMajor: 0.012, semiMinor: 0.009, orientation: 36.4, rms: 0.42 },
+      integrity: null,
+      speed: 0.011,
+      speedKmh: 0.02,
+      course: null,
+      heading: null,
+      magneticVariation: null,
+      correctionAge: 1,
+      stationId: '0412',
+      sentences: [
+        'RMC', 'GGA', 'GSA', 'GSA', 'GSA', 'GSA', 'GSA',
+        'GSV', 'GSV', 'GSV', 'GSV', 'GSV', 'GSV', 'GSV', 'GSV', 'GSV', 'GSV',
+        'GST', 'VTG'
+      ]
+    });
+  });
+
+  test('completes an epoch when the time tag changes, then at the end of the learned cycle', () => {
+    const assembler = new FixAssembler();
+    const first = feed(assembler, retime(epoch411, '101530.00', '101530.00'));
+    const second = feed(assembler, retime(epoch411, '101530.00', '101531.00'));
+    const third = feed(assembler, retime(epoch411, '101530.00', '101532.00'));
+
+    assert.equal(first.length, 0);
+    // Closed by the second epoch's RMC
+    assert.deepEqual(second.map(fix => fix.utcTime), ['10:15:30.000', '10:15:31.000']);
+    // Now closed by its own VTG, without waiting for the next epoch
+    assert.deepEqual(third.map(fix => fix.utcTime), ['10:15:32.000']);
+    assert.equal(assembler.flush(), null);
+  });
+
+  test('carries the date forward and across midnight', () => {
+    const assembler = new FixAssembler();
+    const rmc = sentence('GPRMC,235959.00,A,5321.6802,N,00630.3372,W,0.02,31.66,311226,,,A');
+    const gga = time => sentence(`GPGGA,${time},5321.6802,N,00630.3372,W,1,05,1.03,61.7,M,55.2,M,,`);
+
+    const fixes = feed(assembler, [rmc, gga('235959.00'), gga('000000.00'), gga('000001.00')].join('\r\n') + '\r\n');
+    fixes.push(assembler.flush());
+
+    assert.deepEqual(fixes.map(fix => fix.time), [
+      '2026-12-31T23:59:59.000Z',
+      '2027-01-01T00:00:00.000Z',
+      '2027-01-01T00:00:01.000Z'
+    ]);
+  });
+
+  test('has no ISO time before a date is known', () => {
+    const assembler = new FixAssembler();
+    feed(assembler, sentence('GPGGA,120000.00,5321.6802,N,00630.3372,W,1,05,1.03,61.7,M,55.2,M,,') + '\r\n');
+    const fix = assembler.flush();
+
+    assert.equal(fix.time, null);
+    assert.equal(fix.utcTime, '12:00:00.000');
+    assert.equal(fix.satellites, 5);
+    assert.equal(fix.dop.hdop, 1.03);
+  });
+
+  test('takes the fix type from the RMC mode without a GGA', () => {
+    const assembler = new FixAssembler();
+    feed(assembler, sentence('GNRMC,120000.00,A,5321.6802,N,00630.3372,W,0.50,90.0,010126,,,F,V') + '\r\n');
+    const fix = assembler.flush();
+
+    assert.equal(fix.fix, 'float');
+    assert.equal(fix.quality, 5);
+    assert.equal(fix.altitude, null);
+    assert.equal(fix.speed, 0.5);
+    assert.equal(fix.course, 90);
+  });
+
+  test('builds a fix from GNS, GLL, ZDA, GBS and heading sentences', () => {
+    const assembler = new FixAssembler();
+    feed(assembler, [
+      sentence('GNGNS,101530.00,4740.7843,N,12207.1632,W,RRFN,16,0.61,52.4,-23.1,1.0,0412,S'),
+      sentence('GNGLL,4740.7843,N,12207.1632,W,101530.00,A,R'),
+      sentence('GNZDA,101530.00,19,09,2026,-07,00'),
+      sentence('GNGBS,101530.00,0.9,0.7,1.6,36,0.0,-21.4,3.8,3,7'),
+      sentence('GNHDT,271.4,T'),
+      sentence('GNTHS,271.6,A')
+    ].join('\r\n') + '\r\n');
+    const fix = assembler.flush();
+
+    assert.equal(fix.time, '2026-09-19T10:15:30.000Z');
+    assert.deepEqual(fix.localZone, { hours: -7, minutes: 0 });
+    assert.equal(fix.latitude, 47.679738);
+    assert.equal(fix.fix, 'fixed');
+    assert.equal(fix.quality, 4);
+    assert.equal(fix.satellites, 16);
+    assert.equal(fix.ellipsoidalHeight, 29.299999999999997);
+    assert.equal(fix.correctionAge, 1);
+    assert.equal(fix.status, 'A');
+    assert.equal(fix.mode, 'R');
+    // A valid THS wins over HDT
+    assert.equal(fix.heading, 271.6);
+    assert.deepEqual(fix.integrity, {
+      latitudeError: 0.9,
+      longitudeError: 0.7,
+      altitudeError: 1.6,
+      failedSatellite: 36,
+      failedConstellation: 'Galileo',
+      missedDetectionProbability: 0,
+      bias: -21.4,
+      biasStdDev: 3.8
+    });
+  });
+
+  test('falls back to HDT when THS is not valid', () => {
+    const assembler = new FixAssembler();
+    feed(assembler, [
+      sentence('GPGLL,4740.7843,N,12207.1632,W,101530.00,A,A'),
+      sentence('GPHDT,12.5,T'),
+      sentence('GPTHS,,V')
+    ].join('\r\n') + '\r\n');
+    const fix = assembler.flush();
+
+    assert.equal(fix.heading, 12.5);
+    assert.equal(fix.fix, 'autonomous');
+    assert.equal(fix.longitude, -122.119387);
+  });
+});
+
+describe('NmeaParser fixes', () => {
+  test('emits fix:update for each completed epoch', () => {
+    const events = new EventEmitter();
+    const parser = new NmeaParser({ events });
+    const fixes = [];
+    events.on('fix:update', fix => fixes.push(fix));
+
+    parser.parseData(retime(epoch411, '101530.00', '101530.00'));
+    parser.parseData(retime(epoch411, '101530.00', '101531.00'));
+
+    // The first epoch closes when the second starts, the second at its learned last sentence
+    assert.deepEqual(fixes.map(fix => fix.utcTime), ['10:15:30.000', '10:15:31.000']);
+    assert.equal(fixes[0].stationId, '0412');
+    assert.equal(parser.getFix(), fixes[1]);
+  });
+});
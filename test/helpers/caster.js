@@ -0,0 +1,131 @@
+/**
+ * Stand-in NTRIP caster for the NtripClient tests
+ *
+ * Answers sourcetable requests, checks Basic credentials and serves each
+ * mountpoint as a Rev 1 (ICY 200) or Rev 2 (chunked HTTP/1.1) stream.
+ */
+import net from 'node:net';
+import { crc24q } from '../../src/rtcm-parser.js';
+
+/**
+ * Frame an RTCM3 payload with preamble, length and CRC-24Q
+ * @param {Uint8Array|number[]} payload - Message payload
+ * @returns {Buffer} - Complete frame
+ */
+export function rtcmFrame(payload) {
+  const frame = Buffer.alloc(payload.length + 6);
+  frame[0] = 0xD3;
+  frame[1] = (payload.length >> 8) & 0x03;
+  frame[2] = payload.length & 0xFF;
+  frame.set(payload, 3);
+  const crc = crc24q(frame, 0, payload.length + 3);
+  frame[payload.length + 3] = (crc >> 16) & 0xFF;
+  frame[payload.length + 4] = (crc >> 8) & 0xFF;
+  frame[payload.length + 5] = crc & 0xFF;
+  return frame;
+}
+
+/**
+ * RTCM 1005 (stationary reference station ARP) with zero coordinates
+ * @param {number} stationId - Reference station ID
+ * @returns {Buffer} - Complete frame
+ */
+export function stationFrame(stationId) {
+  const payload = new Uint8Array(19);
+  payload[0] = 1005 >> 4;
+  payload[1] = ((1005 & 0x0F) << 4) | ((stationId >> 8) & 0x0F);
+  payload[2] = stationId & 0xFF;
+  return rtcmFrame(payload);
+}
+
+export const SOURCETABLE = [
+  'STR;NEAR;Near;RTCM 3.2;1005(10),1077(1);2;GPS+GLO;SNIP;GBR;51.48;-0.00;1;0;sNTRIP;none;B;N;0;',
+  'STR;FAR;Far;RTCM 3.2;1005(10),1077(1);2;GPS;SNIP;USA;40.00;-105.00;1;0;sNTRIP;none;B;N;0;',
+  'CAS;localhost;2101;Stand-in;Test;0;GBR;51.48;-0.00;;0;',
+  'ENDSOURCETABLE',
+  ''
+].join('\r\n');
+
+/**
+ * Start a caster on an ephemeral localhost port
+ * @param {Object} options - Caster options
+ * @param {Object} options.mountpoints - Mountpoint name to { revision: 1|2, frames: Buffer[], split: boolean }
+ * @param {string} options.username - Required username, no authentication when omitted
+ * @param {string} options.password - Required password
+ * @returns {Promise<Object>} - { port, requests, close() }
+ */
+export async function startCaster(options = {}) {
+  const mountpoints = options.mountpoints || {};
+  const requests = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let head = '';
+    socket.on('data', (data) => {
+      if (socket.answered) {
+        return;
+      }
+      head += data.toString('latin1');
+      if (!head.includes('\r\n\r\n')) {
+        return;
+      }
+      socket.answered = true;
+
+      const [requestLine, ...headerLines] = head.split('\r\n\r\n')[0].split('\r\n');
+      const headers = {};
+      for (const line of headerLines) {
+        const colon = line.indexOf(':');
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+      const path = decodeURIComponent(requestLine.split(' ')[1].slice(1));
+      requests.push({ requestLine, path, headers });
+
+      answer(socket, path, headers);
+    });
+  });
+
+  function answer(socket, path, headers) {
+    if (options.username !== undefined) {
+      const expected = 'Basic ' + Buffer.from(`${options.username}:${options.password}`).toString('base64');
+      if (headers.authorization !== expected) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Basic realm="/"\r\nConnection: close\r\n\r\n');
+        return;
+      }
+    }
+
+    const stream = mountpoints[path];
+    if (!stream) {
+      socket.end(`SOURCETABLE 200 OK\r\nContent-Type: text/plain\r\nContent-Length: ${SOURCETABLE.length}\r\n\r\n${SOURCETABLE}`);
+      return;
+    }
+
+    const body = Buffer.concat(stream.frames || []);
+    if (stream.revision === 2) {
+      socket.write('HTTP/1.1 200 OK\r\nNtrip-Version: Ntrip/2.0\r\nContent-Type: gnss/data\r\nTransfer-Encoding: chunked\r\n\r\n');
+      // Split the body mid-frame so the client has to reassemble across chunks
+      const pieces = stream.split ? [body.subarray(0, 5), body.subarray(5)] : [body];
+      for (const piece of pieces) {
+        socket.write(Buffer.concat([Buffer.from(`${piece.length.toString(16)}\r\n`), piece, Buffer.from('\r\n')]));
+      }
+    } else {
+      socket.write(Buffer.concat([Buffer.from('ICY 200 OK\r\n'), body]));
+    }
+  }
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    requests,
+    close() {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
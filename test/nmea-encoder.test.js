@@ -0,0 +1,146 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { NmeaEncoder, buildSentence } from '../src/nmea-encoder.js';
+import { NmeaParser } from '../src/nmea-parser.js';
+import { NtripClient } from '../src/ntrip-client.js';
+import { EventEmitter } from '../src/event-emitter.js';
+
+/**
+ * Parse one sentence on a fresh parser, without the fields that describe the input text
+ * @param {string} sentence - Sentence
+ * @returns {Object} - Parsed fields
+ */
+function parse(sentence) {
+  const { raw, dataRate, ...fields } = new NmeaParser().parseSentence(sentence);
+  return fields;
+}
+
+const fixtures = ['talkers.nmea', 'nmea-4.11.nmea'].flatMap(name =>
+  readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+    .split('\n')
+    .filter(line => line.startsWith('$'))
+);
+
+describe('NmeaEncoder round trip', () => {
+  test('re-encodes every fixture sentence to the same parsed values', () => {
+    const encoder = new NmeaEncoder();
+
+    for (const sentence of fixtures) {
+      const parsed = parse(sentence);
+      assert.deepEqual(parse(encoder.encode(parsed)), parsed, sentence);
+    }
+  });
+
+  test('round-trips the additional sentences', () => {
+    const encoder = new NmeaEncoder();
+
+    for (const sentence of [
+      buildSentence('GNGNS', ['101530.00', '4740.7843', 'N', '12207.1632', 'W', 'RRFN', '16', '0.61', '52.4', '-23.1', '1.0', '0412', 'S']),
+      buildSentence('GPGLL', ['5321.6802', 'N', '00630.3372', 'W', '092750.00', 'A', 'D']),
+      buildSentence('GPZDA', ['092750.00', '28', '05', '2011', '-05', '30']),
+      buildSentence('GPHDT', ['271.40', 'T']),
+      buildSentence('GNTHS', ['', 'V']),
+      buildSentence('GPTXT', ['01', '01', '02', 'ANTSTATUS=OK^2C SHORT=NO'])
+    ]) {
+      const parsed = parse(sentence);
+      assert.deepEqual(parse(encoder.encode(parsed)), parsed, sentence);
+    }
+  });
+
+  test('round-trips a PUBX,00 position through its decoder', () => {
+    const encoder = new NmeaEncoder();
+    const position = parse(buildSentence('PUBX', [
+      '00', '101530.00', '4740.78430', 'N', '12207.16320', 'W', '29.300', 'RK', '0.1', '0.2',
+      '0.040', '12.50', '-0.012', '1.0', '0.61', '0.94', '0.50', '16', '0', '0'
+    ]));
+
+    assert.deepEqual(parse(encoder.encode(position)), position);
+  });
+});
+
+describe('NmeaEncoder fields', () => {
+  test('zero-pads degrees and minutes', () => {
+    const encoder = new NmeaEncoder();
+    const sentence = encoder.encode({ type: 'GGA', time: '000000.00', latitude: -5.05, longitude: 7.1, fixQuality: 1 });
+
+    assert.equal(sentence.split(',').slice(2, 6).join(','), '0503.0000000,S,00706.0000000,E');
+  });
+
+  test('carries minutes that round to 60 into the degrees', () => {
+    const encoder = new NmeaEncoder();
+    const sentence = encoder.encode({ type: 'GLL', latitude: 51.99999999999, longitude: -0.99999999999, time: '120000.00' });
+
+    assert.equal(sentence.split(',').slice(1, 5).join(','), '5200.0000000,N,00100.0000000,W');
+  });
+
+  test('formats times and dates from Unix milliseconds', () => {
+    const encoder = new NmeaEncoder({ talker: 'GN' });
+    const time = Date.UTC(2026, 8, 19, 23, 59, 59, 999);
+
+    assert.equal(encoder.encode({ type: 'ZDA', time: Date.UTC(2026, 8, 19, 10, 15, 30) }), buildSentence('GNZDA', ['101530.00', '19', '09', '2026', '00', '00']));
+    // Rounded to the field resolution before formatting, so never 235960.00
+    assert.equal(encoder.encode({ type: 'RMC', time, latitude: null, longitude: null }).split(',')[1], '000000.00');
+  });
+
+  test('splits a GSV group four satellites at a time', () => {
+    const encoder = new NmeaEncoder({ talker: 'GA' });
+    const satellites = [4, 11, 19, 36, 2].map(prn => ({ prn, elevation: 41, azimuth: 120, snr: 42 }));
+    const sentences = encoder.encodeGsvGroup({ satellites, signalId: 7 });
+
+    assert.equal(sentences.length, 2);
+    assert.deepEqual(sentences.map(sentence => parse(sentence).messageNumber), [1, 2]);
+    assert.ok(sentences.every(sentence => parse(sentence).satellitesInView === 5));
+    assert.equal(parse(sentences[1]).signal, 'E1-BC');
+  });
+
+  test('rejects sentences it cannot build', () => {
+    const encoder = new NmeaEncoder();
+
+    assert.throws(() => encoder.encode({ type: 'XYZ' }), /Unsupported NMEA sentence: XYZ/);
+    assert.throws(() => encoder.encode({ type: 'GSA', satellites: Array.from({ length: 13 }, (_, i) => i + 1) }), /at most 12/);
+  });
+});
+
+describe('NmeaEncoder commands', () => {
+  test('builds PUBX rate and poll commands', () => {
+    const encoder = new NmeaEncoder();
+
+    // Example from the u-blox protocol description
+    assert.equal(encoder.pubxRate('GLL', 0), '$PUBX,40,GLL,0,0,0,0,0,0*5C');
+    assert.equal(encoder.pubxRate('GGA', { uart1: 1, usb: 1 }), buildSentence('PUBX', ['40', 'GGA', '0', '1', '0', '1', '0', '0']));
+    assert.equal(encoder.encode({ type: 'PUBX', message: 'POLL', id: '00' }), '$PUBX,00*33');
+  });
+
+  test('builds PQTM commands', () => {
+    const encoder = new NmeaEncoder();
+
+    assert.equal(encoder.pqtm('CFGMSGRATE', ['W', 'GGA', 1]), buildSentence('PQTMCFGMSGRATE', ['W', 'GGA', '1']));
+    assert.equal(encoder.encode({ type: 'PQTMVERNO', fields: [] }), buildSentence('PQTMVERNO'));
+  });
+});
+
+describe('NtripClient GGA', () => {
+  test('sends a parseable GGA for positions with single-digit minutes', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const client = new NtripClient(new EventEmitter());
+    const sentence = client.createGgaSentence({ latitude: 47.0166667, longitude: -122.0833333, quality: 4, altitude: 52.4 });
+    const gga = parse(sentence.trim());
+
+    assert.ok(sentence.endsWith('\r\n'));
+    assert.equal(gga.latitude, 47.016667);
+    assert.equal(gga.longitude, -122.083333);
+    assert.equal(gga.fixQuality, 4);
+    assert.equal(gga.satellites, 8);
+    assert.equal(console.error.mock.callCount(), 0);
+  });
+
+  test('falls back to a valid GGA without a position', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const client = new NtripClient(new EventEmitter());
+    const gga = parse(client.createGgaSentence(null).trim());
+
+    assert.equal(gga.latitude, 0);
+    assert.equal(gga.fixQuality, 1);
+  });
+});
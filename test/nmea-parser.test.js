@@ -0,0 +1,462 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { NmeaParser } from '../src/nmea-parser.js';
+import { EventEmitter } from '../src/event-emitter.js';
+
+/**
+ * Load the lines of an NMEA fixture
+ * @param {string} name - Fixture file name
+ * @returns {string[]} - Lines, including '#' comments
+ */
+function loadFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8').split('\n');
+}
+
+/**
+ * Group fixture sentences by the talker named in its '# XX' comments
+ * @param {string[]} lines - Fixture lines
+ * @returns {Object} - Talker ID to sentences
+ */
+function groupByTalker(lines) {
+  const groups = {};
+  let talker = null;
+  for (const line of lines) {
+    const heading = line.match(/^# ([A-Z]{2})$/);
+    if (heading) {
+      talker = heading[1];
+      groups[talker] = [];
+    } else if (talker && line.startsWith('$')) {
+      groups[talker].push(line);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Compute an NMEA checksum
+ * @param {string} body - Sentence between '$' and '*'
+ * @returns {string} - Two hex digits
+ */
+function checksum(body) {
+  let sum = 0;
+  for (const char of body) {
+    sum ^= char.charCodeAt(0);
+  }
+  return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+const talkers = groupByTalker(loadFixture('talkers.nmea'));
+const CONSTELLATIONS = {
+  GP: 'GPS',
+  GL: 'GLONASS',
+  GA: 'Galileo',
+  GB: 'BeiDou',
+  BD: 'BeiDou',
+  GQ: 'QZSS',
+  GI: 'NavIC',
+  GN: 'GNSS'
+};
+
+describe('NmeaParser talker IDs', () => {
+  for (const [talker, sentences] of Object.entries(talkers)) {
+    test(`parses a ${talker} epoch`, () => {
+      const parser = new NmeaParser();
+      const results = parser.parseData(sentences.join('\r\n') + '\r\n');
+
+      assert.deepEqual(results.map(result => result.type), ['RMC', 'VTG', 'GGA', 'GSA', 'GSV', 'GSV', 'GST']);
+      assert.ok(results.every(result => result.talker === talker));
+      assert.ok(results.every(result => result.constellation === CONSTELLATIONS[talker]));
+
+      const [rmc, vtg, gga, gsa, gsv, , gst] = results;
+      assert.equal(rmc.status, 'A');
+      assert.equal(rmc.date, '2011-05-28');
+      assert.equal(rmc.time, '09:27:50.00');
+      assert.equal(vtg.courseTrue, 31.66);
+      assert.equal(vtg.speedKmh, 0.04);
+      assert.equal(gga.latitude, 53.361337);
+      assert.equal(gga.longitude, -6.50562);
+      assert.equal(gga.fixQuality, 1);
+      assert.equal(gga.satellites, 8);
+      assert.equal(gga.altitude, 61.7);
+      assert.deepEqual(gsa.satellites, [10, 7, 5, 2, 29, 4, 8, 13]);
+      assert.equal(gsa.pdop, 1.72);
+      assert.equal(gsv.satellitesInView, 6);
+      assert.equal(gsv.signalId, null);
+      assert.equal(gst.latitudeError, 0.8);
+
+      const position = parser.getPosition();
+      assert.equal(position.latitude, 53.361337);
+      assert.equal(position.quality, 1);
+      // The six satellites in GSV plus 29 and 4, used but missing from GSV
+      assert.equal(parser.getSatellites().length, 8);
+    });
+  }
+});
+
+describe('NmeaParser stream handling', () => {
+  const epoch = talkers.GN.join('\r\n') + '\r\n';
+
+  test('reassembles sentences split across reads', () => {
+    const parser = new NmeaParser();
+    const results = [];
+    for (let i = 0; i < epoch.length; i += 7) {
+      results.push(...parser.parseData(epoch.slice(i, i + 7)));
+    }
+
+    assert.equal(results.length, 7);
+    assert.equal(parser.buffer, '');
+  });
+
+  test('accepts ArrayBuffer input and LF line endings', () => {
+    const parser = new NmeaParser();
+    const results = parser.parseData(new TextEncoder().encode(talkers.GP.join('\n') + '\n').buffer);
+
+    assert.equal(results.length, 7);
+  });
+
+  test('drops sentences with a bad or missing checksum', () => {
+    const parser = new NmeaParser();
+    const gga = talkers.GP[2];
+    const corrupted = gga.replace('*', '0*');
+    const unchecked = gga.slice(0, gga.indexOf('*'));
+
+    assert.deepEqual(parser.parseData(`${corrupted}\r\n${unchecked}\r\n`), []);
+    assert.equal(parser.getPosition(), null);
+  });
+
+  test('returns unknown sentences with their type and raw text', () => {
+    const parser = new NmeaParser();
+    const body = 'GPDTM,W84,,0.0,N,0.0,E,0.0,W84';
+    const [result] = parser.parseData(`$${body}*${checksum(body)}\r\n`);
+
+    assert.equal(result.type, 'DTM');
+    assert.equal(result.talker, 'GP');
+    assert.equal(result.raw, `$${body}*${checksum(body)}`);
+    assert.equal(parser.getSentenceStats().UNKNOWN, 1);
+  });
+
+  test('keeps the full address of proprietary sentences', () => {
+    const parser = new NmeaParser();
+    const body = 'PUBX,00,101530.00,4740.78430,N,12207.16320,W,52.400,G3,1.2,1.9,0.011,0.00,0.000,,0.61,0.94,0.50,16,0,0';
+    const [result] = parser.parseData(`$${body}*${checksum(body)}\r\n`);
+
+    assert.equal(result.type, 'PUBX');
+    assert.equal(result.talker, null);
+    assert.equal(result.constellation, null);
+  });
+
+  test('marks satellites from GSA as used', () => {
+    const parser = new NmeaParser();
+    parser.parseData(epoch);
+    const satellites = parser.getSatellites();
+    const used = satellites.filter(satellite => satellite.used).map(satellite => satellite.prn);
+
+    assert.deepEqual(used.sort((a, b) => a - b), [2, 4, 5, 7, 8, 10, 13, 29]);
+    assert.equal(satellites.find(satellite => satellite.prn === 13).elevation, 28);
+
+    // Used in the solution but not in view in GSV: listed without a position in the sky
+    for (const prn of [4, 29]) {
+      const satellite = satellites.find(entry => entry.prn === prn);
+      assert.equal(satellite.used, true);
+      assert.equal(satellite.elevation, null);
+      assert.equal(satellite.azimuth, null);
+    }
+  });
+
+  test('keeps GSA used flags when a new GSV group starts', () => {
+    const parser = new NmeaParser();
+    parser.parseData(epoch);
+    // The next epoch's GSV group arrives before its GSA
+    parser.parseData(talkers.GN.filter(sentence => sentence.startsWith('$GNGSV')).join('\r\n') + '\r\n');
+    const used = parser.getSatellites()
+      .filter(satellite => satellite.used && satellite.elevation !== null)
+      .map(satellite => satellite.prn);
+
+    assert.deepEqual(used.sort((a, b) => a - b), [2, 5, 7, 8, 10, 13]);
+  });
+
+  test('emits position and satellite updates', () => {
+    const events = new EventEmitter();
+    const parser = new NmeaParser({ events });
+    const positions = [];
+    const satellites = [];
+    events.on('position:update', position => positions.push(position));
+    events.on('satellites:update', update => satellites.push(update));
+
+    parser.parseData(epoch);
+
+    assert.equal(positions.length, 1);
+    assert.equal(positions[0].altitude, 61.7);
+    assert.ok(positions[0].timestamp instanceof Date);
+    assert.equal(satellites.length, 1);
+    assert.equal(satellites[0].length, 8);
+  });
+});
+
+describe('NmeaParser NMEA 4.11 fields', () => {
+  const sentences = loadFixture('nmea-4.11.nmea').filter(line => line.startsWith('$'));
+
+  test('reads the system ID of each GSA', () => {
+    const parser = new NmeaParser();
+    const gsa = parser.parseData(sentences.join('\r\n') + '\r\n').filter(result => result.type === 'GSA');
+
+    assert.deepEqual(gsa.map(result => result.systemId), [1, 3, 4, 5, 6]);
+    assert.deepEqual(gsa.map(result => result.constellation), ['GPS', 'Galileo', 'BeiDou', 'QZSS', 'NavIC']);
+    assert.ok(gsa.every(result => result.talker === 'GN'));
+    assert.deepEqual(gsa[1].satellites, [4, 11, 19, 36]);
+  });
+
+  test('reads the signal ID of each GSV group', () => {
+    const parser = new NmeaParser();
+    const gsv = parser.parseData(sentences.join('\r\n') + '\r\n').filter(result => result.type === 'GSV');
+
+    assert.deepEqual(
+      gsv.map(result => `${result.constellation} ${result.signalId} ${result.signal}`),
+      [
+        'GPS 1 L1 C/A',
+        'GPS 1 L1 C/A',
+        'GPS 8 L5-Q',
+        'Galileo 7 E1-BC',
+        'Galileo 1 E5a',
+        'BeiDou 1 B1I',
+        'BeiDou 5 B2a',
+        'QZSS 1 L1 C/A',
+        'QZSS 7 L5-I',
+        'NavIC 1 L5-SPS'
+      ]
+    );
+
+    // The signal ID is not mistaken for a satellite
+    assert.equal(gsv[1].satellites.length, 1);
+    assert.deepEqual(gsv[2].satellites[0], {
+      prn: 5,
+      constellation: 'GPS',
+      signalId: 8,
+      signal: 'L5-Q',
+      elevation: 62,
+      azimuth: 290,
+      snr: 47,
+      used: true
+    });
+  });
+
+  test('parses a GN position with correction age and station', () => {
+    const parser = new NmeaParser();
+    const gga = parser.parseData(sentences.join('\r\n') + '\r\n').find(result => result.type === 'GGA');
+
+    assert.equal(gga.constellation, 'GNSS');
+    assert.equal(gga.fixQuality, 4);
+    assert.equal(gga.dgpsAge, 1);
+    assert.equal(gga.dgpsStation, '0412');
+  });
+});
+
+describe('NmeaParser additional sentences', () => {
+  /**
+   * Parse one sentence body
+   * @param {string} body - Sentence between '$' and '*'
+   * @returns {Object} - Parsed sentence and the parser
+   */
+  function parseOne(body) {
+    const parser = new NmeaParser();
+    const [result] = parser.parseData(`$${body}*${checksum(body)}\r\n`);
+    return { result, parser };
+  }
+
+  test('parses GNS with per-constellation modes', () => {
+    const { result, parser } = parseOne('GNGNS,101530.00,4740.7843,N,12207.1632,W,ARFN,16,0.61,52.4,-23.1,1.0,0412,S');
+
+    assert.equal(result.type, 'GNS');
+    assert.equal(result.latitude, 47.679738);
+    assert.equal(result.modeIndicator, 'ARFN');
+    // Best of autonomous, fixed and float
+    assert.equal(result.fixQuality, 4);
+    assert.equal(result.satellites, 16);
+    assert.equal(result.geoidHeight, -23.1);
+    assert.equal(result.dgpsStation, '0412');
+    assert.equal(result.navStatus, 'S');
+    assert.equal(parser.getPosition().quality, 4);
+  });
+
+  test('parses GLL', () => {
+    const { result, parser } = parseOne('GPGLL,5321.6802,N,00630.3372,W,092750.00,A,D');
+
+    assert.equal(result.longitude, -6.50562);
+    assert.equal(result.time, '092750.00');
+    assert.equal(result.status, 'A');
+    assert.equal(result.mode, 'D');
+    assert.equal(parser.getPosition().latitude, 53.361337);
+  });
+
+  test('parses ZDA with its local time zone', () => {
+    const { result } = parseOne('GPZDA,092750.00,28,05,2011,-05,30');
+
+    assert.equal(result.date, '2011-05-28');
+    assert.equal(result.localZoneHours, -5);
+    assert.equal(result.localZoneMinutes, 30);
+  });
+
+  test('parses GBS fault detection', () => {
+    const { result } = parseOne('GNGBS,101530.00,0.9,0.7,1.6,36,0.0,-21.4,3.8,3,7');
+
+    assert.equal(result.altitudeError, 1.6);
+    assert.equal(result.failedSatellite, 36);
+    assert.equal(result.bias, -21.4);
+    assert.equal(result.constellation, 'Galileo');
+    assert.equal(result.signal, 'E1-BC');
+  });
+
+  test('parses GBS without a failed satellite', () => {
+    const { result } = parseOne('GPGBS,101530.00,0.9,0.7,1.6,,,,');
+
+    assert.equal(result.failedSatellite, null);
+    assert.equal(result.constellation, 'GPS');
+  });
+
+  test('parses GRS residuals in GSA order', () => {
+    const { result } = parseOne('GNGRS,101530.00,1,-0.8,0.2,1.1,,,,,,,,,,1,1');
+
+    assert.equal(result.residualMode, 1);
+    assert.deepEqual(result.residuals, [-0.8, 0.2, 1.1]);
+    assert.equal(result.constellation, 'GPS');
+  });
+
+  test('parses HDT and THS headings', () => {
+    assert.equal(parseOne('GPHDT,271.4,T').result.heading, 271.4);
+
+    const { result } = parseOne('GNTHS,,V');
+    assert.equal(result.heading, null);
+    assert.equal(result.mode, 'V');
+    assert.equal(result.valid, false);
+  });
+
+  test('parses TXT and decodes reserved characters', () => {
+    const { result } = parseOne('GPTXT,01,01,02,ANTSTATUS=OK^2C SHORT=NO');
+
+    assert.equal(result.textId, 2);
+    assert.equal(result.messageNumber, 1);
+    assert.equal(result.text, 'ANTSTATUS=OK, SHORT=NO');
+  });
+
+  test('counts each sentence type', () => {
+    const parser = new NmeaParser();
+    for (const body of ['GPGLL,5321.6802,N,00630.3372,W,092750.00,A,D', 'GPHDT,271.4,T', 'GPHDT,271.5,T']) {
+      parser.parseData(`$${body}*${checksum(body)}\r\n`);
+    }
+    const stats = parser.getSentenceStats();
+
+    assert.equal(stats.GLL, 1);
+    assert.equal(stats.HDT, 2);
+    assert.equal(stats.UNKNOWN, 0);
+  });
+});
+
+describe('NmeaParser strict mode', () => {
+  /**
+   * Parse sentence bodies, collecting nmea:error events
+   * @param {string[]} bodies - Sentences between '$' and '*'
+   * @param {Object} options - Parser options
+   * @returns {Object} - Parsed sentences, errors and the parser
+   */
+  function parseAll(bodies, options = { strict: true }) {
+    const events = new EventEmitter();
+    const parser = new NmeaParser({ ...options, events });
+    const errors = [];
+    events.on('nmea:error', error => errors.push(error));
+    const results = parser.parseData(bodies.map(body => `$${body}*${checksum(body)}\r\n`).join(''));
+    return { results, errors, parser };
+  }
+
+  test('accepts every fixture sentence', () => {
+    const events = new EventEmitter();
+    const parser = new NmeaParser({ strict: true, events });
+    const errors = [];
+    events.on('nmea:error', error => errors.push(error));
+    const sentences = [...loadFixture('talkers.nmea'), ...loadFixture('nmea-4.11.nmea')].filter(line => line.startsWith('$'));
+
+    assert.equal(parser.parseData(sentences.join('\r\n') + '\r\n').length, sentences.length);
+    assert.deepEqual(errors, []);
+  });
+
+  test('reports bad checksums and truncated lines in either mode', () => {
+    const events = new EventEmitter();
+    const parser = new NmeaParser({ events });
+    const errors = [];
+    events.on('nmea:error', error => errors.push(error));
+    const gga = talkers.GP[2];
+
+    parser.parseData(`${gga.replace('*', '0*')}\r\n${gga.slice(0, 40)}\r\n${gga.slice(30)}\r\n`);
+
+    assert.deepEqual(errors.map(error => error.reason), ['checksum', 'truncated', 'truncated']);
+    assert.equal(errors[0].raw, gga.replace('*', '0*'));
+    assert.deepEqual(parser.getSentenceStats().errors, { checksum: 1, truncated: 2, 'field-range': 0, 'unknown-type': 0 });
+  });
+
+  test('leaves empty numeric fields null', () => {
+    const bodies = ['GPGGA,092750.00,,,,,0,,,,,,,,', 'GPGSA,A,,,,,,,,,,,,,,,,'];
+    const { results: [gga, gsa] } = parseAll(bodies);
+    const { results: [lenientGga, lenientGsa] } = parseAll(bodies, {});
+
+    assert.equal(gga.satellites, null);
+    assert.equal(gga.hdop, null);
+    assert.equal(gsa.fixType, null);
+    assert.equal(gsa.pdop, null);
+    assert.equal(lenientGga.satellites, 0);
+    assert.equal(lenientGga.hdop, 0);
+    assert.equal(lenientGsa.fixType, 1);
+    assert.equal(lenientGsa.pdop, 0);
+  });
+
+  test('rejects malformed and out-of-range fields', () => {
+    const { results, errors, parser } = parseAll([
+      'GPGGA,092750.00,5361.6802,N,00630.3372,W,1,05,1.2,61.7,M,55.2,M,,',
+      'GPGGA,092750.00,5321.6802,N,00630.3372,W,9,05,1.2,61.7,M,55.2,M,,',
+      'GPGGA,092750.00,5321.6802,N,00630.3372,W,1,5x,1.2,61.7,M,55.2,M,,',
+      'GPGGA,256000.00,5321.6802,N,00630.3372,W,1,05,1.2,61.7,M,55.2,M,,',
+      'GPGSV,1,1,01,05,95,120,42',
+      'GPGGA,092750.00,5321.6802,N,00630.3372,W,1,05,1.2,61.7,M,55.2,M,,'
+    ]);
+
+    assert.deepEqual(errors.map(error => [error.reason, error.field]), [
+      ['field-range', 'latitude'],
+      ['field-range', 'fixQuality'],
+      ['field-range', 'satellites'],
+      ['field-range', 'time'],
+      ['field-range', 'satellites[0].elevation']
+    ]);
+    assert.equal(results.length, 1);
+    assert.equal(parser.getSentenceStats().errors['field-range'], 5);
+    assert.equal(parser.getSentenceStats().GGA, 1);
+  });
+
+  test('leaves the position and sky view untouched by rejected sentences', () => {
+    const { errors, parser } = parseAll([
+      'GPGGA,092750.00,5321.6802,N,00630.3372,W,1,05,-1.03,61.7,M,55.2,M,,',
+      'GPGSA,A,3,05,,,,,,,,,,,,1.72,1.03,1.38',
+      'GPGSV,1,1,01,05,95,120,42',
+      'GPGSA,A,3,07,,,,,,,,,,,,1.72,-1.03,1.38'
+    ]);
+
+    assert.deepEqual(errors.map(error => error.field), ['hdop', 'satellites[0].elevation', 'hdop']);
+    assert.equal(parser.getPosition(), null);
+    // Only the valid GSA is applied: 5 is used but was never reported in view
+    assert.deepEqual(parser.getSatellites().map(satellite => [satellite.prn, satellite.elevation, satellite.used]), [[5, null, true]]);
+  });
+
+  test('rejects sentences with too few fields and unknown types', () => {
+    const { results, errors, parser } = parseAll([
+      'GPGGA,092750.00,5321.6802,N,00630.3372,W,1,05',
+      'GPDTM,W84,,0.0,N,0.0,E,0.0,W84',
+      'PXYZ,1,2',
+      'PUBX,41,1,0007,0003,115200,0'
+    ]);
+
+    assert.deepEqual(errors.map(error => error.reason), ['truncated', 'unknown-type', 'unknown-type']);
+    assert.deepEqual(results.map(result => result.type), ['PUBX']);
+    assert.equal(parser.getSentenceStats().UNKNOWN, 0);
+
+    parser.reset();
+    assert.deepEqual(parser.getSentenceStats().errors, { checksum: 0, truncated: 0, 'field-range': 0, 'unknown-type': 0 });
+  });
+});
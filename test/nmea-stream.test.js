@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, createReadStream } from 'node:fs';
+import { Readable } from 'node:stream';
+import { NmeaParserStream } from '../src/nmea-stream.js';
+import { NmeaParser } from '../src/nmea-parser.js';
+
+const fixture = new URL('./fixtures/talkers.nmea', import.meta.url);
+const sentences = readFileSync(fixture, 'utf8').split('\n').filter(line => line.startsWith('$'));
+
+/**
+ * Read a stream to the end
+ * @param {ReadableStream} stream - Stream
+ * @returns {Promise<Array>} - Chunks
+ */
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('NmeaParserStream', () => {
+  test('parses byte chunks split mid-sentence', async () => {
+    const bytes = new TextEncoder().encode(sentences.join('\r\n') + '\r\n');
+    const source = new ReadableStream({
+      start(controller) {
+        for (let i = 0; i < bytes.length; i += 7) {
+          controller.enqueue(bytes.slice(i, i + 7));
+        }
+        controller.close();
+      }
+    });
+
+    const parsed = await collect(source.pipeThrough(new NmeaParserStream()));
+
+    assert.equal(parsed.length, sentences.length);
+    assert.deepEqual(parsed.slice(0, 3).map(sentence => sentence.type), ['RMC', 'VTG', 'GGA']);
+  });
+
+  test('parses a Node.js stream and a last sentence without a line ending', async () => {
+    const stream = new NmeaParserStream({ strict: true });
+    const parsed = await collect(Readable.toWeb(createReadStream(fixture)).pipeThrough(stream));
+    const last = await collect(ReadableStream.from([sentences[2]]).pipeThrough(new NmeaParserStream()));
+
+    assert.equal(parsed.length, sentences.length);
+    assert.equal(stream.parser.getSentenceStats().GGA, 8);
+    assert.deepEqual(last.map(sentence => sentence.type), ['GGA']);
+  });
+
+  test('holds writes back until sentences are read', async () => {
+    const stream = new NmeaParserStream({ parser: new NmeaParser() });
+    const writer = stream.writable.getWriter();
+    const reader = stream.readable.getReader();
+
+    writer.write(sentences.slice(0, 2).join('\r\n') + '\r\n');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.ok(writer.desiredSize <= 0);
+
+    assert.equal((await reader.read()).value.type, 'RMC');
+    assert.equal((await reader.read()).value.type, 'VTG');
+    await writer.ready;
+    assert.equal(writer.desiredSize, 1);
+  });
+});
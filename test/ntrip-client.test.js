@@ -0,0 +1,299 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { NtripClient } from '../src/ntrip-client.js';
+import { EventEmitter } from '../src/event-emitter.js';
+import { parseSourcetable } from '../src/ntrip-sourcetable.js';
+import { startCaster, stationFrame, SOURCETABLE } from './helpers/caster.js';
+
+/**
+ * Resolve with the first payload of an event
+ * @param {EventEmitter} events - Event emitter
+ * @param {string} name - Event name
+ * @returns {Promise<*>} - Event payload
+ */
+function once(events, name) {
+  return new Promise((resolve) => {
+    const unsubscribe = events.on(name, (payload) => {
+      unsubscribe();
+      resolve(payload);
+    });
+  });
+}
+
+describe('NtripClient against a stand-in caster', () => {
+  let caster;
+  let events;
+  let client;
+
+  before(async () => {
+    caster = await startCaster({
+      username: 'rover',
+      password: 'secret',
+      mountpoints: {
+        REV1: { revision: 1, frames: [stationFrame(2003)] },
+        REV2: { revision: 2, frames: [stationFrame(2004), stationFrame(2005)], split: true },
+        NEAR: { revision: 2, frames: [stationFrame(2006)] }
+      }
+    });
+  });
+
+  after(() => caster.close());
+
+  beforeEach(() => {
+    // The client logs every connection step
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    events = new EventEmitter();
+    client = new NtripClient(events, {});
+    client.setAutoReconnect(false);
+  });
+
+  afterEach(() => {
+    client.disconnect();
+    mock.restoreAll();
+  });
+
+  /**
+   * Connect to the caster over direct TCP
+   * @param {Object} config - Connection configuration overrides
+   * @returns {Promise<boolean>} - Whether the connection succeeded
+   */
+  function connect(config) {
+    return client.connect({
+      casterHost: '127.0.0.1',
+      casterPort: caster.port,
+      username: 'rover',
+      password: 'secret',
+      connectionMode: 'direct',
+      ...config
+    });
+  }
+
+  test('downloads and parses the sourcetable', async () => {
+    const emitted = once(events, 'ntrip:sourcetable');
+    const sourcetable = await client.getSourcetable('127.0.0.1', caster.port, {
+      connectionMode: 'direct',
+      username: 'rover',
+      password: 'secret'
+    });
+
+    assert.deepEqual(sourcetable.streams.map(stream => stream.mountpoint), ['NEAR', 'FAR']);
+    assert.equal(sourcetable.casters.length, 1);
+    assert.equal((await emitted).mode, 'direct');
+  });
+
+  test('rejects a sourcetable request with bad credentials', async () => {
+    await assert.rejects(
+      client.getSourcetable('127.0.0.1', caster.port, { connectionMode: 'direct', password: 'wrong' }),
+      /401/
+    );
+  });
+
+  test('reports an authentication failure', async () => {
+    const error = once(events, 'ntrip:error');
+
+    assert.equal(await connect({ mountpoint: 'REV2', password: 'wrong' }), false);
+    assert.match((await error).error.message, /401/);
+    assert.equal(client.isConnected, false);
+    assert.equal(client.isConnecting, false);
+  });
+
+  test('accepts an ICY 200 response as NTRIP Rev 1', async () => {
+    const connected = once(events, 'ntrip:connected');
+    const rtcm = once(events, 'ntrip:rtcm');
+
+    assert.equal(await connect({ mountpoint: 'REV1', ntripVersion: 1 }), true);
+    assert.equal((await connected).ntripVersion, 1);
+
+    const frame = await rtcm;
+    assert.equal(frame.isValidRtcm, true);
+    assert.equal(frame.messageType, 1005);
+    assert.equal(frame.message.stationId, 2003);
+
+    const request = caster.requests.at(-1);
+    assert.match(request.requestLine, /^GET \/REV1 HTTP\/1\.0$/);
+    assert.equal(request.headers['ntrip-version'], undefined);
+  });
+
+  test('decodes a chunked Rev 2 stream and reassembles split frames', async () => {
+    const connected = once(events, 'ntrip:connected');
+    const frames = [];
+    const received = new Promise((resolve) => {
+      events.on('ntrip:rtcm', (frame) => {
+        frames.push(frame);
+        if (frames.length === 2) {
+          resolve();
+        }
+      });
+    });
+
+    assert.equal(await connect({ mountpoint: 'REV2' }), true);
+    assert.equal((await connected).ntripVersion, 2);
+    await received;
+
+    assert.deepEqual(frames.map(frame => frame.message.stationId), [2004, 2005]);
+    assert.ok(frames.every(frame => frame.isValidRtcm));
+    assert.equal(caster.requests.at(-1).headers['ntrip-version'], 'Ntrip/2.0');
+  });
+
+  test('reports a mountpoint missing from the caster', async () => {
+    const error = once(events, 'ntrip:error');
+
+    assert.equal(await connect({ mountpoint: 'MISSING' }), false);
+    assert.match((await error).error.message, /MISSING not found/);
+  });
+
+  test('reports a failed switch and selects again on the next position', async () => {
+    const switches = [];
+    const errors = [];
+    events.on('ntrip:mountpoint:switch', event => switches.push(event));
+    events.on('ntrip:error', event => errors.push(event));
+    client.sourcetable = parseSourcetable(SOURCETABLE);
+    client.lastPosition = { latitude: 40, longitude: -105 };
+    await connect({ mountpoint: 'REV2' });
+
+    // FAR is listed in the sourcetable but not served by the caster
+    assert.equal(await client.selectNearestMountpoint('distance'), null);
+    assert.equal(errors.at(-1).message, 'Failed to switch to mountpoint FAR');
+    assert.deepEqual(switches, []);
+    assert.equal(client.selectionPosition, null);
+  });
+});
+
+describe('NtripClient mountpoint switching', () => {
+  /**
+   * Fetch stand-in whose readers reject only some time after their request is aborted
+   * @returns {Function} - fetch(url, { signal })
+   */
+  function lateAbortFetch() {
+    return async (url, { signal }) => ({
+      ok: true,
+      headers: new Headers({ 'content-type': 'gnss/data' }),
+      body: {
+        getReader: () => ({
+          read: () => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+              setTimeout(() => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })), 10);
+            });
+          })
+        })
+      }
+    });
+  }
+
+  afterEach(() => mock.restoreAll());
+
+  test('does not let the old stream tear down the new one', async () => {
+    mock.method(console, 'log', () => {});
+    const events = new EventEmitter();
+    const client = new NtripClient(events, { environment: { fetch: lateAbortFetch(), connectTcp: null } });
+    const scheduleReconnect = mock.method(client, 'scheduleReconnect', () => {});
+    const switches = [];
+    events.on('ntrip:mountpoint:switch', event => switches.push(event));
+
+    assert.equal(await client.connect({ casterHost: 'caster.example', mountpoint: 'FAR', connectionMode: 'direct' }), true);
+    client.sourcetable = parseSourcetable(SOURCETABLE);
+    client.lastPosition = { latitude: 51.5, longitude: 0.1 };
+
+    assert.equal((await client.selectNearestMountpoint('distance')).mountpoint, 'NEAR');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.equal(client.isConnected, true);
+    assert.notEqual(client.reader, null);
+    assert.equal(scheduleReconnect.mock.callCount(), 0);
+    assert.deepEqual(switches.map(event => [event.from, event.to]), [['FAR', 'NEAR']]);
+    assert.deepEqual(client.selectionPosition, { latitude: 51.5, longitude: 0.1 });
+
+    client.setAutoReconnect(false);
+    client.disconnect();
+  });
+
+  test('backs off after a failed switch and keeps one selection in flight', async () => {
+    mock.method(console, 'log', () => {});
+    const events = new EventEmitter();
+    const client = new NtripClient(events, { environment: { fetch: null, connectTcp: null } });
+    const errors = [];
+    events.on('ntrip:error', event => errors.push(event));
+    let now = 1000000;
+    mock.method(Date, 'now', () => now);
+    let finishConnect;
+    const connect = mock.method(client, 'connect', () => new Promise(resolve => { finishConnect = resolve; }));
+    client.sourcetable = parseSourcetable(SOURCETABLE);
+    client.config.autoMountpoint = true;
+    const position = { latitude: 51.5, longitude: 0.1 };
+
+    // Position updates arrive faster than the connect completes
+    client.updatePosition(position);
+    client.updatePosition(position);
+    assert.equal(connect.mock.callCount(), 1);
+    finishConnect(false);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(errors.at(-1).message, 'Failed to switch to mountpoint NEAR');
+
+    // No new attempt until the retry delay has passed
+    client.updatePosition(position);
+    now += client.reconnectDelay - 1;
+    client.updatePosition(position);
+    assert.equal(connect.mock.callCount(), 1);
+
+    now += 1;
+    client.updatePosition(position);
+    assert.equal(connect.mock.callCount(), 2);
+    finishConnect(false);
+    await new Promise(resolve => setImmediate(resolve));
+
+    // The delay grows with each failure
+    now += client.reconnectDelay;
+    client.updatePosition(position);
+    assert.equal(connect.mock.callCount(), 2);
+    now += client.reconnectDelay * 0.5;
+    client.updatePosition(position);
+    assert.equal(connect.mock.callCount(), 3);
+  });
+
+  test('reports a selection that throws', async () => {
+    const events = new EventEmitter();
+    const client = new NtripClient(events, { environment: { fetch: null, connectTcp: null } });
+    mock.method(client, 'connect', async () => {
+      throw new Error('caster unreachable');
+    });
+    client.sourcetable = parseSourcetable(SOURCETABLE);
+    client.config.autoMountpoint = true;
+    const error = once(events, 'ntrip:error');
+
+    client.updatePosition({ latitude: 51.5, longitude: 0.1 });
+    assert.equal((await error).message, 'Mountpoint selection failed: caster unreachable');
+  });
+});
+
+describe('NtripClient GGA updates', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('refreshes the GGA from each position and rate-limits sending', () => {
+    const client = new NtripClient(new EventEmitter(), { environment: { fetch: null, connectTcp: null } });
+    const sent = [];
+    mock.method(client, 'sendGGADirect', async (gga) => {
+      sent.push(gga);
+      return true;
+    });
+    let now = 1000000;
+    mock.method(Date, 'now', () => now);
+    client.isConnected = true;
+    client.activeMode = 'direct';
+
+    client.updatePosition({ latitude: 51.5, longitude: 0.1 });
+    client.updatePosition({ latitude: 52.25, longitude: 0.1 });
+    assert.equal(sent.length, 1);
+    assert.match(sent[0], /,5130\.0+,N,/);
+
+    // The periodic updates and the next connection use the latest position
+    assert.match(client.lastGga, /,5215\.0+,N,/);
+    assert.equal(client.getInitialGga(), client.lastGga);
+
+    now += client.config.ggaUpdateInterval * 1000;
+    client.updatePosition({ latitude: 53, longitude: 0.1 });
+    assert.equal(sent.length, 2);
+    assert.match(sent[1], /,5300\.0+,N,/);
+  });
+});
@@ -0,0 +1,34 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRequest, createRequestHeaders, isGgaSentence, validateRequest } from '../src/ntrip-protocol.js';
+
+const GGA = '$GPGGA,092750.00,5321.6802,N,00630.3372,W,1,08,1.03,61.7,M,55.2,M,,*76';
+
+describe('NTRIP requests', () => {
+  test('builds Rev 1 and Rev 2 requests', () => {
+    assert.equal(
+      buildRequest({ host: 'caster.example', port: 2101, mountpoint: 'RTCM3', version: 1 }),
+      'GET /RTCM3 HTTP/1.0\r\nUser-Agent: NTRIP gnss.js\r\nAccept: */*\r\nConnection: close\r\n\r\n'
+    );
+    assert.equal(createRequestHeaders({ version: 2, gga: `${GGA}\r\n` })['Ntrip-GGA'], GGA);
+  });
+
+  test('rejects fields that would inject request lines or headers', () => {
+    const request = { host: 'caster.example', port: 2101, mountpoint: 'RTCM3' };
+
+    assert.throws(() => buildRequest({ ...request, mountpoint: 'RTCM3 HTTP/1.0\r\nX-Injected: 1' }), /Invalid mountpoint/);
+    assert.throws(() => buildRequest({ ...request, host: 'caster.example\r\n' }), /Invalid host/);
+    assert.throws(() => buildRequest({ ...request, password: 'secret\nX-Injected: 1' }), /Invalid password/);
+    assert.throws(() => createRequestHeaders({ username: 'rover\u0000' }), /Invalid username/);
+    assert.throws(() => createRequestHeaders({ gga: `${GGA}\r\nGET /OTHER HTTP/1.0` }), /Invalid GGA/);
+    assert.doesNotThrow(() => validateRequest({ ...request, username: 'rövèr', password: 'p@ss word', gga: GGA }));
+  });
+
+  test('recognises checksummed GGA sentences only', () => {
+    assert.equal(isGgaSentence(GGA), true);
+    assert.equal(isGgaSentence(GGA.replace('*76', '*77')), false);
+    assert.equal(isGgaSentence(GGA.slice(0, GGA.indexOf('*'))), false);
+    assert.equal(isGgaSentence('$GPRMC,092750.00,A,5321.6802,N,00630.3372,W,0.02,31.66,280511,,,A*73'), false);
+    assert.equal(isGgaSentence('EHLO attacker'), false);
+  });
+});
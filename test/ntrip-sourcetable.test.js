@@ -0,0 +1,119 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseSourcetable, isSourcetable, rankStreams, greatCircleDistance } from '../src/ntrip-sourcetable.js';
+
+/**
+ * Load a sourcetable fixture
+ * @param {string} name - Fixture file name
+ * @returns {string} - Response text, headers included
+ */
+function loadFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'latin1');
+}
+
+const sourcetable = parseSourcetable(loadFixture('sourcetable.txt'));
+
+describe('parseSourcetable', () => {
+  test('skips the response headers and reads every record type', () => {
+    assert.equal(sourcetable.complete, true);
+    assert.deepEqual(sourcetable.streams.map(stream => stream.mountpoint), ['FFMJ00DEU0', 'VRS_RTCM3', 'UNKNOWN', 'RAW']);
+    assert.equal(sourcetable.casters.length, 1);
+    assert.equal(sourcetable.networks.length, 1);
+  });
+
+  test('parses STR fields', () => {
+    const [frankfurt, vrs] = sourcetable.streams;
+
+    assert.equal(frankfurt.format, 'RTCM 3.3');
+    assert.equal(frankfurt.formatDetails, '1006(10),1077(1),1087(1),1097(1)');
+    assert.equal(frankfurt.carrier, 2);
+    assert.deepEqual(frankfurt.navSystems, ['GPS', 'GLO', 'GAL']);
+    assert.equal(frankfurt.latitude, 50.09);
+    assert.equal(frankfurt.longitude, 8.66);
+    assert.equal(frankfurt.nmea, false);
+    assert.equal(frankfurt.authentication, 'B');
+    assert.equal(frankfurt.bitrate, 9600);
+    assert.equal(frankfurt.misc, 'misc;with;semicolons');
+
+    assert.equal(vrs.nmea, true);
+    assert.equal(vrs.solution, 1);
+    assert.equal(vrs.fee, true);
+    assert.equal(sourcetable.streams[2].bitrate, null);
+  });
+
+  test('parses CAS and NET fields', () => {
+    assert.deepEqual(sourcetable.casters[0], {
+      host: 'rtk2go.example',
+      port: 2101,
+      identifier: 'Example Caster',
+      operator: 'Example Ops',
+      nmea: false,
+      country: 'DEU',
+      latitude: 50.09,
+      longitude: 8.66,
+      fallbackHost: 'fallback.example',
+      fallbackPort: 80,
+      misc: 'http://example.com/info'
+    });
+
+    const [network] = sourcetable.networks;
+    assert.equal(network.identifier, 'EUREF');
+    assert.equal(network.operator, 'BKG');
+    assert.equal(network.authentication, 'B');
+    assert.equal(network.fee, false);
+    assert.equal(network.webStr, 'http://example.com/str');
+  });
+
+  test('marks a sourcetable without ENDSOURCETABLE as incomplete', () => {
+    const partial = parseSourcetable(loadFixture('sourcetable-truncated.txt'));
+
+    assert.equal(partial.complete, false);
+    assert.equal(partial.streams[0].mountpoint, 'PARTIAL');
+    assert.deepEqual(partial.casters[0], {
+      host: 'trunc',
+      port: null,
+      identifier: '',
+      operator: '',
+      nmea: false,
+      country: '',
+      latitude: null,
+      longitude: null,
+      fallbackHost: '',
+      fallbackPort: null,
+      misc: ''
+    });
+    assert.deepEqual(parseSourcetable(''), { streams: [], casters: [], networks: [], complete: false });
+  });
+
+  test('recognises sourcetable responses', () => {
+    assert.equal(isSourcetable(loadFixture('sourcetable.txt')), true);
+    assert.equal(isSourcetable('STR;A;B\r\n'), true);
+    assert.equal(isSourcetable('ICY 200 OK\r\n'), false);
+  });
+});
+
+describe('rankStreams', () => {
+  test('orders streams by distance and drops unknown locations and other formats', () => {
+    const ranked = rankStreams(sourcetable.streams, { latitude: 51.48, longitude: 0 });
+
+    assert.deepEqual(ranked.map(stream => stream.mountpoint), ['FFMJ00DEU0', 'VRS_RTCM3']);
+    assert.ok(Math.abs(ranked[0].distance - greatCircleDistance(51.48, 0, 50.09, 8.66)) < 1e-6);
+  });
+
+  test('filters on constellations with alias spellings', () => {
+    const position = { latitude: 40, longitude: -105 };
+
+    assert.deepEqual(rankStreams(sourcetable.streams, position, { constellations: ['glonass'] })
+      .map(stream => stream.mountpoint), ['VRS_RTCM3', 'FFMJ00DEU0']);
+    assert.deepEqual(rankStreams(sourcetable.streams, position, { constellations: ['GAL'] })
+      .map(stream => stream.mountpoint), ['FFMJ00DEU0']);
+    assert.deepEqual(rankStreams(sourcetable.streams, null), []);
+  });
+
+  test('computes great-circle distances', () => {
+    // One degree of latitude on the mean sphere
+    assert.ok(Math.abs(greatCircleDistance(0, 0, 1, 0) - 111195.08) < 0.01);
+    assert.equal(greatCircleDistance(51.48, 0, 51.48, 0), 0);
+  });
+});
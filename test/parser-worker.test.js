@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { GnssModule, EVENTS, MemoryStorage, MemoryRecordingStore, EventEmitter } from '../src/index.js';
+import { ParserWorkerClient } from '../src/parser-worker-client.js';
+import { stationFrame } from './helpers/caster.js';
+
+/**
+ * Start parser-worker.js in a worker thread
+ * @returns {Worker} - Worker
+ */
+function startWorker() {
+  return new Worker(new URL('../src/parser-worker.js', import.meta.url));
+}
+
+/**
+ * Wait for the next emission of an event
+ * @param {EventEmitter} events - Event emitter
+ * @param {string} event - Event name
+ * @returns {Promise<*>} - Event payload
+ */
+function nextEvent(events, event) {
+  return new Promise(resolve => events.once(event, resolve));
+}
+
+describe('ParserWorkerClient', () => {
+  test('re-emits the events of the parsers in the worker', async () => {
+    const events = new EventEmitter();
+    const client = new ParserWorkerClient(events, { worker: startWorker(), strict: true });
+    const rtcm = nextEvent(events, EVENTS.RTCM_MESSAGE);
+    const error = nextEvent(events, 'nmea:error');
+
+    try {
+      client.push(stationFrame(2003));
+      client.push('$GPGGA,092750.00,5321.6802,N,00630.3372,W,1,5x,1.2,61.7,M,55.2,M,,*02\r\n');
+
+      assert.equal((await rtcm).messageType, 1005);
+      assert.equal((await error).field, 'satellites');
+
+      const stats = await client.getStats();
+      assert.equal(stats.demuxer.rtcm, 1);
+      assert.equal(stats.nmea.errors['field-range'], 1);
+    } finally {
+      client.terminate();
+    }
+  });
+
+  test('starts a worker_threads Worker when there is no global Worker', async () => {
+    const events = new EventEmitter();
+    const client = new ParserWorkerClient(events);
+    const rtcm = nextEvent(events, EVENTS.RTCM_MESSAGE);
+
+    try {
+      client.push(stationFrame(2003));
+      assert.equal((await rtcm).messageType, 1005);
+    } finally {
+      client.terminate();
+    }
+  });
+
+  test('transfers a copy of the device data', async () => {
+    const worker = startWorker();
+    const client = new ParserWorkerClient(new EventEmitter(), { worker });
+    const data = new Uint8Array(stationFrame(2003));
+
+    try {
+      client.push(data.buffer);
+      assert.equal(data.buffer.byteLength, data.length);
+    } finally {
+      client.terminate();
+    }
+  });
+});
+
+describe('GnssModule with a parser worker', () => {
+  test('keeps the public events when parsing in the worker', async () => {
+    const worker = startWorker();
+    const gnss = new GnssModule({
+      ui: false,
+      worker: { worker },
+      environment: { storage: new MemoryStorage(), recordings: new MemoryRecordingStore() }
+    });
+    const position = nextEvent(gnss.events, EVENTS.POSITION);
+    const satellites = nextEvent(gnss.events, EVENTS.SATELLITES);
+
+    try {
+      await gnss.connectSimulator({ autoStart: false });
+      gnss.simulatorHandler.step();
+
+      assert.equal(typeof (await position).latitude, 'number');
+      assert.ok((await satellites).length > 0);
+      assert.equal(gnss.getPosition().latitude, (await position).latitude);
+      // The main-thread parser stays idle
+      assert.equal(gnss.nmeaParser.getSentenceStats().GGA, 0);
+    } finally {
+      await gnss.disconnectDevice();
+      gnss.parserWorker.terminate();
+    }
+  });
+
+  test('rejects proprietary decoders, which cannot run in the worker', () => {
+    assert.throws(() => new GnssModule({
+      ui: false,
+      worker: true,
+      proprietaryDecoders: { PGRM: () => null },
+      environment: { storage: new MemoryStorage(), recordings: new MemoryRecordingStore() }
+    }), /proprietaryDecoders cannot be used with worker/);
+  });
+});
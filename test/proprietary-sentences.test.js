@@ -0,0 +1,206 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { NmeaParser } from '../src/nmea-parser.js';
+import { EventEmitter } from '../src/event-emitter.js';
+
+/**
+ * Build an NMEA sentence with its checksum
+ * @param {string} body - Sentence between '$' and '*'
+ * @returns {string} - Sentence
+ */
+function sentence(body) {
+  let sum = 0;
+  for (const char of body) {
+    sum ^= char.charCodeAt(0);
+  }
+  return `$${body}*${sum.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+/**
+ * Parse one sentence body
+ * @param {string} body - Sentence between '$' and '*'
+ * @param {NmeaParser} parser - Parser to use
+ * @returns {Object} - Parsed sentence
+ */
+function parse(body, parser = new NmeaParser()) {
+  return parser.parseData(`${sentence(body)}\r\n`)[0];
+}
+
+describe('u-blox PUBX', () => {
+  test('decodes PUBX,00 with horizontal and vertical accuracy', () => {
+    const result = parse('PUBX,00,101530.00,4740.78430,N,12207.16320,W,29.300,RK,0.014,0.021,0.040,12.50,-0.012,1.0,0.61,0.94,0.50,16,0,0');
+
+    assert.equal(result.type, 'PUBX');
+    assert.equal(result.vendor, 'u-blox');
+    assert.equal(result.message, 'POSITION');
+    assert.equal(result.latitude, 47.679738333);
+    assert.equal(result.longitude, -122.119386667);
+    assert.equal(result.altitude, 29.3);
+    assert.equal(result.navStatus, 'RK');
+    assert.equal(result.horizontalAccuracy, 0.014);
+    assert.equal(result.verticalAccuracy, 0.021);
+    assert.equal(result.verticalVelocity, -0.012);
+    assert.equal(result.satellites, 16);
+    assert.equal(result.deadReckoning, false);
+  });
+
+  test('decodes PUBX,03 satellite status', () => {
+    const result = parse('PUBX,03,2,5,U,290,62,47,64,13,e,45,18,,0');
+
+    assert.equal(result.message, 'SVSTATUS');
+    assert.equal(result.satellitesTracked, 2);
+    assert.deepEqual(result.satellites, [
+      { svId: 5, status: 'U', used: true, azimuth: 290, elevation: 62, cno: 47, lockTime: 64 },
+      { svId: 13, status: 'e', used: false, azimuth: 45, elevation: 18, cno: null, lockTime: 0 }
+    ]);
+  });
+
+  test('decodes PUBX,04 time', () => {
+    const result = parse('PUBX,04,101530.00,190926,468930.00,2437,18D,-1234567,-21.562,21');
+
+    assert.equal(result.message, 'TIME');
+    assert.equal(result.date, '2026-09-19');
+    assert.equal(result.week, 2437);
+    assert.equal(result.leapSeconds, 18);
+    assert.equal(result.leapSecondsDefault, true);
+    assert.equal(result.clockBias, -1234567);
+  });
+
+  test('keeps the fields of other PUBX messages', () => {
+    const result = parse('PUBX,41,1,0007,0003,115200,0');
+
+    assert.equal(result.message, '41');
+    assert.deepEqual(result.fields, ['1', '0007', '0003', '115200', '0']);
+  });
+});
+
+describe('Quectel PQTM', () => {
+  test('decodes PQTMEPE error estimates', () => {
+    const result = parse('PQTMEPE,2,0.012,0.010,0.025,0.016,0.029');
+
+    assert.equal(result.type, 'PQTMEPE');
+    assert.equal(result.vendor, 'Quectel');
+    assert.equal(result.message, 'EPE');
+    assert.equal(result.errorDown, 0.025);
+    assert.equal(result.error3D, 0.029);
+  });
+
+  test('decodes PQTMPVT', () => {
+    const result = parse('PQTMPVT,1,31075000,20220225,083737.000,,3,12,18,31.12738291,117.26372910,34.212,-3.061,0.009,0.007,-0.010,0.011,0.00,0.75,1.34');
+
+    assert.equal(result.date, '2022-02-25');
+    assert.equal(result.fixMode, 3);
+    assert.equal(result.latitude, 31.12738291);
+    assert.equal(result.velocityDown, -0.01);
+    assert.equal(result.pdop, 1.34);
+  });
+
+  test('decodes PQTMVERNO and command replies', () => {
+    assert.equal(parse('PQTMVERNO,LG69TAPNR01A03S,2022/03/24,10:26:54').version, 'LG69TAPNR01A03S');
+    assert.deepEqual(parse('PQTMCFGMSGRATE,OK').fields, ['OK']);
+  });
+});
+
+describe('Trimble PTNL', () => {
+  test('decodes PTNL,GGK', () => {
+    const result = parse('PTNL,GGK,172814.00,071296,3723.46587704,N,12202.26957864,W,3,06,1.7,EHT-6.777,M');
+
+    assert.equal(result.vendor, 'Trimble');
+    assert.equal(result.message, 'GGK');
+    // Two-digit years are read as 20xx
+    assert.equal(result.date, '2096-07-12');
+    assert.equal(result.latitude, 37.391097951);
+    assert.equal(result.fix, 'fixed');
+    assert.equal(result.satellites, 6);
+    assert.equal(result.ellipsoidalHeight, -6.777);
+  });
+
+  test('decodes PTNL,AVR attitude', () => {
+    const result = parse('PTNL,AVR,181059.6,+149.4688,Yaw,+0.0134,Tilt,,,60.191,3,2.5,6');
+
+    assert.equal(result.yaw, 149.4688);
+    assert.equal(result.tilt, 0.0134);
+    assert.equal(result.roll, null);
+    assert.equal(result.range, 60.191);
+    assert.equal(result.fix, 'fixed');
+    assert.equal(result.satellites, 6);
+  });
+});
+
+describe('SkyTraq PSTI and Septentrio PSSN', () => {
+  test('decodes PSTI,030', () => {
+    const result = parse('PSTI,030,044606.000,A,2447.0924110,N,12100.5227860,E,103.323,0.00,0.00,0.00,180915,R,1.2,4.2');
+
+    assert.equal(result.vendor, 'SkyTraq');
+    assert.equal(result.latitude, 24.784873517);
+    assert.equal(result.date, '2015-09-18');
+    assert.equal(result.mode, 'R');
+    assert.equal(result.rtkRatio, 4.2);
+  });
+
+  test('decodes PSTI,032 baselines', () => {
+    const result = parse('PSTI,032,041457.000,170316,A,R,0.603,-0.837,-0.089,1.036,144.22,,,,,');
+
+    assert.equal(result.baselineNorth, -0.837);
+    assert.equal(result.baselineLength, 1.036);
+    assert.equal(result.baselineCourse, 144.22);
+  });
+
+  test('decodes PSSN,HRP', () => {
+    const result = parse('PSSN,HRP,142959.00,061016,244.000,,-56.848,0.013,,0.059,13,2,2.037,W');
+
+    assert.equal(result.vendor, 'Septentrio');
+    assert.equal(result.date, '2016-10-06');
+    assert.equal(result.heading, 244);
+    assert.equal(result.roll, null);
+    assert.equal(result.satellites, 13);
+    assert.equal(result.magneticVariation, -2.037);
+  });
+});
+
+describe('NmeaParser proprietary registry', () => {
+  test('uses decoders registered by applications', () => {
+    const parser = new NmeaParser();
+    parser.registerProprietary('PGRM', parts => parts[0] === 'PGRMZ'
+      ? { vendor: 'Garmin', message: 'Z', altitudeFeet: parseFloat(parts[1]) }
+      : null);
+
+    const altitude = parse('PGRMZ,246,f,3', parser);
+    assert.equal(altitude.type, 'PGRMZ');
+    assert.equal(altitude.altitudeFeet, 246);
+
+    // A decoder returning null leaves the sentence undecoded
+    const undecoded = parse('PGRME,15.0,M,45.0,M,25.0,M', parser);
+    assert.equal(undecoded.vendor, undefined);
+    assert.equal(parser.getSentenceStats().PROPRIETARY, 1);
+    assert.equal(parser.getSentenceStats().UNKNOWN, 1);
+  });
+
+  test('prefers the longest matching prefix', () => {
+    const parser = new NmeaParser({
+      proprietaryDecoders: { PQTMEPE: () => ({ message: 'custom' }) }
+    });
+
+    assert.equal(parse('PQTMEPE,2,0.012,0.010,0.025,0.016,0.029', parser).message, 'custom');
+    assert.equal(parse('PQTMVERNO,LG69TAPNR01A03S,2022/03/24,10:26:54', parser).vendor, 'Quectel');
+
+    assert.equal(parser.unregisterProprietary('PQTMEPE'), true);
+    assert.equal(parse('PQTMEPE,2,0.012,0.010,0.025,0.016,0.029', parser).message, 'EPE');
+  });
+
+  test('emits nmea:proprietary for decoded sentences', () => {
+    const events = new EventEmitter();
+    const parser = new NmeaParser({ events });
+    const decoded = [];
+    events.on('nmea:proprietary', result => decoded.push(result));
+
+    parser.parseData([
+      sentence('PUBX,41,1,0007,0003,115200,0'),
+      sentence('PXYZ,1,2'),
+      sentence('GPHDT,271.4,T')
+    ].join('\r\n') + '\r\n');
+
+    assert.deepEqual(decoded.map(result => result.type), ['PUBX']);
+    assert.equal(decoded[0].raw, sentence('PUBX,41,1,0007,0003,115200,0'));
+  });
+});
@@ -0,0 +1,183 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplayHandler, parseRecording } from '../src/connection/replay-handler.js';
+import { SessionRecorder } from '../src/session-recorder.js';
+import { MemoryRecordingStore } from '../src/environment.js';
+import { NmeaEncoder } from '../src/nmea-encoder.js';
+import { EventEmitter } from '../src/event-emitter.js';
+import { EVENTS } from '../src/constants.js';
+
+const QUIET = { info: false, debug: false, errors: false };
+const encoder = new NmeaEncoder();
+
+/**
+ * Build a GGA sentence for an epoch
+ * @param {string} time - UTC time, hhmmss.ss
+ * @returns {string} - Sentence without line ending
+ */
+function gga(time) {
+  return encoder.encode({ type: 'GGA', talker: 'GP', time, latitude: 48.1173, longitude: 11.5167, fixQuality: 1, satellites: 8, hdop: 0.9, altitude: 545.4 });
+}
+
+const EPOCHS = ['123519.00', '123520.00', '123521.00'].map(gga);
+
+/**
+ * Decode record bytes
+ * @param {Object[]} records - Records from parseRecording()
+ * @returns {Array[]} - [time, text] per record
+ */
+function summarize(records) {
+  const decoder = new TextDecoder();
+  return records.map(record => [record.time, decoder.decode(record.bytes)]);
+}
+
+/**
+ * Resolve with the first payload of an event
+ * @param {EventEmitter} events - Event emitter
+ * @param {string} name - Event name
+ * @returns {Promise<*>} - Event payload
+ */
+function once(events, name) {
+  return new Promise((resolve) => {
+    const unsubscribe = events.on(name, (payload) => {
+      unsubscribe();
+      resolve(payload);
+    });
+  });
+}
+
+describe('parseRecording', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('replays only the receiver output of a session log, paced by host time', async () => {
+    let now = Date.UTC(2024, 4, 1, 12);
+    mock.method(Date, 'now', () => now);
+    const events = new EventEmitter();
+    const recorder = new SessionRecorder({ events, store: new MemoryRecordingStore() });
+    await recorder.start({ name: 'drive' });
+    events.emit(EVENTS.DATA_RECEIVED, EPOCHS[0]);
+    now += 400;
+    events.emit(EVENTS.DATA_SENT, '$PUBX,00*33\r\n');
+    events.emit(EVENTS.NTRIP_DATA, { data: new Uint8Array([0xD3, 0x00, 0x00]) });
+    now += 600;
+    events.emit(EVENTS.DATA_RECEIVED, EPOCHS[1]);
+    await recorder.stop();
+
+    const recording = parseRecording(await recorder.read('drive'));
+    assert.equal(recording.format, 'session');
+    assert.equal(recording.timing, 'host');
+    assert.deepEqual(summarize(recording.records), [[0, EPOCHS[0]], [1000, EPOCHS[1]]]);
+  });
+
+  test('groups NMEA sentences into epochs by host timestamps', () => {
+    const text = [
+      `2024-05-01T12:00:00.000Z ${EPOCHS[0]}`,
+      '2024-05-01T12:00:00.100Z $GPGSA,A,3,04,05,,09,12,,,24,,,,,2.5,1.3,2.1*39',
+      `2024-05-01T12:00:00.500Z ${EPOCHS[1]}`
+    ].join('\n');
+
+    const recording = parseRecording(new TextEncoder().encode(text));
+    assert.equal(recording.format, 'nmea');
+    assert.equal(recording.timing, 'host');
+    assert.deepEqual(summarize(recording.records).map(([time]) => time), [0, 100, 500]);
+  });
+
+  test('paces NMEA without host timestamps by the sentences\' own times', () => {
+    const text = [EPOCHS[0], '$GPGSA,A,3,04,05,,09,12,,,24,,,,,2.5,1.3,2.1*39', EPOCHS[1], EPOCHS[2]].join('\r\n');
+
+    const recording = parseRecording(new TextEncoder().encode(text));
+    assert.equal(recording.timing, 'sentence');
+    assert.deepEqual(summarize(recording.records), [
+      [0, `${EPOCHS[0]}\r\n$GPGSA,A,3,04,05,,09,12,,,24,,,,,2.5,1.3,2.1*39\r\n`],
+      [1000, `${EPOCHS[1]}\r\n`],
+      [2000, `${EPOCHS[2]}\r\n`]
+    ]);
+  });
+
+  test('splits raw bytes into chunks paced at the byte rate', () => {
+    const bytes = new Uint8Array(250).fill(0xB5);
+
+    const recording = parseRecording(bytes, { bytesPerSecond: 1000 });
+    assert.equal(recording.format, 'raw');
+    assert.deepEqual(recording.records.map(record => [record.time, record.bytes.length]), [[0, 100], [100, 100], [200, 50]]);
+  });
+});
+
+describe('ReplayHandler', () => {
+  let handler;
+
+  afterEach(async () => {
+    await handler.disconnect();
+  });
+
+  /**
+   * Create a handler and collect the data it delivers
+   * @returns {Object} - { events, received }
+   */
+  function setup() {
+    const events = new EventEmitter();
+    const received = [];
+    const decoder = new TextDecoder();
+    events.on('device:data', buffer => received.push(decoder.decode(buffer)));
+    handler = new ReplayHandler(events, { debug: QUIET });
+    return { events, received };
+  }
+
+  test('replays a recording as fast as possible', async () => {
+    const { events, received } = setup();
+    const ended = once(events, 'replay:ended');
+
+    assert.equal(await handler.connect({ source: EPOCHS.join('\r\n'), speed: 'fast' }), true);
+    assert.equal((await ended).index, 3);
+    assert.deepEqual(received, EPOCHS.map(sentence => `${sentence}\r\n`));
+    assert.deepEqual(handler.getDeviceInfo(), { type: 'replay', name: 'recording', format: 'nmea', timing: 'sentence', duration: 2000 });
+  });
+
+  test('seeks to the first record at or after a position', async () => {
+    const { events, received } = setup();
+    await handler.connect({ source: EPOCHS.join('\r\n'), autoPlay: false });
+
+    handler.seek(1500);
+    assert.deepEqual(handler.getProgress(), { position: 1500, duration: 2000, index: 2, total: 3, speed: 1, playing: false });
+
+    handler.setSpeed('fast');
+    const ended = once(events, 'replay:ended');
+    handler.play();
+    await ended;
+    assert.deepEqual(received, [`${EPOCHS[2]}\r\n`]);
+  });
+
+  test('speeds up to as fast as possible during real-time playback', async () => {
+    const { events, received } = setup();
+    const ended = once(events, 'replay:ended');
+    await handler.connect({ source: EPOCHS.join('\r\n') });
+
+    // The first epoch is due at once, the next one a second later
+    assert.deepEqual(received, [`${EPOCHS[0]}\r\n`]);
+    handler.setSpeed('fast');
+    assert.equal(handler.getProgress().speed, Infinity);
+
+    await ended;
+    assert.equal(received.length, 3);
+  });
+
+  test('starts over at the end when looping', async () => {
+    const { events, received } = setup();
+    const ended = mock.fn();
+    events.on('replay:ended', ended);
+    const looped = new Promise((resolve) => {
+      events.on('device:data', () => {
+        if (received.length === 7) {
+          resolve();
+        }
+      });
+    });
+
+    await handler.connect({ source: EPOCHS.join('\r\n'), speed: 'fast', loop: true });
+    await looped;
+    handler.pause();
+
+    assert.deepEqual(received.slice(3, 7), [...EPOCHS, EPOCHS[0]].map(sentence => `${sentence}\r\n`));
+    assert.equal(ended.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,143 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { RtcmParser, crc24q, validateFrame } from '../src/rtcm-parser.js';
+import { EventEmitter } from '../src/event-emitter.js';
+import { EVENTS } from '../src/constants.js';
+import { rtcmFrame, stationFrame } from './helpers/caster.js';
+
+/**
+ * Load the frames of a hex fixture, one frame per line
+ * @param {string} name - Fixture file name
+ * @returns {Uint8Array[]} - Frames
+ */
+function loadHexFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+    .split('\n')
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => Uint8Array.from(line.trim().split(/\s+/).map(hex => parseInt(hex, 16))));
+}
+
+/**
+ * Pack big-endian bit fields into bytes
+ * @param {Array<number[]>} fields - [value, bits] pairs
+ * @returns {Uint8Array} - Packed bytes, zero padded to a whole byte
+ */
+function packBits(fields) {
+  const bits = [];
+  for (const [value, width] of fields) {
+    for (let i = width - 1; i >= 0; i--) {
+      bits.push(Math.floor(value / Math.pow(2, i)) % 2);
+    }
+  }
+  const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+  bits.forEach((bit, i) => {
+    bytes[i >> 3] |= bit << (7 - (i & 7));
+  });
+  return bytes;
+}
+
+/**
+ * Build an MSM header body with the given satellite, signal and cell masks
+ * @param {number} messageType - MSM message number
+ * @param {number} epochTime - 30-bit epoch time
+ * @param {number[]} satellites - Satellite IDs (1-64)
+ * @param {number[]} signals - Signal IDs (1-32)
+ * @param {number[]} cells - Cell mask bits, satellite-major
+ * @returns {Uint8Array} - Message body
+ */
+function msmBody(messageType, epochTime, satellites, signals, cells) {
+  const fields = [[messageType, 12], [2003, 12], [epochTime, 30], [1, 1], [0, 3], [0, 7], [0, 2], [0, 2], [0, 1], [0, 3]];
+  for (let i = 1; i <= 64; i++) fields.push([satellites.includes(i) ? 1 : 0, 1]);
+  for (let i = 1; i <= 32; i++) fields.push([signals.includes(i) ? 1 : 0, 1]);
+  cells.forEach(cell => fields.push([cell, 1]));
+  return packBits(fields);
+}
+
+const [EXAMPLE_1005] = loadHexFixture('rtcm3.hex');
+
+describe('CRC-24Q', () => {
+  test('matches the reference check value', () => {
+    assert.equal(crc24q(new TextEncoder().encode('123456789')), 0xCDE703);
+  });
+
+  test('validates the RTCM 10403 example frame and rejects corruption', () => {
+    assert.equal(validateFrame(EXAMPLE_1005), true);
+
+    const corrupted = EXAMPLE_1005.slice();
+    corrupted[10] ^= 0x01;
+    assert.equal(validateFrame(corrupted), false);
+    assert.equal(validateFrame(EXAMPLE_1005.subarray(0, 20)), false);
+  });
+});
+
+describe('RtcmParser', () => {
+  test('decodes the 1005 station ARP example', () => {
+    const events = new EventEmitter();
+    const messages = [];
+    events.on(EVENTS.RTCM_MESSAGE, message => messages.push(message));
+    const parser = new RtcmParser({ events });
+
+    const [frame] = parser.parseData(EXAMPLE_1005);
+    assert.equal(frame.messageType, 1005);
+    assert.equal(frame.message.stationId, 2003);
+    assert.deepEqual(frame.message.constellations, { gps: true, glonass: false, galileo: false });
+    assert.ok(Math.abs(frame.message.ecef.x - 1114104.5999) < 1e-6);
+    assert.ok(Math.abs(frame.message.ecef.y - -4850729.7108) < 1e-6);
+    assert.ok(Math.abs(frame.message.ecef.z - 3975521.4643) < 1e-6);
+    assert.equal(messages.length, 1);
+  });
+
+  test('reassembles frames split across chunks', () => {
+    const parser = new RtcmParser();
+    assert.deepEqual(parser.parseData(EXAMPLE_1005.subarray(0, 2)), []);
+    assert.deepEqual(parser.parseData(EXAMPLE_1005.subarray(2, 12)), []);
+    const [frame] = parser.parseData(EXAMPLE_1005.subarray(12));
+    assert.equal(frame.messageType, 1005);
+    assert.equal(parser.getStats().buffered, 0);
+  });
+
+  test('skips a frame with a bad CRC and resynchronises on the next one', () => {
+    const parser = new RtcmParser({ debug: { errors: false } });
+    const corrupted = stationFrame(7);
+    corrupted[corrupted.length - 1] ^= 0xFF;
+
+    const frames = parser.parseData(Buffer.concat([Buffer.from([0x00, 0x42]), corrupted, stationFrame(8)]));
+    assert.equal(frames.length, 1);
+    assert.equal(frames[0].message.stationId, 8);
+    assert.equal(parser.getStats().crcErrors, 1);
+  });
+
+  test('decodes MSM header masks', () => {
+    const parser = new RtcmParser();
+    const [frame] = parser.parseData(rtcmFrame(msmBody(1074, 123456000, [5, 12], [2, 16], [1, 0, 1, 1])));
+    const { message } = frame;
+
+    assert.equal(message.constellation, 'GPS');
+    assert.equal(message.msm, 4);
+    assert.equal(message.stationId, 2003);
+    assert.deepEqual(message.epoch, { timeOfWeek: 123456000 });
+    assert.equal(message.multipleMessage, true);
+    assert.deepEqual(message.satellites, [5, 12]);
+    assert.deepEqual(message.signals, [2, 16]);
+    assert.deepEqual(message.cellMask, [[true, false], [true, true]]);
+    assert.equal(message.numCells, 3);
+  });
+
+  test('splits the GLONASS MSM epoch into day and time of day', () => {
+    const parser = new RtcmParser();
+    const epochTime = 3 * Math.pow(2, 27) + 1000;
+    const [frame] = parser.parseData(rtcmFrame(msmBody(1087, epochTime, [1], [1], [1])));
+
+    assert.equal(frame.message.constellation, 'GLONASS');
+    assert.deepEqual(frame.message.epoch, { dayOfWeek: 3, timeOfDay: 1000 });
+  });
+
+  test('returns no message for a body too short for its fields', () => {
+    const parser = new RtcmParser({ debug: { errors: false } });
+    const [frame] = parser.parseData(rtcmFrame(packBits([[1005, 12], [1, 12]])));
+
+    assert.equal(frame.messageType, 1005);
+    assert.equal(frame.message, null);
+  });
+});
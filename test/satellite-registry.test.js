@@ -0,0 +1,162 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SatelliteRegistry } from '../src/satellite-registry.js';
+import { NmeaParser } from '../src/nmea-parser.js';
+
+/**
+ * Build a parsed GSV sentence
+ * @param {string} constellation - Constellation reported by the talker
+ * @param {number[]} svIds - Satellites in the sentence
+ * @param {Object} options - messageNumber, totalMessages, signalId, signal and snr
+ * @returns {Object} - GSV as returned by NmeaParser
+ */
+function gsv(constellation, svIds, options = {}) {
+  return {
+    constellation,
+    messageNumber: 1,
+    totalMessages: 1,
+    signalId: null,
+    signal: null,
+    ...options,
+    satellites: svIds.map(prn => ({ prn, elevation: 45, azimuth: 90, snr: options.snr || 40 }))
+  };
+}
+
+/**
+ * List satellites as 'constellation svId'
+ * @param {Object[]} satellites - Satellites from the registry
+ * @returns {string[]} - Labels
+ */
+function labels(satellites) {
+  return satellites.map(satellite => `${satellite.constellation} ${satellite.svId}`);
+}
+
+describe('SatelliteRegistry', () => {
+  test('keeps satellites with the same ID in different constellations apart', () => {
+    const registry = new SatelliteRegistry();
+    registry.updateInView(gsv('GPS', [5]), 0);
+    registry.updateInView(gsv('Galileo', [5]), 0);
+
+    assert.deepEqual(labels(registry.getSatellites(0)), ['GPS 5', 'Galileo 5']);
+  });
+
+  test('merges GSV groups from different talkers', () => {
+    const registry = new SatelliteRegistry();
+    registry.updateInView(gsv('GPS', [2, 5, 7, 9], { totalMessages: 2 }), 0);
+    registry.updateInView(gsv('GPS', [13], { messageNumber: 2, totalMessages: 2 }), 0);
+    registry.updateInView(gsv('GLONASS', [65, 66]), 0);
+    registry.updateInView(gsv('BeiDou', [19]), 0);
+
+    assert.deepEqual(
+      labels(registry.getSatellites(0)),
+      ['GPS 2', 'GPS 5', 'GPS 7', 'GPS 9', 'GPS 13', 'GLONASS 65', 'GLONASS 66', 'BeiDou 19']
+    );
+  });
+
+  test('drops satellites missing from the next complete group of their talker', () => {
+    const registry = new SatelliteRegistry();
+    registry.updateInView(gsv('GPS', [2, 5]), 0);
+    registry.updateInView(gsv('GLONASS', [70]), 0);
+    registry.updateInView(gsv('GPS', [5]), 1000);
+
+    assert.deepEqual(labels(registry.getSatellites(1000)), ['GPS 5', 'GLONASS 70']);
+  });
+
+  test('merges the signals of one satellite', () => {
+    const registry = new SatelliteRegistry();
+    registry.updateInView(gsv('GPS', [5], { signalId: 1, signal: 'L1 C/A', snr: 44 }), 0);
+    registry.updateInView(gsv('GPS', [5, 13], { signalId: 8, signal: 'L5-Q', snr: 47 }), 0);
+    // The L1 group no longer lists 13, which must not remove its L5 signal
+    registry.updateInView(gsv('GPS', [5], { signalId: 1, signal: 'L1 C/A', snr: 44 }), 0);
+
+    const [five, thirteen] = registry.getSatellites(0);
+    assert.equal(five.snr, 47);
+    assert.deepEqual(five.signals, [
+      { signalId: 1, signal: 'L1 C/A', snr: 44 },
+      { signalId: 8, signal: 'L5-Q', snr: 47 }
+    ]);
+    assert.deepEqual(thirteen.signals.map(signal => signal.signal), ['L5-Q']);
+    assert.equal(registry.getSignals(0).length, 3);
+  });
+
+  test('tracks used satellites per constellation', () => {
+    const registry = new SatelliteRegistry();
+    registry.updateInView(gsv('GPS', [5, 7]), 0);
+    registry.updateInView(gsv('Galileo', [5, 11]), 0);
+    registry.updateUsed('GPS', [5], 0);
+    registry.updateUsed('Galileo', [11], 0);
+
+    assert.deepEqual(
+      registry.getSatellites(0).map(satellite => satellite.used),
+      [true, false, false, true]
+    );
+
+    // A later GSA replaces only its own constellation's flags
+    registry.updateUsed('GPS', [7], 0);
+    assert.deepEqual(
+      registry.getSatellites(0).map(satellite => satellite.used),
+      [false, true, false, true]
+    );
+  });
+
+  test('reads NMEA 4.0 PRN ranges from a combined GSA without a system ID', () => {
+    const registry = new SatelliteRegistry();
+    registry.updateInView(gsv('GPS', [5]), 0);
+    registry.updateInView(gsv('GLONASS', [70]), 0);
+    registry.updateUsed('GNSS', [5, 70], 0);
+
+    assert.deepEqual(registry.getSatellites(0).map(satellite => satellite.used), [true, true]);
+  });
+
+  test('includes used satellites that are missing from GSV', () => {
+    const registry = new SatelliteRegistry();
+    registry.updateUsed('Galileo', [36], 0);
+
+    const [satellite] = registry.getSatellites(0);
+    assert.equal(satellite.constellation, 'Galileo');
+    assert.equal(satellite.svId, 36);
+    assert.equal(satellite.used, true);
+    assert.equal(satellite.elevation, null);
+  });
+
+  test('expires satellites that are no longer reported', () => {
+    const registry = new SatelliteRegistry({ maxAge: 5000 });
+    registry.updateInView(gsv('GPS', [5]), 0);
+    registry.updateInView(gsv('GLONASS', [70]), 4000);
+    registry.updateUsed('GPS', [5], 0);
+
+    assert.deepEqual(labels(registry.getSatellites(6000)), ['GLONASS 70']);
+    assert.deepEqual(registry.getSatellites(10000), []);
+  });
+});
+
+describe('NmeaParser sky view', () => {
+  const epoch = readFileSync(new URL('./fixtures/nmea-4.11.nmea', import.meta.url), 'utf8');
+
+  test('combines every talker and signal of an NMEA 4.11 epoch', () => {
+    const parser = new NmeaParser();
+    parser.parseData(epoch);
+    const satellites = parser.getSatellites();
+
+    assert.equal(satellites.length, 16);
+    assert.ok(satellites.every(satellite => satellite.used));
+    assert.deepEqual(
+      [...new Set(satellites.map(satellite => satellite.constellation))],
+      ['GPS', 'Galileo', 'BeiDou', 'QZSS', 'NavIC']
+    );
+
+    const gps5 = satellites.find(satellite => satellite.constellation === 'GPS' && satellite.svId === 5);
+    assert.deepEqual(gps5.signals.map(signal => signal.signal), ['L1 C/A', 'L5-Q']);
+    assert.equal(gps5.snr, 47);
+    assert.equal(parser.getSignals().length, 27);
+  });
+
+  test('keeps the sky view across repeated epochs', () => {
+    const parser = new NmeaParser();
+    parser.parseData(epoch);
+    parser.parseData(epoch);
+
+    assert.equal(parser.getSatellites().length, 16);
+  });
+});
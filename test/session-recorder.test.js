@@ -0,0 +1,119 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder, parseSessionLog, isSessionLog } from '../src/session-recorder.js';
+import { MemoryRecordingStore } from '../src/environment.js';
+import { EventEmitter } from '../src/event-emitter.js';
+import { EVENTS } from '../src/constants.js';
+
+const GGA = '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47\r\n';
+const START = Date.UTC(2024, 4, 1, 12);
+
+/**
+ * Decode record bytes for comparison
+ * @param {Object[]} records - Records from parseSessionLog()
+ * @returns {Array[]} - [channel, time offset, text] per record
+ */
+function summarize(records) {
+  const decoder = new TextDecoder();
+  return records.map(record => [record.channel, record.time - START, decoder.decode(record.data)]);
+}
+
+describe('SessionRecorder', () => {
+  let events;
+  let store;
+  let recorder;
+  let now;
+
+  beforeEach(() => {
+    now = START;
+    mock.method(Date, 'now', () => now);
+    events = new EventEmitter();
+    store = new MemoryRecordingStore();
+    recorder = new SessionRecorder({ events, store });
+  });
+
+  afterEach(async () => {
+    await recorder.stop();
+    mock.restoreAll();
+  });
+
+  test('records every channel and reads it back', async () => {
+    await recorder.start({ name: 'drive' });
+    events.emit(EVENTS.DATA_RECEIVED, GGA);
+    now += 250;
+    events.emit(EVENTS.DATA_SENT, new TextEncoder().encode('$PUBX,00*33\r\n'));
+    now += 250;
+    events.emit(EVENTS.NTRIP_DATA, { data: new TextEncoder().encode('rtcm') });
+    const summary = await recorder.stop();
+
+    assert.deepEqual(summary.segments, ['drive-001.gnsslog']);
+    assert.equal(summary.records, 3);
+
+    const log = parseSessionLog(await recorder.read('drive'));
+    assert.equal(log.startTime, START);
+    assert.equal(log.truncated, false);
+    assert.deepEqual(summarize(log.records), [
+      ['rx', 0, GGA],
+      ['tx', 250, '$PUBX,00*33\r\n'],
+      ['ntrip', 500, 'rtcm']
+    ]);
+  });
+
+  test('rotates by size and reads a session across its segments', async () => {
+    const rotations = [];
+    events.on(EVENTS.RECORDING_ROTATED, event => rotations.push(event));
+    await recorder.start({ name: 'drive', maxFileSize: 100 });
+
+    for (let i = 0; i < 3; i++) {
+      events.emit(EVENTS.DATA_RECEIVED, GGA);
+      now += 1000;
+    }
+    await recorder.stop();
+
+    assert.deepEqual((await recorder.list()).map(recording => recording.name),
+      ['drive-001.gnsslog', 'drive-002.gnsslog', 'drive-003.gnsslog']);
+    assert.deepEqual(rotations.map(event => event.segment), ['drive-002.gnsslog', 'drive-003.gnsslog']);
+
+    // Each segment is a log of its own, and they concatenate into one
+    assert.equal(isSessionLog(await recorder.read('drive-002.gnsslog')), true);
+    const log = parseSessionLog(await recorder.read('drive'));
+    assert.deepEqual(summarize(log.records), [['rx', 0, GGA], ['rx', 1000, GGA], ['rx', 2000, GGA]]);
+  });
+
+  test('reads up to the last complete record of a log cut short', async () => {
+    await recorder.start({ name: 'drive' });
+    events.emit(EVENTS.DATA_RECEIVED, GGA);
+    events.emit(EVENTS.DATA_RECEIVED, GGA);
+    await recorder.stop();
+
+    const bytes = await recorder.read('drive');
+    const log = parseSessionLog(bytes.subarray(0, bytes.length - 5));
+    assert.equal(log.truncated, true);
+    assert.deepEqual(summarize(log.records), [['rx', 0, GGA]]);
+
+    // A record header cut off after the segment header
+    assert.equal(parseSessionLog(bytes.subarray(0, 20)).truncated, true);
+  });
+
+  test('orders segments by number past segment 999', async () => {
+    await recorder.start({ name: 'first' });
+    events.emit(EVENTS.DATA_RECEIVED, 'segment 999');
+    await recorder.stop();
+    now += 1000;
+    await recorder.start({ name: 'second' });
+    events.emit(EVENTS.DATA_RECEIVED, 'segment 1000');
+    await recorder.stop();
+
+    await store.append('drive-1000.gnsslog', await recorder.read('second'));
+    await store.append('drive-999.gnsslog', await recorder.read('first'));
+
+    assert.deepEqual((await recorder.list()).map(recording => recording.name).filter(name => name.startsWith('drive')),
+      ['drive-999.gnsslog', 'drive-1000.gnsslog']);
+    const log = parseSessionLog(await recorder.read('drive'));
+    assert.deepEqual(summarize(log.records), [['rx', 0, 'segment 999'], ['rx', 1000, 'segment 1000']]);
+  });
+
+  test('rejects data that is not a session log', () => {
+    assert.throws(() => parseSessionLog(new TextEncoder().encode(GGA)), /Not a session log/);
+  });
+});
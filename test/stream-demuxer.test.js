@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamDemuxer } from '../src/stream-demuxer.js';
+import { NmeaParser } from '../src/nmea-parser.js';
+import { EventEmitter } from '../src/event-emitter.js';
+import { buildUbxFrame } from '../src/ubx-parser.js';
+import { stationFrame } from './helpers/caster.js';
+
+const GGA = '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47\r\n';
+const ACK = buildUbxFrame(0x05, 0x01, [0x06, 0x8A]);
+
+/**
+ * Concatenate text and byte chunks
+ * @param {...(string|Uint8Array)} parts - Parts
+ * @returns {Uint8Array} - Bytes
+ */
+function bytes(...parts) {
+  const encoder = new TextEncoder();
+  const arrays = parts.map(part => (typeof part === 'string' ? encoder.encode(part) : Uint8Array.from(part)));
+  const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+describe('StreamDemuxer', () => {
+  test('separates interleaved NMEA, UBX and RTCM3 frames', () => {
+    const demuxer = new StreamDemuxer();
+    const frames = demuxer.push(bytes(GGA, ACK, stationFrame(42), GGA));
+
+    assert.deepEqual(frames.map(frame => frame.protocol), ['nmea', 'ubx', 'rtcm', 'nmea']);
+    assert.equal(demuxer.getStats().buffered, 0);
+  });
+
+  test('waits for a frame split across chunks', () => {
+    const demuxer = new StreamDemuxer();
+    const frame = stationFrame(42);
+
+    assert.deepEqual(demuxer.push(frame.subarray(0, 10)), []);
+    const frames = demuxer.push(bytes(frame.subarray(10), GGA));
+    assert.deepEqual(frames.map(f => f.protocol), ['rtcm', 'nmea']);
+  });
+
+  test('resynchronises at the next byte after a bad checksum', () => {
+    const demuxer = new StreamDemuxer();
+    const corrupted = stationFrame(42);
+    corrupted[corrupted.length - 1] ^= 0xFF;
+    const badUbx = ACK.slice();
+    badUbx[badUbx.length - 1] ^= 0xFF;
+
+    const frames = demuxer.push(bytes(corrupted, badUbx, GGA));
+    assert.deepEqual(frames.map(frame => frame.protocol), ['nmea']);
+    assert.equal(demuxer.getStats().checksumErrors.rtcm, 1);
+    assert.equal(demuxer.getStats().checksumErrors.ubx, 1);
+  });
+
+  test('hands corrupted NMEA sentences to the parser to report', () => {
+    const events = new EventEmitter();
+    const nmeaParser = new NmeaParser({ events, strict: true, debug: { info: false, debug: false, errors: false } });
+    const demuxer = new StreamDemuxer({ events, nmeaParser });
+    const errors = [];
+    const sentences = [];
+    events.on('nmea:error', error => errors.push(error));
+    events.on('nmea:sentence', sentence => sentences.push(sentence.type));
+
+    // Bad checksum, a sentence cut off by a binary frame, and a '$' inside binary data
+    const badChecksum = GGA.replace('*47', '*48');
+    const frames = demuxer.push(bytes(badChecksum, '$GPRMC,123519,A,48', ACK, [0x24, 0x01, 0x02], GGA));
+
+    assert.deepEqual(frames.map(frame => frame.protocol), ['ubx', 'nmea']);
+    assert.deepEqual(errors.map(error => error.reason), ['checksum', 'truncated']);
+    assert.equal(errors[0].raw, badChecksum.trim());
+    assert.equal(errors[1].raw, '$GPRMC,123519,A,48');
+    assert.deepEqual(sentences, ['GGA']);
+    assert.equal(nmeaParser.getSentenceStats().errors.checksum, 1);
+    assert.equal(nmeaParser.getSentenceStats().errors.truncated, 1);
+    assert.equal(demuxer.getStats().checksumErrors.nmea, 1);
+  });
+
+  test('does not hold NMEA behind a false UBX preamble with a large length', () => {
+    const demuxer = new StreamDemuxer();
+    // Sync characters followed by a plausible but bogus 4000 byte length
+    const frames = demuxer.push(bytes([0xB5, 0x62, 0x01, 0x07, 0xA0, 0x0F], GGA, GGA));
+
+    assert.deepEqual(frames.map(frame => frame.protocol), ['nmea', 'nmea']);
+    assert.equal(demuxer.getStats().skippedBytes, 6);
+  });
+
+  test('does not hold frames behind a false RTCM3 preamble', () => {
+    const demuxer = new StreamDemuxer();
+    assert.deepEqual(demuxer.push(bytes([0xD3, 0x03, 0xFF])), []);
+
+    const frames = demuxer.push(bytes(GGA, ACK));
+    assert.deepEqual(frames.map(frame => frame.protocol), ['nmea', 'ubx']);
+  });
+});
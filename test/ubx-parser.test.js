@@ -0,0 +1,141 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { UbxParser, buildUbxFrame } from '../src/ubx-parser.js';
+import { EventEmitter } from '../src/event-emitter.js';
+import { EVENTS } from '../src/constants.js';
+
+// ACK-ACK for CFG-VALSET (0x06 0x8A), as sent by a ZED-F9P
+const ACK_VALSET = Uint8Array.from([0xB5, 0x62, 0x05, 0x01, 0x02, 0x00, 0x06, 0x8A, 0x98, 0xC1]);
+
+/**
+ * Build a NAV-PVT frame for a 3D RTK fixed solution
+ * @returns {Uint8Array} - Complete frame
+ */
+function navPvtFrame() {
+  const payload = new Uint8Array(92);
+  const view = new DataView(payload.buffer);
+  view.setUint32(0, 123456000, true); // iTOW
+  view.setUint16(4, 2024, true);
+  view.setUint8(6, 3);
+  view.setUint8(7, 15);
+  view.setUint8(8, 12);
+  view.setUint8(9, 34);
+  view.setUint8(10, 56);
+  view.setUint8(11, 0x07); // Valid date, time, fully resolved
+  view.setInt32(16, 250000000, true); // 250 ms
+  view.setUint8(20, 3); // 3D fix
+  view.setUint8(21, 0x01 | 0x02 | (2 << 6)); // gnssFixOK, diffSoln, carrSoln fixed
+  view.setUint8(23, 24); // numSV
+  view.setInt32(24, -1221193870, true); // lon
+  view.setInt32(28, 476797380, true); // lat
+  view.setInt32(32, 10500, true); // height (mm)
+  view.setInt32(36, 34500, true); // hMSL (mm)
+  view.setUint32(40, 14, true); // hAcc (mm)
+  view.setInt32(60, 2572, true); // gSpeed (mm/s)
+  view.setInt32(64, 9000000, true); // headMot 90°
+  view.setUint16(76, 120, true); // pDOP 1.2
+  return buildUbxFrame(0x01, 0x07, payload);
+}
+
+/**
+ * Build a NAV-HPPOSLLH frame
+ * @returns {Uint8Array} - Complete frame
+ */
+function navHpposllhFrame() {
+  const payload = new Uint8Array(36);
+  const view = new DataView(payload.buffer);
+  view.setUint32(4, 123456000, true);
+  view.setInt32(8, -1221193870, true); // lon 1e-7
+  view.setInt32(12, 476797380, true); // lat 1e-7
+  view.setInt32(16, 10500, true); // height mm
+  view.setInt32(20, 34500, true); // hMSL mm
+  view.setInt8(24, 12); // lonHp 1e-9
+  view.setInt8(25, -7); // latHp 1e-9
+  view.setInt8(26, 3); // heightHp 0.1 mm
+  view.setInt8(27, -4); // hMSLHp 0.1 mm
+  view.setUint32(28, 141, true); // hAcc 0.1 mm
+  return buildUbxFrame(0x01, 0x14, payload);
+}
+
+describe('UbxParser', () => {
+  test('decodes a known-good ACK-ACK frame', () => {
+    const parser = new UbxParser();
+    const [message] = parser.parseData(ACK_VALSET);
+
+    assert.equal(message.name, 'ACK-ACK');
+    assert.equal(message.ackClass, 0x06);
+    assert.equal(message.ackId, 0x8A);
+    assert.equal(parser.getMessageStats()['ACK-ACK'], 1);
+  });
+
+  test('computes the Fletcher checksum buildUbxFrame writes', () => {
+    const parser = new UbxParser();
+    assert.deepEqual(parser.calculateChecksum(ACK_VALSET, 2, 8), [0x98, 0xC1]);
+    assert.deepEqual(buildUbxFrame(0x05, 0x01, [0x06, 0x8A]), ACK_VALSET);
+    // MON-VER poll
+    assert.deepEqual([...buildUbxFrame(0x0A, 0x04)], [0xB5, 0x62, 0x0A, 0x04, 0x00, 0x00, 0x0E, 0x34]);
+  });
+
+  test('rejects a corrupted checksum and resynchronises', () => {
+    const parser = new UbxParser({ debug: { errors: false } });
+    const corrupted = ACK_VALSET.slice();
+    corrupted[7] = 0x8B;
+
+    const messages = parser.parseData(Uint8Array.from([...corrupted, ...ACK_VALSET]));
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].ackId, 0x8A);
+    assert.equal(parser.getMessageStats().CHECKSUM_ERRORS, 1);
+  });
+
+  test('waits for a truncated frame to complete', () => {
+    const parser = new UbxParser();
+    assert.deepEqual(parser.parseData(ACK_VALSET.subarray(0, 7)), []);
+    const [message] = parser.parseData(ACK_VALSET.subarray(7));
+    assert.equal(message.name, 'ACK-ACK');
+  });
+
+  test('decodes NAV-PVT field offsets', () => {
+    const parser = new UbxParser();
+    const [pvt] = parser.parseData(navPvtFrame());
+
+    assert.equal(pvt.name, 'NAV-PVT');
+    assert.equal(pvt.time.toISOString(), '2024-03-15T12:34:56.250Z');
+    assert.equal(pvt.fixType, 3);
+    assert.equal(pvt.carrSoln, 2);
+    assert.equal(pvt.numSV, 24);
+    assert.ok(Math.abs(pvt.latitude - 47.679738) < 1e-9);
+    assert.ok(Math.abs(pvt.longitude + 122.119387) < 1e-9);
+    assert.equal(pvt.height, 10.5);
+    assert.equal(pvt.altitude, 34.5);
+    assert.equal(pvt.horizontalAccuracy, 0.014);
+    assert.equal(pvt.groundSpeed, 2.572);
+    assert.ok(Math.abs(pvt.headingOfMotion - 90) < 1e-9);
+    assert.ok(Math.abs(pvt.pdop - 1.2) < 1e-9);
+  });
+
+  test('combines the NAV-HPPOSLLH high precision components', () => {
+    const parser = new UbxParser();
+    const [hp] = parser.parseData(navHpposllhFrame());
+
+    assert.ok(Math.abs(hp.longitude - -122.119386988) < 1e-12);
+    assert.ok(Math.abs(hp.latitude - 47.679737993) < 1e-12);
+    assert.ok(Math.abs(hp.height - 10.5003) < 1e-9);
+    assert.ok(Math.abs(hp.altitude - 34.4996) < 1e-9);
+    assert.ok(Math.abs(hp.horizontalAccuracy - 0.0141) < 1e-12);
+  });
+
+  test('emits an RTK fixed position from NAV-PVT and NAV-HPPOSLLH', () => {
+    const events = new EventEmitter();
+    const positions = [];
+    events.on(EVENTS.POSITION_UPDATE, position => positions.push(position));
+    const parser = new UbxParser({ events });
+
+    parser.parseData(Uint8Array.from([...navPvtFrame(), ...navHpposllhFrame()]));
+
+    const position = positions[positions.length - 1];
+    assert.equal(position.source, 'ubx');
+    assert.equal(position.quality, 4);
+    assert.equal(position.satellites, 24);
+    assert.ok(Math.abs(position.latitude - 47.679737993) < 1e-12);
+  });
+});